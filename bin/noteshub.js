@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/**
+ * noteshub command-line tool (see src/cli/cli.js)
+ */
+import { runCli } from '../src/cli/cli.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -2,13 +2,14 @@
  * Service Worker for NotesHub PWA
  * Provides offline functionality for the GitHub-powered markdown note-taking app.
  */
-const CACHE_NAME = 'noteshub-v1';
+const CACHE_NAME = 'noteshub-v2';
+
+// App shell, relative to this script so it follows the deployment's base path;
+// the bundled scripts and styles have hashed names and are not listed here
 const urlsToCache = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/src/markdown/renderer.js'
+  './',
+  './index.html',
+  './manifest.json'
 ];
 
 // Install event - cache the app shell
@@ -22,13 +23,35 @@ self.addEventListener('install', event => {
   );
 });
 
-// Activate event - take control of clients
+// Activate event - drop caches of older versions and take control of clients
 self.addEventListener('activate', event => {
-  event.waitUntil(clients.claim());
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('noteshub-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => clients.claim())
+  );
 });
 
-// Fetch event - handle requests with cache-first strategy
+// Fetch event - pages come from the network first, so a new deployment is
+// picked up (its index.html names the new bundles); everything else is cache-first
 self.addEventListener('fetch', event => {
+  if (event.request.mode === 'navigate') {
+    event.respondWith(
+      fetch(event.request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(event.request).then(response => response || caches.match('./index.html')))
+    );
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then(response => {
@@ -45,7 +68,292 @@ self.addEventListener('sync', event => {
   }
 });
 
-async function syncPendingChanges() {
-  // Implementation will be added when GitHub integration is implemented
-  console.log('Syncing pending changes...');
-}
\ No newline at end of file
+/**
+ * Offline outbox
+ *
+ * Edits made while offline are queued by the page (see
+ * src/github/offline-queue.js) and stored here in IndexedDB, so they survive
+ * browser restarts. When connectivity returns, the queue is replayed through
+ * the GitHub contents API and the result is reported to every open tab.
+ *
+ * Messages from the page:
+ * - {type: 'queue-operations', operations, credentials}: add operations
+ *   ({path, content, message, sha, fileId}) to the queue
+ * - {type: 'replay-operations'}: push the queue now (fallback for browsers
+ *   without background sync)
+ * - {type: 'clear-credentials'}: forget the stored GitHub token
+ *
+ * Messages to the page:
+ * - {type: 'outbox-status', pending}: number of queued operations
+ * - {type: 'outbox-result', succeeded, failed, pending}: outcome of a replay
+ */
+const OUTBOX_DB_NAME = 'noteshub-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OPERATIONS_STORE = 'operations';
+const SETTINGS_STORE = 'settings';
+
+// Open the outbox database, creating its stores on first use
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // One operation per repository path; later edits replace earlier ones
+      db.createObjectStore(OPERATIONS_STORE, { keyPath: 'path' });
+      db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a callback against an object store and resolve when the transaction completes
+async function withStore(storeName, mode, callback) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    let result;
+    Promise.resolve(callback(store)).then(value => { result = value; }, reject);
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getQueuedOperations() {
+  return withStore(OPERATIONS_STORE, 'readonly', store => requestToPromise(store.getAll()))
+    .then(operations => operations.sort((a, b) => a.queuedAt - b.queuedAt));
+}
+
+function countQueuedOperations() {
+  return withStore(OPERATIONS_STORE, 'readonly', store => requestToPromise(store.count()));
+}
+
+function removeQueuedOperation(path) {
+  return withStore(OPERATIONS_STORE, 'readwrite', store => { store.delete(path); });
+}
+
+function getCredentials() {
+  return withStore(SETTINGS_STORE, 'readonly', store => requestToPromise(store.get('credentials')));
+}
+
+// Add operations to the queue
+// A newer edit of an already queued path keeps the original queue position
+// and the SHA it was based on, so the replay still detects remote changes
+function queueOperations(operations, credentials) {
+  return withStore(OPERATIONS_STORE, 'readwrite', async store => {
+    for (const operation of operations) {
+      const existing = await requestToPromise(store.get(operation.path));
+      store.put({
+        ...operation,
+        sha: existing ? existing.sha : operation.sha,
+        queuedAt: existing ? existing.queuedAt : Date.now()
+      });
+    }
+  }).then(() => {
+    if (credentials) {
+      return withStore(SETTINGS_STORE, 'readwrite', store => {
+        store.put({ key: 'credentials', ...credentials });
+      });
+    }
+  });
+}
+
+function clearCredentials() {
+  return withStore(SETTINGS_STORE, 'readwrite', store => { store.delete('credentials'); });
+}
+
+// Send a message to every open tab of the app
+async function notifyClients(message) {
+  const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+}
+
+// Base64 helpers for UTF-8 text (same as src/github/github-integration.js)
+function encodeBase64Utf8(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeBase64Utf8(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes);
+}
+
+// Call the GitHub contents API for one path
+// Network failures reject with a TypeError from fetch; HTTP errors carry a status
+async function githubContentsRequest(credentials, path, method, body) {
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  let url = `https://api.github.com/repos/${credentials.owner}/${credentials.repo}/contents/${encodedPath}`;
+  if (method === 'GET') {
+    url += `?ref=${encodeURIComponent(credentials.branch)}`;
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${credentials.token}`,
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+// Push one queued operation and return the new blob SHA
+async function replayOperation(credentials, operation) {
+  const body = {
+    message: operation.message,
+    content: encodeBase64Utf8(operation.content),
+    branch: credentials.branch
+  };
+  if (operation.sha) {
+    body.sha = operation.sha;
+  }
+
+  try {
+    const data = await githubContentsRequest(credentials, operation.path, 'PUT', body);
+    return data.content.sha;
+  } catch (error) {
+    // 409/422: the file changed on GitHub since the edit was queued. If it
+    // already has the queued content (e.g. it was synced from another tab),
+    // there is nothing left to push.
+    if (error.status === 409 || error.status === 422) {
+      const remote = await githubContentsRequest(credentials, operation.path, 'GET').catch(() => null);
+      if (remote && typeof remote.content === 'string' && decodeBase64Utf8(remote.content) === operation.content) {
+        return remote.sha;
+      }
+      throw new Error(`${operation.path} changed on GitHub while you were offline. Sync to merge the changes.`);
+    }
+    throw error;
+  }
+}
+
+// Replay the queue in order
+// Operations rejected by GitHub are dropped and reported as failed (the note
+// keeps its content locally and can be merged with a normal sync). A network
+// failure stops the replay and rejects, so the browser retries the sync later.
+async function replayQueue() {
+  const operations = await getQueuedOperations();
+  if (operations.length === 0) return;
+
+  const credentials = await getCredentials();
+  if (!credentials || !credentials.token) {
+    await notifyClients({
+      type: 'outbox-result',
+      succeeded: [],
+      failed: operations.map(({ path, fileId }) => ({ path, fileId, error: 'GitHub token not set. Please authenticate first.' })),
+      pending: operations.length
+    });
+    return;
+  }
+
+  const succeeded = [];
+  const failed = [];
+  let networkError = null;
+
+  for (const operation of operations) {
+    try {
+      const sha = await replayOperation(credentials, operation);
+      succeeded.push({ path: operation.path, fileId: operation.fileId, sha, content: operation.content });
+      await removeQueuedOperation(operation.path);
+    } catch (error) {
+      if (!error.status && error instanceof TypeError) {
+        networkError = error;
+        break;
+      }
+      failed.push({ path: operation.path, fileId: operation.fileId, error: error.message });
+      await removeQueuedOperation(operation.path);
+    }
+  }
+
+  await notifyClients({
+    type: 'outbox-result',
+    succeeded,
+    failed,
+    pending: await countQueuedOperations()
+  });
+
+  if (networkError) {
+    throw networkError;
+  }
+}
+
+// Only one replay runs at a time
+let replayInProgress = null;
+
+function syncPendingChanges() {
+  if (!replayInProgress) {
+    replayInProgress = replayQueue().finally(() => {
+      replayInProgress = null;
+    });
+  }
+  return replayInProgress;
+}
+
+// Ask the browser for a background sync, or replay right away without one
+async function scheduleSync() {
+  if (self.registration.sync) {
+    try {
+      await self.registration.sync.register('sync-notes');
+      return;
+    } catch (error) {
+      console.warn('Background sync registration failed:', error);
+    }
+  }
+  if (navigator.onLine) {
+    await syncPendingChanges().catch(error => console.warn('Replaying queued notes failed:', error));
+  }
+}
+
+// Messages from open tabs
+self.addEventListener('message', event => {
+  const { type } = event.data || {};
+
+  if (type === 'queue-operations') {
+    event.waitUntil(
+      queueOperations(event.data.operations, event.data.credentials)
+        .then(countQueuedOperations)
+        .then(pending => notifyClients({ type: 'outbox-status', pending }))
+        .then(scheduleSync)
+    );
+  } else if (type === 'replay-operations') {
+    event.waitUntil(
+      countQueuedOperations()
+        .then(pending => notifyClients({ type: 'outbox-status', pending }))
+        .then(() => navigator.onLine && syncPendingChanges())
+        .catch(error => console.warn('Replaying queued notes failed:', error))
+    );
+  } else if (type === 'clear-credentials') {
+    event.waitUntil(clearCredentials());
+  }
+});
@@ -7,8 +7,9 @@
  * - Multi-file tab system for managing multiple documents
  * - Real-time markdown rendering with debouncing
  * - Theme switching (light/dark mode)
- * - Text direction controls (LTR/RTL)
+ * - Text direction controls (LTR/RTL/Auto)
  * - Markdown toolbar with formatting shortcuts
+ * - Per-line auto direction in the editor
  * - Local storage persistence for user preferences
  * - Copy functionality with HTML styling preservation
  * - Responsive design adaptations
@@ -32,9 +33,41 @@ import './style.css';
 // Import Bootstrap JS components to replace CDN usage
 import { Modal } from 'bootstrap';
 // Import the markdown rendering function
-import { render } from './src/markdown/renderer.js';
+import { render, detectTextDirection, registerExtension, enhanceOutput } from './src/markdown/renderer.js';
+
+import { parseFrontMatter, getFrontMatterDirection } from './src/markdown/front-matter.js';
+
+import { IncrementalRenderer } from './src/markdown/incremental-renderer.js';
+import { AsyncRenderer } from './src/markdown/async-renderer.js';
+
+import { renderDiagrams, setDiagramSourceVisible, isDiagramSourceVisible } from './src/markdown/diagrams.js';
+// Import the editor wrapper that adds per-line direction editing
+import { MarkdownEditor } from './src/editor/markdown-editor.js';
+
+import { ScrollSync } from './src/editor/scroll-sync.js';
 // Import GitHub integration modules
 import { GitHubAPI, GitHubSyncManager } from './src/github/github-integration.js';
+// Import conflict resolution helper for three-way merges
+import { joinChunks } from './src/github/merge.js';
+// Import the page side of the service worker's offline outbox
+import { OfflineSyncQueue } from './src/github/offline-queue.js';
+// Import IndexedDB-backed note storage
+import { NoteStorage, isQuotaExceededError } from './src/storage/note-storage.js';
+// Import local version history
+import { NoteHistory, lineDiff } from './src/storage/note-history.js';
+
+import { LocalFileLinks, isLocalNoteFile, toNoteName, LOCAL_FILE_EXTENSIONS } from './src/storage/local-files.js';
+
+import { buildStandaloneHtml, getExportableContent } from './src/export/html-export.js';
+
+import { PAGE_SIZES, buildPrintStyles, wrapCodeBlocks, printFrame } from './src/export/print-export.js';
+
+import { exportWorkspace, importWorkspace } from './src/export/workspace-archive.js';
+
+import { NoteSearchIndex, findNormalized } from './src/search/note-search.js';
+
+import { createFindPattern, findMatches, getReplacement, replaceAll, MAX_MATCHES } from './src/search/find-replace.js';
+
 // Import highlight.js themes as inline CSS for dynamic loading
 import hljsThemeLight from 'highlight.js/styles/github.css?inline';
 import hljsThemeDark from 'highlight.js/styles/github-dark.css?inline';
@@ -45,15 +78,16 @@ import markdownTestContent from './markdown-test.md?raw';
  * Main application initialization
  * Waits for DOM to be fully loaded before setting up the application
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     /**
      * DOM Element References
      * Cache all frequently accessed DOM elements for performance
      */
     
     // Core editor elements
-    const markdownInput = document.getElementById('markdown-input');        // Main textarea for markdown input
+    const markdownInput = new MarkdownEditor(document.getElementById('markdown-input')); // Markdown editor (textarea or per-line direction surface)
     const markdownOutput = document.getElementById('markdown-output');      // Output div for rendered markdown
+    const noteMetadataPanel = document.getElementById('note-metadata');     // Front matter metadata of the active note
     
     // Layout and column controls
     const toggleInputSwitch = document.getElementById('toggleInputSwitch'); // Toggle to show/hide input panel
@@ -65,6 +99,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const themeSwitchLabel = document.querySelector('label[for="themeSwitch"]'); // Theme switch label for icon updates
     const rootElement = document.documentElement;                           // HTML root for theme attributes
     const fullHeightModeSwitch = document.getElementById('fullHeightModeSwitch'); // Full viewport height toggle
+    const scrollSyncSwitch = document.getElementById('scrollSyncSwitch');   // Editor/preview scroll sync toggle
     
     // Rendering controls
     const autoRenderSwitch = document.getElementById('autoRenderSwitch');   // Auto-render toggle
@@ -75,6 +110,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Text direction controls
     const textDirLtrBtn = document.getElementById('textDirLtrBtn');         // LTR text direction button
     const textDirRtlBtn = document.getElementById('textDirRtlBtn');         // RTL text direction button
+    const textDirAutoBtn = document.getElementById('textDirAutoBtn');       // Per-block auto direction button
     const inlineCodeDirLtrBtn = document.getElementById('inlineCodeDirLtrBtn'); // Inline code LTR button
     const inlineCodeDirRtlBtn = document.getElementById('inlineCodeDirRtlBtn'); // Inline code RTL button
     const codeDirLtrBtn = document.getElementById('codeDirLtrBtn');         // Code block LTR button
@@ -82,17 +118,28 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Toolbar and utility elements
     const markdownToolbar = document.getElementById('markdown-toolbar');    // Formatting toolbar
+    const editorLineDirBtn = document.getElementById('editorLineDirBtn');   // Per-line editor direction toggle
     const charCountSpan = document.getElementById('char-count');            // Character count display
     const wordCountSpan = document.getElementById('word-count');            // Word count display
     const copyOutputBtn = document.getElementById('copyOutputBtn');         // Copy output button
+    const exportHtmlBtn = document.getElementById('exportHtmlBtn');         // Export output as a standalone HTML file
+    const printBtn = document.getElementById('printBtn');                   // Print / save as PDF view
+    const trustDocumentBtn = document.getElementById('trustDocumentBtn');   // Trusted document (skip sanitization) toggle
+    const historyBtn = document.getElementById('historyBtn');               // Version history panel for the active file
+    const workspaceBtn = document.getElementById('workspaceBtn');           // Workspace zip export/import
     const pageLoader = document.getElementById('page-loader');              // Initial page loader overlay
     
     // File management elements
     const fileTabsContainer = document.getElementById('file-tabs-container'); // File tabs container
     const fileTabsList = document.querySelector('.tab-list');               // Scrollable tabs list
     const addTabBtn = document.getElementById('add-tab-btn');               // Add new file button
+    const openFileBtn = document.getElementById('open-file-btn');           // Open local Markdown files
+    const openFolderBtn = document.getElementById('open-folder-btn');       // Open a local folder
+    const searchNotesBtn = document.getElementById('search-notes-btn');     // Search palette across all notes
     const renameFileModal = document.getElementById('renameFileModal');     // Rename modal dialog
     const fileNameInput = document.getElementById('fileNameInput');         // Rename input field
+    const fileFolderInput = document.getElementById('fileFolderInput');     // Folder input in the rename modal
+    const folderFilterSelect = document.getElementById('folder-filter');    // Folder filter for the tab bar
     const confirmRenameBtn = document.getElementById('confirmRenameBtn');   // Rename confirm button
 
     /**
@@ -103,14 +150,32 @@ document.addEventListener('DOMContentLoaded', () => {
     // Rendering and display preferences
     let isAutoRenderEnabled = true;          // Whether to render markdown automatically on input
     let isMathRenderEnabled = true;
-    let currentTextDirection = 'ltr';        // Current text direction (ltr/rtl)
+    let currentTextDirection = 'ltr';        // Current text direction (ltr/rtl/auto)
     let currentInlineCodeDirection = 'ltr';  // Current inline code direction
     let currentCodeDirection = 'ltr';        // Current code block direction
     let isFullHeightModeEnabled = false;     // Whether full-height mode is active
 
     // File management state
-    let files = {};                          // Object storing all file data {id: {id, name, content}}
+    let files = {};                          // Object storing all file data {id: {id, name, content, folder?, trusted?, github?}}
     let activeFileId = null;                 // ID of currently active/selected file
+    let activeFolderFilter = localStorage.getItem('markdownActiveFolder') || ''; // Folder shown in the tab bar ('' = all, '/' = root)
+    const noteStorage = new NoteStorage();   // IndexedDB storage with one record per file
+    const noteHistory = new NoteHistory(noteStorage); // Timestamped snapshots of each file's content
+    const localFiles = new LocalFileLinks(noteStorage); // Links between notes and files on disk
+    const noteSearchIndex = new NoteSearchIndex();  // Normalized note text for the search palette
+    const scrollSync = new ScrollSync(markdownInput, markdownOutput); // Keeps editor and output scrolled together
+    const outputRenderer = new IncrementalRenderer(markdownOutput, new AsyncRenderer()); // Re-renders only the blocks that changed
+    const diskStates = new Map();            // fileId -> 'changed', 'permission' or 'missing' for disk-linked files
+
+    // Code block headers and controls, added to the output after the
+    // built-in extensions ran (see finishOutputRender)
+    registerExtension({
+        name: 'code-blocks',
+        enhance(element) {
+            enhanceCodeBlocks(element);
+            applyCodeDirectionToBlocks(currentCodeDirection, element);
+        }
+    });
 
     /**
      * UI Synchronization Functions
@@ -173,16 +238,34 @@ document.addEventListener('DOMContentLoaded', () => {
         return id;
     }
 
+    /**
+     * Normalizes a folder path: trims whitespace and slashes, drops empty segments
+     * 
+     * @param {string} folder - Folder path as typed or taken from GitHub
+     * @returns {string} Normalized folder path ('' for the root)
+     */
+    function normalizeFolder(folder) {
+        return (folder || '')
+            .split('/')
+            .map(segment => segment.trim())
+            .filter(segment => segment && segment !== '.' && segment !== '..')
+            .join('/');
+    }
+
     /**
      * Creates a new file object and adds it to the files collection
      * 
      * @param {string|null} name - Optional file name (defaults to 'New File')
      * @param {string} content - Initial content for the file (defaults to empty)
+     * @param {string} [folder] - Folder path (defaults to the folder shown in the tab bar)
      * @returns {number} The ID of the newly created file
      */
-    function createNewFile(name = null, content = '') {
+    function createNewFile(name = null, content = '', folder = undefined) {
         const id = generateUniqueFileId();
         const fileName = name || 'New File';
+        const fileFolder = normalizeFolder(folder !== undefined
+            ? folder
+            : (activeFolderFilter === '/' ? '' : activeFolderFilter));
         
         // Create file object with all necessary properties
         files[id] = {
@@ -190,6 +273,10 @@ document.addEventListener('DOMContentLoaded', () => {
             name: fileName,
             content: content
         };
+
+        if (fileFolder) {
+            files[id].folder = fileFolder;
+        }
         
         return id;
     }
@@ -222,6 +309,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Update tab UI to reflect new active state
         updateTabsUI();
+        updateTrustButton();
+        recordSnapshot(files[fileId], 'Opened');
         
         // Scroll active tab into view with slight delay for UI update
         setTimeout(() => {
@@ -232,6 +321,23 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 50);
     }
 
+    /**
+     * Reloads the editor from the active file after its content changed
+     * outside the editor (e.g. merged during GitHub sync)
+     */
+    function reloadActiveFileContent() {
+        if (!activeFileId || !files[activeFileId]) return;
+        if (markdownInput.value === files[activeFileId].content) return;
+
+        markdownInput.value = files[activeFileId].content;
+        updateCounts();
+        // Content from GitHub clears the trusted flag of a note
+        updateTrustButton();
+        if (isAutoRenderEnabled) {
+            renderMarkdown();
+        }
+    }
+
     /**
      * Deletes a file from the collection
      * Prevents deletion if it's the last remaining file
@@ -245,8 +351,14 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        // Remove file from collection
+        // Remove file from collection, together with its version history
+        // and its link to a local file (the file on disk is kept)
+        if (files[fileId].disk) {
+            localFiles.unlink(fileId).catch(error => console.warn('Failed to unlink local file:', error));
+            diskStates.delete(fileId);
+        }
         delete files[fileId];
+        noteHistory.clear(fileId).catch(error => console.warn('Failed to delete version history:', error));
         
         // If deleted file was active, switch to another available file
         if (activeFileId === fileId) {
@@ -273,6 +385,24 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Moves a file into a local folder
+     * Files already synced with GitHub keep their repository path.
+     * 
+     * @param {number} fileId - The ID of the file to move
+     * @param {string} folder - Target folder path ('' for the root)
+     */
+    function moveFileToFolder(fileId, folder) {
+        if (!files[fileId]) return;
+
+        const normalized = normalizeFolder(folder);
+        if (normalized) {
+            files[fileId].folder = normalized;
+        } else {
+            delete files[fileId].folder;
+        }
+    }
+
     /**
      * Shows the rename modal dialog for a specific file
      * Pre-fills the input with current file name and sets up focus
@@ -285,6 +415,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Pre-fill input with current file name
         const currentName = files[fileId].name;
         fileNameInput.value = currentName;
+        fileFolderInput.value = files[fileId].folder || '';
         
         // Store file ID in button dataset for later retrieval
         confirmRenameBtn.dataset.fileId = fileId;
@@ -310,6 +441,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Only rename if new name is not empty and file exists
         if (newName && files[fileId]) {
+            moveFileToFolder(fileId, fileFolderInput.value);
             renameFile(fileId, newName);
         }
         
@@ -337,11 +469,36 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Create tab HTML structure with file name and close button
         tab.innerHTML = `
-            <span class="file-tab-name">${file.name}</span>
+            <span class="file-tab-name"></span>
             <button class="file-tab-close" type="button" title="Close file">
                 <i class="bi bi-x"></i>
             </button>
         `;
+        // Set the name as text, since names can come from GitHub file paths
+        tab.querySelector('.file-tab-name').textContent = file.name;
+        tab.title = file.folder ? `${file.folder}/${file.name}` : file.name;
+
+        // Show the folder when tabs from several folders are listed together
+        if (file.folder && activeFolderFilter !== file.folder) {
+            const folderSpan = document.createElement('span');
+            folderSpan.className = 'file-tab-folder';
+            folderSpan.textContent = `${file.folder.split('/').pop()}/`;
+            tab.insertBefore(folderSpan, tab.firstElementChild);
+        }
+
+        // Mark notes linked to a file on disk; the marker also reports problems
+        if (file.disk) {
+            const state = diskStates.get(file.id);
+            const marker = document.createElement('span');
+            marker.className = `file-tab-disk${state ? ` disk-${state}` : ''}`;
+            marker.innerHTML = `<i class="bi ${state ? 'bi-exclamation-triangle-fill' : 'bi-hdd'}"></i>`;
+            marker.title = {
+                changed: `${file.disk.path} changed on disk. Click to choose which version to keep.`,
+                permission: `Click to allow saving to ${file.disk.path}`,
+                missing: `${file.disk.path} was not found on disk. Click to unlink.`
+            }[state] || `Saved to ${file.disk.path} on disk`;
+            tab.insertBefore(marker, tab.querySelector('.file-tab-name'));
+        }
         
         return tab;
     }
@@ -353,17 +510,101 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateTabsUI() {
         // Clear existing tabs
         fileTabsList.innerHTML = '';
+
+        updateFolderFilterUI();
         
-        // Create new tab elements for all files
-        Object.values(files).forEach(file => {
-            const tabElement = createTabElement(file);
-            fileTabsList.appendChild(tabElement);
-        });
+        // Create new tab elements for the files in the selected folder
+        // (the active file is always shown)
+        Object.values(files)
+            .filter(file => file.id === activeFileId || isFileInFolderFilter(file))
+            .forEach(file => {
+                const tabElement = createTabElement(file);
+                fileTabsList.appendChild(tabElement);
+            });
         
         // Ensure header heights remain synchronized
         syncHeaderHeights();
     }
 
+    /**
+     * Folder Functions
+     * Notes can live in nested folders (mirroring GitHub repository paths);
+     * the tab bar can be limited to one folder and its subfolders
+     */
+
+    /**
+     * Checks whether a file is shown under the current folder filter
+     * 
+     * @param {Object} file - The file object
+     * @returns {boolean} True if the file is in the selected folder or one of its subfolders
+     */
+    function isFileInFolderFilter(file) {
+        const folder = file.folder || '';
+        if (activeFolderFilter === '') return true;
+        if (activeFolderFilter === '/') return folder === '';
+        return folder === activeFolderFilter || folder.startsWith(`${activeFolderFilter}/`);
+    }
+
+    /**
+     * Lists every folder used by a file, including parent folders
+     * 
+     * @returns {string[]} Sorted folder paths
+     */
+    function getAllFolders() {
+        const folders = new Set();
+        Object.values(files).forEach(file => {
+            const segments = (file.folder || '').split('/').filter(Boolean);
+            segments.forEach((segment, index) => {
+                folders.add(segments.slice(0, index + 1).join('/'));
+            });
+        });
+        return Array.from(folders).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Rebuilds the folder filter options; hidden while no file is in a folder
+     */
+    function updateFolderFilterUI() {
+        const folders = getAllFolders();
+
+        // Fall back to all files if the selected folder no longer exists
+        if (activeFolderFilter && activeFolderFilter !== '/' && !folders.includes(activeFolderFilter)) {
+            setFolderFilter('', false);
+        }
+
+        folderFilterSelect.classList.toggle('d-none', folders.length === 0);
+        folderFilterSelect.innerHTML = '';
+
+        const addOption = (value, label, depth = 0) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${'\u00A0\u00A0'.repeat(depth)}${label}`;
+            option.selected = value === activeFolderFilter;
+            folderFilterSelect.appendChild(option);
+        };
+
+        addOption('', 'All notes');
+        addOption('/', '/ (root)');
+        folders.forEach(folder => {
+            const segments = folder.split('/');
+            addOption(folder, `${segments[segments.length - 1]}/`, segments.length);
+        });
+    }
+
+    /**
+     * Sets the folder shown in the tab bar and persists the choice
+     * 
+     * @param {string} folder - Folder path, '' for all files or '/' for the root
+     * @param {boolean} [refresh=true] - Whether to rebuild the tab bar
+     */
+    function setFolderFilter(folder, refresh = true) {
+        activeFolderFilter = folder;
+        localStorage.setItem('markdownActiveFolder', folder);
+        if (refresh) {
+            updateTabsUI();
+        }
+    }
+
     /**
      * Scrolls the tab list to show the rightmost (newest) tab
      * Called when new tabs are added to ensure they're visible
@@ -374,21 +615,27 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * Initializes the file system on application startup
-     * Attempts to restore saved files from localStorage, falls back to creating new file
+     * Attempts to restore saved files from note storage, falls back to creating new file
      * 
      * Load Priority:
-     * 1. Saved files from localStorage (new multi-file system)
+     * 1. Saved files from IndexedDB (migrated from the `markdownFiles` localStorage key on first run)
      * 2. Legacy single file content from localStorage
      * 3. Empty new file as fallback
      */
-    function initializeFiles() {
-        const savedFiles = localStorage.getItem('markdownFiles');
+    async function initializeFiles() {
         const savedActiveFileId = localStorage.getItem('markdownActiveFileId');
         
         // Try to load saved multi-file system
+        let savedFiles = null;
+        try {
+            savedFiles = await noteStorage.loadFiles();
+        } catch (e) {
+            console.warn('Failed to load saved files:', e);
+        }
+
         if (savedFiles) {
             try {
-                files = JSON.parse(savedFiles);
+                files = savedFiles;
                 activeFileId = savedActiveFileId ? parseInt(savedActiveFileId) : null;
                 
                 // Validate that active file ID still exists
@@ -400,6 +647,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Load active file content into editor
                 if (activeFileId && files[activeFileId]) {
                     markdownInput.value = files[activeFileId].content;
+                    recordSnapshot(files[activeFileId], 'Opened');
                 }
                 
                 updateTabsUI();
@@ -411,9 +659,67 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Fallback: Create new file with legacy content or empty
-        const savedInput = localStorage.getItem('markdownInputContent') || '';
-        const firstFileId = createNewFile('New File', savedInput);
+        const savedInput = localStorage.getItem('markdownInputContent');
+        const firstFileId = createNewFile('New File', savedInput || '');
         switchToFile(firstFileId);
+
+        // The legacy key is only dropped once its content is safely stored
+        if (savedInput !== null && await saveFiles()) {
+            localStorage.removeItem('markdownInputContent');
+        }
+    }
+
+    /**
+     * Saves all files to note storage
+     * Only files that changed since the last save are written.
+     * 
+     * @returns {Promise<boolean>} Resolves to true if the files were saved
+     */
+    async function saveFiles() {
+        if (activeFileId) {
+            localStorage.setItem('markdownActiveFileId', activeFileId.toString());
+        }
+
+        try {
+            await noteStorage.saveFiles(files);
+            hideStorageWarning();
+            return true;
+        } catch (error) {
+            console.error('Failed to save notes:', error);
+            showStorageWarning(isQuotaExceededError(error)
+                ? 'Storage is full, so your latest changes are not saved yet. Delete notes you no longer need or free up disk space; saving will be retried on your next edit.'
+                : `Your latest changes could not be saved: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Shows a persistent warning when notes could not be saved
+     * 
+     * @param {string} message - Warning text
+     */
+    function showStorageWarning(message) {
+        let warning = document.getElementById('storage-warning');
+        if (!warning) {
+            warning = document.createElement('div');
+            warning.id = 'storage-warning';
+            warning.className = 'alert alert-warning storage-warning';
+            warning.setAttribute('role', 'alert');
+            warning.innerHTML = '<i class="bi bi-exclamation-triangle"></i> <span class="storage-warning-text"></span>';
+            document.body.appendChild(warning);
+        }
+        warning.querySelector('.storage-warning-text').textContent = message;
+        warning.classList.remove('d-none');
+    }
+
+    /**
+     * Hides the storage warning after a successful save
+     */
+    function hideStorageWarning() {
+        const warning = document.getElementById('storage-warning');
+        if (warning) {
+            warning.classList.add('d-none');
+        }
     }
 
     /**
@@ -471,20 +777,199 @@ document.addEventListener('DOMContentLoaded', () => {
      * 
      * Process:
      * 1. Get markdown text from input
-     * 2. Render to HTML using markdown-renderer module
-     * 3. Apply directional styling to inline code
-     * 4. Enhance code blocks with headers and controls
-     * 5. Apply directional styling to code blocks
+     * 2. Read its front matter, which may override the text direction
+     * 3. Render to HTML using the incremental renderer, which only renders
+     *    the blocks that changed since the last render
+     * 4. Apply directional styling to inline code
+     * 5. Enhance code blocks with headers and controls
+     * 6. Apply directional styling to code blocks
      */
     function renderMarkdown() {
+        const { markdownText, options } = prepareOutputRender();
+        outputRenderer.render(markdownText, isMathRenderEnabled, options);
+        finishOutputRender();
+    }
+
+    /**
+     * Renders the note like renderMarkdown, but parses it and renders math
+     * and code in a Web Worker, so typing in a long note stays responsive.
+     * A render shows once the worker finished it, unless a render started
+     * later is shown already.
+     */
+    async function renderMarkdownInBackground() {
+        const { markdownText, options } = prepareOutputRender();
+        try {
+            const result = await outputRenderer.renderAsync(markdownText, isMathRenderEnabled, options);
+            if (result) finishOutputRender();
+        } catch (error) {
+            console.error("Background rendering failed:", error);
+            renderMarkdown();
+        }
+    }
+
+    /**
+     * Applies the note's settings to the output before rendering it
+     * @returns {Object} {markdownText, options} for the incremental renderer
+     */
+    function prepareOutputRender() {
         const markdownText = markdownInput.value;
-        const html = render(markdownText, isMathRenderEnabled);  // Use imported render function
-        markdownOutput.innerHTML = html;
+        const { frontMatter, textDirection, lang } = getNoteSettings(markdownText);
+        markdownOutput.dataset.textDirection = textDirection;
+        markdownOutput.lang = lang;
+        updateMetadataPanel(frontMatter, textDirection);
+
+        // Unchanged blocks keep their DOM, so drop highlights left from a search
+        clearOutputHighlights();
+        return {
+            markdownText,
+            options: { textDirection, trusted: isActiveFileTrusted() }
+        };
+    }
 
+    /**
+     * Post-processes freshly rendered output
+     */
+    function finishOutputRender() {
         // Apply post-processing enhancements
         applyInlineCodeDirectionToElements(currentInlineCodeDirection);
-        enhanceCodeBlocks();
-        applyCodeDirectionToBlocks(currentCodeDirection);
+        enhanceRenderedOutput();
+    }
+
+    /**
+     * Runs the renderer extensions' enhancements on the output: code block
+     * controls, and drawing the diagram fences (mermaid, dot) that are not
+     * drawn yet, or were drawn for another theme or direction
+     */
+    function enhanceRenderedOutput() {
+        const drawing = enhanceOutput(markdownOutput, {
+            textDirection: markdownOutput.dataset.textDirection,
+            theme: rootElement.getAttribute('data-bs-theme') || 'light'
+        });
+
+        // Block heights changed; keep the output at the editor's position,
+        // and again once diagrams are drawn
+        scrollSync.syncFrom('editor');
+        drawing.then(() => scrollSync.syncFrom('editor'));
+    }
+
+    /**
+     * Reads the front matter of a note and the settings it overrides
+     * A `dir` key, or a `lang` key such as `fa`, takes precedence over the
+     * global text direction for that note.
+     * 
+     * @param {string} content - Note content
+     * @returns {Object} {frontMatter, textDirection, lang}
+     */
+    function getNoteSettings(content) {
+        const { data } = parseFrontMatter(content);
+        return {
+            frontMatter: data,
+            textDirection: getFrontMatterDirection(data) || currentTextDirection,
+            lang: typeof data.lang === 'string' ? data.lang.trim() : ''
+        };
+    }
+
+    /**
+     * Gets the display title of a note: its front matter title, or its
+     * file name without the extension
+     * 
+     * @param {Object} file - The file object
+     * @returns {string} The title
+     */
+    function getNoteTitle(file) {
+        const { title } = parseFrontMatter(file.content).data;
+        if (typeof title === 'string' && title.trim()) return title.trim();
+        return file.name.replace(/\.(md|markdown|txt)$/i, '');
+    }
+
+    /**
+     * Shows the front matter of the active note above the output
+     * The panel is hidden for notes without title, tags, date, lang or dir.
+     * 
+     * @param {Object} frontMatter - Parsed front matter
+     * @param {string} textDirection - Direction the note is rendered in
+     */
+    function updateMetadataPanel(frontMatter, textDirection) {
+        const tags = Array.isArray(frontMatter.tags)
+            ? frontMatter.tags
+            : typeof frontMatter.tags === 'string' ? frontMatter.tags.split(',') : [];
+        const overridesDirection = !!getFrontMatterDirection(frontMatter);
+        const rows = [
+            ['bi-type', 'Title', frontMatter.title],
+            ['bi-calendar-event', 'Date', frontMatter.date],
+            ['bi-translate', 'Language', frontMatter.lang],
+            ['bi-text-paragraph', 'Direction', overridesDirection
+                ? `${textDirection.toUpperCase()} (overrides the global setting)`
+                : null]
+        ].filter(([, , value]) => value !== undefined && value !== null && String(value).trim() !== '');
+
+        noteMetadataPanel.replaceChildren();
+        noteMetadataPanel.classList.toggle('d-none', rows.length === 0 && tags.length === 0);
+
+        rows.forEach(([icon, label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'note-metadata-row';
+            row.innerHTML = `<span class="note-metadata-label"><i class="bi ${icon}"></i> ${label}</span>`;
+            const valueSpan = document.createElement('span');
+            valueSpan.dir = 'auto';
+            valueSpan.textContent = String(value);
+            row.appendChild(valueSpan);
+            noteMetadataPanel.appendChild(row);
+        });
+
+        if (tags.length > 0) {
+            const row = document.createElement('div');
+            row.className = 'note-metadata-row';
+            row.innerHTML = '<span class="note-metadata-label"><i class="bi bi-tags"></i> Tags</span>';
+            tags.map(tag => String(tag).trim()).filter(Boolean).forEach((tag) => {
+                const badge = document.createElement('span');
+                badge.className = 'badge text-bg-secondary note-metadata-tag';
+                badge.dir = 'auto';
+                badge.textContent = tag;
+                row.appendChild(badge);
+            });
+            noteMetadataPanel.appendChild(row);
+        }
+    }
+
+    /**
+     * Checks whether the active file is marked as a trusted document
+     * Trusted documents are rendered without HTML sanitization
+     * 
+     * @returns {boolean} True if the active file is trusted
+     */
+    function isActiveFileTrusted() {
+        return !!(activeFileId && files[activeFileId] && files[activeFileId].trusted);
+    }
+
+    /**
+     * Updates the trusted document button to reflect the active file
+     */
+    function updateTrustButton() {
+        const trusted = isActiveFileTrusted();
+        trustDocumentBtn.classList.toggle('active', trusted);
+        trustDocumentBtn.setAttribute('aria-pressed', trusted);
+        trustDocumentBtn.innerHTML = trusted
+            ? '<i class="bi bi-shield-exclamation"></i> Trusted'
+            : '<i class="bi bi-shield-check"></i> Safe';
+    }
+
+    /**
+     * Toggles the trusted flag of the active file and re-renders
+     * Asks for confirmation before allowing scripts and embeds to run
+     */
+    function toggleActiveFileTrust() {
+        if (!activeFileId || !files[activeFileId]) return;
+
+        const file = files[activeFileId];
+        if (!file.trusted && !confirm(`Trust "${file.name}"? Scripts, iframes and event handlers in this note will run with access to this page, including your saved GitHub token.`)) {
+            return;
+        }
+
+        file.trusted = !file.trusted;
+        updateTrustButton();
+        renderMarkdown();
+        debouncedSaveInput();
     }
 
     /**
@@ -503,8 +988,10 @@ document.addEventListener('DOMContentLoaded', () => {
      * 3. Detect and normalize language information
      * 4. Create interactive header with language label, copy button, and collapse toggle
      * 5. Add event listeners for copy and collapse functionality
+     *
+     * @param {HTMLElement} [container=markdownOutput] - Element holding the code blocks
      */
-    function enhanceCodeBlocks() {
+    function enhanceCodeBlocks(container = markdownOutput) {
         // Track processed elements to avoid double-processing
         const processedPres = new Set();
         const COLLAPSE_PIXELS_PER_SECOND = 480;
@@ -597,7 +1084,14 @@ document.addEventListener('DOMContentLoaded', () => {
             };
         };
         
-        markdownOutput.querySelectorAll('pre').forEach((preElement) => {
+        const setDiagramButtonState = (button, showsSource) => {
+            button.innerHTML = showsSource ? '<i class="bi bi-diagram-3"></i>' : '<i class="bi bi-code-slash"></i>';
+            button.title = showsSource ? 'Show diagram' : 'Show source';
+            button.setAttribute('aria-label', button.title);
+            button.setAttribute('aria-pressed', showsSource);
+        };
+
+        container.querySelectorAll('pre').forEach((preElement) => {
             // Skip already processed or wrapped elements
             if (processedPres.has(preElement) || preElement.parentElement.classList.contains('code-block-wrapper')) {
                 return;
@@ -619,6 +1113,15 @@ document.addEventListener('DOMContentLoaded', () => {
             wrapper.appendChild(preElement);
             processedPres.add(preElement);  // Mark as processed
 
+            // The wrapper carries the source lines, so scroll sync measures
+            // the header too and still finds the block when it is collapsed
+            if (preElement.dataset.sourceLine) {
+                wrapper.dataset.sourceLine = preElement.dataset.sourceLine;
+                wrapper.dataset.sourceLineEnd = preElement.dataset.sourceLineEnd;
+                delete preElement.dataset.sourceLine;
+                delete preElement.dataset.sourceLineEnd;
+            }
+
             /**
              * STEP 2: Language detection and normalization
              * Try multiple methods to determine the programming language:
@@ -664,6 +1167,14 @@ document.addEventListener('DOMContentLoaded', () => {
             langSpan.classList.add('language');
             langSpan.textContent = language;
 
+            // Diagrams show their drawing; this button switches to the source
+            let sourceButton = null;
+            if (preElement.dataset.diagram) {
+                sourceButton = document.createElement('button');
+                sourceButton.classList.add('btn', 'btn-secondary', 'btn-sm', 'diagram-source-button');
+                setDiagramButtonState(sourceButton, isDiagramSourceVisible(preElement));
+            }
+
             // Copy to clipboard button
             const copyButton = document.createElement('button');
             copyButton.classList.add('btn', 'btn-secondary', 'btn-sm', 'copy-code-button');
@@ -678,6 +1189,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Assemble header elements
             header.appendChild(langSpan);
+            if (sourceButton) header.appendChild(sourceButton);
             header.appendChild(copyButton);
             header.appendChild(iconSpan);
 
@@ -716,6 +1228,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
             });
 
+            if (sourceButton) {
+                sourceButton.addEventListener('click', (e) => {
+                    e.stopPropagation();  // Prevent triggering collapse toggle
+                    const showSource = !isDiagramSourceVisible(preElement);
+                    setDiagramSourceVisible(preElement, showSource);
+                    setDiagramButtonState(sourceButton, showSource);
+                });
+            }
+
             /**
              * STEP 5: Collapse/expand functionality
              * Click anywhere on header (except copy button) to toggle collapse
@@ -808,6 +1329,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const currentTheme = rootElement.getAttribute('data-bs-theme') || 'light';
         const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
         applyTheme(newTheme);
+        enhanceRenderedOutput();  // Mermaid colors follow the theme
     }
 
     /**
@@ -839,8 +1361,9 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Sets the overall text direction for the output panel
      * Updates UI state, persists preference, and triggers re-render
+     * In 'auto' mode the renderer sets the direction of each block from its content
      * 
-     * @param {string} direction - Either 'ltr' or 'rtl'
+     * @param {string} direction - Either 'ltr', 'rtl' or 'auto'
      */
     function setTextDirection(direction) {
         currentTextDirection = direction;
@@ -850,6 +1373,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update button active states
         textDirLtrBtn.classList.toggle('active', direction === 'ltr');
         textDirRtlBtn.classList.toggle('active', direction === 'rtl');
+        textDirAutoBtn.classList.toggle('active', direction === 'auto');
         
         renderMarkdown();  // Re-render to apply direction changes
     }
@@ -887,9 +1411,10 @@ document.addEventListener('DOMContentLoaded', () => {
      * Code blocks may contain mixed content requiring specific direction
      * 
      * @param {string} direction - Either 'ltr' or 'rtl'
+     * @param {HTMLElement} [container=markdownOutput] - Element holding the code blocks
      */
-    function applyCodeDirectionToBlocks(direction) {
-        markdownOutput.querySelectorAll('.code-block-wrapper').forEach(wrapper => {
+    function applyCodeDirectionToBlocks(direction, container = markdownOutput) {
+        container.querySelectorAll('.code-block-wrapper').forEach(wrapper => {
             wrapper.dataset.codeDirection = direction;
         });
     }
@@ -910,6 +1435,20 @@ document.addEventListener('DOMContentLoaded', () => {
         codeDirRtlBtn.classList.toggle('active', direction === 'rtl');
     }
 
+    /**
+     * Enables or disables per-line direction in the editor
+     * Each source line is laid out in the direction of its first strong
+     * character, ignoring markdown markers such as #, -, > and 1.
+     * 
+     * @param {boolean} enabled - Whether to use the per-line direction surface
+     */
+    function setEditorLineDirection(enabled) {
+        markdownInput.setLineDirectionEnabled(enabled);
+        localStorage.setItem('markdownRendererEditorLineDir', enabled);
+        editorLineDirBtn.classList.toggle('active', enabled);
+        editorLineDirBtn.setAttribute('aria-pressed', enabled);
+    }
+
     function applyMarkdownSyntax(syntaxType) {
         const start = markdownInput.selectionStart;
         const end = markdownInput.selectionEnd;
@@ -1100,6 +1639,17 @@ document.addEventListener('DOMContentLoaded', () => {
         localStorage.setItem('markdownRendererFullHeightMode', fullHeightModeSwitch.checked);
         syncHeaderHeights();  // Re-sync headers after layout change
     }
+
+    /**
+     * Turns scroll synchronization between the editor and the output on or off
+     * 
+     * @param {boolean} enabled - Whether scrolling one pane scrolls the other
+     */
+    function setScrollSyncEnabled(enabled) {
+        scrollSyncSwitch.checked = enabled;
+        scrollSync.setEnabled(enabled);
+        localStorage.setItem('markdownRendererScrollSync', enabled);
+    }
     async function copyOutputWithStyling() {
         try {
             const outputElement = markdownOutput;
@@ -1240,45 +1790,325 @@ ${tempContainer.innerHTML}
         }
     }
 
+    /**
+     * Saves content as a file through a temporary download link
+     *
+     * @param {string|Blob} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type
+     */
+    function downloadFile(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-    const debouncedRender = debounce(renderMarkdown, 300);
+    /**
+     * Builds a file name from a note name, replacing its extension
+     *
+     * @param {string} name - Note name, e.g. 'notes.md'
+     * @param {string} extension - New extension without the dot
+     * @returns {string} Safe file name, e.g. 'notes.html'
+     */
+    function getExportFileName(name, extension) {
+        const baseName = (name || 'note')
+            .replace(/\.(md|markdown|txt)$/i, '')
+            .replace(/[\\/:*?"<>|]+/g, '-')
+            .trim() || 'note';
+        return `${baseName}.${extension}`;
+    }
 
-    const debouncedSaveInput = debounce(() => {
-        if (activeFileId && files[activeFileId]) {
-            localStorage.setItem('markdownFiles', JSON.stringify(files));
-            localStorage.setItem('markdownActiveFileId', activeFileId.toString());
+    /**
+     * Exports the rendered output as a self-contained HTML file
+     * Fonts, KaTeX and the active highlight theme are embedded, so the file
+     * looks the same offline, with the current direction settings applied.
+     */
+    async function exportOutputAsHtml() {
+        if (!markdownOutput.innerHTML.trim()) {
+            alert('No content to export!');
+            return;
         }
-    }, 1000);
 
-    toggleInputSwitch.addEventListener('change', toggleInputArea);
-    themeSwitch.addEventListener('change', toggleTheme);
-    autoRenderSwitch.addEventListener('change', updateAutoRenderState);
-    manualRenderButton.addEventListener('click', renderMarkdown);
-    fullHeightModeSwitch.addEventListener('change', toggleFullHeightMode);
+        const file = files[activeFileId];
+        const theme = rootElement.getAttribute('data-bs-theme') === 'dark' ? 'dark' : 'light';
+        const originalText = exportHtmlBtn.innerHTML;
+        exportHtmlBtn.disabled = true;
+        exportHtmlBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Exporting...';
 
-    mathOnBtn.addEventListener('click', () => setMathRenderState(true));
-    mathOffBtn.addEventListener('click', () => setMathRenderState(false));
-    textDirLtrBtn.addEventListener('click', () => setTextDirection('ltr'));
-    textDirRtlBtn.addEventListener('click', () => setTextDirection('rtl'));
-    inlineCodeDirLtrBtn.addEventListener('click', () => setInlineCodeDirection('ltr'));
-    inlineCodeDirRtlBtn.addEventListener('click', () => setInlineCodeDirection('rtl'));
-    codeDirLtrBtn.addEventListener('click', () => setCodeDirection('ltr'));
-    codeDirRtlBtn.addEventListener('click', () => setCodeDirection('rtl'));
+        try {
+            const { textDirection, lang } = getNoteSettings(markdownInput.value);
+            const html = await buildStandaloneHtml({
+                content: getExportableContent(markdownOutput),
+                title: file ? getNoteTitle(file) : 'Note',
+                theme,
+                highlightCss: theme === 'dark' ? hljsThemeDark : hljsThemeLight,
+                textDirection,
+                lang,
+                inlineCodeDirection: currentInlineCodeDirection,
+                codeDirection: currentCodeDirection
+            });
+            downloadFile(html, getExportFileName(file && file.name, 'html'), 'text/html');
+        } catch (error) {
+            console.error('Failed to export HTML:', error);
+            alert(`Failed to export HTML: ${error.message}`);
+        } finally {
+            exportHtmlBtn.disabled = false;
+            exportHtmlBtn.innerHTML = originalText;
+        }
+    }
 
-    copyOutputBtn.addEventListener('click', copyOutputWithStyling);
+    /**
+     * Print View
+     * Lays out the active note in its own paged document for printing or
+     * saving as PDF (see src/export/print-export.js)
+     */
 
+    /**
+     * Creates the print view modal
+     * 
+     * @returns {HTMLElement} The modal element
+     */
+    function createPrintModal() {
+        const pageSizeOptions = Object.entries(PAGE_SIZES)
+            .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+            .join('');
 
-    markdownToolbar.addEventListener('click', (event) => {
-        const button = event.target.closest('button[data-syntax]');
-        if (button) {
-            event.preventDefault();
-            applyMarkdownSyntax(button.dataset.syntax);
-        }
-    });
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = 'printModal';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog modal-xl">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-printer"></i> Print: <span id="printFileName"></span></h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="d-flex flex-wrap align-items-center gap-3 mb-3">
+                            <div class="d-flex align-items-center gap-2">
+                                <label for="printPageSize" class="form-label mb-0">Page size</label>
+                                <select class="form-select form-select-sm" id="printPageSize">${pageSizeOptions}</select>
+                            </div>
+                            <div class="d-flex align-items-center gap-2">
+                                <label for="printOrientation" class="form-label mb-0">Orientation</label>
+                                <select class="form-select form-select-sm" id="printOrientation">
+                                    <option value="portrait">Portrait</option>
+                                    <option value="landscape">Landscape</option>
+                                </select>
+                            </div>
+                            <div class="form-check form-switch mb-0">
+                                <input class="form-check-input" type="checkbox" id="printHeaderFooter">
+                                <label class="form-check-label" for="printHeaderFooter">Title and page numbers</label>
+                            </div>
+                        </div>
+                        <iframe class="print-preview-frame" id="printPreviewFrame" title="Print preview"
+                            sandbox="allow-same-origin allow-modals"></iframe>
+                    </div>
+                    <div class="modal-footer">
+                        <span class="small text-muted me-auto">Choose "Save as PDF" in the print dialog to create a PDF.</span>
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        <button type="button" class="btn btn-primary" id="printDocumentBtn" disabled>
+                            <i class="bi bi-printer"></i> Print / Save as PDF
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
 
-    markdownInput.addEventListener('keydown', (event) => {
-        if (event.ctrlKey || event.metaKey) {
-            let handled = false;
+    /**
+     * Reads the print options from the print modal
+     * 
+     * @param {HTMLElement} modal - The print modal
+     * @returns {Object} Options {pageSize, orientation, headerFooter}
+     */
+    function getPrintOptions(modal) {
+        return {
+            pageSize: modal.querySelector('#printPageSize').value,
+            orientation: modal.querySelector('#printOrientation').value,
+            headerFooter: modal.querySelector('#printHeaderFooter').checked
+        };
+    }
+
+    /**
+     * Renders a file and builds its print document
+     * The file is rendered through render() with the current math and
+     * direction settings (or the direction from its front matter),
+     * independent of the preview panel.
+     * 
+     * @param {Object} file - File to print
+     * @param {Object} options - Print options (see getPrintOptions)
+     * @returns {Promise<string>} The print document HTML
+     */
+    async function buildPrintDocument(file, options) {
+        const { textDirection, lang } = getNoteSettings(file.content);
+        const container = document.createElement('div');
+        container.innerHTML = render(file.content, isMathRenderEnabled, {
+            textDirection,
+            trusted: !!file.trusted
+        });
+        await renderDiagrams(container, { textDirection, theme: 'light' });
+        wrapCodeBlocks(container, currentCodeDirection);
+
+        // Page progression follows the document direction; in auto mode use
+        // the direction of the note's first strong character
+        const pageDirection = textDirection === 'auto'
+            ? detectTextDirection(container.textContent) || 'ltr'
+            : textDirection;
+        const title = getNoteTitle(file);
+
+        return buildStandaloneHtml({
+            content: container.innerHTML,
+            title,
+            theme: 'light',
+            highlightCss: hljsThemeLight,
+            textDirection,
+            lang,
+            inlineCodeDirection: currentInlineCodeDirection,
+            codeDirection: currentCodeDirection,
+            pageDirection,
+            extraStyles: buildPrintStyles({ ...options, title })
+        });
+    }
+
+    /**
+     * Rebuilds the print preview with the current options
+     * 
+     * @param {HTMLElement} modal - The print modal
+     */
+    async function updatePrintPreview(modal) {
+        const file = files[activeFileId];
+        if (!file) return;
+
+        const options = getPrintOptions(modal);
+        localStorage.setItem('markdownRendererPrintPageSize', options.pageSize);
+        localStorage.setItem('markdownRendererPrintOrientation', options.orientation);
+        localStorage.setItem('markdownRendererPrintHeaderFooter', options.headerFooter);
+
+        const printDocumentBtn = modal.querySelector('#printDocumentBtn');
+        const frame = modal.querySelector('#printPreviewFrame');
+        printDocumentBtn.disabled = true;
+
+        try {
+            const html = await buildPrintDocument(file, options);
+            await new Promise((resolve) => {
+                frame.addEventListener('load', resolve, { once: true });
+                frame.srcdoc = html;
+            });
+            printDocumentBtn.disabled = false;
+        } catch (error) {
+            console.error('Failed to prepare the print view:', error);
+            alert(`Failed to prepare the print view: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens the print view for the active file
+     */
+    function showPrintModal() {
+        if (!activeFileId || !files[activeFileId]) return;
+
+        let modal = document.getElementById('printModal');
+        if (!modal) {
+            modal = createPrintModal();
+            document.body.appendChild(modal);
+
+            modal.querySelector('#printPageSize').value = localStorage.getItem('markdownRendererPrintPageSize') || 'a4';
+            modal.querySelector('#printOrientation').value = localStorage.getItem('markdownRendererPrintOrientation') || 'portrait';
+            modal.querySelector('#printHeaderFooter').checked = localStorage.getItem('markdownRendererPrintHeaderFooter') !== 'false';
+
+            modal.querySelectorAll('select, input').forEach((control) => {
+                control.addEventListener('change', () => updatePrintPreview(modal));
+            });
+
+            modal.querySelector('#printDocumentBtn').addEventListener('click', () => {
+                printFrame(modal.querySelector('#printPreviewFrame')).catch((error) => {
+                    console.error('Failed to print:', error);
+                    alert(`Failed to print: ${error.message}`);
+                });
+            });
+        }
+
+        // Print what is in the editor right now
+        const file = files[activeFileId];
+        file.content = markdownInput.value;
+        modal.querySelector('#printFileName').textContent = file.name;
+
+        Modal.getOrCreateInstance(modal).show();
+        updatePrintPreview(modal);
+    }
+
+
+    const debouncedRender = debounce(renderMarkdownInBackground, 300);
+
+    const debouncedSaveInput = debounce(() => {
+        if (activeFileId && files[activeFileId]) {
+            saveFiles();
+            noteHistory.recordIfDue(files[activeFileId])
+                .catch(error => console.warn('Failed to record version history:', error));
+
+            if (files[activeFileId].disk) {
+                saveDiskFile(files[activeFileId]);
+            }
+
+            // While offline, hand the edit to the service worker to push later
+            if (offlineSyncQueue.isOffline()) {
+                queueOfflineEdits([files[activeFileId]]);
+            }
+        }
+    }, 1000);
+
+    // Recount matches after edits while the find bar is open
+    const debouncedFindUpdate = debounce(() => {
+        const bar = document.getElementById('find-bar');
+        if (bar && !bar.classList.contains('d-none')) updateFindMatches(bar);
+    }, 200);
+
+    toggleInputSwitch.addEventListener('change', toggleInputArea);
+    themeSwitch.addEventListener('change', toggleTheme);
+    autoRenderSwitch.addEventListener('change', updateAutoRenderState);
+    manualRenderButton.addEventListener('click', renderMarkdown);
+    fullHeightModeSwitch.addEventListener('change', toggleFullHeightMode);
+    scrollSyncSwitch.addEventListener('change', () => setScrollSyncEnabled(scrollSyncSwitch.checked));
+
+    mathOnBtn.addEventListener('click', () => setMathRenderState(true));
+    mathOffBtn.addEventListener('click', () => setMathRenderState(false));
+    textDirLtrBtn.addEventListener('click', () => setTextDirection('ltr'));
+    textDirRtlBtn.addEventListener('click', () => setTextDirection('rtl'));
+    textDirAutoBtn.addEventListener('click', () => setTextDirection('auto'));
+    inlineCodeDirLtrBtn.addEventListener('click', () => setInlineCodeDirection('ltr'));
+    inlineCodeDirRtlBtn.addEventListener('click', () => setInlineCodeDirection('rtl'));
+    codeDirLtrBtn.addEventListener('click', () => setCodeDirection('ltr'));
+    codeDirRtlBtn.addEventListener('click', () => setCodeDirection('rtl'));
+
+    copyOutputBtn.addEventListener('click', copyOutputWithStyling);
+    exportHtmlBtn.addEventListener('click', exportOutputAsHtml);
+    printBtn.addEventListener('click', showPrintModal);
+    trustDocumentBtn.addEventListener('click', toggleActiveFileTrust);
+    historyBtn.addEventListener('click', showHistoryModal);
+    workspaceBtn.addEventListener('click', showWorkspaceModal);
+    editorLineDirBtn.addEventListener('click', () => setEditorLineDirection(!markdownInput.isLineDirectionEnabled));
+
+
+    markdownToolbar.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-syntax]');
+        if (button) {
+            event.preventDefault();
+            applyMarkdownSyntax(button.dataset.syntax);
+        }
+    });
+
+    markdownInput.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.metaKey) {
+            let handled = false;
             switch (event.key.toLowerCase()) {
                 case 'b':
                     applyMarkdownSyntax('bold');
@@ -1292,6 +2122,17 @@ ${tempContainer.innerHTML}
                     applyMarkdownSyntax('link');
                     handled = true;
                     break;
+                case 'f':
+                    // Ctrl/Cmd+Shift+F is the note search palette
+                    if (!event.shiftKey) {
+                        showFindBar();
+                        handled = true;
+                    }
+                    break;
+                case 'h':
+                    showFindBar(true);
+                    handled = true;
+                    break;
             }
             if (handled) {
                 event.preventDefault();
@@ -1299,6 +2140,21 @@ ${tempContainer.innerHTML}
         }
     });
 
+    // Printing the app itself prints the split panes; open the print view instead
+    document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'p') {
+            event.preventDefault();
+            showPrintModal();
+        }
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'f') {
+            event.preventDefault();
+            showSearchPalette();
+        }
+    });
+
     
     addTabBtn.addEventListener('click', (event) => {
         if (event.altKey) {
@@ -1312,11 +2168,25 @@ ${tempContainer.innerHTML}
         }
     });
 
+    folderFilterSelect.addEventListener('change', () => setFolderFilter(folderFilterSelect.value));
+
+    searchNotesBtn.addEventListener('click', showSearchPalette);
+    openFileBtn.addEventListener('click', openLocalFiles);
+    openFolderBtn.addEventListener('click', openLocalFolder);
+    openFolderBtn.classList.toggle('d-none', !localFiles.isSupported());
+    setupTabBarDrop();
+
     fileTabsList.addEventListener('click', (event) => {
         const tab = event.target.closest('.file-tab');
         if (!tab) return;
 
         const fileId = parseInt(tab.dataset.fileId);
+
+        if (event.target.closest('.file-tab-disk') && diskStates.has(fileId)) {
+            event.stopPropagation();
+            resolveDiskState(fileId);
+            return;
+        }
         
         if (event.target.closest('.file-tab-close')) {
             event.stopPropagation();
@@ -1373,92 +2243,1704 @@ ${tempContainer.innerHTML}
                 input.value = currentName;
                 finishEditing();
             }
-        });
-        
-        event.stopPropagation();
-    });
+        });
+        
+        event.stopPropagation();
+    });
+
+    confirmRenameBtn.addEventListener('click', handleRenameConfirm);
+    
+    fileNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleRenameConfirm();
+        }
+    });
+
+    markdownInput.addEventListener('input', () => {
+        if (activeFileId && files[activeFileId]) {
+            files[activeFileId].content = markdownInput.value;
+            // Keep unsaved edits from being replaced by a reload from disk
+            if (files[activeFileId].disk) files[activeFileId].disk.pending = true;
+        }
+        updateCounts();
+        if (isAutoRenderEnabled) {
+            debouncedRender();
+        }
+        debouncedSaveInput();
+        debouncedFindUpdate();
+    });
+
+
+    await initializeFiles();
+    updateTrustButton();
+
+    /**
+     * Applies the renderer settings saved in localStorage
+     * Used on startup and after importing a workspace with its settings
+     */
+    function applySavedSettings() {
+        const savedTheme = localStorage.getItem('markdownRendererTheme') || 'dark';
+        applyTheme(savedTheme);
+        themeSwitch.checked = (savedTheme === 'dark');
+
+        const savedAutoRender = localStorage.getItem('markdownRendererAutoRender');
+        isAutoRenderEnabled = savedAutoRender !== null ? (savedAutoRender === 'true') : true;
+        autoRenderSwitch.checked = isAutoRenderEnabled;
+        updateAutoRenderState();
+
+        const savedMathRender = localStorage.getItem('markdownRendererMathRender');
+        const isMathInitiallyEnabled = savedMathRender !== null ? (savedMathRender === 'true') : true;
+        setMathRenderState(isMathInitiallyEnabled);
+
+        const savedTextDir = localStorage.getItem('markdownRendererTextDir') || 'ltr';
+        setTextDirection(savedTextDir);
+
+        const savedInlineCodeDir = localStorage.getItem('markdownRendererInlineCodeDir') || 'ltr';
+        setInlineCodeDirection(savedInlineCodeDir);
+
+        const savedCodeDir = localStorage.getItem('markdownRendererCodeDir') || 'ltr';
+        setCodeDirection(savedCodeDir);
+
+        const savedEditorLineDir = localStorage.getItem('markdownRendererEditorLineDir');
+        setEditorLineDirection(savedEditorLineDir === 'true');
+
+        const savedFullHeightMode = localStorage.getItem('markdownRendererFullHeightMode');
+        isFullHeightModeEnabled = savedFullHeightMode === 'true';
+        fullHeightModeSwitch.checked = isFullHeightModeEnabled;
+        applyFullHeightMode(isFullHeightModeEnabled);
+
+        const savedScrollSync = localStorage.getItem('markdownRendererScrollSync');
+        setScrollSyncEnabled(savedScrollSync !== 'false');
+
+        const savedInputVisible = localStorage.getItem('markdownRendererInputVisible');
+        const isInputInitiallyVisible = savedInputVisible !== null ? (savedInputVisible === 'true') : true;
+        toggleInputSwitch.checked = isInputInitiallyVisible;
+        toggleInputArea();
+    }
+
+    applySavedSettings();
+
+    updateCounts();
+    syncHeaderHeights();
+
+    const debouncedSyncHeaders = debounce(syncHeaderHeights, 100);
+    window.addEventListener('resize', debouncedSyncHeaders);
+
+    function setMathRenderState(enabled) {
+        isMathRenderEnabled = enabled;
+        localStorage.setItem('markdownRendererMathRender', isMathRenderEnabled);
+        mathOnBtn.classList.toggle('active', enabled);
+        mathOffBtn.classList.toggle('active', !enabled);
+        renderMarkdown();
+    }
+
+    // Flush unsaved edits when the page is hidden or closed. Writes are
+    // asynchronous, so the earlier visibilitychange is the more reliable hook.
+    const flushFiles = () => {
+        if (activeFileId && files[activeFileId]) {
+            files[activeFileId].content = markdownInput.value;
+            saveFiles();
+        }
+    };
+    window.addEventListener('beforeunload', flushFiles);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushFiles();
+        }
+    });
+
+    /**
+     * Version History
+     * Snapshots of each file are recorded on a throttle while editing, when a
+     * file is opened, and before GitHub sync, load or a restore replace its
+     * content. The history panel compares a snapshot with the current text
+     * and restores it.
+     */
+
+    // Number of unchanged lines shown around each change in the history diff
+    const HISTORY_CONTEXT_LINES = 3;
+
+    /**
+     * Records a snapshot of a file, logging instead of failing on storage errors
+     * 
+     * @param {Object} file - The file object
+     * @param {string} reason - Why the snapshot is taken, shown in the history panel
+     * @returns {Promise} Resolves once recorded (or failed)
+     */
+    function recordSnapshot(file, reason) {
+        if (!file) return Promise.resolve();
+        return noteHistory.record(file, reason)
+            .catch(error => console.warn('Failed to record version history:', error));
+    }
+
+    /**
+     * Records a snapshot of several files before their content may be replaced
+     * The active file is updated from the editor first.
+     * 
+     * @param {Object} fileSet - Files object {id: file}
+     * @param {string} reason - Why the snapshots are taken
+     * @returns {Promise} Resolves once recorded (or failed)
+     */
+    function recordSnapshots(fileSet, reason) {
+        if (activeFileId && files[activeFileId]) {
+            files[activeFileId].content = markdownInput.value;
+        }
+        return noteHistory.recordAll(fileSet, reason)
+            .catch(error => console.warn('Failed to record version history:', error));
+    }
+
+    /**
+     * Creates the version history modal element
+     * 
+     * @returns {HTMLElement} The modal element
+     */
+    function createHistoryModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = 'historyModal';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog modal-xl modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-clock-history"></i> Version History: <span id="historyFileName"></span></h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="history-layout">
+                            <div class="list-group history-list" id="historyList"></div>
+                            <div class="history-preview">
+                                <div class="small text-muted mb-2" id="historyDiffSummary"></div>
+                                <div class="history-diff" id="historyDiff"></div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <span class="small text-muted me-auto" id="historyStatus"></span>
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        <button type="button" class="btn btn-primary" id="restoreSnapshotBtn" disabled>
+                            <i class="bi bi-arrow-counterclockwise"></i> Restore This Version
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
+
+    /**
+     * Creates one line of the history diff
+     * 
+     * @param {Object} row - Diff row {type, text}
+     * @returns {HTMLElement} The line element
+     */
+    function createHistoryDiffLine({ type, text }) {
+        const line = document.createElement('div');
+        line.className = `history-diff-line history-diff-${type}`;
+
+        const marker = document.createElement('span');
+        marker.className = 'history-diff-marker';
+        marker.textContent = type === 'added' ? '+' : type === 'removed' ? '−' : ' ';
+
+        const content = document.createElement('span');
+        content.className = 'history-diff-text';
+        content.dir = 'auto';
+        content.textContent = text;
+
+        line.append(marker, content);
+        return line;
+    }
+
+    /**
+     * Creates the line diff between a snapshot and the current text
+     * Long runs of unchanged lines are shortened to a few lines of context.
+     * 
+     * @param {Array<Object>} rows - Rows from lineDiff
+     * @returns {DocumentFragment} The diff lines
+     */
+    function createHistoryDiffElement(rows) {
+        const fragment = document.createDocumentFragment();
+        let index = 0;
+
+        while (index < rows.length) {
+            if (rows[index].type !== 'same') {
+                fragment.appendChild(createHistoryDiffLine(rows[index++]));
+                continue;
+            }
+
+            // Collect the run of unchanged lines
+            const start = index;
+            while (index < rows.length && rows[index].type === 'same') index++;
+            const run = rows.slice(start, index);
+
+            const head = start === 0 ? [] : run.slice(0, HISTORY_CONTEXT_LINES);
+            const tail = index === rows.length ? [] : run.slice(Math.max(head.length, run.length - HISTORY_CONTEXT_LINES));
+            const hiddenCount = run.length - head.length - tail.length;
+
+            head.forEach(row => fragment.appendChild(createHistoryDiffLine(row)));
+            if (hiddenCount > 0) {
+                const gap = document.createElement('div');
+                gap.className = 'history-diff-gap small text-muted';
+                gap.textContent = `… ${hiddenCount} unchanged line${hiddenCount === 1 ? '' : 's'} …`;
+                fragment.appendChild(gap);
+            }
+            tail.forEach(row => fragment.appendChild(createHistoryDiffLine(row)));
+        }
+
+        return fragment;
+    }
+
+    /**
+     * Shows the diff between a snapshot and the current text of its file
+     * 
+     * @param {HTMLElement} modal - The history modal
+     * @param {Object} snapshot - The selected snapshot
+     */
+    function selectHistorySnapshot(modal, snapshot) {
+        modal.selectedSnapshot = snapshot;
+        modal.querySelectorAll('#historyList .list-group-item').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.snapshotId) === snapshot.id);
+        });
+
+        const current = files[snapshot.fileId] ? files[snapshot.fileId].content : '';
+        const rows = lineDiff(snapshot.content, current);
+        const added = rows.filter(row => row.type === 'added').length;
+        const removed = rows.filter(row => row.type === 'removed').length;
+
+        modal.querySelector('#historyDiffSummary').textContent = added === 0 && removed === 0
+            ? 'This version is the same as the current text.'
+            : `Changes since this version: ${added} line${added === 1 ? '' : 's'} added, ${removed} removed. Restoring brings back the removed lines.`;
+
+        const diff = modal.querySelector('#historyDiff');
+        diff.replaceChildren(createHistoryDiffElement(rows));
+        modal.querySelector('#restoreSnapshotBtn').disabled = added === 0 && removed === 0;
+    }
+
+    /**
+     * Opens the version history of the active file
+     */
+    async function showHistoryModal() {
+        if (!activeFileId || !files[activeFileId]) return;
+
+        let modal = document.getElementById('historyModal');
+        if (!modal) {
+            modal = createHistoryModal();
+            document.body.appendChild(modal);
+
+            modal.querySelector('#historyList').addEventListener('click', (event) => {
+                const item = event.target.closest('[data-snapshot-id]');
+                if (!item) return;
+                const snapshot = modal.snapshots.find(entry => entry.id === Number(item.dataset.snapshotId));
+                if (snapshot) selectHistorySnapshot(modal, snapshot);
+            });
+
+            modal.querySelector('#restoreSnapshotBtn').addEventListener('click', () => {
+                restoreHistorySnapshot(modal);
+            });
+        }
+
+        // Compare against what is in the editor right now
+        const file = files[activeFileId];
+        file.content = markdownInput.value;
+
+        modal.snapshots = await noteHistory.list(file.id).catch((error) => {
+            console.warn('Failed to read version history:', error);
+            return [];
+        });
+        modal.selectedSnapshot = null;
+        modal.querySelector('#historyFileName').textContent = file.name;
+        modal.querySelector('#historyStatus').textContent = await noteHistory.isPersistent()
+            ? `${modal.snapshots.length} version${modal.snapshots.length === 1 ? '' : 's'} saved in this browser`
+            : 'Versions are kept only until this page is closed';
+        modal.querySelector('#historyDiffSummary').textContent = modal.snapshots.length > 0
+            ? 'Select a version to compare it with the current text.'
+            : 'No earlier versions yet. Versions are saved every few minutes while you edit, and before syncing with GitHub.';
+        modal.querySelector('#historyDiff').replaceChildren();
+        modal.querySelector('#restoreSnapshotBtn').disabled = true;
+
+        const list = modal.querySelector('#historyList');
+        list.replaceChildren(...modal.snapshots.map(snapshot => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action';
+            item.dataset.snapshotId = snapshot.id;
+
+            const time = document.createElement('div');
+            time.className = 'fw-semibold';
+            time.textContent = new Date(snapshot.timestamp).toLocaleString();
+
+            const details = document.createElement('div');
+            details.className = 'small text-muted';
+            details.textContent = `${snapshot.reason} · ${snapshot.content.length} chars`;
+
+            item.append(time, details);
+            return item;
+        }));
+
+        Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Restores the selected snapshot into its file
+     * The current text is recorded first, so the restore can be undone from the history.
+     * 
+     * @param {HTMLElement} modal - The history modal
+     */
+    async function restoreHistorySnapshot(modal) {
+        const snapshot = modal.selectedSnapshot;
+        const file = snapshot && files[snapshot.fileId];
+        if (!file) return;
+
+        if (file.id === activeFileId) {
+            file.content = markdownInput.value;
+        }
+        await recordSnapshot(file, 'Before restore');
+
+        file.content = snapshot.content;
+        reloadActiveFileContent();
+        debouncedSaveInput();
+
+        Modal.getOrCreateInstance(modal).hide();
+    }
+
+    /**
+     * Note Search
+     * A palette that searches the names and content of all notes, with
+     * Persian/Arabic normalization (see src/search/note-search.js)
+     */
+
+    /**
+     * Creates the search palette modal element
+     * 
+     * @returns {HTMLElement} The modal element
+     */
+    function createSearchModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = 'searchModal';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <div class="input-group">
+                            <span class="input-group-text"><i class="bi bi-search"></i></span>
+                            <input type="search" class="form-control" id="searchQueryInput" dir="auto"
+                                placeholder="Search all notes..." aria-label="Search all notes" autocomplete="off">
+                        </div>
+                        <button type="button" class="btn-close ms-2" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body p-0">
+                        <div class="list-group list-group-flush search-results" id="searchResults" role="listbox"></div>
+                        <div class="text-muted small p-3 d-none" id="searchEmpty">No notes match your search.</div>
+                    </div>
+                    <div class="modal-footer justify-content-start small text-muted">
+                        ↑ ↓ to choose, Enter to open. ي/ی, ك/ک, diacritics, ZWNJ and Persian/Arabic digits are matched loosely.
+                    </div>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
+
+    /**
+     * Creates the list item of a search result
+     * 
+     * @param {Object} result - Search result from NoteSearchIndex
+     * @param {number} index - Position in the result list
+     * @returns {HTMLElement} The result element
+     */
+    function createSearchResultElement(result, index) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'list-group-item list-group-item-action search-result';
+        item.dataset.index = index;
+        item.setAttribute('role', 'option');
+
+        const title = document.createElement('div');
+        title.className = 'search-result-name';
+        title.dir = 'auto';
+        if (result.folder) {
+            const folder = document.createElement('span');
+            folder.className = 'text-muted';
+            folder.textContent = `${result.folder}/`;
+            title.appendChild(folder);
+        }
+        title.appendChild(document.createTextNode(result.name));
+        item.appendChild(title);
+
+        if (result.snippet) {
+            const { text, start, end } = result.snippet;
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet small text-muted';
+            snippet.dir = 'auto';
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            snippet.append(text.slice(0, start), mark, text.slice(end));
+            item.appendChild(snippet);
+        }
+
+        return item;
+    }
+
+    /**
+     * Marks a search result as selected in the palette
+     * 
+     * @param {HTMLElement} modal - The search modal
+     * @param {number} index - Index of the result to select
+     */
+    function selectSearchResult(modal, index) {
+        const items = modal.querySelectorAll('.search-result');
+        if (items.length === 0) return;
+
+        modal.selectedIndex = (index + items.length) % items.length;
+        items.forEach((item, itemIndex) => {
+            const selected = itemIndex === modal.selectedIndex;
+            item.classList.toggle('active', selected);
+            item.setAttribute('aria-selected', selected);
+            if (selected) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * Runs the palette query and lists the results
+     * 
+     * @param {HTMLElement} modal - The search modal
+     */
+    function runNoteSearch(modal) {
+        const query = modal.querySelector('#searchQueryInput').value;
+        const resultsList = modal.querySelector('#searchResults');
+
+        noteSearchIndex.update(files);
+        modal.results = query.trim() ? noteSearchIndex.search(query) : [];
+        modal.query = query;
+
+        resultsList.replaceChildren(...modal.results.map(createSearchResultElement));
+        modal.querySelector('#searchEmpty').classList.toggle('d-none', !query.trim() || modal.results.length > 0);
+        selectSearchResult(modal, 0);
+    }
+
+    /**
+     * Removes the search highlights from the rendered output
+     */
+    function clearOutputHighlights() {
+        markdownOutput.querySelectorAll('mark.search-highlight').forEach((mark) => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Highlights the first occurrence of text in the rendered output
+     * Matching uses the search normalization and may span several elements
+     * (e.g. bold text inside a sentence). Math is skipped.
+     * 
+     * @param {string} text - Text to highlight
+     * @returns {HTMLElement|null} The first highlight element, or null if not found
+     */
+    function highlightInOutput(text) {
+        clearOutputHighlights();
+
+        // Concatenate the visible text, remembering where each node starts
+        const nodes = [];
+        let fullText = '';
+        const walker = document.createTreeWalker(markdownOutput, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('.katex, .code-block-header')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: fullText.length });
+            fullText += walker.currentNode.data;
+        }
+
+        const range = findNormalized(fullText, text);
+        if (!range) return null;
+
+        const marks = [];
+        nodes.forEach(({ node, start }) => {
+            const from = Math.max(range.start - start, 0);
+            const to = Math.min(range.end - start, node.data.length);
+            if (from >= to) return;
+
+            const target = from > 0 ? node.splitText(from) : node;
+            if (to - from < target.data.length) target.splitText(to - from);
+
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            target.replaceWith(mark);
+            mark.appendChild(target);
+            marks.push(mark);
+        });
+
+        return marks[0] || null;
+    }
+
+    /**
+     * Opens a search result: switches to the note, selects the match in the
+     * editor and highlights it in the rendered output
+     * 
+     * @param {HTMLElement} modal - The search modal
+     * @param {Object} result - The chosen search result
+     */
+    function openSearchResult(modal, result) {
+        if (!result || !files[result.fileId]) return;
+
+        // Focus the editor only once the modal has returned focus to the page
+        modal.addEventListener('hidden.bs.modal', () => {
+            if (result.fileId !== activeFileId) {
+                switchToFile(result.fileId);
+            }
+            if (!result.match) return;
+
+            const { start, end } = result.match;
+            markdownInput.focus();
+            markdownInput.setSelectionRange(start, end);
+            markdownInput.revealSelection();
+
+            const mark = highlightInOutput(markdownInput.value.slice(start, end));
+            if (mark) {
+                mark.scrollIntoView({ block: 'center' });
+            }
+        }, { once: true });
+
+        Modal.getOrCreateInstance(modal).hide();
+    }
+
+    /**
+     * Opens the search palette
+     */
+    function showSearchPalette() {
+        let modal = document.getElementById('searchModal');
+        if (!modal) {
+            modal = createSearchModal();
+            document.body.appendChild(modal);
+
+            const queryInput = modal.querySelector('#searchQueryInput');
+            const debouncedSearch = debounce(() => runNoteSearch(modal), 150);
+            queryInput.addEventListener('input', debouncedSearch);
+
+            queryInput.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    selectSearchResult(modal, modal.selectedIndex + (event.key === 'ArrowDown' ? 1 : -1));
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    // Search right away in case the debounced search has not run yet
+                    if (modal.query !== queryInput.value) runNoteSearch(modal);
+                    openSearchResult(modal, modal.results[modal.selectedIndex]);
+                }
+            });
+
+            modal.querySelector('#searchResults').addEventListener('click', (event) => {
+                const item = event.target.closest('.search-result');
+                if (item) openSearchResult(modal, modal.results[Number(item.dataset.index)]);
+            });
+
+            modal.addEventListener('shown.bs.modal', () => {
+                queryInput.focus();
+                queryInput.select();
+            });
+        }
+
+        // Re-run the last query against the current content
+        if (activeFileId && files[activeFileId]) {
+            files[activeFileId].content = markdownInput.value;
+        }
+        runNoteSearch(modal);
+        Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Find and Replace
+     * A find bar above the editor with case-sensitive, whole-word and regex
+     * modes (see src/search/find-replace.js). Replacements go through
+     * MarkdownEditor.applyEdit, so each one is a single undo step and runs the
+     * normal input/render/save path. With "All notes" on, navigation and
+     * Replace All cover every note.
+     */
+
+    // localStorage keys of the find bar's match options
+    const FIND_OPTION_KEYS = {
+        caseSensitive: 'markdownRendererFindCaseSensitive',
+        wholeWord: 'markdownRendererFindWholeWord',
+        regex: 'markdownRendererFindRegex'
+    };
+
+    /**
+     * Creates the find bar element
+     * 
+     * @returns {HTMLElement} The find bar
+     */
+    function createFindBar() {
+        const bar = document.createElement('div');
+        bar.id = 'find-bar';
+        bar.className = 'find-bar';
+        bar.setAttribute('role', 'search');
+        bar.innerHTML = `
+            <div class="find-bar-row">
+                <button type="button" class="btn btn-sm btn-link find-bar-expand" data-find-action="toggle-replace"
+                    title="Toggle Replace (Ctrl+H)" aria-expanded="false"><i class="bi bi-chevron-right"></i></button>
+                <input type="text" class="form-control form-control-sm" id="findInput" dir="auto"
+                    placeholder="Find" aria-label="Find" autocomplete="off" spellcheck="false">
+                <div class="btn-group btn-group-sm" role="group" aria-label="Match options">
+                    <button type="button" class="btn btn-outline-secondary" data-find-option="caseSensitive"
+                        title="Match Case" aria-pressed="false">Aa</button>
+                    <button type="button" class="btn btn-outline-secondary" data-find-option="wholeWord"
+                        title="Whole Word" aria-pressed="false"><u>ab</u></button>
+                    <button type="button" class="btn btn-outline-secondary" data-find-option="regex"
+                        title="Regular Expression" aria-pressed="false">.*</button>
+                    <button type="button" class="btn btn-outline-secondary" data-find-option="allFiles"
+                        title="All Notes" aria-pressed="false"><i class="bi bi-files"></i></button>
+                </div>
+                <span class="find-count small text-muted" id="findCount" aria-live="polite"></span>
+                <div class="btn-group btn-group-sm" role="group" aria-label="Navigate matches">
+                    <button type="button" class="btn btn-outline-secondary" data-find-action="previous"
+                        title="Previous Match (Shift+Enter)"><i class="bi bi-chevron-up"></i></button>
+                    <button type="button" class="btn btn-outline-secondary" data-find-action="next"
+                        title="Next Match (Enter)"><i class="bi bi-chevron-down"></i></button>
+                </div>
+                <button type="button" class="btn-close btn-sm" data-find-action="close"
+                    title="Close (Escape)" aria-label="Close"></button>
+            </div>
+            <div class="find-bar-row find-bar-replace d-none">
+                <input type="text" class="form-control form-control-sm" id="replaceInput" dir="auto"
+                    placeholder="Replace" aria-label="Replace" autocomplete="off" spellcheck="false">
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-find-action="replace"
+                    title="Replace (Enter)">Replace</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-find-action="replace-all"
+                    title="Replace All (Ctrl+Enter)">Replace All</button>
+            </div>
+        `;
+
+        bar.querySelectorAll('[data-find-option]').forEach((button) => {
+            const key = FIND_OPTION_KEYS[button.dataset.findOption];
+            const isPressed = key ? localStorage.getItem(key) === 'true' : false;
+            button.classList.toggle('active', isPressed);
+            button.setAttribute('aria-pressed', isPressed);
+        });
+        return bar;
+    }
+
+    /**
+     * Reads the match options of the find bar
+     * 
+     * @param {HTMLElement} bar - The find bar
+     * @returns {Object} {caseSensitive, wholeWord, regex, allFiles}
+     */
+    function getFindOptions(bar) {
+        const options = {};
+        bar.querySelectorAll('[data-find-option]').forEach((button) => {
+            options[button.dataset.findOption] = button.getAttribute('aria-pressed') === 'true';
+        });
+        return options;
+    }
+
+    /**
+     * Builds the pattern for the find bar's query, marking invalid regexes
+     * 
+     * @param {HTMLElement} bar - The find bar
+     * @returns {RegExp|null} The pattern, or null for an empty or invalid query
+     */
+    function getFindPattern(bar) {
+        const findInput = bar.querySelector('#findInput');
+        try {
+            const pattern = createFindPattern(findInput.value, getFindOptions(bar));
+            findInput.classList.remove('is-invalid');
+            findInput.title = '';
+            return pattern;
+        } catch (error) {
+            findInput.classList.add('is-invalid');
+            findInput.title = error.message;
+            return null;
+        }
+    }
+
+    /**
+     * Finds the matches of the query in the editor and updates the count
+     * 
+     * @param {HTMLElement} bar - The find bar
+     * @returns {Array<Object>} Matches in the active note
+     */
+    function updateFindMatches(bar) {
+        const pattern = getFindPattern(bar);
+        const matches = findMatches(markdownInput.value, pattern);
+        const countLabel = bar.querySelector('#findCount');
+
+        bar.matches = matches;
+        if (!bar.querySelector('#findInput').value) {
+            countLabel.textContent = '';
+            return matches;
+        }
+        if (!pattern) {
+            countLabel.textContent = 'Invalid pattern';
+            return matches;
+        }
+
+        // The match at the selection counts as the current one
+        const start = markdownInput.selectionStart;
+        const end = markdownInput.selectionEnd;
+        const current = matches.findIndex(match => match.start === start && match.end === end);
+        let label = matches.length === 0
+            ? 'No results'
+            : `${current === -1 ? '?' : current + 1} of ${matches.length}${matches.length >= MAX_MATCHES ? '+' : ''}`;
+
+        if (getFindOptions(bar).allFiles) {
+            let total = 0;
+            let noteCount = 0;
+            Object.values(files).forEach((file) => {
+                const content = file.id === activeFileId ? markdownInput.value : file.content;
+                const count = findMatches(content, pattern).length;
+                total += count;
+                if (count > 0) noteCount++;
+            });
+            label += ` · ${total} in ${noteCount} ${noteCount === 1 ? 'note' : 'notes'}`;
+        }
+
+        countLabel.textContent = label;
+        return matches;
+    }
+
+    /**
+     * Selects a match in the editor and scrolls it into view
+     * 
+     * @param {HTMLElement} bar - The find bar
+     * @param {Object} match - Match from findMatches
+     */
+    function selectFindMatch(bar, match) {
+        markdownInput.setSelectionRange(match.start, match.end);
+        markdownInput.revealSelection();
+        updateFindMatches(bar);
+    }
+
+    /**
+     * Moves to the next or previous match
+     * At the end of the note, moves on to the next note with a match when
+     * "All notes" is on, otherwise wraps around.
+     * 
+     * @param {HTMLElement} bar - The find bar
+     * @param {number} [step=1] - 1 for the next match, -1 for the previous one
+     */
+    function findNextMatch(bar, step = 1) {
+        const pattern = getFindPattern(bar);
+        if (!pattern) return;
+
+        const matches = findMatches(markdownInput.value, pattern);
+        const start = markdownInput.selectionStart;
+        const end = markdownInput.selectionEnd;
+        const next = step > 0
+            ? matches.find(match => match.start >= end && !(match.start === start && match.end === end))
+            : [...matches].reverse().find(match => match.end <= start && !(match.start === start && match.end === end));
+
+        if (next) {
+            selectFindMatch(bar, next);
+            return;
+        }
+
+        if (getFindOptions(bar).allFiles) {
+            const ids = Object.keys(files).map(Number);
+            const activeIndex = ids.indexOf(activeFileId);
+            for (let offset = 1; offset < ids.length; offset++) {
+                const file = files[ids[(activeIndex + offset * step + ids.length) % ids.length]];
+                const fileMatches = findMatches(file.content, pattern);
+                if (fileMatches.length > 0) {
+                    switchToFile(file.id);
+                    selectFindMatch(bar, step > 0 ? fileMatches[0] : fileMatches[fileMatches.length - 1]);
+                    return;
+                }
+            }
+        }
+
+        if (matches.length > 0) {
+            selectFindMatch(bar, step > 0 ? matches[0] : matches[matches.length - 1]);
+        } else {
+            updateFindMatches(bar);
+        }
+    }
+
+    /**
+     * Replaces the selected match, then moves to the next one
+     * If the selection is not a match, only moves to the next match.
+     * 
+     * @param {HTMLElement} bar - The find bar
+     */
+    function replaceFindMatch(bar) {
+        const pattern = getFindPattern(bar);
+        if (!pattern) return;
+
+        const text = markdownInput.value;
+        const start = markdownInput.selectionStart;
+        const end = markdownInput.selectionEnd;
+        const match = findMatches(text, pattern, Infinity).find(found => found.start === start && found.end === end);
+        if (!match) {
+            findNextMatch(bar);
+            return;
+        }
+
+        const replacement = getReplacement(match, bar.querySelector('#replaceInput').value, text, getFindOptions(bar).regex);
+        const caret = start + replacement.length;
+        markdownInput.applyEdit(text.slice(0, start) + replacement + text.slice(end), caret, caret);
+        findNextMatch(bar);
+    }
+
+    /**
+     * Replaces every match in the active note, or in all notes
+     * Other notes get a version history snapshot first, since the editor's
+     * undo only covers the active note.
+     * 
+     * @param {HTMLElement} bar - The find bar
+     */
+    function replaceAllFindMatches(bar) {
+        const pattern = getFindPattern(bar);
+        if (!pattern) return;
+
+        const replacement = bar.querySelector('#replaceInput').value;
+        const { regex, allFiles } = getFindOptions(bar);
+
+        const changedFiles = {};
+        let total = 0;
+        if (allFiles) {
+            Object.values(files).forEach((file) => {
+                if (file.id === activeFileId) return;
+                const count = findMatches(file.content, pattern, Infinity).length;
+                if (count > 0) {
+                    changedFiles[file.id] = file;
+                    total += count;
+                }
+            });
+        }
+
+        const activeResult = replaceAll(markdownInput.value, pattern, replacement, regex);
+        total += activeResult.count;
+        const noteCount = Object.keys(changedFiles).length + (activeResult.count > 0 ? 1 : 0);
+        if (total === 0) return;
+        if (allFiles && noteCount > 1 && !confirm(`Replace ${total} matches in ${noteCount} notes?`)) return;
+
+        if (activeResult.count > 0) {
+            const caret = Math.min(markdownInput.selectionStart, activeResult.text.length);
+            markdownInput.applyEdit(activeResult.text, caret, caret);
+        }
+
+        if (Object.keys(changedFiles).length > 0) {
+            recordSnapshots(changedFiles, 'Before replace all');
+            Object.values(changedFiles).forEach((file) => {
+                file.content = replaceAll(file.content, pattern, replacement, regex).text;
+                if (file.disk) saveDiskFile(file);
+            });
+            saveFiles();
+            if (offlineSyncQueue.isOffline()) {
+                queueOfflineEdits(Object.values(changedFiles));
+            }
+        }
+
+        updateFindMatches(bar);
+        bar.querySelector('#findCount').textContent = `Replaced ${total} in ${noteCount} ${noteCount === 1 ? 'note' : 'notes'}`;
+    }
+
+    /**
+     * Shows or hides the replace row of the find bar
+     * 
+     * @param {HTMLElement} bar - The find bar
+     * @param {boolean} isVisible - Whether the replace row is shown
+     */
+    function setReplaceVisible(bar, isVisible) {
+        bar.querySelector('.find-bar-replace').classList.toggle('d-none', !isVisible);
+        const expandButton = bar.querySelector('[data-find-action="toggle-replace"]');
+        expandButton.setAttribute('aria-expanded', isVisible);
+        expandButton.querySelector('i').className = `bi bi-chevron-${isVisible ? 'down' : 'right'}`;
+    }
+
+    /**
+     * Hides the find bar and returns focus to the editor
+     */
+    function hideFindBar() {
+        const bar = document.getElementById('find-bar');
+        if (!bar || bar.classList.contains('d-none')) return;
+        bar.classList.add('d-none');
+        markdownInput.focus();
+    }
+
+    /**
+     * Opens the find bar, starting from the selected text
+     * 
+     * @param {boolean} [withReplace=false] - Also show the replace row
+     */
+    function showFindBar(withReplace = false) {
+        let bar = document.getElementById('find-bar');
+        if (!bar) {
+            bar = createFindBar();
+            markdownToolbar.insertAdjacentElement('afterend', bar);
+
+            const findInput = bar.querySelector('#findInput');
+            const replaceInput = bar.querySelector('#replaceInput');
+
+            findInput.addEventListener('input', () => {
+                // Jump to the first match from the caret as the query is typed
+                const matches = updateFindMatches(bar);
+                const from = markdownInput.selectionStart;
+                const next = matches.find(match => match.start >= from) || matches[0];
+                if (next) selectFindMatch(bar, next);
+            });
+
+            findInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    findNextMatch(bar, event.shiftKey ? -1 : 1);
+                }
+            });
+
+            replaceInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    if (event.ctrlKey || event.metaKey) {
+                        replaceAllFindMatches(bar);
+                    } else {
+                        replaceFindMatch(bar);
+                    }
+                }
+            });
+
+            bar.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    hideFindBar();
+                }
+            });
+
+            bar.addEventListener('click', (event) => {
+                const optionButton = event.target.closest('[data-find-option]');
+                if (optionButton) {
+                    const isPressed = optionButton.getAttribute('aria-pressed') !== 'true';
+                    optionButton.classList.toggle('active', isPressed);
+                    optionButton.setAttribute('aria-pressed', isPressed);
+                    const key = FIND_OPTION_KEYS[optionButton.dataset.findOption];
+                    if (key) localStorage.setItem(key, isPressed);
+                    updateFindMatches(bar);
+                    return;
+                }
+
+                const actionButton = event.target.closest('[data-find-action]');
+                if (!actionButton) return;
+                switch (actionButton.dataset.findAction) {
+                    case 'toggle-replace':
+                        setReplaceVisible(bar, bar.querySelector('.find-bar-replace').classList.contains('d-none'));
+                        break;
+                    case 'previous':
+                        findNextMatch(bar, -1);
+                        break;
+                    case 'next':
+                        findNextMatch(bar, 1);
+                        break;
+                    case 'replace':
+                        replaceFindMatch(bar);
+                        break;
+                    case 'replace-all':
+                        replaceAllFindMatches(bar);
+                        break;
+                    case 'close':
+                        hideFindBar();
+                        break;
+                }
+            });
+        }
+
+        const findInput = bar.querySelector('#findInput');
+        const selectedText = markdownInput.value.slice(markdownInput.selectionStart, markdownInput.selectionEnd);
+        if (selectedText && !selectedText.includes('\n')) {
+            findInput.value = selectedText;
+        }
+
+        bar.classList.remove('d-none');
+        if (withReplace) setReplaceVisible(bar, true);
+        updateFindMatches(bar);
+
+        const focusTarget = withReplace && findInput.value ? bar.querySelector('#replaceInput') : findInput;
+        focusTarget.focus();
+        focusTarget.select();
+    }
+
+    /**
+     * Workspace Archive
+     * Exports all notes with their metadata and the renderer settings as a
+     * .zip file, and imports such archives (see src/export/workspace-archive.js)
+     */
+
+    // localStorage keys of the renderer settings carried in workspace archives
+    const SETTINGS_KEY_PREFIX = 'markdownRenderer';
+
+    /**
+     * Collects the renderer settings (theme, math, directions, ...) from localStorage
+     * 
+     * @returns {Object} Settings {localStorage key: value}
+     */
+    function getRendererSettings() {
+        const settings = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(SETTINGS_KEY_PREFIX)) {
+                settings[key] = localStorage.getItem(key);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Creates the workspace modal element
+     * 
+     * @returns {HTMLElement} The modal element
+     */
+    function createWorkspaceModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = 'workspaceModal';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-archive"></i> Workspace</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="workspaceAlerts"></div>
+
+                        <h6>Export</h6>
+                        <p class="small text-muted">Download every note as a Markdown file in a .zip archive, together with
+                            a manifest of names, folders and other note details and your renderer settings.</p>
+                        <button type="button" class="btn btn-primary mb-4" id="exportWorkspaceBtn">
+                            <i class="bi bi-download"></i> Export Workspace
+                        </button>
+
+                        <h6>Import</h6>
+                        <input type="file" class="form-control mb-2" id="workspaceFileInput" accept=".zip,application/zip">
+                        <div class="form-check">
+                            <input class="form-check-input" type="radio" name="workspaceImportMode" id="workspaceImportMerge" value="merge" checked>
+                            <label class="form-check-label" for="workspaceImportMerge">Merge: add the notes to the current workspace</label>
+                        </div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="radio" name="workspaceImportMode" id="workspaceImportReplace" value="replace">
+                            <label class="form-check-label" for="workspaceImportReplace">Replace: remove the current notes first</label>
+                        </div>
+                        <div class="form-check form-switch mt-2">
+                            <input class="form-check-input" type="checkbox" id="workspaceImportSettings" checked>
+                            <label class="form-check-label" for="workspaceImportSettings">Apply the renderer settings from the archive</label>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        <button type="button" class="btn btn-primary" id="importWorkspaceBtn" disabled>
+                            <i class="bi bi-upload"></i> Import
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
+
+    /**
+     * Shows a message in the workspace modal
+     * 
+     * @param {HTMLElement} modal - The workspace modal
+     * @param {string} message - Message text
+     * @param {string} type - Bootstrap alert type ('success', 'danger', ...)
+     */
+    function showWorkspaceAlert(modal, message, type) {
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type} py-2`;
+        alert.setAttribute('role', 'alert');
+        alert.textContent = message;
+        modal.querySelector('#workspaceAlerts').replaceChildren(alert);
+    }
+
+    /**
+     * Downloads the whole workspace as a .zip archive
+     * 
+     * @param {HTMLElement} modal - The workspace modal
+     */
+    async function exportWorkspaceArchive(modal) {
+        if (activeFileId && files[activeFileId]) {
+            files[activeFileId].content = markdownInput.value;
+        }
+
+        try {
+            const archive = await exportWorkspace(files, {
+                activeFileId,
+                settings: getRendererSettings()
+            });
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(archive, `noteshub-workspace-${date}.zip`, 'application/zip');
+            showWorkspaceAlert(modal, `Exported ${Object.keys(files).length} notes.`, 'success');
+        } catch (error) {
+            console.error('Failed to export workspace:', error);
+            showWorkspaceAlert(modal, `Failed to export workspace: ${error.message}`, 'danger');
+        }
+    }
+
+    /**
+     * Imports a workspace archive, merging into or replacing the current notes
+     * 
+     * In merge mode a note whose id already exists is skipped when its name
+     * and content are unchanged, and otherwise added as a separate note, so
+     * nothing in the current workspace is overwritten. Replace mode records a
+     * history snapshot of every current note before removing it.
+     * Imported notes are untrusted and not linked to local files, whatever
+     * the archive says (see workspace-archive.js).
+     * 
+     * @param {HTMLElement} modal - The workspace modal
+     */
+    async function importWorkspaceArchive(modal) {
+        const archiveFile = modal.querySelector('#workspaceFileInput').files[0];
+        if (!archiveFile) return;
+
+        const replace = modal.querySelector('#workspaceImportReplace').checked;
+        const applySettings = modal.querySelector('#workspaceImportSettings').checked;
+
+        let workspace;
+        try {
+            workspace = await importWorkspace(archiveFile);
+        } catch (error) {
+            console.error('Failed to import workspace:', error);
+            showWorkspaceAlert(modal, `Failed to import workspace: ${error.message}`, 'danger');
+            return;
+        }
+
+        if (replace && !confirm(`Replace all ${Object.keys(files).length} current notes with the ${workspace.notes.length} notes in "${archiveFile.name}"?`)) {
+            return;
+        }
+
+        await recordSnapshots(files, 'Before workspace import');
+
+        if (replace) {
+            const importedIds = new Set(workspace.notes.map(note => note.id));
+            Object.keys(files).forEach((id) => {
+                if (!importedIds.has(Number(id))) {
+                    noteHistory.clear(Number(id)).catch(error => console.warn('Failed to delete version history:', error));
+                }
+            });
+            files = {};
+            activeFileId = null;
+        }
+
+        const idMap = new Map();   // id in the archive -> id in the workspace
+        let added = 0;
+        let skipped = 0;
+        workspace.notes.forEach((note) => {
+            const content = typeof note.content === 'string' ? note.content : '';
+            const name = typeof note.name === 'string' && note.name.trim() ? note.name : 'Imported Note';
+            const existing = Number.isInteger(note.id) ? files[note.id] : null;
+
+            if (existing && existing.name === name && existing.content === content) {
+                idMap.set(note.id, existing.id);
+                skipped++;
+                return;
+            }
+
+            const id = Number.isInteger(note.id) && !existing ? note.id : generateUniqueFileId();
+            // Only the metadata importWorkspace restores; never `trusted` or `disk`
+            files[id] = { id, name, content };
+            const folder = normalizeFolder(note.folder);
+            if (folder) files[id].folder = folder;
+            if (note.tags) files[id].tags = note.tags;
+            if (note.github) files[id].github = note.github;
+
+            if (Number.isInteger(note.id)) idMap.set(note.id, id);
+            recordSnapshot(files[id], 'Imported');
+            added++;
+        });
+
+        if (applySettings) {
+            Object.entries(workspace.settings).forEach(([key, value]) => {
+                if (key.startsWith(SETTINGS_KEY_PREFIX) && typeof value === 'string') {
+                    localStorage.setItem(key, value);
+                }
+            });
+            applySavedSettings();
+        }
+
+        // Reopen the note that was active when the workspace was exported
+        const importedActiveId = idMap.get(workspace.activeFileId);
+        if (replace || importedActiveId) {
+            activeFileId = null;  // The previous editor content belongs to a replaced note
+            switchToFile(importedActiveId && files[importedActiveId]
+                ? importedActiveId
+                : parseInt(Object.keys(files)[0]));
+        } else {
+            updateTabsUI();
+        }
+
+        await saveFiles();
+
+        const skippedText = skipped > 0 ? `, ${skipped} already present` : '';
+        showWorkspaceAlert(modal, `Imported ${added} notes${skippedText}.`, 'success');
+        modal.querySelector('#workspaceFileInput').value = '';
+        modal.querySelector('#importWorkspaceBtn').disabled = true;
+    }
+
+    /**
+     * Opens the workspace export/import modal
+     */
+    function showWorkspaceModal() {
+        let modal = document.getElementById('workspaceModal');
+        if (!modal) {
+            modal = createWorkspaceModal();
+            document.body.appendChild(modal);
+
+            const fileInput = modal.querySelector('#workspaceFileInput');
+            const importBtn = modal.querySelector('#importWorkspaceBtn');
+            fileInput.addEventListener('change', () => {
+                importBtn.disabled = fileInput.files.length === 0;
+            });
+            modal.querySelector('#exportWorkspaceBtn').addEventListener('click', () => exportWorkspaceArchive(modal));
+            importBtn.addEventListener('click', () => importWorkspaceArchive(modal));
+        }
+
+        modal.querySelector('#workspaceAlerts').replaceChildren();
+        Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Local Files
+     * Notes opened from disk (File System Access API) are written back to
+     * their file on save, and checked for changes made by other programs
+     * while the page is focused (see src/storage/local-files.js)
+     */
+
+    // How often the active disk-linked note is checked for changes on disk
+    const DISK_CHECK_INTERVAL = 3000;
+
+    /**
+     * Sets or clears the problem state of a disk-linked note and updates its tab
+     * 
+     * @param {number} fileId - The file ID
+     * @param {string|null} state - 'changed', 'permission', 'missing', or null when in sync
+     */
+    function setDiskState(fileId, state) {
+        if ((diskStates.get(fileId) || null) === state) return;
+        if (state) {
+            diskStates.set(fileId, state);
+        } else {
+            diskStates.delete(fileId);
+        }
+        updateTabsUI();
+    }
+
+    /**
+     * Opens files read from disk as notes, linking them to their files
+     * A file that is already open switches to its tab instead.
+     * 
+     * @param {Array} entries - Files {handle, name, path, content, lastModified};
+     *   handle is null for files that cannot be written back
+     * @param {string} [folder=''] - Folder for the notes; subfolders of the
+     *   entries' paths are added below it
+     */
+    async function openLocalEntries(entries, folder = '') {
+        if (entries.length === 0) return;
+
+        const linkedIds = Object.values(files).filter(file => file.disk).map(file => file.id);
+        let lastFileId = null;
+        let added = false;
+
+        for (const entry of entries) {
+            const existingId = entry.handle ? await localFiles.findLinkedFile(entry.handle, linkedIds) : null;
+            if (existingId) {
+                lastFileId = existingId;
+                continue;
+            }
 
-    confirmRenameBtn.addEventListener('click', handleRenameConfirm);
-    
-    fileNameInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            handleRenameConfirm();
+            const subfolder = entry.path.split('/').slice(0, -1).join('/');
+            const fileId = createNewFile(toNoteName(entry.name), entry.content, [folder, subfolder].filter(Boolean).join('/'));
+            if (entry.handle) {
+                files[fileId].disk = {
+                    path: folder ? `${folder}/${entry.path}` : entry.path,
+                    lastModified: entry.lastModified,
+                    pending: false
+                };
+                await localFiles.link(fileId, entry.handle);
+            }
+            lastFileId = fileId;
+            added = true;
         }
-    });
 
-    markdownInput.addEventListener('input', () => {
-        if (activeFileId && files[activeFileId]) {
-            files[activeFileId].content = markdownInput.value;
+        switchToFile(lastFileId);
+        if (added) {
+            await saveFiles();
+            setTimeout(scrollTabsToEnd, 50);
         }
-        updateCounts();
-        if (isAutoRenderEnabled) {
-            debouncedRender();
+    }
+
+    /**
+     * Reads files picked with a file input, for browsers without the
+     * File System Access API (the notes are not linked to the files)
+     * 
+     * @param {FileList|File[]} fileList - Picked files
+     * @returns {Promise<Array>} Entries for openLocalEntries
+     */
+    function readPlainFiles(fileList) {
+        return Promise.all(Array.from(fileList)
+            .filter(file => isLocalNoteFile(file.name))
+            .map(async file => ({
+                handle: null,
+                name: file.name,
+                path: file.name,
+                content: await file.text(),
+                lastModified: file.lastModified
+            })));
+    }
+
+    /**
+     * Opens local Markdown files in new tabs
+     */
+    async function openLocalFiles() {
+        try {
+            if (localFiles.isSupported()) {
+                await openLocalEntries(await localFiles.openFiles());
+                return;
+            }
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.multiple = true;
+            input.accept = LOCAL_FILE_EXTENSIONS.join(',');
+            input.addEventListener('change', async () => {
+                await openLocalEntries(await readPlainFiles(input.files));
+            });
+            input.click();
+        } catch (error) {
+            console.error('Failed to open local files:', error);
+            alert(`Failed to open local files: ${error.message}`);
         }
-        debouncedSaveInput();
-    });
+    }
+
+    /**
+     * Opens every Markdown file of a local folder in new tabs
+     * The notes are placed in a folder named after the picked folder.
+     */
+    async function openLocalFolder() {
+        try {
+            const folder = await localFiles.openFolder();
+            if (!folder) return;
+            if (folder.files.length === 0) {
+                alert(`"${folder.name}" contains no Markdown files.`);
+                return;
+            }
+            await openLocalEntries(folder.files, normalizeFolder(folder.name));
+        } catch (error) {
+            console.error('Failed to open local folder:', error);
+            alert(`Failed to open local folder: ${error.message}`);
+        }
+    }
+
+    /**
+     * Writes a note to its file on disk
+     * Nothing is written if the file changed on disk since it was last read,
+     * or if write access has to be granted again; the tab shows a marker instead.
+     * 
+     * @param {Object} file - Disk-linked file object
+     * @param {boolean} [overwrite=false] - Write even if the file changed on disk
+     */
+    async function saveDiskFile(file, overwrite = false) {
+        if (!file.disk) return;
+        file.disk.pending = true;
+
+        try {
+            if (!(await localFiles.getHandle(file.id))) {
+                // Imported from another browser; there is no file to write to
+                delete file.disk;
+                updateTabsUI();
+                return;
+            }
+            if (!(await localFiles.hasPermission(file.id))) {
+                setDiskState(file.id, 'permission');
+                return;
+            }
 
+            if (!overwrite) {
+                const change = await localFiles.readIfChanged(file.id, file.disk.lastModified);
+                if (change && change.content !== file.content) {
+                    setDiskState(file.id, 'changed');
+                    return;
+                }
+            }
 
-    initializeFiles();
+            const { lastModified } = await localFiles.write(file.id, file.content);
+            file.disk.lastModified = lastModified;
+            file.disk.pending = false;
+            setDiskState(file.id, null);
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                setDiskState(file.id, 'missing');
+            } else {
+                console.warn(`Failed to save ${file.disk.path}:`, error);
+            }
+        }
+        saveFiles();
+    }
 
-    const savedTheme = localStorage.getItem('markdownRendererTheme') || 'dark';
-    applyTheme(savedTheme);
-    themeSwitch.checked = (savedTheme === 'dark');
+    /**
+     * Checks a disk-linked note for changes made on disk
+     * Without unsaved edits the note is reloaded from disk (the previous
+     * content stays in the version history); otherwise the tab is marked.
+     * 
+     * @param {Object} file - Disk-linked file object
+     */
+    async function checkDiskFile(file) {
+        if (!file.disk || diskStates.get(file.id) === 'changed') return;
 
-    const savedAutoRender = localStorage.getItem('markdownRendererAutoRender');
-    isAutoRenderEnabled = savedAutoRender !== null ? (savedAutoRender === 'true') : true;
-    autoRenderSwitch.checked = isAutoRenderEnabled;
-    updateAutoRenderState();
+        try {
+            if (!(await localFiles.getHandle(file.id))) {
+                // Imported from another browser; there is no file to check
+                delete file.disk;
+                updateTabsUI();
+                return;
+            }
+            if (!(await localFiles.hasPermission(file.id))) {
+                setDiskState(file.id, 'permission');
+                return;
+            }
 
-    const savedMathRender = localStorage.getItem('markdownRendererMathRender');
-    const isMathInitiallyEnabled = savedMathRender !== null ? (savedMathRender === 'true') : true;
-    setMathRenderState(isMathInitiallyEnabled);
+            const change = await localFiles.readIfChanged(file.id, file.disk.lastModified);
+            if (diskStates.get(file.id) === 'missing') setDiskState(file.id, null);
+            if (!change || !file.disk) return;
+
+            if (change.content === file.content) {
+                file.disk.lastModified = change.lastModified;
+            } else if (!file.disk.pending) {
+                await recordSnapshot(file, 'Before reload from disk');
+                file.content = change.content;
+                file.disk.lastModified = change.lastModified;
+                if (file.id === activeFileId) reloadActiveFileContent();
+            } else {
+                setDiskState(file.id, 'changed');
+                return;
+            }
+            saveFiles();
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                setDiskState(file.id, 'missing');
+            } else {
+                console.warn(`Failed to check ${file.disk.path}:`, error);
+            }
+        }
+    }
 
-    const savedTextDir = localStorage.getItem('markdownRendererTextDir') || 'ltr';
-    setTextDirection(savedTextDir);
+    /**
+     * Handles a click on the warning marker of a disk-linked tab
+     * 
+     * @param {number} fileId - The file ID
+     */
+    async function resolveDiskState(fileId) {
+        const file = files[fileId];
+        if (!file || !file.disk) return;
+
+        const state = diskStates.get(fileId);
+        if (state === 'permission') {
+            if (await localFiles.requestPermission(fileId)) {
+                setDiskState(fileId, null);
+                saveDiskFile(file);
+            }
+        } else if (state === 'changed') {
+            if (fileId === activeFileId) file.content = markdownInput.value;
+
+            if (confirm(`"${file.disk.path}" was changed on disk.\n\nOK: load the version from disk (your version stays in Version History).\nCancel: keep your version and overwrite the file.`)) {
+                try {
+                    const { content, lastModified } = await localFiles.readIfChanged(fileId, -1);
+                    await recordSnapshot(file, 'Before reload from disk');
+                    file.content = content;
+                    file.disk.lastModified = lastModified;
+                    file.disk.pending = false;
+                    setDiskState(fileId, null);
+                    if (fileId === activeFileId) reloadActiveFileContent();
+                    saveFiles();
+                } catch (error) {
+                    alert(`Failed to read ${file.disk.path}: ${error.message}`);
+                }
+            } else {
+                await saveDiskFile(file, true);
+            }
+        } else if (state === 'missing') {
+            if (confirm(`"${file.disk.path}" no longer exists on disk. Keep the note in the browser only?`)) {
+                await localFiles.unlink(fileId);
+                delete file.disk;
+                setDiskState(fileId, null);
+                saveFiles();
+            }
+        }
+    }
 
-    const savedInlineCodeDir = localStorage.getItem('markdownRendererInlineCodeDir') || 'ltr';
-    setInlineCodeDirection(savedInlineCodeDir);
+    /**
+     * Lets Markdown and text files be dropped onto the tab bar
+     * Where the browser provides file handles the notes are linked to the
+     * dropped files; otherwise they are imported as copies.
+     */
+    function setupTabBarDrop() {
+        const hasFiles = event => Array.from(event.dataTransfer.types).includes('Files');
 
-    const savedCodeDir = localStorage.getItem('markdownRendererCodeDir') || 'ltr';
-    setCodeDirection(savedCodeDir);
+        fileTabsContainer.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            fileTabsContainer.classList.add('drop-target');
+        });
 
-    const savedFullHeightMode = localStorage.getItem('markdownRendererFullHeightMode');
-    isFullHeightModeEnabled = savedFullHeightMode === 'true';
-    fullHeightModeSwitch.checked = isFullHeightModeEnabled;
-    applyFullHeightMode(isFullHeightModeEnabled);
+        fileTabsContainer.addEventListener('dragleave', (event) => {
+            if (!fileTabsContainer.contains(event.relatedTarget)) {
+                fileTabsContainer.classList.remove('drop-target');
+            }
+        });
 
-    const savedInputVisible = localStorage.getItem('markdownRendererInputVisible');
-    const isInputInitiallyVisible = savedInputVisible !== null ? (savedInputVisible === 'true') : true;
-    toggleInputSwitch.checked = isInputInitiallyVisible;
-    toggleInputArea();
+        fileTabsContainer.addEventListener('drop', async (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            fileTabsContainer.classList.remove('drop-target');
 
-    updateCounts();
-    syncHeaderHeights();
+            // Items are only readable during the event, so request every handle first
+            const items = Array.from(event.dataTransfer.items).filter(item => item.kind === 'file');
+            const plainFiles = items.map(item => item.getAsFile());
+            const handleRequests = items.map(item => item.getAsFileSystemHandle
+                ? item.getAsFileSystemHandle().catch(() => null)
+                : Promise.resolve(null));
 
-    const debouncedSyncHeaders = debounce(syncHeaderHeights, 100);
-    window.addEventListener('resize', debouncedSyncHeaders);
+            try {
+                const handles = await Promise.all(handleRequests);
+                const entries = [];
+                for (let i = 0; i < items.length; i++) {
+                    const handle = handles[i];
+                    const plainFile = plainFiles[i];
+                    if (handle && handle.kind === 'file' && isLocalNoteFile(handle.name)) {
+                        const file = await handle.getFile();
+                        entries.push({
+                            handle,
+                            name: handle.name,
+                            path: handle.name,
+                            content: await file.text(),
+                            lastModified: file.lastModified
+                        });
+                    } else if (!handle && plainFile) {
+                        entries.push(...await readPlainFiles([plainFile]));
+                    }
+                }
 
-    function setMathRenderState(enabled) {
-        isMathRenderEnabled = enabled;
-        localStorage.setItem('markdownRendererMathRender', isMathRenderEnabled);
-        mathOnBtn.classList.toggle('active', enabled);
-        mathOffBtn.classList.toggle('active', !enabled);
-        renderMarkdown();
+                if (entries.length === 0) {
+                    alert(`Only ${LOCAL_FILE_EXTENSIONS.join(', ')} files can be opened.`);
+                    return;
+                }
+                await openLocalEntries(entries);
+            } catch (error) {
+                console.error('Failed to open dropped files:', error);
+                alert(`Failed to open dropped files: ${error.message}`);
+            }
+        });
     }
 
-    window.addEventListener('beforeunload', () => {
-        if (activeFileId && files[activeFileId]) {
-            files[activeFileId].content = markdownInput.value;
-            localStorage.setItem('markdownFiles', JSON.stringify(files));
-            localStorage.setItem('markdownActiveFileId', activeFileId.toString());
-        }
+    // Pick up changes made on disk while the page was in the background,
+    // and poll the active note while it is visible
+    window.addEventListener('focus', () => {
+        Object.values(files).filter(file => file.disk).forEach(checkDiskFile);
     });
+    setInterval(() => {
+        if (document.visibilityState === 'visible' && activeFileId && files[activeFileId]) {
+            checkDiskFile(files[activeFileId]);
+        }
+    }, DISK_CHECK_INTERVAL);
 
     // GitHub Integration
     const githubAPI = new GitHubAPI();
     const githubSyncManager = new GitHubSyncManager(githubAPI);
 
+    // Show the number of queued offline edits on the sync button
+    const updateOfflineQueueIndicator = (pending) => {
+        const githubSyncBtn = document.getElementById('github-sync-btn');
+        if (!githubSyncBtn) return;
+
+        let badge = githubSyncBtn.querySelector('.sync-pending-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'sync-pending-badge';
+            githubSyncBtn.appendChild(badge);
+        }
+
+        badge.textContent = pending > 0 ? pending.toString() : '';
+        badge.classList.toggle('d-none', pending === 0);
+        githubSyncBtn.title = pending > 0
+            ? `GitHub Sync (${pending} offline edit${pending === 1 ? '' : 's'} waiting to be pushed)`
+            : 'GitHub Sync';
+    };
+
+    // Apply the outcome of a replay of queued offline edits
+    const handleOfflineSyncResult = ({ succeeded, failed, pending }) => {
+        succeeded.forEach(({ path, fileId, sha, content }) => {
+            const file = files[fileId];
+            // The note may have been deleted or moved since the edit was queued
+            if (file && githubSyncManager.getFilePath(file) === path) {
+                githubSyncManager.markSynced(file, path, sha, content);
+            }
+        });
+
+        if (succeeded.length > 0) {
+            saveFiles();
+        }
+
+        updateOfflineQueueIndicator(pending);
+
+        const modal = document.getElementById('githubModal');
+        if (failed.length > 0) {
+            const message = `${failed.length} offline edit${failed.length === 1 ? '' : 's'} could not be pushed: `
+                + failed.map(({ path, error }) => `${path} (${error})`).join(', ');
+            console.warn(message);
+            if (modal) showSyncError(modal, message);
+        } else if (succeeded.length > 0) {
+            const message = `Pushed ${succeeded.length} offline edit${succeeded.length === 1 ? '' : 's'} to GitHub`;
+            if (modal) showSyncSuccess(modal, message);
+        }
+    };
+
+    // Vite copies public/ to the root of the build, under the base path, so
+    // the worker's scope covers the app in development and when deployed
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+            .catch(error => console.error('Service Worker registration failed:', error));
+    }
+
+    // Offline outbox: the service worker keeps edits made offline and pushes them later
+    const offlineSyncQueue = new OfflineSyncQueue({
+        onStatus: ({ pending }) => updateOfflineQueueIndicator(pending),
+        onResult: handleOfflineSyncResult
+    });
+
+    // Queue the notes with unsynced changes for the service worker to push
+    // Only notes already on GitHub are queued, as edits made online are not
+    // pushed by themselves either; the Sync button also queues new notes
+    // (includeNew), as it pushes them when online.
+    // Resolves to false if GitHub is not set up or the outbox is unavailable
+    const queueOfflineEdits = async (fileList, { includeNew = false } = {}) => {
+        if (!githubAPI.isAuthenticated() || !githubAPI.isRepositoryConfigured()) {
+            return false;
+        }
+
+        const operations = fileList
+            .filter(file => (file.github ? file.content !== file.github.base : includeNew))
+            .map(file => {
+                const path = githubSyncManager.getFilePath(file);
+                return {
+                    path,
+                    content: file.content,
+                    message: `${file.github ? 'Update' : 'Add'} ${path} via NotesHubBidi (offline edit)`,
+                    sha: file.github ? file.github.sha : null,
+                    fileId: file.id
+                };
+            });
+
+        return await offlineSyncQueue.queue(operations, {
+            token: githubAPI.token,
+            owner: githubAPI.repoOwner,
+            repo: githubAPI.repoName,
+            branch: githubAPI.branch
+        });
+    };
+
     // Initialize GitHub UI elements
     const setupGitHubUI = () => {
         // Add GitHub sync button to the header
@@ -1590,6 +4072,13 @@ ${tempContainer.innerHTML}
 
                         <div class="github-sync-section">
                             <h6><i class="bi bi-arrow-repeat"></i> Sync Operations</h6>
+                            <div class="mb-3">
+                                <label for="commitMessage" class="form-label">Commit Message</label>
+                                <input type="text" class="form-control" id="commitMessage" placeholder="Update notes via NotesHubBidi">
+                                <div class="form-text">
+                                    Changed notes are pushed together in a single commit. Leave empty for a default message.
+                                </div>
+                            </div>
                             <div class="d-flex gap-2 mb-3">
                                 <button class="btn btn-success" id="syncToGitHubBtn">
                                     <i class="bi bi-upload"></i> Sync to GitHub
@@ -1648,6 +4137,10 @@ ${tempContainer.innerHTML}
 
     // Set up event listeners for the GitHub modal
     const setupGitHubModalEvents = (modal) => {
+        // The modal element is reused, so bind its listeners only once
+        if (modal.dataset.eventsBound) return;
+        modal.dataset.eventsBound = 'true';
+
         // Toggle token visibility
         const toggleTokenBtn = modal.querySelector('#toggleTokenVisibility');
         const tokenField = modal.querySelector('#githubToken');
@@ -1680,6 +4173,7 @@ ${tempContainer.innerHTML}
         // Clear token
         modal.querySelector('#clearTokenBtn').addEventListener('click', () => {
             githubAPI.clearToken();
+            offlineSyncQueue.clearCredentials();
             tokenField.disabled = false;
             tokenField.value = '';
             showAlert(modal, 'Token cleared', 'success');
@@ -1713,21 +4207,52 @@ ${tempContainer.innerHTML}
                 return;
             }
 
+            // Without a connection, leave the push to the service worker
+            if (offlineSyncQueue.isOffline()) {
+                const queued = await queueOfflineEdits(Object.values(files), { includeNew: true });
+                if (queued) {
+                    showSyncSuccess(modal, 'You are offline. Changed notes will be pushed to GitHub when the connection returns.');
+                } else {
+                    showSyncError(modal, 'You are offline and offline sync is not available in this browser.');
+                }
+                return;
+            }
+
             try {
                 showSyncProgress(modal, 'Syncing files to GitHub...');
+                await recordSnapshots(files, 'Before sync to GitHub');
+
+                const commitMessageInput = modal.querySelector('#commitMessage');
+                const syncResult = await githubSyncManager.syncToGitHub(files, {
+                    message: commitMessageInput.value.trim()
+                });
 
-                const syncResult = await githubSyncManager.syncToGitHub(files);
+                // Merges may have changed local content
+                reloadActiveFileContent();
+                debouncedSaveInput();
 
                 // Process results
                 let successCount = syncResult.success.length;
+                let mergeCount = syncResult.merged.length;
                 let failCount = syncResult.failed.length;
                 let skipCount = syncResult.skipped.length;
+                let conflictCount = syncResult.conflicts.length;
 
                 let message = `Sync completed: ${successCount} success`;
+                if (mergeCount > 0) message += `, ${mergeCount} merged`;
                 if (failCount > 0) message += `, ${failCount} failed`;
-                if (skipCount > 0) message += `, ${skipCount} skipped`;
+                if (skipCount > 0) message += `, ${skipCount} unchanged`;
+                if (conflictCount > 0) message += `, ${conflictCount} with conflicts`;
+                if (syncResult.commit) {
+                    message += ` (commit ${syncResult.commit.slice(0, 7)})`;
+                    commitMessageInput.value = '';
+                }
 
                 showSyncSuccess(modal, message);
+
+                if (conflictCount > 0) {
+                    showConflictModal(syncResult.conflicts);
+                }
             } catch (error) {
                 showSyncError(modal, `Sync failed: ${error.message}`);
             }
@@ -1742,28 +4267,27 @@ ${tempContainer.innerHTML}
 
             try {
                 showSyncProgress(modal, 'Loading files from GitHub...');
+                await recordSnapshots(files, 'Before loading from GitHub');
 
                 const loadResult = await githubSyncManager.loadFromGitHub((fileData) => {
-                    // Extract filename without the .md extension
-                    const fileName = fileData.path.replace(/\.md$/, '');
-
-                    // Create or update the file in our local files
-                    let fileId = null;
-
-                    // Check if a file with this name already exists
-                    for (const [id, file] of Object.entries(files)) {
-                        if (file.name === fileName) {
-                            // Update existing file
-                            files[id].content = fileData.content;
-                            fileId = parseInt(id);
-                            break;
-                        }
+                    // Map the repository path to a local folder and a name without the .md extension
+                    const { folder, name: fileName } = githubSyncManager.splitFilePath(fileData.path);
+
+                    // Find the local file synced with this path, or an unsynced file with the same name and folder
+                    const localFile = Object.values(files).find(file => file.github && file.github.path === fileData.path)
+                        || Object.values(files).find(file => !file.github
+                            && file.name === fileName
+                            && (file.folder || '') === folder);
+
+                    // Merge remote changes into the existing file instead of replacing it
+                    if (localFile) {
+                        const { conflict } = githubSyncManager.mergeRemoteIntoLocal(localFile, fileData);
+                        return { id: localFile.id, name: localFile.name, conflict };
                     }
 
                     // If no existing file found, create a new one
-                    if (fileId === null) {
-                        fileId = createNewFile(fileName, fileData.content);
-                    }
+                    const fileId = createNewFile(fileName, fileData.content, folder);
+                    githubSyncManager.markSynced(files[fileId], fileData.path, fileData.sha, fileData.content);
 
                     return { id: fileId, name: fileName };
                 });
@@ -1771,22 +4295,24 @@ ${tempContainer.innerHTML}
                 // Update tabs UI after loading files
                 updateTabsUI();
 
-                // If we switched to a new file, update the editor content
-                if (activeFileId && files[activeFileId]) {
-                    markdownInput.value = files[activeFileId].content;
-                    if (isAutoRenderEnabled) {
-                        renderMarkdown();
-                    }
-                }
+                // Merged content may have changed the active file
+                reloadActiveFileContent();
+                debouncedSaveInput();
 
                 // Process results
                 let successCount = loadResult.success.length;
                 let failCount = loadResult.failed.length;
+                let conflictCount = loadResult.conflicts.length;
 
                 let message = `Load completed: ${successCount} files loaded`;
                 if (failCount > 0) message += `, ${failCount} failed`;
+                if (conflictCount > 0) message += `, ${conflictCount} with conflicts`;
 
                 showSyncSuccess(modal, message);
+
+                if (conflictCount > 0) {
+                    showConflictModal(loadResult.conflicts);
+                }
             } catch (error) {
                 showSyncError(modal, `Load failed: ${error.message}`);
             }
@@ -1876,13 +4402,246 @@ ${tempContainer.innerHTML}
         modal.querySelector('#syncSuccessAlert').classList.add('d-none');
     };
 
+    // Number of unchanged lines shown around each conflict in the resolution view
+    const CONFLICT_CONTEXT_LINES = 3;
+
+    // Create the conflict resolution modal element
+    const createConflictModal = () => {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = 'conflictModal';
+        modal.tabIndex = -1;
+        modal.innerHTML = `
+            <div class="modal-dialog modal-xl modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-sign-merge-left"></i> Resolve Sync Conflicts</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="small text-muted">
+                            These notes were changed both here and on GitHub. Changes that did not overlap
+                            were merged automatically. Choose which version to keep for each conflicting section.
+                        </p>
+                        <div id="conflictList"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <span class="small text-muted me-auto" id="conflictStatus"></span>
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Later</button>
+                        <button type="button" class="btn btn-primary" id="applyConflictResolutionBtn">Apply</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        return modal;
+    };
+
+    // Create a <pre> showing lines of a note, laid out in the direction of its content
+    const createConflictLinesElement = (lines, className) => {
+        const pre = document.createElement('pre');
+        pre.className = `conflict-lines ${className}`;
+        pre.dir = 'auto';
+        pre.textContent = lines.length > 0 ? lines.join('\n') : '(no lines)';
+        return pre;
+    };
+
+    // Create the unchanged context shown between conflicts
+    const createConflictContextElement = (lines, isFirst, isLast) => {
+        const shown = [];
+        if (!isFirst) shown.push(...lines.slice(0, CONFLICT_CONTEXT_LINES));
+        const tail = isLast ? [] : lines.slice(Math.max(shown.length, lines.length - CONFLICT_CONTEXT_LINES));
+        const hiddenCount = lines.length - shown.length - tail.length;
+
+        const container = document.createElement('div');
+        container.className = 'conflict-context';
+        if (shown.length > 0) container.appendChild(createConflictLinesElement(shown, 'text-muted'));
+        if (hiddenCount > 0) {
+            const gap = document.createElement('div');
+            gap.className = 'conflict-context-gap small text-muted';
+            gap.textContent = `… ${hiddenCount} unchanged line${hiddenCount === 1 ? '' : 's'} …`;
+            container.appendChild(gap);
+        }
+        if (tail.length > 0) container.appendChild(createConflictLinesElement(tail, 'text-muted'));
+        return container;
+    };
+
+    // Create the side-by-side view of a single conflicting hunk with its choice buttons
+    const createConflictHunkElement = (chunk, conflictKey) => {
+        const hunk = document.createElement('div');
+        hunk.className = 'conflict-hunk';
+        hunk.dataset.conflictKey = conflictKey;
+
+        const columns = document.createElement('div');
+        columns.className = 'conflict-columns';
+        [['local', 'This device', chunk.local], ['remote', 'GitHub', chunk.remote]].forEach(([side, label, lines]) => {
+            const column = document.createElement('div');
+            column.className = `conflict-side conflict-side-${side}`;
+            const heading = document.createElement('div');
+            heading.className = 'conflict-side-label small';
+            heading.textContent = label;
+            column.appendChild(heading);
+            column.appendChild(createConflictLinesElement(lines, ''));
+            columns.appendChild(column);
+        });
+        hunk.appendChild(columns);
+
+        const choices = document.createElement('div');
+        choices.className = 'btn-group btn-group-sm mt-2';
+        choices.setAttribute('role', 'group');
+        choices.setAttribute('aria-label', 'Choose version');
+        [['local', 'Keep this device'], ['remote', 'Keep GitHub'], ['both', 'Keep both']].forEach(([choice, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-secondary';
+            button.dataset.choice = choice;
+            button.textContent = label;
+            choices.appendChild(button);
+        });
+        hunk.appendChild(choices);
+
+        return hunk;
+    };
+
+    // Show the conflict resolution view for conflicts from syncing or loading
+    const showConflictModal = (conflicts) => {
+        let modal = document.getElementById('conflictModal');
+        if (!modal) {
+            modal = createConflictModal();
+            document.body.appendChild(modal);
+
+            // Record the chosen version when a choice button is clicked
+            modal.querySelector('#conflictList').addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-choice]');
+                if (!button) return;
+                const hunk = button.closest('.conflict-hunk');
+                hunk.dataset.choice = button.dataset.choice;
+                hunk.querySelectorAll('button[data-choice]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+            });
+
+            modal.querySelector('#applyConflictResolutionBtn').addEventListener('click', () => {
+                applyConflictResolutions(modal);
+            });
+        }
+
+        modal.conflicts = conflicts;
+        const list = modal.querySelector('#conflictList');
+        list.innerHTML = '';
+
+        conflicts.forEach((conflict, fileIndex) => {
+            const section = document.createElement('section');
+            section.className = 'conflict-file mb-4';
+
+            const title = document.createElement('h6');
+            title.textContent = `${conflict.name} `;
+            const path = document.createElement('code');
+            path.className = 'small';
+            path.textContent = conflict.path;
+            title.appendChild(path);
+            section.appendChild(title);
+
+            let conflictIndex = 0;
+            conflict.chunks.forEach((chunk, chunkIndex) => {
+                if (chunk.type === 'ok') {
+                    section.appendChild(createConflictContextElement(
+                        chunk.lines, chunkIndex === 0, chunkIndex === conflict.chunks.length - 1));
+                } else {
+                    section.appendChild(createConflictHunkElement(chunk, `${fileIndex}:${conflictIndex++}`));
+                }
+            });
+
+            list.appendChild(section);
+        });
+
+        modal.querySelector('#conflictStatus').textContent = '';
+        Modal.getOrCreateInstance(modal).show();
+    };
+
+    // Apply the chosen versions; files with unresolved hunks stay in the list
+    const applyConflictResolutions = async (modal) => {
+        const remaining = [];
+        const resolvedForSync = {};
+
+        const conflictedFiles = {};
+        modal.conflicts.forEach(conflict => {
+            if (files[conflict.id]) conflictedFiles[conflict.id] = files[conflict.id];
+        });
+        await recordSnapshots(conflictedFiles, 'Before resolving conflicts');
+
+        modal.conflicts.forEach((conflict, fileIndex) => {
+            const file = files[conflict.id];
+            if (!file) return;
+
+            const choices = conflict.chunks
+                .filter(chunk => chunk.type === 'conflict')
+                .map((chunk, conflictIndex) => {
+                    const hunk = modal.querySelector(`.conflict-hunk[data-conflict-key="${fileIndex}:${conflictIndex}"]`);
+                    return hunk ? hunk.dataset.choice : undefined;
+                });
+
+            if (choices.some(choice => !choice)) {
+                remaining.push(conflict);
+                return;
+            }
+
+            const content = joinChunks(conflict.chunks, (chunk, index) => choices[index]);
+            githubSyncManager.resolveConflict(file, conflict, content);
+
+            if (conflict.origin === 'sync') {
+                resolvedForSync[file.id] = file;
+            }
+        });
+
+        reloadActiveFileContent();
+        debouncedSaveInput();
+
+        // Conflicts found while syncing are pushed right away
+        if (Object.keys(resolvedForSync).length > 0) {
+            const statusElement = modal.querySelector('#conflictStatus');
+            statusElement.textContent = 'Pushing resolved notes to GitHub...';
+            try {
+                const syncResult = await githubSyncManager.syncToGitHub(resolvedForSync, {
+                    message: 'Resolve merge conflicts via NotesHubBidi'
+                });
+                remaining.push(...syncResult.conflicts);
+                reloadActiveFileContent();
+                debouncedSaveInput();
+            } catch (error) {
+                statusElement.textContent = `Push failed: ${error.message}`;
+                return;
+            }
+        }
+
+        if (remaining.length > 0) {
+            showConflictModal(remaining);
+            modal.querySelector('#conflictStatus').textContent =
+                `${remaining.length} note${remaining.length === 1 ? '' : 's'} still need a choice for every conflict.`;
+            return;
+        }
+
+        const modalInstance = Modal.getInstance(modal);
+        if (modalInstance) {
+            modalInstance.hide();
+        }
+    };
+
     // Initialize GitHub UI
     setupGitHubUI();
 
-    window.addEventListener('load', () => {
+    // Show queued offline edits and push them if the connection is back
+    offlineSyncQueue.replay();
+
+    // Notes load asynchronously, so the page may have finished loading already
+    const onPageLoaded = () => {
         requestAnimationFrame(() => {
             setTimeout(hidePageLoader, 200);
         });
-    });
+    };
+    if (document.readyState === 'complete') {
+        onPageLoaded();
+    } else {
+        window.addEventListener('load', onPageLoaded);
+    }
 
 });
@@ -0,0 +1,404 @@
+/**
+ * Command-Line Tool Module
+ *
+ * This module implements `noteshub`, which runs the app's rendering and
+ * GitHub sync from a terminal or a CI job:
+ *
+ *     noteshub render note.md -o note.html --dir rtl --math
+ *     noteshub export-site notes -o site
+ *     noteshub site notes -o dist/site --title "My notes"
+ *     noteshub pull notes --repo owner/name
+ *     noteshub push notes -m "Update notes"
+ *
+ * Rendering goes through createRenderer with a headless DOM (see
+ * note-export.js), so the HTML matches the app's HTML export; `site` builds
+ * a browsable website from a folder (see site-builder.js). pull and push
+ * sync a folder with the repository saved in its .noteshub.json (see
+ * folder-sync.js); the token is read from an environment variable.
+ *
+ * @module cli
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { NoteExporter } from './note-export.js';
+import { SiteBuilder } from '../site/site-builder.js';
+import { NotesFolder, SETTINGS_FILE_NAME } from './notes-folder.js';
+import { TOKEN_VARIABLES, getTokenFromEnvironment, createSyncManager, pullNotes, pushNotes } from './folder-sync.js';
+
+const HELP = `Usage: noteshub <command> [options]
+
+Commands:
+  render <file.md>        Render a note to a standalone HTML file
+  export-site <folder>    Render every note in a folder to HTML files
+  site <folder>           Build a website of the notes in a folder, with an
+                          index, tag pages and search
+  pull [folder]           Download the notes of the repository (default: .)
+  push [folder]           Commit the notes of a folder to the repository
+  help                    Show this help
+
+Rendering options:
+  -o, --output <path>     render: file to write (default: standard output)
+                          export-site, site: folder to write (default: site)
+  --dir <ltr|rtl|auto>    Text direction of notes whose front matter sets
+                          no dir or lang (default: ltr; site: auto)
+  --math, --no-math       Render LaTeX math (default: on)
+  --theme <light|dark>    Color theme (default: light)
+  --code-dir <ltr|rtl>    Direction of code blocks (default: ltr)
+  --trusted               Keep scripts and event handlers (no sanitization)
+  --fragment              render: write only the note's HTML, no document
+  --title <text>          site: site title (default: Notes)
+  --lang <code>           site: language of the site, e.g. fa
+
+Sync options:
+  --repo <owner/name>     Repository to sync with, saved in ${SETTINGS_FILE_NAME}
+  --branch <name>         Branch to sync with (default: main)
+  -m, --message <text>    push: commit message
+  --overwrite             push: replace remote changes instead of merging
+
+The GitHub token is read from ${TOKEN_VARIABLES.join(' or ')}.
+`;
+
+/**
+ * Options of each command, in node:util parseArgs format
+ */
+const RENDER_OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    dir: { type: 'string', default: 'ltr' },
+    math: { type: 'boolean' },
+    'no-math': { type: 'boolean' },
+    theme: { type: 'string', default: 'light' },
+    'code-dir': { type: 'string', default: 'ltr' },
+    trusted: { type: 'boolean' }
+};
+const SITE_OPTIONS = {
+    ...RENDER_OPTIONS,
+    // Sites often mix RTL and LTR notes, so each block takes the direction of its text
+    dir: { type: 'string', default: 'auto' },
+    title: { type: 'string', default: 'Notes' },
+    lang: { type: 'string', default: '' }
+};
+const SYNC_OPTIONS = {
+    repo: { type: 'string' },
+    branch: { type: 'string' },
+    message: { type: 'string', short: 'm' },
+    overwrite: { type: 'boolean' }
+};
+
+/**
+ * Checks that an option has one of the allowed values
+ *
+ * @param {string} name - Option name
+ * @param {string} value - Given value
+ * @param {string[]} allowed - Allowed values
+ * @throws {Error} If the value is not allowed
+ */
+function checkChoice(name, value, allowed) {
+    if (!allowed.includes(value)) {
+        throw new Error(`--${name} must be one of ${allowed.join(', ')}`);
+    }
+}
+
+/**
+ * Checks the rendering options and converts them to NoteExporter options
+ *
+ * @param {Object} values - Parsed rendering options
+ * @returns {Object} Export options
+ * @throws {Error} If an option has an unknown value
+ */
+function getExportOptions(values) {
+    checkChoice('dir', values.dir, ['ltr', 'rtl', 'auto']);
+    checkChoice('theme', values.theme, ['light', 'dark']);
+    checkChoice('code-dir', values['code-dir'], ['ltr', 'rtl']);
+
+    return {
+        textDirection: values.dir,
+        isMathEnabled: !values['no-math'],
+        trusted: Boolean(values.trusted),
+        theme: values.theme,
+        codeDirection: values['code-dir']
+    };
+}
+
+/**
+ * Creates the note exporter for the rendering options
+ *
+ * @param {Object} values - Parsed rendering options
+ * @returns {NoteExporter} The exporter
+ */
+function createExporter(values) {
+    return new NoteExporter(getExportOptions(values));
+}
+
+/**
+ * Writes a file, creating its folder as needed
+ *
+ * @param {string} path - File path
+ * @param {string} content - File content
+ */
+async function writeOutputFile(path, content) {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, content, 'utf8');
+}
+
+/**
+ * `render <file.md>`: renders one note
+ *
+ * @param {string[]} positionals - Command arguments
+ * @param {Object} values - Parsed options
+ * @param {Object} io - {stdout, stderr}
+ * @returns {Promise<number>} Exit code
+ */
+async function renderCommand(positionals, values, io) {
+    if (positionals.length !== 1) {
+        throw new Error('render needs exactly one markdown file');
+    }
+
+    const [file] = positionals;
+    const exporter = createExporter(values);
+    const markdownText = await readFile(file, 'utf8');
+    const html = values.fragment
+        ? exporter.renderNote(markdownText, basename(file)).content
+        : await exporter.exportNote(markdownText, basename(file));
+
+    if (values.output) {
+        await writeOutputFile(values.output, html);
+    } else {
+        io.stdout.write(html);
+    }
+    return 0;
+}
+
+/**
+ * `export-site <folder>`: renders every note of a folder, keeping the
+ * folder structure (notes/a.md becomes site/notes/a.html)
+ *
+ * @param {string[]} positionals - Command arguments
+ * @param {Object} values - Parsed options
+ * @param {Object} io - {stdout, stderr}
+ * @returns {Promise<number>} Exit code
+ */
+async function exportSiteCommand(positionals, values, io) {
+    if (positionals.length !== 1) {
+        throw new Error('export-site needs the folder of the notes');
+    }
+
+    const folder = new NotesFolder(positionals[0]);
+    const outputFolder = values.output || 'site';
+    const exporter = createExporter(values);
+
+    const paths = await folder.listNotes();
+    for (const path of paths) {
+        const html = await exporter.exportNote(await folder.readNote(path), basename(path));
+        await writeOutputFile(join(outputFolder, path.replace(/\.md$/, '.html')), html);
+    }
+
+    io.stdout.write(`Exported ${paths.length} note${paths.length === 1 ? '' : 's'} to ${outputFolder}\n`);
+    return 0;
+}
+
+/**
+ * `site <folder>`: builds a static website of the folder's notes
+ *
+ * @param {string[]} positionals - Command arguments
+ * @param {Object} values - Parsed options
+ * @param {Object} io - {stdout, stderr}
+ * @returns {Promise<number>} Exit code
+ */
+async function siteCommand(positionals, values, io) {
+    if (positionals.length !== 1) {
+        throw new Error('site needs the folder of the notes');
+    }
+
+    const { textDirection, ...exportOptions } = getExportOptions(values);
+    const outputFolder = values.output || 'site';
+    const builder = new SiteBuilder({
+        ...exportOptions,
+        title: values.title,
+        direction: textDirection,
+        lang: values.lang
+    });
+
+    const { pages, tags, files } = await builder.build(positionals[0], outputFolder);
+    io.stdout.write(`Built ${outputFolder}: ${pages} note${pages === 1 ? '' : 's'}, ${tags} tag${tags === 1 ? '' : 's'}, ${files} file${files === 1 ? '' : 's'}\n`);
+    return 0;
+}
+
+/**
+ * Gets the repository to sync a folder with, saving --repo and --branch
+ * in the folder's settings
+ *
+ * @param {NotesFolder} folder - The notes folder
+ * @param {Object} values - Parsed options
+ * @returns {Promise<Object>} {owner, name, branch}
+ * @throws {Error} If no repository is configured or --repo is malformed
+ */
+async function getRepository(folder, values) {
+    const settings = await folder.readSettings();
+    let repository = settings.repository;
+
+    if (values.repo) {
+        const match = /^([\w.-]+)\/([\w.-]+)$/.exec(values.repo);
+        if (!match) {
+            throw new Error('--repo must be written as owner/name');
+        }
+        repository = { owner: match[1], name: match[2], branch: 'main' };
+    }
+    if (!repository) {
+        throw new Error(`No repository configured; pass --repo owner/name (it is saved in ${SETTINGS_FILE_NAME})`);
+    }
+    if (values.branch) {
+        repository = { ...repository, branch: values.branch };
+    }
+
+    if (JSON.stringify(repository) !== JSON.stringify(settings.repository)) {
+        // Sync state belongs to the repository it was recorded for
+        const isSameRepository = settings.repository
+            && settings.repository.owner === repository.owner
+            && settings.repository.name === repository.name
+            && settings.repository.branch === repository.branch;
+        await folder.writeSettings({ repository, files: isSameRepository ? settings.files : {} });
+    }
+    return repository;
+}
+
+/**
+ * Creates the sync manager for a folder's repository
+ *
+ * @param {NotesFolder} folder - The notes folder
+ * @param {Object} values - Parsed options
+ * @returns {Promise<Object>} {repository, syncManager}
+ * @throws {Error} If no token is set or no repository is configured
+ */
+async function openRepository(folder, values) {
+    const token = getTokenFromEnvironment();
+    if (!token) {
+        throw new Error(`Set ${TOKEN_VARIABLES[0]} to a GitHub token with access to the repository`);
+    }
+
+    const repository = await getRepository(folder, values);
+    return { repository, syncManager: createSyncManager(repository, token) };
+}
+
+/**
+ * Prints the conflicts and failures of a sync
+ *
+ * @param {Object} results - {conflicts, failed}
+ * @param {Object} io - {stdout, stderr}
+ * @returns {number} Exit code: 1 if anything was not synced
+ */
+function reportProblems({ conflicts, failed }, io) {
+    conflicts.forEach((conflict) => {
+        io.stderr.write(`Conflict: ${conflict.path} changed on both sides; resolve it and push again\n`);
+    });
+    failed.forEach((failure) => {
+        io.stderr.write(`Failed: ${failure.path || failure.id || failure.name}: ${failure.error}\n`);
+    });
+    return conflicts.length > 0 || failed.length > 0 ? 1 : 0;
+}
+
+/**
+ * `pull [folder]`: downloads the repository's notes
+ *
+ * @param {string[]} positionals - Command arguments
+ * @param {Object} values - Parsed options
+ * @param {Object} io - {stdout, stderr}
+ * @returns {Promise<number>} Exit code
+ */
+async function pullCommand(positionals, values, io) {
+    const folder = new NotesFolder(positionals[0] || '.');
+    const { repository, syncManager } = await openRepository(folder, values);
+    const results = await pullNotes(folder, syncManager);
+
+    const counts = {};
+    results.statuses.forEach((status) => {
+        counts[status] = (counts[status] || 0) + 1;
+    });
+    const summary = ['added', 'remote', 'merged', 'local', 'unchanged']
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${{ remote: 'updated', local: 'kept local changes' }[status] || status}`);
+
+    io.stdout.write(`Pulled ${repository.owner}/${repository.name}@${repository.branch}: ${summary.join(', ') || 'no notes'}\n`);
+    return reportProblems(results, io);
+}
+
+/**
+ * `push [folder]`: commits the folder's notes
+ *
+ * @param {string[]} positionals - Command arguments
+ * @param {Object} values - Parsed options
+ * @param {Object} io - {stdout, stderr}
+ * @returns {Promise<number>} Exit code
+ */
+async function pushCommand(positionals, values, io) {
+    const folder = new NotesFolder(positionals[0] || '.');
+    const { repository, syncManager } = await openRepository(folder, values);
+    const results = await pushNotes(folder, syncManager, {
+        message: values.message || '',
+        overwrite: Boolean(values.overwrite)
+    });
+
+    const target = `${repository.owner}/${repository.name}@${repository.branch}`;
+    if (results.commit) {
+        io.stdout.write(`Pushed to ${target} in ${results.commit.slice(0, 7)}: ${results.success.length} written, ${results.merged.length} merged with remote changes\n`);
+    } else if (results.merged.length > 0) {
+        io.stdout.write(`Nothing to push to ${target}; ${results.merged.length} updated from remote changes\n`);
+    } else {
+        io.stdout.write(`Nothing to push to ${target}\n`);
+    }
+    return reportProblems(results, io);
+}
+
+/**
+ * Commands by name: [handler, options]
+ */
+const COMMANDS = {
+    'render': [renderCommand, { ...RENDER_OPTIONS, fragment: { type: 'boolean' } }],
+    'export-site': [exportSiteCommand, RENDER_OPTIONS],
+    'site': [siteCommand, SITE_OPTIONS],
+    'pull': [pullCommand, SYNC_OPTIONS],
+    'push': [pushCommand, SYNC_OPTIONS]
+};
+
+/**
+ * Runs the command-line tool
+ *
+ * @param {string[]} args - Arguments after the program name
+ * @param {Object} [io] - Output streams {stdout, stderr}
+ * @returns {Promise<number>} Exit code
+ *
+ * @example
+ * process.exitCode = await runCli(process.argv.slice(2));
+ */
+export async function runCli(args, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const [command, ...rest] = args;
+
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        io.stdout.write(HELP);
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`noteshub: unknown command "${command}"\n\n${HELP}`);
+        return 2;
+    }
+
+    const [handler, options] = COMMANDS[command];
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options, allowPositionals: true });
+    } catch (error) {
+        io.stderr.write(`noteshub: ${error.message}\n`);
+        return 2;
+    }
+
+    try {
+        return await handler(parsed.positionals, parsed.values, io);
+    } catch (error) {
+        io.stderr.write(`noteshub: ${error.message}\n`);
+        return 1;
+    }
+}
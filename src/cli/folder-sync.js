@@ -0,0 +1,184 @@
+/**
+ * Folder Sync Module
+ *
+ * This module syncs a notes folder (see notes-folder.js) with a GitHub
+ * repository, through the same GitHubAPI and GitHubSyncManager as the app:
+ *
+ * - pullNotes downloads the repository's notes; notes edited on both sides
+ *   since the last sync are merged three-way
+ * - pushNotes commits the folder's notes in a single commit, after merging
+ *   remote changes the same way
+ *
+ * Notes with conflicting changes are reported and left as they are on disk,
+ * to be resolved by hand (or in the app) and pushed again.
+ *
+ * @module folder-sync
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { GitHubAPI, GitHubSyncManager } from '../github/github-integration.js';
+
+/**
+ * Environment variables the token is read from, in order
+ */
+export const TOKEN_VARIABLES = ['NOTESHUB_GITHUB_TOKEN', 'GITHUB_TOKEN'];
+
+/**
+ * In-memory replacement for localStorage, where GitHubAPI keeps its settings
+ * The command-line tool takes them from the environment and the settings
+ * file instead, so nothing is persisted.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Reads the GitHub token from the environment
+ *
+ * @param {Object} [environment=process.env] - Environment variables
+ * @returns {string|null} The token, or null if none is set
+ */
+export function getTokenFromEnvironment(environment = process.env) {
+    const name = TOKEN_VARIABLES.find(variable => environment[variable]);
+    return name ? environment[name] : null;
+}
+
+/**
+ * Creates a sync manager for a repository
+ *
+ * @param {Object} repository - {owner, name, branch}
+ * @param {string} token - GitHub token
+ * @returns {GitHubSyncManager} The sync manager
+ */
+export function createSyncManager(repository, token) {
+    const githubAPI = new GitHubAPI(new MemoryStorage());
+    githubAPI.setToken(token);
+    githubAPI.setRepository(repository.owner, repository.name, repository.branch || 'main');
+    return new GitHubSyncManager(githubAPI);
+}
+
+/**
+ * Builds the file object the sync manager works on for a note on disk
+ * Every note keeps its path, so names the app would sanitize (e.g. Persian
+ * file names) are pushed unchanged.
+ *
+ * @param {string} path - Note path relative to the folder
+ * @param {string} content - Note content
+ * @param {Object} [synced] - {sha, base} of the last sync, from the settings file
+ * @returns {Object} File object ({id, name, folder, content, github})
+ */
+function toSyncFile(path, content, synced) {
+    const segments = path.split('/');
+    const name = segments.pop().replace(/\.md$/, '');
+    return {
+        id: path,
+        name,
+        folder: segments.join('/'),
+        content,
+        github: synced ? { path, sha: synced.sha, base: synced.base } : { path }
+    };
+}
+
+/**
+ * Writes back what a sync changed: note contents, and the sync state of
+ * every note that is now in sync
+ *
+ * @param {NotesFolder} folder - The notes folder
+ * @param {Object} settings - Settings of the folder (updated and written)
+ * @param {Array<Object>} files - File objects after the sync
+ * @param {Map<string, string|null>} original - Content on disk by path
+ *   before the sync (null for notes that did not exist)
+ */
+async function saveSyncedFiles(folder, settings, files, original) {
+    for (const file of files) {
+        if (file.content !== original.get(file.id)) {
+            await folder.writeNote(file.id, file.content);
+        }
+        if (file.github.sha) {
+            settings.files[file.id] = { sha: file.github.sha, base: file.github.base };
+        }
+    }
+    await folder.writeSettings(settings);
+}
+
+/**
+ * Downloads the notes of the repository into a folder
+ *
+ * @param {NotesFolder} folder - The notes folder
+ * @param {GitHubSyncManager} syncManager - Sync manager of the repository
+ * @returns {Promise<Object>} {statuses, conflicts, failed}: statuses maps
+ *   each pulled path to 'added', 'unchanged', 'local', 'remote' or
+ *   'merged' (see GitHubSyncManager#mergeRemoteIntoLocal)
+ */
+export async function pullNotes(folder, syncManager) {
+    const settings = await folder.readSettings();
+    const original = new Map();
+    for (const path of await folder.listNotes()) {
+        original.set(path, await folder.readNote(path));
+    }
+
+    const files = [];
+    const statuses = new Map();
+    const { conflicts, failed } = await syncManager.loadFromGitHub((remote) => {
+        const content = original.has(remote.path) ? original.get(remote.path) : null;
+        const file = toSyncFile(remote.path, content, settings.files[remote.path]);
+
+        if (content === null) {
+            original.set(remote.path, null);
+            file.content = remote.content;
+            syncManager.markSynced(file, remote.path, remote.sha, remote.content);
+            files.push(file);
+            statuses.set(remote.path, 'added');
+            return file;
+        }
+
+        const { status, conflict } = syncManager.mergeRemoteIntoLocal(file, remote);
+        if (conflict) return { conflict };
+
+        files.push(file);
+        statuses.set(remote.path, status);
+        return file;
+    });
+
+    await saveSyncedFiles(folder, settings, files, original);
+    return { statuses, conflicts, failed };
+}
+
+/**
+ * Commits the notes of a folder to the repository
+ *
+ * @param {NotesFolder} folder - The notes folder
+ * @param {GitHubSyncManager} syncManager - Sync manager of the repository
+ * @param {Object} [options={}] - Sync options, as for
+ *   GitHubSyncManager#syncToGitHub ({message, overwrite})
+ * @returns {Promise<Object>} Results of syncToGitHub
+ */
+export async function pushNotes(folder, syncManager, options = {}) {
+    const settings = await folder.readSettings();
+    const original = new Map();
+    const localFiles = {};
+    for (const path of await folder.listNotes()) {
+        const content = await folder.readNote(path);
+        original.set(path, content);
+        localFiles[path] = toSyncFile(path, content, settings.files[path]);
+    }
+
+    const results = await syncManager.syncToGitHub(localFiles, options);
+    await saveSyncedFiles(folder, settings, Object.values(localFiles), original);
+    return results;
+}
@@ -0,0 +1,240 @@
+/**
+ * Note Export Module
+ *
+ * This module renders notes to standalone HTML files in Node, for the
+ * command-line tool. It runs the same pipeline as the app:
+ *
+ * - A renderer (see createRenderer) on a headless document
+ * - Code blocks wrapped with their language label, as in the print view
+ * - The document of the app's HTML export (see html-document.js), with the
+ *   fonts, KaTeX and highlight.js stylesheets read from node_modules and
+ *   their fonts embedded
+ *
+ * Diagram fences stay code blocks, since drawing them needs a browser.
+ *
+ * @module note-export
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { extname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { createRenderer } from '../markdown/renderer.js';
+import { createHeadlessDocument } from '../markdown/headless-dom.js';
+import { parseFrontMatter, getFrontMatterDirection } from '../markdown/front-matter.js';
+import { wrapCodeBlocks } from '../export/print-export.js';
+import { buildHtmlDocument } from '../export/html-document.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Stylesheets embedded in every export, as in the app (see html-export.js)
+ */
+const FONT_STYLESHEETS = [
+    '@fontsource/vazirmatn/400.css',
+    '@fontsource/vazirmatn/700.css',
+    '@fontsource/poppins/400.css',
+    '@fontsource/poppins/700.css'
+];
+const KATEX_STYLESHEET = 'katex/dist/katex.min.css';
+const HIGHLIGHT_THEMES = {
+    light: 'highlight.js/styles/github.css',
+    dark: 'highlight.js/styles/github-dark.css'
+};
+
+/**
+ * Media types of the assets stylesheets refer to
+ */
+const MEDIA_TYPES = {
+    '.woff2': 'font/woff2',
+    '.woff': 'font/woff',
+    '.ttf': 'font/ttf',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// Data URIs of embedded files, shared between exports
+const assetCache = new Map();
+
+/**
+ * Reads a stylesheet of a package, with its url() references made absolute
+ * (file: URLs), so they can be embedded later
+ *
+ * @param {string} specifier - Package path, e.g. 'katex/dist/katex.min.css'
+ * @returns {Promise<string>} Stylesheet text
+ */
+export async function loadStylesheet(specifier) {
+    const file = require.resolve(specifier);
+    const css = await readFile(file, 'utf8');
+    const base = pathToFileURL(file);
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+        return url.startsWith('data:') ? match : `url("${new URL(url, base).href}")`;
+    });
+}
+
+/**
+ * Reads a file and returns it as a data: URI
+ *
+ * @param {string} url - file: URL
+ * @returns {Promise<string>} Data URI
+ */
+function readAsDataUri(url) {
+    if (!assetCache.has(url)) {
+        const path = fileURLToPath(url);
+        const mediaType = MEDIA_TYPES[extname(path).toLowerCase()] || 'application/octet-stream';
+        const request = readFile(path).then(data => `data:${mediaType};base64,${data.toString('base64')}`);
+
+        // Do not cache failures, so a later export can retry
+        request.catch(() => assetCache.delete(url));
+        assetCache.set(url, request);
+    }
+    return assetCache.get(url);
+}
+
+/**
+ * Replaces every file: url() in a stylesheet with an embedded data: URI
+ * Files that cannot be read keep their URL.
+ *
+ * @param {string} css - Stylesheet text from loadStylesheet
+ * @returns {Promise<string>} Stylesheet without file references
+ */
+export async function embedFileUrls(css) {
+    const urlPattern = /url\(\s*(['"]?)(file:[^'")]+)\1\s*\)/g;
+    const urls = new Set(Array.from(css.matchAll(urlPattern), match => match[2]));
+
+    const dataUris = new Map();
+    await Promise.all([...urls].map(async (url) => {
+        try {
+            dataUris.set(url, await readAsDataUri(url));
+        } catch (error) {
+            console.warn(`Could not embed ${url} in the exported file:`, error.message);
+        }
+    }));
+
+    return css.replace(urlPattern, (match, quote, url) => dataUris.has(url)
+        ? `url("${dataUris.get(url)}")`
+        : match);
+}
+
+/**
+ * Gets the display title of a note, as in the app: its front matter title,
+ * or its file name without the extension
+ *
+ * @param {Object} frontMatter - Parsed front matter
+ * @param {string} name - File name of the note
+ * @returns {string} The title
+ */
+export function getNoteTitle(frontMatter, name) {
+    const { title } = frontMatter;
+    if (typeof title === 'string' && title.trim()) return title.trim();
+    return name.replace(/\.(md|markdown|txt)$/i, '');
+}
+
+/**
+ * Renders notes to HTML outside the browser
+ *
+ * @example
+ * const exporter = new NoteExporter({ textDirection: 'rtl' });
+ * const html = await exporter.exportNote(markdown, 'یادداشت.md');
+ */
+export class NoteExporter {
+    /**
+     * @param {Object} [options={}] - Export options
+     * @param {string} [options.textDirection='ltr'] - 'ltr', 'rtl' or 'auto';
+     *   a note whose front matter sets `dir` or `lang` uses that instead
+     * @param {boolean} [options.isMathEnabled=true] - Whether to render LaTeX math
+     * @param {boolean} [options.trusted=false] - Skip sanitization
+     * @param {string} [options.theme='light'] - 'light' or 'dark'
+     * @param {string} [options.inlineCodeDirection='ltr'] - Direction of inline code
+     * @param {string} [options.codeDirection='ltr'] - Direction of code blocks
+     * @param {Array<Object>} [options.extensions=[]] - Renderer extensions
+     *   besides the built-in ones
+     */
+    constructor({
+        textDirection = 'ltr',
+        isMathEnabled = true,
+        trusted = false,
+        theme = 'light',
+        inlineCodeDirection = 'ltr',
+        codeDirection = 'ltr',
+        extensions = []
+    } = {}) {
+        this.options = { textDirection, isMathEnabled, trusted, theme, inlineCodeDirection, codeDirection };
+        this.document = createHeadlessDocument();
+        this.renderer = createRenderer({ document: this.document, extensions });
+        this.stylesheets = null;    // Promise of the stylesheets, loaded on first export
+    }
+
+    /**
+     * Load the stylesheets embedded in exported documents
+     * @returns {Promise<Object>} {fonts, katex, highlight}
+     */
+    loadStylesheets() {
+        if (!this.stylesheets) {
+            this.stylesheets = Promise.all([
+                Promise.all(FONT_STYLESHEETS.map(loadStylesheet)),
+                loadStylesheet(KATEX_STYLESHEET),
+                loadStylesheet(HIGHLIGHT_THEMES[this.options.theme] || HIGHLIGHT_THEMES.light)
+            ]).then(([fonts, katex, highlight]) => ({ fonts, katex, highlight }));
+        }
+        return this.stylesheets;
+    }
+
+    /**
+     * Render a note to HTML, without a document around it
+     *
+     * @param {string} markdownText - The note
+     * @param {string} [name='Note'] - File name of the note, for its title
+     * @returns {Object} {content, title, textDirection, lang, frontMatter}
+     */
+    renderNote(markdownText, name = 'Note') {
+        const { isMathEnabled, trusted, inlineCodeDirection, codeDirection } = this.options;
+        const { data } = parseFrontMatter(markdownText);
+        const textDirection = getFrontMatterDirection(data) || this.options.textDirection;
+
+        const container = this.document.createElement('div');
+        container.innerHTML = this.renderer.render(markdownText, isMathEnabled, { textDirection, trusted });
+        wrapCodeBlocks(container, codeDirection);
+        container.querySelectorAll('code:not(pre code)').forEach((code) => {
+            code.dataset.inlineCodeDirection = inlineCodeDirection;
+        });
+
+        return {
+            content: container.innerHTML,
+            title: getNoteTitle(data, name),
+            textDirection,
+            lang: typeof data.lang === 'string' ? data.lang.trim() : '',
+            frontMatter: data
+        };
+    }
+
+    /**
+     * Render a note to a standalone HTML document, like the app's HTML export
+     *
+     * @param {string} markdownText - The note
+     * @param {string} [name='Note'] - File name of the note, for its title
+     * @returns {Promise<string>} Complete HTML document
+     */
+    async exportNote(markdownText, name = 'Note') {
+        const { content, title, textDirection, lang } = this.renderNote(markdownText, name);
+        const { fonts, katex, highlight } = await this.loadStylesheets();
+
+        return buildHtmlDocument({
+            content,
+            title,
+            theme: this.options.theme,
+            stylesheets: fonts,
+            mathStylesheets: [katex],
+            highlightCss: highlight,
+            textDirection,
+            inlineCodeDirection: this.options.inlineCodeDirection,
+            codeDirection: this.options.codeDirection,
+            lang,
+            inlineUrls: embedFileUrls,
+            ownerDocument: this.document
+        });
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Notes Folder Module
+ *
+ * This module gives the command-line tool access to a folder of notes: the
+ * markdown files in it and its nested folders, and its settings file,
+ * `.noteshub.json`:
+ *
+ *   {
+ *     "repository": { "owner": "...", "name": "...", "branch": "main" },
+ *     "files": { "notes/ideas.md": { "sha": "...", "base": "..." } }
+ *   }
+ *
+ * `files` keeps what the app keeps in `file.github` for each synced note
+ * (see GitHubSyncManager): the blob SHA and content of the last sync, used
+ * to merge changes made on both sides. Notes are identified by their path
+ * relative to the folder, with `/` separators, as in the repository.
+ *
+ * @module notes-folder
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+/**
+ * Name of the settings file in the notes folder
+ */
+export const SETTINGS_FILE_NAME = '.noteshub.json';
+
+/**
+ * Folders never searched for notes
+ */
+const IGNORED_FOLDERS = new Set(['node_modules']);
+
+/**
+ * A folder of markdown notes on disk
+ *
+ * @example
+ * const folder = new NotesFolder('./notes');
+ * for (const path of await folder.listNotes()) {
+ *     console.log(path, (await folder.readNote(path)).length);
+ * }
+ */
+export class NotesFolder {
+    /**
+     * @param {string} root - Path of the folder
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    /**
+     * List the notes in the folder and its subfolders
+     * Hidden files and folders (e.g. .git) are skipped.
+     *
+     * @returns {Promise<string[]>} Note paths relative to the folder, sorted
+     */
+    async listNotes() {
+        const notes = [];
+        const visit = async (folder) => {
+            const entries = await readdir(join(this.root, folder), { withFileTypes: true });
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+
+                const path = folder ? `${folder}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    if (!IGNORED_FOLDERS.has(entry.name)) await visit(path);
+                } else if (entry.isFile() && entry.name.endsWith('.md')) {
+                    notes.push(path);
+                }
+            }
+        };
+
+        await visit('');
+        return notes.sort();
+    }
+
+    /**
+     * Read a note
+     *
+     * @param {string} path - Note path relative to the folder
+     * @returns {Promise<string|null>} Content, or null if the note does not exist
+     */
+    async readNote(path) {
+        try {
+            return await readFile(join(this.root, path), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Write a note, creating its folders as needed
+     *
+     * @param {string} path - Note path relative to the folder
+     * @param {string} content - New content
+     */
+    async writeNote(path, content) {
+        const file = join(this.root, path);
+        await mkdir(dirname(file), { recursive: true });
+        await writeFile(file, content, 'utf8');
+    }
+
+    /**
+     * Read the settings file
+     *
+     * @returns {Promise<Object>} {repository, files}; empty for a folder
+     *   without settings
+     * @throws {Error} If the settings file is not valid JSON
+     */
+    async readSettings() {
+        const text = await this.readNote(SETTINGS_FILE_NAME);
+        if (text === null) return { repository: null, files: {} };
+
+        try {
+            const settings = JSON.parse(text);
+            return { repository: settings.repository || null, files: settings.files || {} };
+        } catch (error) {
+            throw new Error(`${SETTINGS_FILE_NAME} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the settings file
+     *
+     * @param {Object} settings - {repository, files}
+     */
+    async writeSettings(settings) {
+        await this.writeNote(SETTINGS_FILE_NAME, JSON.stringify(settings, null, 2) + '\n');
+    }
+}
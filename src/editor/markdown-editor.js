@@ -0,0 +1,695 @@
+/**
+ * Markdown Editor Module
+ *
+ * This module wraps the markdown input textarea with a line-aware editing
+ * surface that can lay out every source line in its own text direction.
+ *
+ * Two surfaces are managed:
+ * - The original <textarea>, used when per-line direction is off
+ * - A contenteditable element with one child per line, each carrying a `dir`
+ *   attribute detected from its content (markdown markers are ignored)
+ *
+ * The MarkdownEditor class exposes the subset of the textarea API that the
+ * application uses (value, selectionStart/End, setSelectionRange, focus,
+ * addEventListener, dispatchEvent), so existing code such as
+ * applyMarkdownSyntax and updateCounts works with either surface.
+ *
+ * @module markdown-editor
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { detectTextDirection } from '../markdown/renderer.js';
+
+/**
+ * Leading markdown markers that should not decide a line's direction:
+ * headings (#), blockquotes (>), bullets (-, *, +), task boxes ([ ], [x])
+ * and ordered list numbers (1. or 1)). Markers may be nested, e.g. "> - [x] ".
+ */
+const LINE_MARKER_PATTERN = /^\s*(?:(?:#{1,6}|>|[-*+]|\d+[.)])\s+|\[[ xX]\]\s+)*/;
+
+/** Maximum number of undo steps kept for the line surface */
+const MAX_HISTORY_SIZE = 200;
+
+/** Typing within this window (ms) is merged into a single undo step */
+const HISTORY_MERGE_WINDOW = 800;
+
+/**
+ * Detects the direction of a single markdown source line
+ *
+ * @param {string} line - One line of markdown source
+ * @returns {string|null} 'rtl', 'ltr', or null if the line has no strong characters
+ *
+ * @example
+ * detectLineDirection('## سلام');    // 'rtl'
+ * detectLineDirection('- [x] done'); // 'ltr'
+ * detectLineDirection('1. ');        // null
+ */
+export function detectLineDirection(line) {
+    return detectTextDirection(line.replace(LINE_MARKER_PATTERN, ''));
+}
+
+/**
+ * Editor facade over the markdown textarea and the per-line direction surface
+ */
+export class MarkdownEditor {
+    /**
+     * @param {HTMLTextAreaElement} textarea - The markdown input textarea
+     */
+    constructor(textarea) {
+        this.textarea = textarea;
+        this.isLineDirectionEnabled = false;
+        this.isComposing = false;
+
+        // Selection of the line surface, kept while it is not focused
+        this.lineSelection = { start: 0, end: 0 };
+
+        // Undo/redo stacks for the line surface (native undo cannot survive
+        // the DOM normalization done after every edit)
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastHistoryPush = 0;
+
+        this.lineSurface = this.createLineSurface();
+        textarea.insertAdjacentElement('afterend', this.lineSurface);
+    }
+
+    /**
+     * Creates the contenteditable element used for per-line direction editing
+     * and wires up its normalization handlers
+     *
+     * @returns {HTMLDivElement} The line surface element
+     */
+    createLineSurface() {
+        const surface = document.createElement('div');
+        surface.id = `${this.textarea.id}-lines`;
+        surface.className = 'markdown-input-lines form-control h-100 d-none';
+        surface.contentEditable = 'true';
+        surface.spellcheck = false;
+        surface.setAttribute('role', 'textbox');
+        surface.setAttribute('aria-multiline', 'true');
+        surface.setAttribute('aria-label', 'Markdown Input');
+        surface.dataset.placeholder = this.textarea.placeholder;
+
+        // Handle structural edits ourselves so lines stay one element each
+        surface.addEventListener('beforeinput', (event) => this.handleBeforeInput(event));
+
+        // Normalize whatever the browser did to the DOM. Registered before any
+        // application listener, so those always see a consistent value.
+        surface.addEventListener('input', () => {
+            if (!this.isComposing) {
+                this.normalizeLines();
+            }
+        });
+
+        surface.addEventListener('compositionstart', () => {
+            this.isComposing = true;
+        });
+        surface.addEventListener('compositionend', () => {
+            this.isComposing = false;
+            this.normalizeLines();
+        });
+
+        // Remember the selection so it can be restored on focus()
+        document.addEventListener('selectionchange', () => {
+            if (this.isLineDirectionEnabled && surface.contains(document.getSelection().anchorNode)) {
+                this.lineSelection = this.readSelection();
+            }
+        });
+
+        return surface;
+    }
+
+    /**
+     * The element currently used for editing
+     * @returns {HTMLElement} The textarea or the line surface
+     */
+    get activeElement() {
+        return this.isLineDirectionEnabled ? this.lineSurface : this.textarea;
+    }
+
+    /**
+     * Switches between the plain textarea and the per-line direction surface
+     * Content and selection are carried over to the newly active surface
+     *
+     * @param {boolean} enabled - Whether to lay out each line in its own direction
+     */
+    setLineDirectionEnabled(enabled) {
+        if (enabled === this.isLineDirectionEnabled) return;
+
+        const value = this.value;
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        const hadFocus = this.activeElement.contains(document.activeElement);
+
+        this.isLineDirectionEnabled = enabled;
+        this.textarea.classList.toggle('d-none', enabled);
+        this.lineSurface.classList.toggle('d-none', !enabled);
+
+        this.value = value;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.setSelectionRange(start, end);
+
+        if (hadFocus) {
+            this.focus();
+        }
+    }
+
+    /**
+     * Full markdown source of the editor
+     * @returns {string} The editor content
+     */
+    get value() {
+        if (!this.isLineDirectionEnabled) {
+            return this.textarea.value;
+        }
+        return this.readLines().join('\n');
+    }
+
+    /**
+     * Replaces the editor content, placing the caret at the end like a textarea
+     * @param {string} text - The new editor content
+     */
+    set value(text) {
+        this.textarea.value = text;
+        if (this.isLineDirectionEnabled) {
+            this.renderLines(text.split('\n'));
+            this.lineSelection = { start: text.length, end: text.length };
+        }
+    }
+
+    /**
+     * Start offset of the current selection
+     * @returns {number} Offset into value
+     */
+    get selectionStart() {
+        if (!this.isLineDirectionEnabled) {
+            return this.textarea.selectionStart;
+        }
+        return this.currentSelection().start;
+    }
+
+    /**
+     * End offset of the current selection
+     * @returns {number} Offset into value
+     */
+    get selectionEnd() {
+        if (!this.isLineDirectionEnabled) {
+            return this.textarea.selectionEnd;
+        }
+        return this.currentSelection().end;
+    }
+
+    /**
+     * Selects a range of the editor content
+     *
+     * @param {number} start - Start offset into value
+     * @param {number} end - End offset into value
+     */
+    setSelectionRange(start, end) {
+        if (!this.isLineDirectionEnabled) {
+            this.textarea.setSelectionRange(start, end);
+            return;
+        }
+
+        this.lineSelection = { start, end };
+        const selection = document.getSelection();
+        if (this.lineSurface.contains(document.activeElement) || this.lineSurface.contains(selection.anchorNode)) {
+            this.applySelection(start, end);
+        }
+    }
+
+    /**
+     * Scrolls the active surface so the start of the selection is in view,
+     * roughly centered. Textarea lines that wrap make the position approximate.
+     */
+    revealSelection() {
+        const lineIndex = this.value.slice(0, this.selectionStart).split('\n').length - 1;
+
+        if (this.isLineDirectionEnabled) {
+            const line = this.lineSurface.childNodes[lineIndex];
+            if (line && line.nodeType === Node.ELEMENT_NODE) {
+                line.scrollIntoView({ block: 'center' });
+            }
+            return;
+        }
+
+        const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 20;
+        this.textarea.scrollTop = Math.max(0, lineIndex * lineHeight - this.textarea.clientHeight / 2);
+    }
+
+    /**
+     * Top offset of every source line in the active surface, in scroll
+     * coordinates, followed by the height of the content
+     * The textarea does not tell where its wrapped lines start, so its text is
+     * laid out in a hidden mirror element with the same width and font. The
+     * result is cached until the content, the width or the surface changes.
+     *
+     * @returns {number[]} One offset per line, then the content height
+     */
+    getLineOffsets() {
+        const surface = this.activeElement;
+        const value = this.value;
+        const cache = this.lineOffsetCache;
+        if (cache && cache.surface === surface && cache.width === surface.clientWidth && cache.value === value) {
+            return cache.offsets;
+        }
+
+        let offsets;
+        if (this.isLineDirectionEnabled) {
+            offsets = Array.from(surface.children, line => line.offsetTop);
+            offsets.push(surface.scrollHeight);
+        } else {
+            if (!this.mirror) {
+                this.mirror = document.createElement('div');
+                this.mirror.setAttribute('aria-hidden', 'true');
+                this.mirror.style.cssText = 'position: absolute; top: 0; left: -9999px; visibility: hidden; '
+                    + 'box-sizing: border-box; border: 0; white-space: pre-wrap; overflow-wrap: break-word;';
+                document.body.appendChild(this.mirror);
+            }
+
+            const style = getComputedStyle(this.textarea);
+            ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'wordSpacing', 'lineHeight',
+                'tabSize', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'direction']
+                .forEach((property) => {
+                    this.mirror.style[property] = style[property];
+                });
+            this.mirror.style.width = `${this.textarea.clientWidth}px`;
+
+            const lines = value.split('\n').map((text) => {
+                const line = document.createElement('div');
+                line.appendChild(text === '' ? document.createElement('br') : document.createTextNode(text));
+                return line;
+            });
+            this.mirror.replaceChildren(...lines);
+            offsets = lines.map(line => line.offsetTop);
+            offsets.push(this.mirror.offsetHeight);
+            this.mirror.replaceChildren();
+        }
+
+        this.lineOffsetCache = { surface, width: surface.clientWidth, value, offsets };
+        return offsets;
+    }
+
+    /**
+     * Source line at the top of the visible area
+     * @returns {number} 0-based line index; the fraction tells how far the
+     *   line is scrolled past
+     */
+    getTopLine() {
+        const offsets = this.getLineOffsets();
+        const scrollTop = this.activeElement.scrollTop;
+
+        let line = 0;
+        while (line < offsets.length - 2 && offsets[line + 1] <= scrollTop) line++;
+        const height = offsets[line + 1] - offsets[line];
+        return line + (height > 0 ? Math.min(Math.max((scrollTop - offsets[line]) / height, 0), 1) : 0);
+    }
+
+    /**
+     * Scrolls the active surface so a source line is at the top
+     * @param {number} line - 0-based line index, as returned by getTopLine
+     */
+    scrollToLine(line) {
+        const offsets = this.getLineOffsets();
+        const index = Math.min(Math.max(Math.floor(line), 0), offsets.length - 2);
+        const fraction = Math.min(Math.max(line - index, 0), 1);
+        this.activeElement.scrollTop = offsets[index] + fraction * (offsets[index + 1] - offsets[index]);
+    }
+
+    /**
+     * Replaces the editor content as a single undo step and notifies input
+     * listeners, e.g. for find and replace. Only the changed part of the text
+     * is replaced, so undo restores the caret near the edit.
+     *
+     * @param {string} nextValue - The new editor content
+     * @param {number} [selectionStart] - Start of the selection afterwards
+     * @param {number} [selectionEnd=selectionStart] - End of the selection afterwards
+     */
+    applyEdit(nextValue, selectionStart = nextValue.length, selectionEnd = selectionStart) {
+        const value = this.value;
+        if (nextValue === value) return;
+
+        if (this.isLineDirectionEnabled) {
+            this.lastHistoryPush = 0;
+            this.recordHistory(nextValue);
+            this.lastHistoryPush = 0;
+            this.value = nextValue;
+            this.setSelectionRange(selectionStart, selectionEnd);
+            this.dispatchEvent(new Event('input', { bubbles: true }));
+            return;
+        }
+
+        let prefix = 0;
+        const maxPrefix = Math.min(value.length, nextValue.length);
+        while (prefix < maxPrefix && value[prefix] === nextValue[prefix]) prefix++;
+        let suffix = 0;
+        const maxSuffix = maxPrefix - prefix;
+        while (suffix < maxSuffix && value[value.length - 1 - suffix] === nextValue[nextValue.length - 1 - suffix]) suffix++;
+        const inserted = nextValue.slice(prefix, nextValue.length - suffix);
+
+        // execCommand keeps the edit on the textarea's native undo stack; it
+        // needs focus, which is handed back afterwards (e.g. to the find bar)
+        const previousFocus = document.activeElement;
+        this.textarea.focus({ preventScroll: true });
+        this.textarea.setSelectionRange(prefix, value.length - suffix);
+        const isUndoable = inserted
+            ? document.execCommand('insertText', false, inserted)
+            : document.execCommand('delete');
+
+        if (!isUndoable || this.textarea.value !== nextValue) {
+            this.textarea.value = nextValue;
+            this.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        this.textarea.setSelectionRange(selectionStart, selectionEnd);
+        if (previousFocus && previousFocus !== this.textarea && previousFocus.focus) {
+            previousFocus.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Focuses the active surface, restoring the last selection of the line surface
+     */
+    focus() {
+        if (!this.isLineDirectionEnabled) {
+            this.textarea.focus();
+            return;
+        }
+
+        const { start, end } = this.lineSelection;
+        this.lineSurface.focus();
+        this.applySelection(start, end);
+    }
+
+    /**
+     * Adds an event listener to both surfaces
+     * Only the visible surface receives user input, so handlers fire once.
+     *
+     * @param {string} type - Event type
+     * @param {Function} listener - Event handler
+     * @param {Object|boolean} [options] - Listener options
+     */
+    addEventListener(type, listener, options) {
+        this.textarea.addEventListener(type, listener, options);
+        this.lineSurface.addEventListener(type, listener, options);
+    }
+
+    /**
+     * Dispatches an event on the active surface
+     *
+     * @param {Event} event - The event to dispatch
+     * @returns {boolean} False if the event was cancelled
+     */
+    dispatchEvent(event) {
+        return this.activeElement.dispatchEvent(event);
+    }
+
+    /**
+     * Line Surface Internals
+     */
+
+    /**
+     * Reads the text of every line from the line surface DOM
+     * Each top-level child node is one line; nested markup is flattened.
+     *
+     * @returns {string[]} The lines of the editor
+     */
+    readLines() {
+        const nodes = Array.from(this.lineSurface.childNodes);
+        if (nodes.length === 0) return [''];
+        return nodes.map(node => node.nodeName === 'BR' ? '' : node.textContent);
+    }
+
+    /**
+     * Checks whether a line element already matches the given text exactly
+     *
+     * @param {Node} node - Top-level child of the line surface
+     * @param {string} text - Expected line text
+     * @returns {boolean} True if the node can be reused as is
+     */
+    isCleanLine(node, text) {
+        if (!node || node.nodeName !== 'DIV' || !node.classList.contains('editor-line')) {
+            return false;
+        }
+        if (text === '') {
+            return node.childNodes.length === 1 && node.firstChild.nodeName === 'BR';
+        }
+        return node.childNodes.length === 1
+            && node.firstChild.nodeType === Node.TEXT_NODE
+            && node.firstChild.nodeValue === text;
+    }
+
+    /**
+     * Brings the line surface DOM in sync with the given lines
+     * Lines that are already correct are kept to avoid disturbing the caret;
+     * every line gets a `dir` attribute from its content, and lines without
+     * strong characters follow the line above them.
+     *
+     * @param {string[]} lines - The lines to display
+     */
+    renderLines(lines) {
+        const surface = this.lineSurface;
+        let previousDirection = 'ltr';
+
+        lines.forEach((text, index) => {
+            let node = surface.childNodes[index];
+
+            if (!this.isCleanLine(node, text)) {
+                const line = document.createElement('div');
+                line.className = 'editor-line';
+                line.appendChild(text === '' ? document.createElement('br') : document.createTextNode(text));
+
+                if (node) {
+                    surface.replaceChild(line, node);
+                } else {
+                    surface.appendChild(line);
+                }
+                node = line;
+            }
+
+            const direction = detectLineDirection(text) || previousDirection;
+            if (node.getAttribute('dir') !== direction) {
+                node.setAttribute('dir', direction);
+            }
+            previousDirection = direction;
+        });
+
+        // Drop any nodes beyond the last line
+        while (surface.childNodes.length > lines.length) {
+            surface.removeChild(surface.lastChild);
+        }
+
+        surface.classList.toggle('is-empty', lines.length === 1 && lines[0] === '');
+    }
+
+    /**
+     * Re-reads the line surface after a native edit, rebuilds its structure
+     * and restores the caret. Also mirrors the value into the textarea and
+     * records an undo step.
+     */
+    normalizeLines() {
+        const selection = this.readSelection();
+        const lines = this.readLines();
+        const value = lines.join('\n');
+
+        this.recordHistory(value);
+        this.textarea.value = value;
+        this.renderLines(lines);
+        this.lineSelection = selection;
+        this.applySelection(selection.start, selection.end);
+    }
+
+    /**
+     * Handles edits that must not be left to the browser: new lines, pasting
+     * and dropping (plain text only), rich formatting, and undo/redo
+     *
+     * @param {InputEvent} event - The beforeinput event
+     */
+    handleBeforeInput(event) {
+        switch (event.inputType) {
+            case 'insertParagraph':
+            case 'insertLineBreak':
+                event.preventDefault();
+                this.replaceSelection('\n');
+                break;
+            case 'insertFromPaste':
+            case 'insertFromDrop': {
+                const text = event.dataTransfer ? event.dataTransfer.getData('text/plain') : '';
+                event.preventDefault();
+                if (text) {
+                    this.replaceSelection(text.replace(/\r\n?/g, '\n'), true);
+                }
+                break;
+            }
+            case 'historyUndo':
+                event.preventDefault();
+                this.stepHistory(this.undoStack, this.redoStack);
+                break;
+            case 'historyRedo':
+                event.preventDefault();
+                this.stepHistory(this.redoStack, this.undoStack);
+                break;
+            default:
+                if (event.inputType.startsWith('format')) {
+                    event.preventDefault();
+                }
+        }
+    }
+
+    /**
+     * Replaces the current selection with text and notifies input listeners
+     *
+     * @param {string} text - Text to insert
+     * @param {boolean} [isSeparateStep=false] - Record as its own undo step
+     */
+    replaceSelection(text, isSeparateStep = false) {
+        const { start, end } = this.readSelection();
+        const value = this.value;
+        const nextValue = value.slice(0, start) + text + value.slice(end);
+
+        if (isSeparateStep) {
+            this.lastHistoryPush = 0;
+        }
+        this.recordHistory(nextValue);
+
+        const caret = start + text.length;
+        this.value = nextValue;
+        this.setSelectionRange(caret, caret);
+        this.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Pushes the state before an edit onto the undo stack
+     * Consecutive edits within HISTORY_MERGE_WINDOW share one undo step.
+     *
+     * @param {string} nextValue - The value after the edit
+     */
+    recordHistory(nextValue) {
+        const previousValue = this.textarea.value;
+        if (nextValue === previousValue) return;
+
+        const now = Date.now();
+        if (now - this.lastHistoryPush > HISTORY_MERGE_WINDOW) {
+            this.undoStack.push({ value: previousValue, selection: { ...this.lineSelection } });
+            if (this.undoStack.length > MAX_HISTORY_SIZE) {
+                this.undoStack.shift();
+            }
+        }
+        this.lastHistoryPush = now;
+        this.redoStack = [];
+    }
+
+    /**
+     * Moves one step through the history, saving the current state on the other stack
+     *
+     * @param {Object[]} fromStack - Stack to take the state from
+     * @param {Object[]} toStack - Stack to save the current state onto
+     */
+    stepHistory(fromStack, toStack) {
+        const state = fromStack.pop();
+        if (!state) return;
+
+        toStack.push({ value: this.value, selection: this.readSelection() });
+        this.lastHistoryPush = 0;
+        this.value = state.value;
+        this.setSelectionRange(state.selection.start, state.selection.end);
+        this.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Selection of the line surface, from the DOM when it is focused
+     * @returns {{start: number, end: number}} Offsets into value
+     */
+    currentSelection() {
+        const selection = document.getSelection();
+        if (selection.rangeCount > 0 && this.lineSurface.contains(selection.anchorNode)) {
+            return this.readSelection();
+        }
+        return this.lineSelection;
+    }
+
+    /**
+     * Converts the DOM selection inside the line surface to value offsets
+     * @returns {{start: number, end: number}} Offsets into value
+     */
+    readSelection() {
+        const selection = document.getSelection();
+        if (!selection.rangeCount || !this.lineSurface.contains(selection.anchorNode)) {
+            return { ...this.lineSelection };
+        }
+
+        const range = selection.getRangeAt(0);
+        const lines = this.readLines();
+        return {
+            start: this.offsetFromPoint(range.startContainer, range.startOffset, lines),
+            end: this.offsetFromPoint(range.endContainer, range.endOffset, lines)
+        };
+    }
+
+    /**
+     * Converts a DOM position inside the line surface to an offset into value
+     *
+     * @param {Node} node - Container of the position
+     * @param {number} offset - Offset within the container
+     * @param {string[]} lines - Current lines of the surface
+     * @returns {number} Offset into value
+     */
+    offsetFromPoint(node, offset, lines) {
+        const surface = this.lineSurface;
+        const lineStart = (index) => lines
+            .slice(0, index)
+            .reduce((total, line) => total + line.length + 1, 0);
+
+        // Position between top-level lines
+        if (node === surface) {
+            return Math.max(0, lineStart(offset) - (offset >= lines.length ? 1 : 0));
+        }
+
+        let lineNode = node;
+        while (lineNode.parentNode !== surface) {
+            lineNode = lineNode.parentNode;
+        }
+        const index = Array.prototype.indexOf.call(surface.childNodes, lineNode);
+
+        const range = document.createRange();
+        range.setStart(lineNode, 0);
+        range.setEnd(node, offset);
+        return lineStart(index) + Math.min(range.toString().length, lines[index].length);
+    }
+
+    /**
+     * Places the DOM selection of the line surface at the given value offsets
+     *
+     * @param {number} start - Start offset into value
+     * @param {number} end - End offset into value
+     */
+    applySelection(start, end) {
+        const toPoint = (offset) => {
+            const lines = this.lineSurface.childNodes;
+            let remaining = Math.max(0, offset);
+
+            for (let i = 0; i < lines.length; i++) {
+                const text = lines[i].textContent;
+                if (remaining <= text.length || i === lines.length - 1) {
+                    const target = lines[i].firstChild;
+                    return target && target.nodeType === Node.TEXT_NODE
+                        ? { node: target, offset: Math.min(remaining, text.length) }
+                        : { node: lines[i], offset: 0 };
+                }
+                remaining -= text.length + 1;
+            }
+            return { node: this.lineSurface, offset: 0 };
+        };
+
+        const startPoint = toPoint(start);
+        const endPoint = toPoint(end);
+        const range = document.createRange();
+        range.setStart(startPoint.node, startPoint.offset);
+        range.setEnd(endPoint.node, endPoint.offset);
+
+        const selection = document.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+}
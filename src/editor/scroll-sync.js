@@ -0,0 +1,171 @@
+/**
+ * Scroll Sync Module
+ *
+ * This module keeps the editor and the rendered output scrolled to the same
+ * place in the note. The renderer marks blocks with the source lines they
+ * came from (`data-source-line` and `data-source-line-end`, see the
+ * sourceLines option of render()); scrolling either pane finds the source
+ * line at its top and scrolls the other pane to it, interpolating within
+ * blocks and across the gaps between them.
+ *
+ * Block positions are measured on every sync rather than cached, so code
+ * blocks that are collapsed or expanded, KaTeX display math and images that
+ * finish loading are always taken into account. Blocks that are not
+ * displayed, such as the content of a closed <details>, are skipped.
+ *
+ * @module scroll-sync
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+// Scroll events of the pane that was just scrolled programmatically are
+// ignored for this long (ms), so the panes do not chase each other
+const LOCK_DURATION = 100;
+
+/**
+ * Synchronizes the scroll position of the editor and the output
+ *
+ * @example
+ * const scrollSync = new ScrollSync(markdownEditor, outputElement);
+ * scrollSync.setEnabled(false);
+ * scrollSync.syncFrom('editor');   // e.g. after rendering
+ */
+export class ScrollSync {
+    /**
+     * @param {MarkdownEditor} editor - The markdown editor
+     * @param {HTMLElement} output - The scrollable output element
+     */
+    constructor(editor, output) {
+        this.editor = editor;
+        this.output = output;
+        this.isEnabled = true;
+        this.lockedPane = null;
+        this.unlockTimer = null;
+        this.frame = null;
+
+        editor.addEventListener('scroll', () => this.handleScroll('editor'));
+        output.addEventListener('scroll', () => this.handleScroll('output'));
+    }
+
+    /**
+     * Turn synchronization on or off
+     * Turning it on aligns the output with the editor right away.
+     *
+     * @param {boolean} enabled - Whether scrolling one pane scrolls the other
+     */
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+        if (enabled) {
+            this.syncFrom('editor');
+        }
+    }
+
+    /**
+     * Schedule a sync after the user scrolled one of the panes
+     * @param {string} source - 'editor' or 'output'
+     */
+    handleScroll(source) {
+        if (!this.isEnabled || this.lockedPane === source) return;
+
+        cancelAnimationFrame(this.frame);
+        this.frame = requestAnimationFrame(() => this.syncFrom(source));
+    }
+
+    /**
+     * Scroll the other pane to the position of one pane
+     * @param {string} source - 'editor' or 'output'
+     */
+    syncFrom(source) {
+        if (!this.isEnabled) return;
+
+        const editorElement = this.editor.activeElement;
+        const sourceElement = source === 'editor' ? editorElement : this.output;
+        const targetElement = source === 'editor' ? this.output : editorElement;
+
+        // Nothing to do when a pane is hidden or does not scroll
+        const targetMax = targetElement.scrollHeight - targetElement.clientHeight;
+        const sourceMax = sourceElement.scrollHeight - sourceElement.clientHeight;
+        if (targetMax <= 0 || sourceMax <= 0 || !sourceElement.offsetParent || !targetElement.offsetParent) return;
+
+        this.lockedPane = source === 'editor' ? 'output' : 'editor';
+        clearTimeout(this.unlockTimer);
+        this.unlockTimer = setTimeout(() => {
+            this.lockedPane = null;
+        }, LOCK_DURATION);
+
+        // The ends of the panes line up exactly
+        if (sourceElement.scrollTop <= 0) {
+            targetElement.scrollTop = 0;
+        } else if (sourceElement.scrollTop >= sourceMax - 1) {
+            targetElement.scrollTop = targetMax;
+        } else if (source === 'editor') {
+            this.output.scrollTop = this.getOutputOffset(this.editor.getTopLine());
+        } else {
+            this.editor.scrollToLine(this.getOutputLine(this.output.scrollTop));
+        }
+    }
+
+    /**
+     * Measure where source lines are in the output
+     *
+     * @returns {Array<Object>} Anchors {line, top}, ordered by both line and
+     *   top; top is in the output's scroll coordinates
+     */
+    getAnchors() {
+        const outputRect = this.output.getBoundingClientRect();
+        const origin = outputRect.top + this.output.clientTop - this.output.scrollTop;
+        const lineCount = this.editor.getLineOffsets().length - 1;
+
+        const anchors = [{ line: 0, top: 0 }];
+        this.output.querySelectorAll('[data-source-line]').forEach((element) => {
+            if (element.getClientRects().length === 0) return;
+
+            const rect = element.getBoundingClientRect();
+            anchors.push({ line: Number(element.dataset.sourceLine), top: rect.top - origin });
+            anchors.push({ line: Number(element.dataset.sourceLineEnd) + 1, top: rect.bottom - origin });
+        });
+        anchors.push({ line: lineCount, top: this.output.scrollHeight });
+
+        // Drop anchors that would make the mapping go backwards (e.g. floated
+        // or absolutely positioned content)
+        anchors.sort((a, b) => a.line - b.line || a.top - b.top);
+        let lowestTop = 0;
+        return anchors.filter((anchor) => {
+            if (anchor.top < lowestTop) return false;
+            lowestTop = anchor.top;
+            return true;
+        });
+    }
+
+    /**
+     * Find the output offset of a source line
+     * @param {number} line - 0-based line index, may be fractional
+     * @returns {number} Scroll offset in the output
+     */
+    getOutputOffset(line) {
+        const anchors = this.getAnchors();
+        let index = 0;
+        while (index < anchors.length - 1 && anchors[index + 1].line <= line) index++;
+
+        const from = anchors[index];
+        const to = anchors[index + 1];
+        if (!to || to.line === from.line) return from.top;
+        return from.top + (line - from.line) / (to.line - from.line) * (to.top - from.top);
+    }
+
+    /**
+     * Find the source line shown at an output offset
+     * @param {number} offset - Scroll offset in the output
+     * @returns {number} 0-based line index, may be fractional
+     */
+    getOutputLine(offset) {
+        const anchors = this.getAnchors();
+        let index = 0;
+        while (index < anchors.length - 1 && anchors[index + 1].top <= offset) index++;
+
+        const from = anchors[index];
+        const to = anchors[index + 1];
+        if (!to || to.top === from.top) return from.line;
+        return from.line + (offset - from.top) / (to.top - from.top) * (to.line - from.line);
+    }
+}
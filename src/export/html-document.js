@@ -0,0 +1,358 @@
+/**
+ * HTML Document Module
+ *
+ * This module builds the self-contained HTML document of an exported note:
+ * the export styles, the direction settings and the embedded stylesheets.
+ * It needs no browser and no bundler, so the app (see html-export.js) and
+ * the command-line tool (see src/cli) share it; each passes the stylesheets
+ * and the way their url() references are inlined.
+ *
+ * @module html-document
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+// Node types, without the browser's Node global
+const ELEMENT_NODE = 1;
+
+/**
+ * Styles for the exported document
+ * A trimmed copy of the #markdown-output rules in style.css, scoped to
+ * .markdown-body and without the app's interactive controls.
+ */
+export const EXPORT_STYLES = `
+:root {
+    --body-bg: #ffffff;
+    --body-color: #212529;
+    --border-color: #dee2e6;
+    --link-color: #0d6efd;
+    --code-wrapper-bg: #f6f8fa;
+    --code-header-bg: #e9ecef;
+    --code-header-color: #495057;
+    --code-border-color: rgba(0, 0, 0, 0.1);
+    --inline-code-bg: rgba(175, 184, 193, 0.2);
+    --inline-code-color: inherit;
+}
+
+html[data-theme="dark"] {
+    --body-bg: #212529;
+    --body-color: #dee2e6;
+    --border-color: #495057;
+    --link-color: #6ea8fe;
+    --code-wrapper-bg: #282c34;
+    --code-header-bg: rgba(0, 0, 0, 0.3);
+    --code-header-color: #abb2bf;
+    --code-border-color: rgba(255, 255, 255, 0.1);
+    --inline-code-bg: rgba(110, 118, 129, 0.4);
+    --inline-code-color: #c9d1d9;
+}
+
+*, *::before, *::after {
+    box-sizing: border-box;
+}
+
+body {
+    margin: 0;
+    background-color: var(--body-bg);
+    color: var(--body-color);
+    font-family: "Vazirmatn", "Poppins", sans-serif;
+    line-height: 1.6;
+}
+
+.markdown-body {
+    max-width: 56rem;
+    margin: 0 auto;
+    padding: 2rem 1.5rem;
+    word-wrap: break-word;
+}
+
+.markdown-body h1, .markdown-body h2, .markdown-body h3,
+.markdown-body h4, .markdown-body h5, .markdown-body h6 {
+    font-weight: 700;
+    margin: 1.5em 0 0.5em;
+}
+
+.markdown-body img {
+    max-width: 100%;
+}
+
+.markdown-body a {
+    color: var(--link-color);
+}
+
+.markdown-body[data-text-direction="ltr"] {
+    direction: ltr;
+    text-align: left;
+}
+
+.markdown-body[data-text-direction="rtl"] {
+    direction: rtl;
+    text-align: right;
+}
+
+.markdown-body[data-text-direction="auto"] {
+    text-align: start;
+}
+
+.markdown-body ul,
+.markdown-body ol {
+    padding-inline-start: 2rem;
+    padding-inline-end: 0;
+}
+
+.markdown-body blockquote {
+    margin-inline: 0;
+    padding-inline-start: 1rem;
+    border-inline-start: 0.25em solid var(--border-color);
+    opacity: 0.85;
+}
+
+.markdown-body code:not(pre code) {
+    padding: 0.2em 0.4em;
+    font-size: 85%;
+    white-space: break-spaces;
+    background-color: var(--inline-code-bg);
+    color: var(--inline-code-color);
+    border-radius: 6px;
+    unicode-bidi: embed;
+}
+
+.markdown-body code:not(pre code)[data-inline-code-direction="ltr"] {
+    direction: ltr;
+    text-align: left;
+}
+
+.markdown-body code:not(pre code)[data-inline-code-direction="rtl"] {
+    direction: rtl;
+    text-align: right;
+}
+
+.code-block-wrapper {
+    margin-bottom: 1rem;
+    background-color: var(--code-wrapper-bg);
+    border: 1px solid var(--code-border-color);
+    border-radius: 0.3rem;
+    overflow: hidden;
+}
+
+.code-block-wrapper[data-code-direction="ltr"] {
+    direction: ltr;
+}
+
+.code-block-wrapper[data-code-direction="rtl"] {
+    direction: rtl;
+}
+
+.code-block-wrapper[data-code-direction="ltr"] pre,
+.code-block-wrapper[data-code-direction="ltr"] code {
+    text-align: left;
+}
+
+.code-block-wrapper[data-code-direction="rtl"] pre,
+.code-block-wrapper[data-code-direction="rtl"] code {
+    text-align: right;
+}
+
+.code-block-header {
+    padding: 0.5rem 1rem;
+    background-color: var(--code-header-bg);
+    color: var(--code-header-color);
+    font-size: 0.85em;
+    border-bottom: 1px solid var(--code-border-color);
+}
+
+.code-block-header .language {
+    font-weight: bold;
+    text-transform: uppercase;
+}
+
+.markdown-body pre {
+    margin: 0 0 1rem;
+    overflow-x: auto;
+}
+
+.code-block-wrapper pre {
+    margin: 0;
+}
+
+.markdown-body pre code {
+    display: block;
+    padding: 1rem;
+    font-family: monospace;
+    line-height: 1.5;
+    white-space: pre;
+}
+
+.code-block-wrapper pre code.hljs {
+    background: transparent;
+}
+
+.markdown-body table {
+    width: 100%;
+    margin-bottom: 1rem;
+    border-collapse: collapse;
+}
+
+.markdown-body th,
+.markdown-body td {
+    border: 1px solid var(--border-color);
+    padding: 0.75rem;
+    vertical-align: top;
+}
+
+.markdown-body thead th {
+    background-color: var(--code-header-bg);
+}
+
+.markdown-body .katex,
+.markdown-body .katex-display {
+    direction: ltr;
+    unicode-bidi: embed;
+}
+
+.markdown-body .katex-display {
+    display: block;
+    text-align: center;
+}
+
+.markdown-body .diagram {
+    margin: 0 0 1rem;
+    text-align: center;
+    overflow-x: auto;
+}
+
+.markdown-body .diagram svg {
+    max-width: 100%;
+    height: auto;
+}
+
+.markdown-body .diagram-error {
+    padding: 0.75rem 1rem;
+    border: 1px solid #f1aeb5;
+    border-radius: 0.3rem;
+    background-color: #f8d7da;
+    color: #58151c;
+    text-align: start;
+}
+
+.markdown-body .diagram-error pre {
+    margin: 0.5rem 0 0;
+    white-space: pre-wrap;
+}
+`;
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Removes every font source except woff2 from @font-face rules
+ * Rules without a woff2 source are left unchanged.
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {string} Stylesheet with smaller src lists
+ */
+export function keepWoff2Sources(css) {
+    return css.replace(/src:\s*([^;}]+)/g, (declaration, sources) => {
+        const woff2 = sources
+            .split(/,(?![^(]*\))/)
+            .map(source => source.trim())
+            .filter(source => /woff2/i.test(source));
+        return woff2.length > 0 ? `src: ${woff2.join(', ')}` : declaration;
+    });
+}
+
+/**
+ * Builds a standalone HTML document for rendered content
+ *
+ * @param {Object} options - Export options
+ * @param {string} options.content - Rendered HTML
+ * @param {string} [options.title='Note'] - Document title
+ * @param {string} [options.theme='light'] - 'light' or 'dark'
+ * @param {string[]} [options.stylesheets=[]] - Stylesheets embedded first (e.g. fonts)
+ * @param {string[]} [options.mathStylesheets=[]] - Stylesheets embedded only when
+ *   the content contains math (KaTeX)
+ * @param {string} [options.highlightCss=''] - highlight.js theme stylesheet
+ * @param {string} [options.textDirection='ltr'] - 'ltr', 'rtl' or 'auto'
+ * @param {string} [options.inlineCodeDirection='ltr'] - Direction of inline code
+ * @param {string} [options.codeDirection='ltr'] - Direction of code blocks
+ * @param {string} [options.pageDirection] - Direction of the page itself; defaults to
+ *   textDirection, or none for 'auto'
+ * @param {string} [options.lang=''] - Language of the note (e.g. from its front matter)
+ * @param {string} [options.extraStyles=''] - Stylesheet added after the export styles
+ * @param {Function} [options.inlineUrls] - Replaces the url() references of a
+ *   stylesheet with data: URIs; may be async
+ * @param {Document} [options.ownerDocument] - Document used to parse the
+ *   content; defaults to the global document
+ * @returns {Promise<string>} Complete HTML document
+ */
+export async function buildHtmlDocument({
+    content,
+    title = 'Note',
+    theme = 'light',
+    stylesheets = [],
+    mathStylesheets = [],
+    highlightCss = '',
+    textDirection = 'ltr',
+    inlineCodeDirection = 'ltr',
+    codeDirection = 'ltr',
+    pageDirection = textDirection,
+    lang = '',
+    extraStyles = '',
+    inlineUrls = css => css,
+    ownerDocument = globalThis.document
+}) {
+    // Directions are applied through data attributes; set them on the copy
+    // too, in case the content was rendered before a setting changed
+    const template = ownerDocument.createElement('template');
+    template.innerHTML = content;
+    template.content.querySelectorAll('code:not(pre code)').forEach((code) => {
+        code.dataset.inlineCodeDirection = inlineCodeDirection;
+    });
+    template.content.querySelectorAll('.code-block-wrapper').forEach((wrapper) => {
+        wrapper.dataset.codeDirection = codeDirection;
+    });
+
+    const hasMath = !!template.content.querySelector('.katex');
+    const embedded = [
+        ...stylesheets,
+        ...(hasMath ? mathStylesheets : []),
+        highlightCss,
+        EXPORT_STYLES,
+        extraStyles
+    ].filter(Boolean);
+    const styles = await Promise.all(embedded.map(css => inlineUrls(keepWoff2Sources(css))));
+
+    const bodyHtml = Array.from(template.content.childNodes)
+        .map(node => node.nodeType === ELEMENT_NODE ? node.outerHTML : escapeHtml(node.textContent))
+        .join('');
+    const dirAttribute = pageDirection === 'auto' ? '' : ` dir="${pageDirection}"`;
+    const langAttribute = lang ? ` lang="${escapeHtml(lang)}"` : '';
+
+    return `<!DOCTYPE html>
+<html data-theme="${theme === 'dark' ? 'dark' : 'light'}"${dirAttribute}${langAttribute}>
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="NotesHubBidi">
+<title>${escapeHtml(title)}</title>
+${styles.map(css => `<style>\n${css}\n</style>`).join('\n')}
+</head>
+<body>
+<main class="markdown-body" data-text-direction="${textDirection}">
+${bodyHtml}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,150 @@
+/**
+ * HTML Export Module
+ *
+ * This module turns the rendered output of a note into a single,
+ * self-contained HTML file that looks like the preview and opens correctly
+ * offline. Everything the page needs is embedded:
+ *
+ * - KaTeX CSS and fonts (only when the note contains math)
+ * - The active highlight.js theme
+ * - Vazirmatn and Poppins (Vazirmatn covers Persian/Arabic and Latin,
+ *   Poppins is the fallback for scripts Vazirmatn lacks)
+ * - The text, inline code and code block direction settings
+ *
+ * Fonts referenced by url() are fetched and inlined as data: URIs. Only the
+ * woff2 sources are kept, since every browser that runs the app supports
+ * them and the other formats would triple the file size (see
+ * keepWoff2Sources in html-document.js, which builds the document).
+ *
+ * @module html-export
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import katexCss from 'katex/dist/katex.min.css?inline';
+import vazirmatn400Css from '@fontsource/vazirmatn/400.css?inline';
+import vazirmatn700Css from '@fontsource/vazirmatn/700.css?inline';
+import poppins400Css from '@fontsource/poppins/400.css?inline';
+import poppins700Css from '@fontsource/poppins/700.css?inline';
+import { buildHtmlDocument } from './html-document.js';
+
+/**
+ * Font stylesheets embedded in every export
+ */
+const FONT_STYLESHEETS = [vazirmatn400Css, vazirmatn700Css, poppins400Css, poppins700Css];
+
+// Data URIs of fetched assets, shared between exports
+const assetCache = new Map();
+
+/**
+ * Fetches an asset and returns it as a data: URI
+ *
+ * @param {string} url - Absolute asset URL
+ * @returns {Promise<string>} Data URI
+ */
+function fetchAsDataUri(url) {
+    if (!assetCache.has(url)) {
+        const request = fetch(url)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.blob();
+            })
+            .then(blob => new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            }));
+
+        // Do not cache failures, so a later export can retry
+        request.catch(() => assetCache.delete(url));
+        assetCache.set(url, request);
+    }
+    return assetCache.get(url);
+}
+
+/**
+ * Replaces every url() in a stylesheet with an inlined data: URI
+ * Assets that cannot be fetched keep their original URL.
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {Promise<string>} Stylesheet without external references
+ */
+export async function inlineStylesheetUrls(css) {
+    const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+    const urls = new Set();
+    for (const match of css.matchAll(urlPattern)) {
+        if (!match[2].startsWith('data:')) urls.add(match[2]);
+    }
+
+    const dataUris = new Map();
+    await Promise.all([...urls].map(async (url) => {
+        try {
+            dataUris.set(url, await fetchAsDataUri(new URL(url, document.baseURI).href));
+        } catch (error) {
+            console.warn(`Could not embed ${url} in the exported file:`, error);
+        }
+    }));
+
+    return css.replace(urlPattern, (match, quote, url) => dataUris.has(url)
+        ? `url("${dataUris.get(url)}")`
+        : match);
+}
+
+/**
+ * Copies the rendered output without the app's interactive controls
+ * Collapsed code blocks are expanded, since the export has no toggle, and
+ * the source line attributes used for scroll sync are dropped.
+ *
+ * @param {HTMLElement} outputElement - The rendered output container
+ * @returns {string} HTML of the cleaned copy
+ */
+export function getExportableContent(outputElement) {
+    const copy = outputElement.cloneNode(true);
+
+    copy.querySelectorAll('.copy-code-button, .diagram-source-button, .collapse-icon').forEach(element => element.remove());
+    copy.querySelectorAll('.code-block-wrapper.collapsed').forEach(wrapper => wrapper.classList.remove('collapsed'));
+    copy.querySelectorAll('.code-block-wrapper pre').forEach(pre => pre.style.removeProperty('height'));
+    copy.querySelectorAll('[data-source-line]').forEach((element) => {
+        element.removeAttribute('data-source-line');
+        element.removeAttribute('data-source-line-end');
+    });
+
+    return copy.innerHTML;
+}
+
+/**
+ * Builds a standalone HTML document for a rendered note
+ *
+ * @param {Object} options - Export options
+ * @param {string} options.content - Rendered HTML (see getExportableContent)
+ * @param {string} [options.title='Note'] - Document title
+ * @param {string} [options.theme='light'] - 'light' or 'dark'
+ * @param {string} [options.highlightCss=''] - highlight.js theme stylesheet
+ * @param {string} [options.textDirection='ltr'] - 'ltr', 'rtl' or 'auto'
+ * @param {string} [options.inlineCodeDirection='ltr'] - Direction of inline code
+ * @param {string} [options.codeDirection='ltr'] - Direction of code blocks
+ * @param {string} [options.pageDirection] - Direction of the page itself; defaults to
+ *   textDirection, or none for 'auto' (the print view passes the detected direction)
+ * @param {string} [options.lang=''] - Language of the note (e.g. from its front matter)
+ * @param {string} [options.extraStyles=''] - Stylesheet added after the export styles
+ *   (used by the print view)
+ * @returns {Promise<string>} Complete HTML document
+ *
+ * @example
+ * const html = await buildStandaloneHtml({
+ *     content: getExportableContent(markdownOutput),
+ *     title: 'یادداشت',
+ *     textDirection: 'rtl'
+ * });
+ */
+export function buildStandaloneHtml(options) {
+    return buildHtmlDocument({
+        ...options,
+        stylesheets: FONT_STYLESHEETS,
+        mathStylesheets: [katexCss],
+        inlineUrls: inlineStylesheetUrls
+    });
+}
@@ -0,0 +1,202 @@
+/**
+ * Print Export Module
+ *
+ * This module prepares a note for printing or saving as PDF. The note is
+ * laid out in its own document (shown in a preview frame) instead of the
+ * split-pane app, with paged-media rules:
+ *
+ * - Page size and orientation options
+ * - A header with the note title and page numbers in the footer
+ * - Code blocks, tables, display math and images are not split across pages
+ * - Mirrored margins for double-sided printing; in RTL documents the page
+ *   progression is reversed, so the binding edge and the page numbers move
+ *   to the other side
+ *
+ * The document itself is built by buildStandaloneHtml() in html-export.js,
+ * so the printed note uses the same fonts and direction rules as the export.
+ *
+ * @module print-export
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+/**
+ * Supported page sizes, keyed by the value stored in settings
+ */
+export const PAGE_SIZES = {
+    a4: { label: 'A4', size: 'A4' },
+    a5: { label: 'A5', size: 'A5' },
+    letter: { label: 'Letter', size: 'letter' },
+    legal: { label: 'Legal', size: 'legal' }
+};
+
+// Page margins; the inner margin is on the binding edge
+const PAGE_MARGINS = {
+    top: '20mm',
+    bottom: '20mm',
+    inner: '25mm',
+    outer: '15mm'
+};
+
+/**
+ * Quotes text for use as a CSS string
+ *
+ * @param {string} text - Raw text
+ * @returns {string} CSS string literal
+ */
+function toCssString(text) {
+    return `"${String(text).replace(/[\\"]/g, '\\$&').replace(/[\r\n]+/g, ' ')}"`;
+}
+
+/**
+ * Builds the paged-media stylesheet for the print view
+ *
+ * Left and right pages get mirrored margins. Browsers decide which pages are
+ * left pages from the root element's direction (the first page of an RTL
+ * document is a left page), so the same rules put the binding edge on the
+ * right and number pages from the other side in RTL documents.
+ *
+ * @param {Object} options - Print options
+ * @param {string} [options.pageSize='a4'] - Key of PAGE_SIZES
+ * @param {string} [options.orientation='portrait'] - 'portrait' or 'landscape'
+ * @param {string} [options.title=''] - Title shown in the page header
+ * @param {boolean} [options.headerFooter=true] - Show the title and page numbers
+ * @returns {string} Stylesheet text
+ */
+export function buildPrintStyles({
+    pageSize = 'a4',
+    orientation = 'portrait',
+    title = '',
+    headerFooter = true
+} = {}) {
+    const size = (PAGE_SIZES[pageSize] || PAGE_SIZES.a4).size;
+    const marginBoxStyle = 'font-family: "Vazirmatn", "Poppins", sans-serif; font-size: 9pt; color: #6c757d;';
+
+    const header = headerFooter && title
+        ? `@top-center { content: ${toCssString(title)}; ${marginBoxStyle} }`
+        : '';
+    const pageNumber = (side) => headerFooter
+        ? `@bottom-${side} { content: counter(page); ${marginBoxStyle} }`
+        : '';
+
+    return `
+@page {
+    size: ${size} ${orientation === 'landscape' ? 'landscape' : 'portrait'};
+    margin: ${PAGE_MARGINS.top} ${PAGE_MARGINS.outer} ${PAGE_MARGINS.bottom} ${PAGE_MARGINS.inner};
+    ${header}
+}
+
+@page :left {
+    margin-left: ${PAGE_MARGINS.outer};
+    margin-right: ${PAGE_MARGINS.inner};
+    ${pageNumber('left')}
+}
+
+@page :right {
+    margin-left: ${PAGE_MARGINS.inner};
+    margin-right: ${PAGE_MARGINS.outer};
+    ${pageNumber('right')}
+}
+
+@media print {
+    html, body {
+        background: #ffffff;
+        color: #000000;
+    }
+
+    body {
+        font-size: 11pt;
+    }
+
+    .markdown-body {
+        max-width: none;
+        padding: 0;
+    }
+
+    .code-block-wrapper,
+    .markdown-body pre,
+    .markdown-body table,
+    .markdown-body .katex-display,
+    .markdown-body img,
+    .markdown-body blockquote {
+        break-inside: avoid;
+    }
+
+    .markdown-body h1, .markdown-body h2, .markdown-body h3,
+    .markdown-body h4, .markdown-body h5, .markdown-body h6 {
+        break-after: avoid;
+    }
+
+    .markdown-body thead {
+        display: table-header-group;
+    }
+
+    .markdown-body p {
+        orphans: 3;
+        widows: 3;
+    }
+
+    /* Wrap long lines instead of cutting them off at the page edge */
+    .markdown-body pre,
+    .markdown-body pre code {
+        overflow: visible;
+        white-space: pre-wrap;
+        word-break: break-word;
+    }
+
+    .markdown-body a {
+        color: inherit;
+    }
+}
+`;
+}
+
+/**
+ * Wraps rendered code blocks in the same structure as the preview, with a
+ * language label but without the copy and collapse controls
+ *
+ * @param {HTMLElement} root - Element containing rendered markdown
+ * @param {string} codeDirection - 'ltr' or 'rtl'
+ */
+export function wrapCodeBlocks(root, codeDirection) {
+    root.querySelectorAll('pre').forEach((preElement) => {
+        const codeElement = preElement.querySelector('code');
+        if (!codeElement || preElement.parentElement.classList.contains('code-block-wrapper')) return;
+        // Drawn diagrams print without their hidden source
+        if (preElement.hidden) return;
+
+        const langClass = Array.from(codeElement.classList).find(cls => cls.startsWith('language-'));
+        codeElement.classList.add('hljs');
+
+        const wrapper = root.ownerDocument.createElement('div');
+        wrapper.className = 'code-block-wrapper';
+        wrapper.dataset.codeDirection = codeDirection;
+
+        const header = root.ownerDocument.createElement('div');
+        header.className = 'code-block-header';
+        const language = root.ownerDocument.createElement('span');
+        language.className = 'language';
+        language.textContent = langClass ? langClass.replace('language-', '') : 'plaintext';
+        header.appendChild(language);
+
+        preElement.parentNode.insertBefore(wrapper, preElement);
+        wrapper.append(header, preElement);
+    });
+}
+
+/**
+ * Prints the document shown in a print preview frame
+ * Waits for the embedded fonts so the first pages are not printed with
+ * fallback fonts.
+ *
+ * @param {HTMLIFrameElement} frame - Frame containing the print document
+ * @returns {Promise} Resolves once the print dialog was opened
+ */
+export async function printFrame(frame) {
+    const frameWindow = frame.contentWindow;
+    if (frameWindow.document.fonts) {
+        await frameWindow.document.fonts.ready;
+    }
+    frameWindow.focus();
+    frameWindow.print();
+}
@@ -0,0 +1,199 @@
+/**
+ * Workspace Archive Module
+ *
+ * This module packs the whole workspace into a .zip file for backups or for
+ * moving notes to another browser, and reads such archives back.
+ *
+ * Archive layout:
+ *
+ *     manifest.json            Format marker, note metadata and settings
+ *     notes/<folder>/<name>.md One Markdown file per note
+ *
+ * The manifest lists every note with its metadata (id, name, folder, tags
+ * and its GitHub sync state) together with the path of its Markdown file.
+ * Import restores only those fields, checked one by one, since an archive
+ * can come from anyone:
+ *
+ * - `trusted` is never restored: a note only becomes trusted (rendered
+ *   without sanitization) through the trust button
+ * - `disk` is dropped: file handles belong to the browser that opened them
+ * - `github` ({path, sha, base}) is kept, so notes moved to another browser
+ *   still push to their repository paths and merge against their last sync
+ *
+ * Archives without a manifest, e.g. a zipped folder of Markdown files, can
+ * be imported too; each .md, .markdown or .txt file becomes a note.
+ *
+ * @module workspace-archive
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { createZip, readZip } from './zip.js';
+
+export const WORKSPACE_FORMAT = 'noteshub-workspace';
+const WORKSPACE_VERSION = 1;
+
+const MANIFEST_NAME = 'manifest.json';
+const NOTES_FOLDER = 'notes';
+
+// Extensions imported as notes from archives without a manifest
+const NOTE_EXTENSION_PATTERN = /\.(md|markdown|txt)$/i;
+
+/**
+ * Note fields written to the manifest and restored from it
+ */
+const NOTE_FIELDS = ['id', 'name', 'folder', 'tags', 'github'];
+
+/**
+ * Picks the metadata an archive may restore, dropping fields of the wrong type
+ *
+ * @param {Object} metadata - Note entry of the manifest
+ * @returns {Object} {id?, name?, folder?, tags?, github?}
+ */
+function getNoteMetadata(metadata) {
+    const note = {};
+    const { id, name, folder, tags, github } = metadata;
+
+    if (Number.isInteger(id)) note.id = id;
+    if (typeof name === 'string') note.name = name;
+    if (typeof folder === 'string') note.folder = folder;
+    if (Array.isArray(tags)) note.tags = tags.filter(tag => typeof tag === 'string');
+    if (github && typeof github === 'object' && typeof github.path === 'string') {
+        note.github = { path: github.path };
+        if (typeof github.sha === 'string') note.github.sha = github.sha;
+        if (typeof github.base === 'string') note.github.base = github.base;
+    }
+    return note;
+}
+
+/**
+ * Replaces characters that are not allowed in file names
+ *
+ * @param {string} segment - One path segment
+ * @returns {string} Safe segment
+ */
+function toSafeSegment(segment) {
+    return segment.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'note';
+}
+
+/**
+ * Builds a unique archive path for a note
+ *
+ * @param {Object} file - File object {name, folder?}
+ * @param {Set<string>} usedPaths - Lowercased paths already in the archive
+ * @returns {string} Path such as 'notes/ideas/2025.md'
+ */
+function getNotePath(file, usedPaths) {
+    const folder = (file.folder || '').split('/').filter(Boolean).map(toSafeSegment);
+    const baseName = toSafeSegment(file.name || 'note').replace(NOTE_EXTENSION_PATTERN, '');
+    const prefix = [NOTES_FOLDER, ...folder].join('/');
+
+    let path = `${prefix}/${baseName}.md`;
+    for (let counter = 2; usedPaths.has(path.toLowerCase()); counter++) {
+        path = `${prefix}/${baseName} (${counter}).md`;
+    }
+    usedPaths.add(path.toLowerCase());
+    return path;
+}
+
+/**
+ * Packs the workspace into a zip archive
+ *
+ * @param {Object} files - Files object {id: file}
+ * @param {Object} [options] - Export options
+ * @param {number|null} [options.activeFileId=null] - Active file, reopened after import
+ * @param {Object} [options.settings={}] - Renderer settings {localStorage key: value}
+ * @returns {Promise<Blob>} The archive
+ */
+export async function exportWorkspace(files, { activeFileId = null, settings = {} } = {}) {
+    const usedPaths = new Set();
+    const entries = [];
+    const notes = [];
+
+    Object.values(files).forEach((file) => {
+        const path = getNotePath(file, usedPaths);
+        entries.push({ name: path, content: file.content || '' });
+
+        const metadata = {};
+        NOTE_FIELDS.forEach((field) => {
+            if (file[field] !== undefined) metadata[field] = file[field];
+        });
+        notes.push({ ...metadata, path });
+    });
+
+    const manifest = {
+        format: WORKSPACE_FORMAT,
+        version: WORKSPACE_VERSION,
+        exportedAt: new Date().toISOString(),
+        activeFileId,
+        settings,
+        notes
+    };
+
+    return createZip([
+        { name: MANIFEST_NAME, content: JSON.stringify(manifest, null, 2) },
+        ...entries
+    ]);
+}
+
+/**
+ * Reads a workspace archive
+ *
+ * @param {Blob} archive - The .zip file
+ * @returns {Promise<Object>} {notes, activeFileId, settings}, where notes are
+ *   file objects with content and the metadata listed in NOTE_FIELDS; notes
+ *   from archives without a manifest have no id
+ * @throws {Error} If the archive cannot be read or contains no notes
+ */
+export async function importWorkspace(archive) {
+    // Keep a leading byte order mark, as the note had it
+    const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+    const entries = await readZip(archive);
+    const contents = new Map(entries.map(entry => [entry.name, decoder.decode(entry.data)]));
+
+    if (contents.has(MANIFEST_NAME)) {
+        let manifest;
+        try {
+            manifest = JSON.parse(contents.get(MANIFEST_NAME));
+        } catch (error) {
+            throw new Error('The workspace manifest is not valid JSON.');
+        }
+        if (manifest.format !== WORKSPACE_FORMAT || !Array.isArray(manifest.notes)) {
+            throw new Error('This archive is not a NotesHubBidi workspace.');
+        }
+        if (manifest.version > WORKSPACE_VERSION) {
+            throw new Error('This workspace was exported by a newer version of the app.');
+        }
+
+        const notes = manifest.notes.map((entry) => {
+            const { path } = entry || {};
+            if (!contents.has(path)) {
+                throw new Error(`The archive is missing "${path}".`);
+            }
+            return { ...getNoteMetadata(entry), content: contents.get(path) };
+        });
+
+        return {
+            notes,
+            activeFileId: manifest.activeFileId || null,
+            settings: manifest.settings && typeof manifest.settings === 'object' ? manifest.settings : {}
+        };
+    }
+
+    // A plain archive of Markdown files
+    const notes = entries
+        .filter(entry => NOTE_EXTENSION_PATTERN.test(entry.name) && !entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+        .map((entry) => {
+            const segments = entry.name.split('/');
+            const name = segments.pop().replace(NOTE_EXTENSION_PATTERN, '');
+            const note = { name, content: contents.get(entry.name) };
+            if (segments.length > 0) note.folder = segments.join('/');
+            return note;
+        });
+
+    if (notes.length === 0) {
+        throw new Error('The archive contains no Markdown files.');
+    }
+
+    return { notes, activeFileId: null, settings: {} };
+}
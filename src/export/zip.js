@@ -0,0 +1,234 @@
+/**
+ * Zip Archive Module
+ *
+ * A small reader and writer for .zip archives, enough for workspace backups:
+ * - Writes UTF-8 file names and deflates entries with the browser's
+ *   CompressionStream (entries are stored uncompressed where it is missing)
+ * - Reads stored and deflated entries, including archives created by other
+ *   tools such as the operating system's "Compress" command
+ *
+ * Zip64 archives, encryption and multi-disk archives are not supported.
+ *
+ * @module zip
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of data
+ *
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream
+ *
+ * @param {Uint8Array} data - Input bytes
+ * @param {TransformStream} stream - The (de)compression stream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transform(data, stream) {
+    const output = new Blob([data]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ *
+ * @param {Date} date - Modification date
+ * @returns {Object} {time, date}
+ */
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Creates a zip archive
+ *
+ * @param {Array<Object>} entries - Files {name, content}, where content is a
+ *   string (stored as UTF-8) or a Uint8Array
+ * @returns {Promise<Blob>} The archive
+ *
+ * @example
+ * const blob = await createZip([{ name: 'notes/a.md', content: '# A' }]);
+ */
+export async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const { time, date } = toDosDateTime(new Date());
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+        let compressed = data;
+        let method = METHOD_STORED;
+        if (canDeflate && data.length > 0) {
+            const deflated = await transform(data, new CompressionStream('deflate-raw'));
+            if (deflated.length < data.length) {
+                compressed = deflated;
+                method = METHOD_DEFLATE;
+            }
+        }
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, LOCAL_FILE_HEADER, true);
+        header.setUint16(4, 20, true);                 // Version needed to extract
+        header.setUint16(6, FLAG_UTF8, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, compressed.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);                 // Extra field length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+        central.setUint16(4, 20, true);                // Version made by
+        central.setUint16(6, 20, true);                // Version needed to extract
+        central.setUint16(8, FLAG_UTF8, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, compressed.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);           // Offset of the local header
+
+        parts.push(header, name, compressed);
+        centralDirectory.push(central, name);
+        offset += 30 + name.length + compressed.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Reads the entries of a zip archive
+ * Directory entries are skipped.
+ *
+ * @param {Blob|ArrayBuffer} archive - The archive
+ * @returns {Promise<Array<Object>>} Entries {name, data}, where data is a Uint8Array
+ * @throws {Error} If the archive is invalid or uses unsupported features
+ *
+ * @example
+ * const entries = await readZip(file);
+ * const text = new TextDecoder().decode(entries[0].data);
+ */
+export async function readZip(archive) {
+    const buffer = archive instanceof Blob ? await archive.arrayBuffer() : archive;
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record is followed by a comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('This file is not a zip archive.');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported.');
+    }
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('The zip archive is damaged.');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x0001) {
+            throw new Error(`"${name}" is encrypted.`);
+        }
+
+        // The local header may have a different extra field than the central one
+        const dataStart = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+        const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === METHOD_STORED) {
+            data = compressed.slice();
+        } else if (method === METHOD_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read compressed zip archives.');
+            }
+            data = await transform(compressed, new DecompressionStream('deflate-raw'));
+        } else {
+            throw new Error(`"${name}" uses an unsupported compression method.`);
+        }
+
+        entries.push({ name, data });
+    }
+
+    return entries;
+}
@@ -7,6 +7,9 @@
  * Features:
  * - GitHub OAuth authentication
  * - File operations (create, update, delete) in a specified repository
+ * - Recursive listing of nested folders through the git trees API
+ * - Three-way merging against the last synced version of each file
+ * - Atomic multi-file commits through the git data API
  * - Error handling and user feedback
  * - Local storage caching for offline access
  *
@@ -15,33 +18,90 @@
  * @version 1.0.0
  */
 
+import { mergeThreeWay } from './merge.js';
+
+/**
+ * Number of bytes converted per String.fromCharCode call when encoding
+ * Keeps argument lists well below engine limits for large files
+ */
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Encodes a string as UTF-8 and then as base64
+ * Works for any Unicode text (Persian/Arabic, emoji, BOMs) and large files
+ * 
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 encoded UTF-8 bytes
+ * 
+ * @example
+ * encodeBase64Utf8('سلام 👋'); // '2LPZhNin2YUg8J+Riw=='
+ */
+export function encodeBase64Utf8(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 encoded UTF-8 bytes back into a string
+ * Whitespace (GitHub wraps base64 content every 60 characters) is ignored,
+ * and a leading byte order mark is kept so files round-trip byte for byte.
+ * 
+ * @param {string} base64 - Base64 encoded UTF-8 bytes
+ * @returns {string} Decoded text
+ * 
+ * @example
+ * decodeBase64Utf8('2LPZhNin2YUg8J+Riw=='); // 'سلام 👋'
+ */
+export function decodeBase64Utf8(base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes);
+}
+
 /**
  * GitHub API utility class for managing GitHub operations
  */
 export class GitHubAPI {
-    constructor() {
+    /**
+     * @param {Storage} [storage=localStorage] - Where the token and repository
+     *   are kept; anything with getItem, setItem and removeItem (the
+     *   command-line tool passes an in-memory store)
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
         this.token = this.getToken();
-        this.repoOwner = localStorage.getItem('githubRepoOwner') || '';
-        this.repoName = localStorage.getItem('githubRepoName') || '';
-        this.branch = localStorage.getItem('githubBranch') || 'main';
+        this.repoOwner = this.storage.getItem('githubRepoOwner') || '';
+        this.repoName = this.storage.getItem('githubRepoName') || '';
+        this.branch = this.storage.getItem('githubBranch') || 'main';
         this.apiBase = 'https://api.github.com';
     }
 
     /**
-     * Get stored GitHub token from localStorage
+     * Get the stored GitHub token
      * @returns {string|null} GitHub token or null if not available
      */
     getToken() {
-        return localStorage.getItem('githubToken') || null;
+        return this.storage.getItem('githubToken') || null;
     }
 
     /**
-     * Set GitHub token and save to localStorage
+     * Set GitHub token and save it to the storage
      * @param {string} token - GitHub personal access token
      */
     setToken(token) {
         this.token = token;
-        localStorage.setItem('githubToken', token);
+        this.storage.setItem('githubToken', token);
     }
 
     /**
@@ -49,7 +109,7 @@ export class GitHubAPI {
      */
     clearToken() {
         this.token = null;
-        localStorage.removeItem('githubToken');
+        this.storage.removeItem('githubToken');
     }
 
     /**
@@ -63,9 +123,9 @@ export class GitHubAPI {
         this.repoName = name;
         this.branch = branch;
         
-        localStorage.setItem('githubRepoOwner', owner);
-        localStorage.setItem('githubRepoName', name);
-        localStorage.setItem('githubBranch', branch);
+        this.storage.setItem('githubRepoOwner', owner);
+        this.storage.setItem('githubRepoName', name);
+        this.storage.setItem('githubBranch', branch);
     }
 
     /**
@@ -118,7 +178,9 @@ export class GitHubAPI {
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+                const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
 
             return data;
@@ -128,6 +190,16 @@ export class GitHubAPI {
         }
     }
 
+    /**
+     * Encode a repository path for use in an API URL
+     * Each segment is encoded separately so folder separators are kept
+     * @param {string} path - Repository path, e.g. 'notes/2025/یادداشت.md'
+     * @returns {string} URL-safe path
+     */
+    encodePath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
     /**
      * Get repository information to verify access
      * @returns {Promise} Promise resolving to repository information
@@ -151,7 +223,7 @@ export class GitHubAPI {
             throw new Error('Repository not configured. Please set repository owner and name.');
         }
 
-        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${path}?ref=${this.branch}`;
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${this.encodePath(path)}?ref=${this.branch}`;
         return await this.makeRequest(endpoint, 'GET');
     }
 
@@ -165,14 +237,25 @@ export class GitHubAPI {
             throw new Error('Repository not configured. Please set repository owner and name.');
         }
 
-        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${path}?ref=${this.branch}`;
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${this.encodePath(path)}?ref=${this.branch}`;
         const data = await this.makeRequest(endpoint, 'GET');
 
-        if (data.content) {
-            // GitHub API returns content as base64 encoded string
-            const content = atob(data.content);
+        if (data.type && data.type !== 'file') {
+            throw new Error('Invalid response format');
+        }
+
+        // Files between 1 MB and 100 MB come back without inline content;
+        // fetch those through the git blobs API instead
+        let base64Content = data.content;
+        if (data.encoding === 'none' || (!base64Content && data.size > 0)) {
+            const blob = await this.readBlob(data.sha);
+            base64Content = blob.content;
+        }
+
+        if (typeof base64Content === 'string') {
+            // GitHub API returns content as base64 encoded UTF-8 bytes
             return {
-                content: content,
+                content: decodeBase64Utf8(base64Content),
                 sha: data.sha,
                 path: data.path
             };
@@ -181,6 +264,21 @@ export class GitHubAPI {
         throw new Error('Invalid response format');
     }
 
+    /**
+     * Read a git blob from the repository
+     * Used for files too large to be returned by the contents API
+     * @param {string} sha - SHA of the blob
+     * @returns {Promise} Promise resolving to the blob ({content, encoding, sha, size})
+     */
+    async readBlob(sha) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/blobs/${sha}`;
+        return await this.makeRequest(endpoint, 'GET');
+    }
+
     /**
      * Write a file to the repository
      * @param {string} path - File path in the repository
@@ -194,11 +292,11 @@ export class GitHubAPI {
             throw new Error('Repository not configured. Please set repository owner and name.');
         }
 
-        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${path}`;
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${this.encodePath(path)}`;
         
         const body = {
             message: message,
-            content: btoa(unescape(encodeURIComponent(content))), // Encode content as base64
+            content: encodeBase64Utf8(content), // Encode content as base64 UTF-8
             branch: this.branch
         };
 
@@ -221,7 +319,7 @@ export class GitHubAPI {
             throw new Error('Repository not configured. Please set repository owner and name.');
         }
 
-        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${path}`;
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/${this.encodePath(path)}`;
         
         const body = {
             message: message,
@@ -233,96 +331,603 @@ export class GitHubAPI {
     }
 
     /**
-     * Get all markdown files from the repository
+     * Get the branch reference
+     * @returns {Promise} Promise resolving to the ref ({ref, object: {sha}})
+     */
+    async getBranchRef() {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/ref/heads/${this.encodePath(this.branch)}`;
+        return await this.makeRequest(endpoint, 'GET');
+    }
+
+    /**
+     * Move the branch reference to a new commit
+     * Never forced, so GitHub rejects the update if the branch moved meanwhile
+     * @param {string} sha - SHA of the new head commit
+     * @returns {Promise} Promise resolving to the updated ref
+     */
+    async updateBranchRef(sha) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/refs/heads/${this.encodePath(this.branch)}`;
+        return await this.makeRequest(endpoint, 'PATCH', { sha, force: false });
+    }
+
+    /**
+     * Create the branch reference, for the first commit of an empty repository
+     * @param {string} sha - SHA of the commit the branch points to
+     * @returns {Promise} Promise resolving to the created ref
+     */
+    async createBranchRef(sha) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/refs`;
+        return await this.makeRequest(endpoint, 'POST', { ref: `refs/heads/${this.branch}`, sha });
+    }
+
+    /**
+     * Create a git blob from text content
+     * @param {string} content - File content
+     * @returns {Promise} Promise resolving to the blob ({sha, url})
+     */
+    async createBlob(content) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/blobs`;
+        return await this.makeRequest(endpoint, 'POST', {
+            content: encodeBase64Utf8(content),
+            encoding: 'base64'
+        });
+    }
+
+    /**
+     * Create a git tree on top of an existing tree
+     * @param {string|null} baseTree - SHA of the tree to start from, or null
+     *   for a tree holding only the entries
+     * @param {Array} entries - Tree entries ({path, mode, type, sha})
+     * @returns {Promise} Promise resolving to the tree ({sha, tree})
+     */
+    async createTree(baseTree, entries) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/trees`;
+        const body = { tree: entries };
+        if (baseTree) {
+            body.base_tree = baseTree;
+        }
+        return await this.makeRequest(endpoint, 'POST', body);
+    }
+
+    /**
+     * Create a git commit object
+     * @param {string} message - Commit message
+     * @param {string} tree - SHA of the commit's tree
+     * @param {string[]} parents - SHAs of the parent commits
+     * @returns {Promise} Promise resolving to the commit ({sha, tree, parents})
+     */
+    async createCommit(message, tree, parents) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/commits`;
+        return await this.makeRequest(endpoint, 'POST', { message, tree, parents });
+    }
+
+    /**
+     * Commit several files to the branch as a single commit
+     *
+     * Uses the git data API: one blob per file, a tree on top of the current
+     * head's tree, a commit, and finally a fast-forward of the branch ref.
+     * Blobs, trees and commits are unreachable until the last step, so if
+     * anything fails the branch is left exactly as it was.
+     *
+     * In an empty repository the tree holds only the files, the commit has no
+     * parents, and the last step creates the branch instead.
+     *
+     * @param {Array} changes - Files to write ({path, content})
+     * @param {string} message - Commit message
+     * @returns {Promise} Promise resolving to {commit, files: [{path, sha}]},
+     *   where sha is the blob SHA of each written file
+     */
+    async commitFiles(changes, message) {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        if (changes.length === 0) {
+            throw new Error('No files to commit.');
+        }
+
+        let headSha = null;
+        try {
+            const ref = await this.getBranchRef();
+            headSha = ref.object.sha;
+        } catch (error) {
+            // 409: the repository is empty
+            if (error.status !== 409) throw error;
+        }
+
+        let baseTree = null;
+        if (headSha) {
+            const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/commits/${headSha}`;
+            const head = await this.makeRequest(endpoint, 'GET');
+            baseTree = head.tree.sha;
+        }
+
+        const files = [];
+        for (const change of changes) {
+            const blob = await this.createBlob(change.content);
+            files.push({ path: change.path, sha: blob.sha });
+        }
+
+        const tree = await this.createTree(baseTree, files.map(file => ({
+            path: file.path,
+            mode: '100644',
+            type: 'blob',
+            sha: file.sha
+        })));
+
+        const commit = await this.createCommit(message, tree.sha, headSha ? [headSha] : []);
+
+        try {
+            if (headSha) {
+                await this.updateBranchRef(commit.sha);
+            } else {
+                await this.createBranchRef(commit.sha);
+            }
+        } catch (error) {
+            if (error.status === 422) {
+                const moved = new Error('The branch changed on GitHub during the commit. Nothing was pushed; please sync again.');
+                moved.status = error.status;
+                throw moved;
+            }
+            throw error;
+        }
+
+        return { commit, files };
+    }
+
+    /**
+     * Get the full file tree of the branch in a single request
+     * @returns {Promise} Promise resolving to {tree: [{path, type, sha, size}], truncated}
+     */
+    async getTree() {
+        if (!this.isRepositoryConfigured()) {
+            throw new Error('Repository not configured. Please set repository owner and name.');
+        }
+
+        const endpoint = `/repos/${this.repoOwner}/${this.repoName}/git/trees/${encodeURIComponent(this.branch)}?recursive=1`;
+        return await this.makeRequest(endpoint, 'GET');
+    }
+
+    /**
+     * List every file below a directory by walking it with the contents API
+     * Fallback for trees too large for a single recursive trees request
+     * @param {string} [path=''] - Directory path to start from
+     * @returns {Promise} Promise resolving to array of file entries
+     */
+    async listFilesRecursive(path = '') {
+        const entries = await this.listFiles(path);
+        const files = [];
+
+        for (const entry of entries) {
+            if (entry.type === 'dir') {
+                files.push(...await this.listFilesRecursive(entry.path));
+            } else if (entry.type === 'file') {
+                files.push(entry);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Get all markdown files from the repository, including nested folders
      * @returns {Promise} Promise resolving to array of markdown file objects
+     *   ({name, path, sha, size, type})
      */
     async getMarkdownFiles() {
-        const files = await this.listFiles('');
+        const { tree, truncated } = await this.getTree();
+
+        const files = truncated
+            ? await this.listFilesRecursive('')
+            : tree
+                .filter(entry => entry.type === 'blob')
+                .map(entry => ({
+                    name: entry.path.split('/').pop(),
+                    path: entry.path,
+                    sha: entry.sha,
+                    size: entry.size,
+                    type: 'file'
+                }));
+
         return files.filter(file => file.type === 'file' && file.name.endsWith('.md'));
     }
 }
 
 /**
  * GitHub Synchronization Manager
+ *
+ * Each synced local file remembers where it lives in the repository and what
+ * it looked like at the last sync:
+ *
+ *   file.github = { path, sha, base }
+ *
+ * - path: repository path of the file
+ * - sha: blob SHA of the remote file at the last sync
+ * - base: content at the last sync (the common ancestor for merging)
+ *
+ * When both the local and the remote content changed since the last sync,
+ * they are merged three-way against `base`. Clean merges are applied
+ * automatically; conflicting hunks are returned for the user to resolve.
  */
 export class GitHubSyncManager {
     constructor(githubAPI) {
         this.githubAPI = githubAPI;
     }
 
+    /**
+     * Get the repository path of a local file
+     * Synced files keep their original path; new files go into their folder
+     * @param {Object} file - Local file object
+     * @returns {string} Repository path
+     */
+    getFilePath(file) {
+        if (file.github && file.github.path) {
+            return file.github.path;
+        }
+
+        const fileName = this.sanitizeFileName(file.name) + '.md';
+        return file.folder ? `${file.folder}/${fileName}` : fileName;
+    }
+
+    /**
+     * Split a repository path into a local folder and note name
+     * @param {string} path - Repository path, e.g. 'notes/2025/ideas.md'
+     * @returns {{folder: string, name: string}} e.g. {folder: 'notes/2025', name: 'ideas'}
+     */
+    splitFilePath(path) {
+        const segments = path.split('/');
+        const name = segments.pop().replace(/\.md$/, '');
+        return { folder: segments.join('/'), name };
+    }
+
+    /**
+     * Read a file from the repository, returning null if it does not exist
+     * @param {string} path - File path in the repository
+     * @returns {Promise} Promise resolving to {content, sha, path} or null
+     */
+    async readRemoteFile(path) {
+        try {
+            return await this.githubAPI.readFile(path);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Record the synced state of a local file
+     * @param {Object} file - Local file object (updated in place)
+     * @param {string} path - Repository path
+     * @param {string} sha - Blob SHA of the remote file
+     * @param {string} content - Content that is now both local and remote
+     */
+    markSynced(file, path, sha, content) {
+        file.github = { path, sha, base: content };
+    }
+
+    /**
+     * Replace the content of a local file with content from GitHub
+     * Content that differs from the local version was written elsewhere,
+     * so a trusted note loses its trust and has to be trusted again.
+     * @param {Object} file - Local file object (updated in place)
+     * @param {string} content - Remote, merged or resolved content
+     */
+    applyContent(file, content) {
+        if (file.content === content) {
+            return;
+        }
+        file.content = content;
+        delete file.trusted;
+    }
+
+    /**
+     * Work out how a local file and its remote version relate
+     *
+     * @param {Object} file - Local file object
+     * @param {Object} remote - Remote file {content, sha, path}
+     * @returns {Object} One of:
+     *   - {status: 'unchanged'}: local and remote have the same content
+     *   - {status: 'local', content}: only the local side changed
+     *   - {status: 'remote', content}: only the remote side changed
+     *   - {status: 'merged', content}: both changed and merged cleanly
+     *   - {status: 'conflict', chunks}: both changed the same lines
+     */
+    compareWithRemote(file, remote) {
+        if (file.content === remote.content) {
+            return { status: 'unchanged' };
+        }
+
+        const history = file.github;
+        const hasBase = history && history.path === remote.path && typeof history.base === 'string';
+
+        // Never synced: there is no common ancestor, so any difference is a conflict
+        const base = hasBase ? history.base : '';
+
+        if (hasBase && history.sha === remote.sha) {
+            return { status: 'local', content: file.content };
+        }
+        if (hasBase && file.content === base) {
+            return { status: 'remote', content: remote.content };
+        }
+
+        const merge = mergeThreeWay(base, file.content, remote.content);
+        return merge.clean
+            ? { status: 'merged', content: merge.merged }
+            : { status: 'conflict', chunks: merge.chunks };
+    }
+
+    /**
+     * Build a conflict description for the resolution view
+     * @param {Object} file - Local file object
+     * @param {Object} remote - Remote file {content, sha, path}
+     * @param {Array} chunks - Merge chunks from mergeThreeWay
+     * @param {string} origin - 'sync' or 'load'
+     * @returns {Object} Conflict description
+     */
+    createConflict(file, remote, chunks, origin) {
+        return {
+            id: file.id,
+            name: file.name,
+            path: remote.path,
+            remoteSha: remote.sha,
+            remoteContent: remote.content,
+            chunks,
+            origin
+        };
+    }
+
+    /**
+     * Get the blob SHAs of all markdown files in the repository
+     * @returns {Promise} Promise resolving to a Map of path -> sha
+     *   (empty for a repository without commits)
+     */
+    async getRemoteShas() {
+        try {
+            const remoteFiles = await this.githubAPI.getMarkdownFiles();
+            return new Map(remoteFiles.map(file => [file.path, file.sha]));
+        } catch (error) {
+            // 409: the repository is empty
+            if (error.status === 409) {
+                return new Map();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Build the default commit message for a sync
+     * @param {Array} pending - Files being committed ({path, isNew})
+     * @returns {string} Commit message
+     */
+    getDefaultCommitMessage(pending) {
+        if (pending.length === 1) {
+            const [{ path, isNew }] = pending;
+            return `${isNew ? 'Add' : 'Update'} ${path} via NotesHubBidi`;
+        }
+
+        return `Update ${pending.length} notes via NotesHubBidi`;
+    }
+
     /**
      * Sync local files to GitHub repository
-     * @param {Object} localFiles - Local files object {id: {id, name, content}}
-     * @param {boolean} [overwrite=false] - Whether to overwrite existing files
+     * Files changed on both sides since the last sync are merged three-way;
+     * merged content is written back to the local file as well.
+     *
+     * All changed files are pushed together as a single commit. If the
+     * commit fails, the branch is left untouched and every file that was
+     * going to be pushed is reported as failed with its local state unchanged.
+     * 
+     * @param {Object} localFiles - Local files object {id: {id, name, content, github?}}
+     * @param {Object} [options={}] - Sync options
+     * @param {boolean} [options.overwrite=false] - Overwrite remote files instead of merging
+     * @param {string} [options.message] - Commit message (a default is used when empty)
      * @returns {Promise} Promise resolving to sync results
+     *   ({success, merged, skipped, conflicts, failed, commit}), where commit
+     *   is the SHA of the pushed commit or null if nothing was pushed
      */
-    async syncToGitHub(localFiles, overwrite = false) {
+    async syncToGitHub(localFiles, options = {}) {
+        const { overwrite = false, message = '' } = options;
         const results = {
             success: [],
+            merged: [],
             failed: [],
-            skipped: []
+            skipped: [],
+            conflicts: [],
+            commit: null
         };
 
-        for (const [id, file] of Object.entries(localFiles)) {
+        // One tree request tells which files changed remotely since the last sync
+        const remoteShas = await this.getRemoteShas();
+        const pending = [];
+
+        for (const file of Object.values(localFiles)) {
             try {
-                const fileName = this.sanitizeFileName(file.name) + '.md';
-                let sha = null;
-                
-                // Check if file already exists in the repository
-                try {
-                    const existingFile = await this.githubAPI.readFile(fileName);
-                    sha = existingFile.sha;
-                    
-                    if (!overwrite) {
-                        results.skipped.push({
-                            id: file.id,
-                            name: file.name,
-                            reason: 'exists'
-                        });
-                        continue;
+                const fileName = this.getFilePath(file);
+                const remoteSha = remoteShas.get(fileName);
+                let content = file.content;
+                let status = 'local';
+
+                if (pending.some(entry => entry.path === fileName)) {
+                    throw new Error(`Another note is already being saved to ${fileName}`);
+                }
+
+                if (remoteSha && !overwrite) {
+                    if (file.github && file.github.sha === remoteSha) {
+                        // Remote is unchanged since the last sync, no need to download it
+                        if (file.content === file.github.base) {
+                            results.skipped.push({
+                                id: file.id,
+                                name: file.name,
+                                reason: 'unchanged'
+                            });
+                            continue;
+                        }
+                    } else {
+                        const remote = await this.readRemoteFile(fileName);
+                        if (!remote) {
+                            throw new Error(`${fileName} was removed on GitHub during the sync`);
+                        }
+
+                        const comparison = this.compareWithRemote(file, remote);
+                        status = comparison.status;
+
+                        if (status === 'unchanged') {
+                            this.markSynced(file, fileName, remote.sha, remote.content);
+                            results.skipped.push({
+                                id: file.id,
+                                name: file.name,
+                                reason: 'unchanged'
+                            });
+                            continue;
+                        }
+
+                        if (status === 'conflict') {
+                            results.conflicts.push(this.createConflict(file, remote, comparison.chunks, 'sync'));
+                            continue;
+                        }
+
+                        content = comparison.content;
+
+                        // Remote is ahead and local had no changes of its own
+                        if (status === 'remote') {
+                            this.applyContent(file, content);
+                            this.markSynced(file, fileName, remote.sha, content);
+                            results.merged.push({ id: file.id, name: file.name, path: fileName });
+                            continue;
+                        }
                     }
-                } catch (error) {
-                    // File doesn't exist, that's okay for new files
-                    sha = null;
                 }
 
-                const commitMessage = sha 
-                    ? `Update ${fileName} via NotesHubBidi`
-                    : `Add ${fileName} via NotesHubBidi`;
+                pending.push({ file, path: fileName, content, status, isNew: !remoteSha });
+            } catch (error) {
+                results.failed.push({
+                    id: file.id,
+                    name: file.name,
+                    error: error.message
+                });
+            }
+        }
+
+        if (pending.length === 0) {
+            return results;
+        }
+
+        try {
+            const { commit, files } = await this.githubAPI.commitFiles(
+                pending.map(({ path, content }) => ({ path, content })),
+                message || this.getDefaultCommitMessage(pending)
+            );
 
-                await this.githubAPI.writeFile(
-                    fileName,
-                    file.content,
-                    commitMessage,
-                    sha
-                );
+            pending.forEach(({ file, path, content, status }, index) => {
+                this.applyContent(file, content);
+                this.markSynced(file, path, files[index].sha, content);
 
-                results.success.push({
+                (status === 'merged' ? results.merged : results.success).push({
                     id: file.id,
                     name: file.name,
-                    path: fileName
+                    path
                 });
-            } catch (error) {
+            });
+
+            results.commit = commit.sha;
+        } catch (error) {
+            pending.forEach(({ file }) => {
                 results.failed.push({
                     id: file.id,
                     name: file.name,
                     error: error.message
                 });
-            }
+            });
         }
 
         return results;
     }
 
+    /**
+     * Merge a file loaded from GitHub into the matching local file
+     * Local edits made since the last sync are kept and merged with the
+     * remote changes instead of being overwritten.
+     * 
+     * @param {Object} file - Local file object (updated in place)
+     * @param {Object} remote - Remote file {content, sha, path}
+     * @returns {Object} {status, conflict?} where status is 'unchanged', 'local',
+     *   'remote', 'merged' or 'conflict'
+     */
+    mergeRemoteIntoLocal(file, remote) {
+        const comparison = this.compareWithRemote(file, remote);
+
+        if (comparison.status === 'conflict') {
+            return {
+                status: 'conflict',
+                conflict: this.createConflict(file, remote, comparison.chunks, 'load')
+            };
+        }
+
+        if (comparison.status === 'local') {
+            // Remote unchanged since the last sync; local edits are pushed on the next sync
+            return { status: 'local' };
+        }
+
+        if (comparison.status !== 'unchanged') {
+            this.applyContent(file, comparison.content);
+        }
+
+        // Merged content still has to be pushed, so the base stays at the remote version
+        this.markSynced(file, remote.path, remote.sha, remote.content);
+        return { status: comparison.status };
+    }
+
+    /**
+     * Apply the user's resolution of a conflict to the local file
+     * The resolved content becomes the local content on top of the remote
+     * version, so the next sync pushes it as a regular update.
+     * 
+     * @param {Object} file - Local file object (updated in place)
+     * @param {Object} conflict - Conflict from syncToGitHub or mergeRemoteIntoLocal
+     * @param {string} content - Resolved content
+     */
+    resolveConflict(file, conflict, content) {
+        this.applyContent(file, content);
+        this.markSynced(file, conflict.path, conflict.remoteSha, conflict.remoteContent);
+    }
+
     /**
      * Load files from GitHub repository
-     * @param {Function} fileProcessor - Function to process each loaded file
-     * @returns {Promise} Promise resolving to load results
+     * @param {Function} fileProcessor - Function to process each loaded file;
+     *   may return {conflict} to report a conflict for the resolution view
+     * @returns {Promise} Promise resolving to load results ({success, failed, conflicts})
      */
     async loadFromGitHub(fileProcessor) {
         const results = {
             success: [],
-            failed: []
+            failed: [],
+            conflicts: []
         };
 
         try {
@@ -334,6 +939,11 @@ export class GitHubSyncManager {
                     
                     // Process the file content
                     const processedFile = fileProcessor(fileData);
+
+                    if (processedFile && processedFile.conflict) {
+                        results.conflicts.push(processedFile.conflict);
+                        continue;
+                    }
                     
                     results.success.push({
                         name: file.name,
@@ -0,0 +1,373 @@
+/**
+ * Three-Way Merge Module
+ *
+ * This module provides line-based diffing and three-way merging for the
+ * GitHub synchronization. Given the content both sides started from (the
+ * base), the local content and the remote content, it applies every change
+ * that only one side made and reports the places where both sides changed
+ * the same lines differently as conflicts.
+ *
+ * Algorithm:
+ * 1. Diff base against local and base against remote (Myers' O(ND) diff,
+ *    in linear space)
+ * 2. Turn each diff into hunks: ranges of base lines replaced by side lines
+ * 3. Group hunks from both sides that overlap or touch in the base
+ * 4. For each group, take the side that changed it, or report a conflict
+ *    when both sides changed it to different content
+ *
+ * @module github-merge
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+/**
+ * Most diagonal steps a diff may take before giving up on the lines left
+ * (a few hundred milliseconds on the main thread). Only notes rearranged
+ * throughout (e.g. sorted or reversed) reach it; the lines left are then
+ * treated as replaced.
+ */
+const DIFF_STEP_LIMIT = 20000000;
+
+/**
+ * Splits text into lines for diffing
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines without line terminators
+ */
+export function splitLines(text) {
+    return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * Finds the middle snake of two line ranges (Myers' linear space variant):
+ * the forward and backward searches run towards each other and stop where
+ * their paths overlap, which splits the diff in two halves of half the cost
+ *
+ * @param {string[]} a - Old lines
+ * @param {number} aStart - Start of the range in a
+ * @param {number} aEnd - End of the range in a (exclusive)
+ * @param {string[]} b - New lines
+ * @param {number} bStart - Start of the range in b
+ * @param {number} bEnd - End of the range in b (exclusive)
+ * @param {Object} budget - {steps}: diagonal steps left for the whole diff
+ * @returns {Array<number>|null} [indexInA, indexInB] to split at, or null
+ *   if the ranges have no line in common or the budget ran out
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd, budget) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const size = 2 * maxD;
+    const delta = n - m;
+    // With an odd delta the paths meet on a forward step, otherwise on a backward one
+    const front = delta % 2 !== 0;
+
+    // Furthest x reached on each diagonal, forwards and backwards (-1: not yet)
+    const forward = new Int32Array(size).fill(-1);
+    const backward = new Int32Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+
+    // Diagonals that left the edit graph are skipped from then on
+    let forwardStart = 0;
+    let forwardEnd = 0;
+    let backwardStart = 0;
+    let backwardEnd = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        budget.steps -= 2 * d + 2;
+        if (budget.steps < 0) return null;
+
+        for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+
+            if (x > n) {
+                forwardEnd += 2;
+            } else if (y > m) {
+                forwardStart += 2;
+            } else if (front) {
+                const reverseIndex = offset + delta - k;
+                if (reverseIndex >= 0 && reverseIndex < size && backward[reverseIndex] !== -1
+                    && x >= n - backward[reverseIndex]) {
+                    return [aStart + x, bStart + y];
+                }
+            }
+        }
+
+        for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+            let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+
+            if (x > n) {
+                backwardEnd += 2;
+            } else if (y > m) {
+                backwardStart += 2;
+            } else if (!front) {
+                const forwardIndex = offset + delta - k;
+                if (forwardIndex >= 0 && forwardIndex < size && forward[forwardIndex] !== -1) {
+                    const forwardX = forward[forwardIndex];
+                    if (forwardX >= n - x) {
+                        return [aStart + forwardX, bStart + forwardX - (delta - k)];
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Collects the matching lines of two ranges, in ascending order
+ * Common leading and trailing lines are matched directly; the rest is split
+ * at its middle snake and both halves are diffed the same way.
+ *
+ * @param {string[]} a - Old lines
+ * @param {number} aStart - Start of the range in a
+ * @param {number} aEnd - End of the range in a (exclusive)
+ * @param {string[]} b - New lines
+ * @param {number} bStart - Start of the range in b
+ * @param {number} bEnd - End of the range in b (exclusive)
+ * @param {Array<[number, number]>} matches - Receives [indexInA, indexInB] pairs
+ * @param {Object} budget - {steps}: diagonal steps left for the whole diff
+ */
+function collectMatches(a, aStart, aEnd, b, bStart, bEnd, matches, budget) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        matches.push([aStart++, bStart++]);
+    }
+    const suffix = [];
+    while (aStart < aEnd && bStart < bEnd && a[aEnd - 1] === b[bEnd - 1]) {
+        suffix.push([--aEnd, --bEnd]);
+    }
+
+    if (aStart < aEnd && bStart < bEnd) {
+        const split = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd, budget);
+        if (split) {
+            collectMatches(a, aStart, split[0], b, bStart, split[1], matches, budget);
+            collectMatches(a, split[0], aEnd, b, split[1], bEnd, matches, budget);
+        }
+    }
+
+    matches.push(...suffix.reverse());
+}
+
+/**
+ * Finds the longest common subsequence of two line arrays using Myers'
+ * algorithm in linear space
+ *
+ * Lines that occur on one side only can never match, so they are left out
+ * before diffing: a rewrite of the whole note (e.g. new line endings) is then
+ * found at once instead of costing O(N·M). Past DIFF_STEP_LIMIT the result is
+ * still a valid diff, but no longer the shortest.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<[number, number]>} Pairs of matching indices [indexInA, indexInB], ascending
+ */
+export function diffLines(a, b) {
+    const linesOfA = new Set(a);
+    const linesOfB = new Set(b);
+    const indexesA = [];
+    const indexesB = [];
+    a.forEach((line, index) => {
+        if (linesOfB.has(line)) indexesA.push(index);
+    });
+    b.forEach((line, index) => {
+        if (linesOfA.has(line)) indexesB.push(index);
+    });
+
+    const matches = [];
+    collectMatches(
+        indexesA.map(index => a[index]), 0, indexesA.length,
+        indexesB.map(index => b[index]), 0, indexesB.length,
+        matches,
+        { steps: DIFF_STEP_LIMIT }
+    );
+    return matches.map(([x, y]) => [indexesA[x], indexesB[y]]);
+}
+
+/**
+ * Converts the matches of a diff into change hunks
+ *
+ * @param {Array<[number, number]>} matches - Output of diffLines
+ * @param {number} baseLength - Number of base lines
+ * @param {number} sideLength - Number of side lines
+ * @returns {Array<Object>} Hunks {baseStart, baseEnd, sideStart, sideEnd} (end exclusive)
+ */
+function toHunks(matches, baseLength, sideLength) {
+    const hunks = [];
+    let baseIndex = 0;
+    let sideIndex = 0;
+
+    [...matches, [baseLength, sideLength]].forEach(([baseMatch, sideMatch]) => {
+        if (baseMatch > baseIndex || sideMatch > sideIndex) {
+            hunks.push({
+                baseStart: baseIndex,
+                baseEnd: baseMatch,
+                sideStart: sideIndex,
+                sideEnd: sideMatch
+            });
+        }
+        baseIndex = baseMatch + 1;
+        sideIndex = sideMatch + 1;
+    });
+
+    return hunks;
+}
+
+/**
+ * Returns the lines a side has in place of base[start, end)
+ *
+ * @param {Array<Object>} hunks - That side's hunks within the region (may be empty)
+ * @param {string[]} sideLines - All lines of the side
+ * @param {string[]} baseLines - All base lines
+ * @param {number} start - Region start in the base
+ * @param {number} end - Region end in the base (exclusive)
+ * @returns {string[]} The side's lines for the region
+ */
+function regionLines(hunks, sideLines, baseLines, start, end) {
+    if (hunks.length === 0) {
+        return baseLines.slice(start, end);
+    }
+    const first = hunks[0];
+    const last = hunks[hunks.length - 1];
+    return sideLines.slice(
+        first.sideStart - (first.baseStart - start),
+        last.sideEnd + (end - last.baseEnd)
+    );
+}
+
+/**
+ * Merges local and remote changes made on top of a common base
+ *
+ * @param {string} base - Content both sides started from
+ * @param {string} local - Local content
+ * @param {string} remote - Remote content
+ * @returns {Object} Merge result:
+ *   - clean {boolean}: true if there are no conflicts
+ *   - merged {string}: merged text (conflicts resolved with the local side)
+ *   - chunks {Array}: {type: 'ok', lines} or {type: 'conflict', base, local, remote}
+ *
+ * @example
+ * const result = mergeThreeWay('a\nb\nc', 'A\nb\nc', 'a\nb\nC');
+ * result.clean;  // true
+ * result.merged; // 'A\nb\nC'
+ */
+export function mergeThreeWay(base, local, remote) {
+    const baseLines = splitLines(base);
+    const localLines = splitLines(local);
+    const remoteLines = splitLines(remote);
+
+    const hunks = [
+        ...toHunks(diffLines(baseLines, localLines), baseLines.length, localLines.length)
+            .map(hunk => ({ ...hunk, side: 'local' })),
+        ...toHunks(diffLines(baseLines, remoteLines), baseLines.length, remoteLines.length)
+            .map(hunk => ({ ...hunk, side: 'remote' }))
+    ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+    const chunks = [];
+    const pushOk = (lines) => {
+        if (lines.length === 0) return;
+        const previous = chunks[chunks.length - 1];
+        if (previous && previous.type === 'ok') {
+            previous.lines.push(...lines);
+        } else {
+            chunks.push({ type: 'ok', lines: [...lines] });
+        }
+    };
+
+    let baseIndex = 0;
+    let i = 0;
+    while (i < hunks.length) {
+        // Group every hunk that overlaps or touches the current region
+        const region = [hunks[i]];
+        let regionStart = hunks[i].baseStart;
+        let regionEnd = hunks[i].baseEnd;
+        i++;
+        while (i < hunks.length && hunks[i].baseStart <= regionEnd) {
+            regionEnd = Math.max(regionEnd, hunks[i].baseEnd);
+            region.push(hunks[i]);
+            i++;
+        }
+
+        pushOk(baseLines.slice(baseIndex, regionStart));
+
+        const localHunks = region.filter(hunk => hunk.side === 'local');
+        const remoteHunks = region.filter(hunk => hunk.side === 'remote');
+        const localRegion = regionLines(localHunks, localLines, baseLines, regionStart, regionEnd);
+        const remoteRegion = regionLines(remoteHunks, remoteLines, baseLines, regionStart, regionEnd);
+
+        if (remoteHunks.length === 0) {
+            pushOk(localRegion);
+        } else if (localHunks.length === 0) {
+            pushOk(remoteRegion);
+        } else if (localRegion.join('\n') === remoteRegion.join('\n')) {
+            // Both sides made the same change
+            pushOk(localRegion);
+        } else {
+            chunks.push({
+                type: 'conflict',
+                base: baseLines.slice(regionStart, regionEnd),
+                local: localRegion,
+                remote: remoteRegion
+            });
+        }
+
+        baseIndex = regionEnd;
+    }
+    pushOk(baseLines.slice(baseIndex));
+
+    return {
+        clean: chunks.every(chunk => chunk.type === 'ok'),
+        merged: joinChunks(chunks, () => 'local'),
+        chunks
+    };
+}
+
+/**
+ * Builds the final text from merge chunks and a choice for each conflict
+ *
+ * @param {Array<Object>} chunks - Chunks from mergeThreeWay
+ * @param {Function} choose - Called with (conflictChunk, conflictIndex); returns
+ *   'local', 'remote', 'both' (local then remote), or an array of lines
+ * @returns {string} The resolved text
+ */
+export function joinChunks(chunks, choose) {
+    const lines = [];
+    let conflictIndex = 0;
+
+    chunks.forEach((chunk) => {
+        if (chunk.type === 'ok') {
+            lines.push(...chunk.lines);
+            return;
+        }
+
+        const choice = choose(chunk, conflictIndex++);
+        if (Array.isArray(choice)) {
+            lines.push(...choice);
+        } else if (choice === 'remote') {
+            lines.push(...chunk.remote);
+        } else if (choice === 'both') {
+            lines.push(...chunk.local, ...chunk.remote);
+        } else {
+            lines.push(...chunk.local);
+        }
+    });
+
+    return lines.join('\n');
+}
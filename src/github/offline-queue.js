@@ -0,0 +1,109 @@
+/**
+ * Offline Sync Queue Module
+ *
+ * This module is the page side of the service worker's offline outbox
+ * (public/sw.js). Edits made while offline are handed to the service worker,
+ * which keeps them in IndexedDB and pushes them to GitHub once the browser is
+ * back online, even if the app was closed in the meantime.
+ *
+ * The service worker reports back with two messages:
+ * - outbox-status: {pending} after operations were queued
+ * - outbox-result: {succeeded, failed, pending} after a replay, where
+ *   succeeded items are {path, fileId, sha, content} and failed items are
+ *   {path, fileId, error}
+ *
+ * @module offline-queue
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+/**
+ * Client for the service worker's offline outbox
+ */
+export class OfflineSyncQueue {
+    /**
+     * @param {Object} handlers - Callbacks for messages from the service worker
+     * @param {Function} [handlers.onStatus] - Called with {pending}
+     * @param {Function} [handlers.onResult] - Called with {succeeded, failed, pending}
+     */
+    constructor({ onStatus = () => {}, onResult = () => {} } = {}) {
+        this.onStatus = onStatus;
+        this.onResult = onResult;
+
+        if (!this.isSupported()) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'outbox-status') {
+                this.onStatus(message);
+            } else if (message.type === 'outbox-result') {
+                this.onResult(message);
+            }
+        });
+        navigator.serviceWorker.startMessages();
+
+        // Browsers without background sync rely on the page to trigger the replay
+        window.addEventListener('online', () => this.replay());
+    }
+
+    /**
+     * Check whether the browser supports the offline outbox
+     * @returns {boolean} True if service workers and IndexedDB are available
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && 'indexedDB' in window;
+    }
+
+    /**
+     * Check whether the browser is offline
+     * @returns {boolean} True if there is no network connection
+     */
+    isOffline() {
+        return navigator.onLine === false;
+    }
+
+    /**
+     * Post a message to the active service worker
+     * @param {Object} message - Message to send
+     * @returns {Promise<boolean>} Resolves to false if no service worker is active
+     */
+    async postMessage(message) {
+        if (!this.isSupported()) return false;
+
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.active) return false;
+
+        registration.active.postMessage(message);
+        return true;
+    }
+
+    /**
+     * Queue GitHub write operations for when the browser is back online
+     *
+     * @param {Array} operations - Operations ({path, content, message, sha, fileId}),
+     *   where sha is the blob SHA the edit is based on (null for new files)
+     * @param {Object} credentials - GitHub access ({token, owner, repo, branch})
+     * @returns {Promise<boolean>} Resolves to false if the queue is unavailable
+     */
+    queue(operations, credentials) {
+        if (operations.length === 0) return Promise.resolve(true);
+        return this.postMessage({ type: 'queue-operations', operations, credentials });
+    }
+
+    /**
+     * Ask the service worker to push queued operations now
+     * Also reports the number of pending operations through onStatus.
+     * @returns {Promise<boolean>} Resolves to false if the queue is unavailable
+     */
+    replay() {
+        return this.postMessage({ type: 'replay-operations' });
+    }
+
+    /**
+     * Remove the GitHub token stored with the queue
+     * @returns {Promise<boolean>} Resolves to false if the queue is unavailable
+     */
+    clearCredentials() {
+        return this.postMessage({ type: 'clear-credentials' });
+    }
+}
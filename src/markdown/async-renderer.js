@@ -0,0 +1,275 @@
+/**
+ * Async Renderer Module
+ *
+ * This module renders markdown without blocking the main thread. Parsing,
+ * KaTeX and highlight.js run in a Web Worker (render-worker.js); the result
+ * is sanitized and completed on the main thread (see finishRender in
+ * renderer.js), so the HTML is the same as render() returns.
+ *
+ * The worker runs one request at a time, and the request it is working on
+ * always finishes, so results keep coming while the note changes faster than
+ * it renders. Only the latest request waits for the worker; one it replaces
+ * before it started resolves to null, as does the request in progress after
+ * cancel(). Where workers are not available, or the worker fails to load,
+ * requests run on the main thread instead, after yielding to the event loop.
+ * So do requests while a renderer extension that the worker does not have
+ * takes part in parsing (see extensions.js).
+ *
+ * @module async-renderer
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { defaultRenderer, finishRender } from './renderer.js';
+import { runRenderTask } from './render-tasks.js';
+
+/**
+ * Gets the rendering options that can be posted to the worker
+ * Extensions may read any option while parsing; values that cannot be
+ * cloned (e.g. functions) are left out.
+ *
+ * @param {Object} options - Rendering options, as for render()
+ * @returns {Object} The options for a render task
+ */
+function getTaskOptions(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => typeof value !== 'function'));
+}
+
+/**
+ * Renders markdown in a Web Worker
+ *
+ * @example
+ * const asyncRenderer = new AsyncRenderer();
+ * const html = await asyncRenderer.render(text, true, { textDirection: 'auto' });
+ * if (html !== null) output.innerHTML = html;   // null: replaced or cancelled
+ */
+export class AsyncRenderer {
+    constructor() {
+        this.worker = null;
+        this.isWorkerAvailable = typeof Worker !== 'undefined';
+        this.active = null;     // request the worker is working on {id, task, resolve, reject, cancelled}
+        this.waiting = null;    // latest request, not started yet {id, task, resolve, reject, timer}
+        this.nextId = 1;
+    }
+
+    /**
+     * Render a note to HTML
+     *
+     * @param {string} markdownText - The raw markdown text to render
+     * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+     * @param {Object} [options={}] - Rendering options, as for render()
+     * @returns {Promise<string|null>} The rendered HTML, or null if a newer
+     *   request replaced this one or it was cancelled
+     */
+    async render(markdownText, isMathEnabled = true, options = {}) {
+        const parsed = await this.run({
+            type: 'document',
+            markdownText,
+            isMathEnabled,
+            options: getTaskOptions(options)
+        });
+        return parsed ? finishRender(parsed, options) : null;
+    }
+
+    /**
+     * Split a note into blocks and render the blocks that are not known yet
+     * Used by IncrementalRenderer.
+     *
+     * @param {string} markdownText - The raw markdown text to render
+     * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+     * @param {Object} [options={}] - Rendering options, as for render();
+     *   sourceLines is always on
+     * @param {Object} [known={}] - Blocks the caller has already rendered
+     * @param {string[]} [known.sources=[]] - Their sources
+     * @param {string|null} [known.definitions=null] - The link definitions
+     *   they were rendered with
+     * @returns {Promise<Object|null>} {blocks, definitions, html}, where
+     *   blocks and definitions are as returned by splitMarkdownBlocks and html
+     *   maps the source of each newly rendered block to its HTML; null if a
+     *   newer request replaced this one or it was cancelled
+     */
+    async renderBlocks(markdownText, isMathEnabled = true, options = {}, known = {}) {
+        const result = await this.run({
+            type: 'blocks',
+            markdownText,
+            isMathEnabled,
+            options: getTaskOptions(options),
+            known: known.sources || [],
+            definitions: known.definitions === undefined ? null : known.definitions
+        });
+        if (!result) return null;
+
+        const html = new Map();
+        result.parsed.forEach((parsed, source) => {
+            html.set(source, finishRender(parsed, options));
+        });
+        return { blocks: result.blocks, definitions: result.definitions, html };
+    }
+
+    /**
+     * Run a render task (see render-tasks.js) once the request in progress
+     * finished, replacing the request waiting for it
+     *
+     * @param {Object} task - The task
+     * @returns {Promise<Object|null>} The task's result, or null if a newer
+     *   request replaced it or it was cancelled
+     */
+    run(task) {
+        this.cancelWaiting();
+
+        return new Promise((resolve, reject) => {
+            this.waiting = {
+                id: this.nextId++,
+                task: { ...task, extensionStates: defaultRenderer.extensions.getStates() },
+                resolve,
+                reject,
+                cancelled: false,
+                timer: null
+            };
+            this.startNext();
+        });
+    }
+
+    /**
+     * Cancel the requests of this renderer; they resolve to null
+     * The worker finishes the request it is working on, and its result is
+     * dropped.
+     */
+    cancel() {
+        if (this.active) {
+            this.active.cancelled = true;
+        }
+        this.cancelWaiting();
+    }
+
+    /**
+     * Resolve the request that has not started yet, if any, to null
+     */
+    cancelWaiting() {
+        const request = this.waiting;
+        if (!request) return;
+
+        this.waiting = null;
+        clearTimeout(request.timer);
+        request.resolve(null);
+    }
+
+    /**
+     * Start the waiting request, unless the worker is still busy; it is
+     * started when the worker answers
+     */
+    startNext() {
+        const request = this.waiting;
+        if (!request || this.active || request.timer) return;
+
+        const worker = defaultRenderer.extensions.needsMainThreadParsing() ? null : this.getWorker();
+        if (worker) {
+            this.waiting = null;
+            this.active = request;
+            worker.postMessage({ id: request.id, task: request.task });
+        } else {
+            this.runOnMainThread(request);
+        }
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker|null} The worker, or null if workers are not available
+     */
+    getWorker() {
+        if (!this.worker && this.isWorkerAvailable) {
+            try {
+                this.worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', event => this.handleMessage(event.data));
+                this.worker.addEventListener('error', event => this.handleWorkerError(event));
+            } catch (error) {
+                console.error("Render worker could not be started:", error);
+                this.worker = null;
+                this.isWorkerAvailable = false;
+            }
+        }
+        return this.worker;
+    }
+
+    /**
+     * Settle the request in progress with the worker's answer, then start
+     * the waiting one
+     * @param {Object} message - {id, result} or {id, error}
+     */
+    handleMessage({ id, result, error }) {
+        const request = this.active;
+        if (!request || request.id !== id) return;
+
+        this.active = null;
+        if (request.cancelled) {
+            request.resolve(null);
+        } else if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+        this.startNext();
+    }
+
+    /**
+     * Stop using the worker after it failed (e.g. it could not be loaded)
+     * and run the latest request on the main thread
+     * @param {ErrorEvent} event - The worker's error event
+     */
+    handleWorkerError(event) {
+        console.error("Render worker failed, rendering on the main thread:", event.message);
+        this.worker.terminate();
+        this.worker = null;
+        this.isWorkerAvailable = false;
+
+        const request = this.active;
+        this.active = null;
+        if (request) {
+            if (request.cancelled || this.waiting) {
+                request.resolve(null);
+            } else {
+                this.waiting = request;
+            }
+        }
+        this.startNext();
+    }
+
+    /**
+     * Run the waiting request on the main thread, once pending events are
+     * handled, unless a newer request replaced it by then
+     * @param {Object} request - The waiting request
+     */
+    runOnMainThread(request) {
+        request.timer = setTimeout(() => {
+            if (this.waiting !== request) return;
+
+            this.waiting = null;
+            try {
+                request.resolve(runRenderTask(request.task));
+            } catch (error) {
+                request.reject(error);
+            }
+        }, 0);
+    }
+}
+
+let sharedRenderer = null;
+
+/**
+ * Renders markdown text to HTML off the main thread
+ * The asynchronous counterpart of render(); calls share one worker, so a
+ * call replaces the previous one if that has not started yet.
+ *
+ * @param {string} markdownText - The raw markdown text to render
+ * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+ * @param {Object} [options={}] - Rendering options, as for render()
+ * @returns {Promise<string|null>} The rendered HTML, or null if a later call
+ *   replaced this one
+ *
+ * @example
+ * const html = await renderAsync('# Hello $x^2$');
+ */
+export function renderAsync(markdownText, isMathEnabled = true, options = {}) {
+    if (!sharedRenderer) sharedRenderer = new AsyncRenderer();
+    return sharedRenderer.render(markdownText, isMathEnabled, options);
+}
@@ -0,0 +1,324 @@
+/**
+ * Diagrams Module
+ *
+ * This module draws diagram code fences as inline SVG:
+ *
+ * - ```mermaid with Mermaid
+ * - ```dot and ```graphviz with Graphviz (Viz.js)
+ *
+ * Importing this module registers the `diagrams` renderer extension (see
+ * extensions.js): render() then marks these fences with `data-diagram`,
+ * which leaves them unhighlighted, and enhanceOutput draws them. Drawing is
+ * asynchronous and needs the DOM, so it is a separate stage: renderDiagrams
+ * draws the marked fences of rendered HTML and inserts each drawing after its <pre>,
+ * which is hidden; setDiagramSourceVisible switches a fence between its
+ * drawing and its source. Mermaid and Viz.js are large, so they are only
+ * loaded once a note contains a diagram.
+ *
+ * Labels follow the direction of the document; in auto mode each label gets
+ * the direction of its first strong character. A diagram with a syntax
+ * error shows the error in place of the drawing.
+ *
+ * @module diagrams
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { detectTextDirection, registerExtension } from './renderer.js';
+import { isUrlAllowed } from './sanitizer.js';
+
+// Languages of the code fences that are drawn, and how
+const DIAGRAM_LANGUAGES = new Map([
+    ['mermaid', 'mermaid'],
+    ['dot', 'graphviz'],
+    ['graphviz', 'graphviz']
+]);
+
+// Drawings kept for reuse, e.g. when a block is re-rendered unchanged
+const MAX_CACHED_DIAGRAMS = 50;
+
+// Same fonts as the output, so Persian labels are measured correctly
+const DIAGRAM_FONT = '"Vazirmatn", "Poppins", sans-serif';
+
+const drawingCache = new Map();   // JSON [type, theme, source] -> {svg} or {error}
+let mermaidLoader = null;
+let vizLoader = null;
+let drawingQueue = Promise.resolve();
+let nextDiagramId = 1;
+
+/**
+ * Gets the kind of diagram a code fence is drawn as
+ *
+ * @param {string} language - Language of the code fence
+ * @returns {string|null} 'mermaid', 'graphviz', or null for other code
+ */
+export function getDiagramType(language) {
+    return DIAGRAM_LANGUAGES.get((language || '').toLowerCase()) || null;
+}
+
+/**
+ * Loads Mermaid on first use
+ * @returns {Promise<Object>} The mermaid API
+ */
+function loadMermaid() {
+    if (!mermaidLoader) {
+        mermaidLoader = import('mermaid').then(module => module.default);
+        // Allow another attempt, e.g. after coming back online
+        mermaidLoader.catch(() => { mermaidLoader = null; });
+    }
+    return mermaidLoader;
+}
+
+/**
+ * Loads Viz.js (Graphviz compiled to WebAssembly) on first use
+ * @returns {Promise<Object>} A Viz instance
+ */
+function loadViz() {
+    if (!vizLoader) {
+        vizLoader = import('@viz-js/viz').then(module => module.instance());
+        vizLoader.catch(() => { vizLoader = null; });
+    }
+    return vizLoader;
+}
+
+/**
+ * Draws a diagram
+ *
+ * @param {string} type - 'mermaid' or 'graphviz'
+ * @param {string} source - Diagram source
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {Promise<Object>} {svg} with the SVG markup, or {error} with a
+ *   message if the diagram could not be drawn
+ */
+async function drawDiagram(type, source, theme) {
+    try {
+        if (type === 'mermaid') {
+            const mermaid = await loadMermaid();
+            mermaid.initialize({
+                startOnLoad: false,
+                securityLevel: 'strict',
+                theme: theme === 'dark' ? 'dark' : 'default',
+                fontFamily: DIAGRAM_FONT
+            });
+
+            // Parsing first reports syntax errors without drawing Mermaid's
+            // own error diagram
+            await mermaid.parse(source);
+            const id = `diagram-${nextDiagramId++}`;
+            try {
+                const { svg } = await mermaid.render(id, source);
+                return { svg };
+            } finally {
+                // Mermaid may leave its measuring element behind on failure
+                const leftover = document.getElementById(`d${id}`);
+                if (leftover) leftover.remove();
+            }
+        }
+
+        const viz = await loadViz();
+        return { svg: viz.renderSVGElement(source).outerHTML };
+    } catch (error) {
+        return { error: error.message || String(error) };
+    }
+}
+
+/**
+ * Draws a diagram, or returns the cached drawing of the same source
+ *
+ * @param {string} type - 'mermaid' or 'graphviz'
+ * @param {string} source - Diagram source
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {Promise<Object>} {svg} or {error}, as for drawDiagram
+ */
+async function getDrawing(type, source, theme) {
+    // Graphviz drawings do not depend on the theme
+    const key = JSON.stringify([type, type === 'mermaid' ? theme : '', source]);
+    if (drawingCache.has(key)) return drawingCache.get(key);
+
+    const drawing = await drawDiagram(type, source, theme);
+    drawingCache.set(key, drawing);
+    if (drawingCache.size > MAX_CACHED_DIAGRAMS) {
+        drawingCache.delete(drawingCache.keys().next().value);
+    }
+    return drawing;
+}
+
+/**
+ * Parses SVG markup inertly and removes anything that could run code
+ * Mermaid sanitizes its labels in strict mode; Graphviz passes URL
+ * attributes through as links.
+ *
+ * @param {string} svg - SVG markup
+ * @returns {SVGSVGElement|null} The cleaned <svg> element
+ */
+function parseSvg(svg) {
+    const template = document.createElement('template');
+    template.innerHTML = svg;
+    const svgElement = template.content.querySelector('svg');
+    if (!svgElement) return null;
+
+    svgElement.querySelectorAll('script').forEach(element => element.remove());
+    [svgElement, ...svgElement.querySelectorAll('*')].forEach((element) => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            if (/^on/i.test(name) || (/(^|:)href$/i.test(name) && !isUrlAllowed(value, 'a'))) {
+                element.removeAttribute(name);
+            }
+        });
+    });
+    return svgElement;
+}
+
+/**
+ * Sets the direction of each label of a drawing
+ *
+ * @param {SVGSVGElement} svgElement - The drawing
+ * @param {string} textDirection - 'ltr', 'rtl' or 'auto'
+ */
+function applyLabelDirection(svgElement, textDirection) {
+    // SVG text, and the HTML labels Mermaid puts in <foreignObject>
+    svgElement.querySelectorAll('text, foreignObject > *').forEach((label) => {
+        const direction = textDirection === 'auto'
+            ? detectTextDirection(label.textContent)
+            : textDirection;
+        if (!direction) return;
+
+        if (label.namespaceURI === 'http://www.w3.org/2000/svg') {
+            label.setAttribute('direction', direction);
+        } else {
+            label.setAttribute('dir', direction);
+        }
+    });
+}
+
+/**
+ * Gets the drawing shown for a diagram fence
+ *
+ * @param {HTMLPreElement} preElement - The fence's <pre data-diagram>
+ * @returns {HTMLElement|null} The drawing's container, if it was drawn
+ */
+function getDiagramElement(preElement) {
+    const next = preElement.nextElementSibling;
+    return next && next.classList.contains('diagram') ? next : null;
+}
+
+/**
+ * Shows the source or the drawing of a diagram fence
+ * The choice is kept when the diagram is drawn again (e.g. for a new theme).
+ *
+ * @param {HTMLPreElement} preElement - The fence's <pre data-diagram>
+ * @param {boolean} visible - Show the source instead of the drawing
+ */
+export function setDiagramSourceVisible(preElement, visible) {
+    preElement.dataset.diagramView = visible ? 'source' : 'diagram';
+
+    // Until it is drawn, the source is all there is to show
+    const diagram = getDiagramElement(preElement);
+    if (!diagram) return;
+    preElement.hidden = !visible;
+    diagram.hidden = visible;
+}
+
+/**
+ * Tells whether a diagram fence is set to show its source
+ *
+ * @param {HTMLPreElement} preElement - The fence's <pre data-diagram>
+ * @returns {boolean} True if the source is shown instead of the drawing
+ */
+export function isDiagramSourceVisible(preElement) {
+    return preElement.dataset.diagramView === 'source';
+}
+
+/**
+ * Puts a drawing, or its error, after a diagram fence
+ *
+ * @param {HTMLPreElement} preElement - The fence's <pre data-diagram>
+ * @param {Object} drawing - {svg} or {error}
+ * @param {string} textDirection - 'ltr', 'rtl' or 'auto'
+ */
+function showDrawing(preElement, drawing, textDirection) {
+    let diagram = getDiagramElement(preElement);
+    if (!diagram) {
+        diagram = document.createElement('div');
+        preElement.after(diagram);
+    }
+    diagram.className = 'diagram';
+    diagram.dataset.diagram = preElement.dataset.diagram;
+    diagram.replaceChildren();
+
+    const svgElement = drawing.svg ? parseSvg(drawing.svg) : null;
+    if (svgElement) {
+        applyLabelDirection(svgElement, textDirection);
+        diagram.appendChild(svgElement);
+    } else {
+        diagram.classList.add('diagram-error');
+        diagram.setAttribute('role', 'alert');
+
+        const title = document.createElement('strong');
+        title.textContent = 'Diagram error';
+        const message = document.createElement('pre');
+        message.textContent = drawing.error || 'The diagram could not be drawn.';
+        diagram.append(title, message);
+    }
+
+    setDiagramSourceVisible(preElement, preElement.dataset.diagramView === 'source');
+}
+
+/**
+ * Draws the diagram fences in rendered HTML
+ *
+ * Fences already drawn with the same options are skipped, so this can run
+ * after every render. Drawing happens one diagram at a time; calls are
+ * queued, and fences removed from root in the meantime are left alone.
+ *
+ * @param {HTMLElement} root - Element containing rendered markdown; may be
+ *   detached from the document (e.g. for printing)
+ * @param {Object} [options={}] - Drawing options
+ * @param {string} [options.textDirection='ltr'] - 'ltr', 'rtl' or 'auto' for the labels
+ * @param {string} [options.theme='light'] - 'light' or 'dark'
+ * @returns {Promise<number>} Number of diagrams drawn
+ *
+ * @example
+ * container.innerHTML = render('```mermaid\ngraph LR\n  A --> B\n```');
+ * await renderDiagrams(container, { theme: 'dark' });
+ */
+export function renderDiagrams(root, { textDirection = 'ltr', theme = 'light' } = {}) {
+    const fences = Array.from(root.querySelectorAll('pre[data-diagram]'));
+    const drawingKey = `${theme} ${textDirection}`;
+
+    const drawing = drawingQueue.then(async () => {
+        let count = 0;
+        for (const preElement of fences) {
+            if (!root.contains(preElement)) continue;
+            if (preElement.dataset.diagramKey === drawingKey && getDiagramElement(preElement)) continue;
+
+            const result = await getDrawing(preElement.dataset.diagram, preElement.textContent, theme);
+            if (!root.contains(preElement)) continue;
+
+            showDrawing(preElement, result, textDirection);
+            preElement.dataset.diagramKey = drawingKey;
+            count++;
+        }
+        return count;
+    });
+
+    drawingQueue = drawing.catch(() => {});
+    return drawing;
+}
+
+registerExtension({
+    name: 'diagrams',
+    // Before the highlight extension, which leaves marked fences alone
+    order: 15,
+
+    postprocess(root) {
+        root.querySelectorAll('pre > code[class*="language-"]').forEach((block) => {
+            const languageClass = Array.from(block.classList).find(name => name.startsWith('language-'));
+            const diagramType = languageClass && getDiagramType(languageClass.slice('language-'.length));
+            if (diagramType) block.parentElement.dataset.diagram = diagramType;
+        });
+    },
+
+    enhance(element, context) {
+        return renderDiagrams(element, context);
+    }
+});
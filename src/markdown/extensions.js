@@ -0,0 +1,208 @@
+/**
+ * Renderer Extensions Module
+ *
+ * This module keeps the extensions that take part in rendering. Each
+ * renderer (see createRenderer in renderer.js) has its own ExtensionRegistry;
+ * renderer.js re-exports the registration functions of the default renderer.
+ * An extension is an object with a unique `name` and any of these hooks:
+ *
+ * - preprocess(markdown, context): returns the markdown to parse
+ * - tokenizers: marked extensions that add syntax, {name, level, start,
+ *   tokenizer, renderer} (see https://marked.js.org/using_pro#extensions)
+ * - renderers: {tokenType: function (token, context)} returning the HTML of
+ *   a token, or false to leave it to the next renderer; `this` is marked's
+ *   parser. Works for built-in token types too (e.g. 'link').
+ * - walkTokens(token, context): called for every token after lexing
+ * - postprocess(root, context): changes the rendered DOM, after sanitization
+ * - enhance(element, context): changes the live output element once the
+ *   HTML is in the page (see enhanceOutput in renderer.js); may be async
+ *
+ * Hooks of different extensions run by ascending `order` (default 100), and
+ * `enabled` (default true) switches an extension off without removing it.
+ *
+ * During a render each extension gets its own context {isMathEnabled,
+ * options, data}: options are those passed to render(), and data starts
+ * empty and is carried from the parsing hooks to postprocess. Parsing may
+ * run in a Web Worker (see async-renderer.js), so data must hold plain
+ * values only. The worker only has the built-in extensions (`builtIn`);
+ * while another enabled extension has parsing hooks (preprocess,
+ * tokenizers, renderers or walkTokens), parsing stays on the main thread.
+ * Postprocessors get their document from root.ownerDocument, since
+ * rendering may use a headless DOM.
+ *
+ * @module extensions
+ * @author Matin KG
+ * @version 1.0.0
+ *
+ * @example
+ * const extensions = new ExtensionRegistry();
+ * extensions.register({
+ *     name: 'wiki-links',
+ *     tokenizers: [{
+ *         name: 'wikiLink',
+ *         level: 'inline',
+ *         start: src => src.indexOf('[['),
+ *         tokenizer(src) {
+ *             const match = /^\[\[([^\]]+)\]\]/.exec(src);
+ *             if (match) return { type: 'wikiLink', raw: match[0], title: match[1] };
+ *         },
+ *         renderer: token => `<a class="wiki-link" href="#${encodeURIComponent(token.title)}">${token.title}</a>`
+ *     }]
+ * });
+ */
+
+// Hooks that run while parsing, and so in the render worker
+const PARSING_HOOKS = ['preprocess', 'tokenizers', 'renderers', 'walkTokens'];
+
+/**
+ * The extensions of a renderer, ordered by `order`
+ */
+export class ExtensionRegistry {
+    /**
+     * @param {Array<Object>} [extensions=[]] - Extensions to register
+     */
+    constructor(extensions = []) {
+        this.extensions = [];
+        extensions.forEach(extension => this.register(extension));
+    }
+
+    /**
+     * Find a registered extension
+     *
+     * @param {string} name - Extension name
+     * @returns {Object} The extension
+     * @throws {Error} If no extension has this name
+     */
+    get(name) {
+        const extension = this.extensions.find(candidate => candidate.name === name);
+        if (!extension) {
+            throw new Error(`Unknown renderer extension: ${name}`);
+        }
+        return extension;
+    }
+
+    /**
+     * Add an extension
+     *
+     * @param {Object} extension - The extension, as described above
+     * @param {string} extension.name - Unique name
+     * @param {number} [extension.order=100] - Lower numbers run first
+     * @param {boolean} [extension.enabled=true] - Whether the extension is on
+     * @returns {Object} The registered extension
+     * @throws {Error} If the name is missing or already registered
+     */
+    register(extension) {
+        const { name } = extension;
+        if (!name || typeof name !== 'string') {
+            throw new Error('Renderer extensions need a name');
+        }
+        if (this.extensions.some(candidate => candidate.name === name)) {
+            throw new Error(`Renderer extension "${name}" is already registered`);
+        }
+
+        const registered = {
+            ...extension,
+            order: typeof extension.order === 'number' ? extension.order : 100,
+            enabled: extension.enabled !== false,
+            builtIn: Boolean(extension.builtIn),
+            tokenizers: extension.tokenizers || [],
+            renderers: extension.renderers || {}
+        };
+        this.extensions.push(registered);
+        this.extensions.sort((a, b) => a.order - b.order);
+        return registered;
+    }
+
+    /**
+     * Remove an extension
+     *
+     * @param {string} name - Extension name
+     * @returns {boolean} True if the extension was registered
+     */
+    unregister(name) {
+        const index = this.extensions.findIndex(extension => extension.name === name);
+        if (index === -1) return false;
+
+        this.extensions.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Turn an extension on or off
+     *
+     * @param {string} name - Extension name
+     * @param {boolean} enabled - Whether the extension runs
+     * @throws {Error} If no extension has this name
+     */
+    setEnabled(name, enabled) {
+        this.get(name).enabled = Boolean(enabled);
+    }
+
+    /**
+     * Tell whether an extension is registered and on
+     *
+     * @param {string} name - Extension name
+     * @returns {boolean} True if the extension runs
+     */
+    isEnabled(name) {
+        return this.extensions.some(extension => extension.name === name && extension.enabled);
+    }
+
+    /**
+     * List the registered extensions
+     *
+     * @returns {Array<Object>} {name, order, enabled, builtIn} in running order
+     */
+    list() {
+        return this.extensions.map(({ name, order, enabled, builtIn }) => ({ name, order, enabled, builtIn }));
+    }
+
+    /**
+     * Get the enabled extensions, in running order
+     *
+     * @param {string} [hook] - Only extensions that have this hook
+     * @returns {Array<Object>} The extensions
+     */
+    getActive(hook) {
+        return this.extensions.filter((extension) => {
+            if (!extension.enabled) return false;
+            if (!hook) return true;
+            if (hook === 'tokenizers') return extension.tokenizers.length > 0;
+            if (hook === 'renderers') return Object.keys(extension.renderers).length > 0;
+            return typeof extension[hook] === 'function';
+        });
+    }
+
+    /**
+     * Tell whether parsing must stay on the main thread, because an enabled
+     * extension that the render worker does not have hooks into parsing
+     *
+     * @returns {boolean} True if parsing cannot run in the worker
+     */
+    needsMainThreadParsing() {
+        return PARSING_HOOKS.some((hook) => {
+            return this.getActive(hook).some(extension => !extension.builtIn);
+        });
+    }
+
+    /**
+     * Get which extensions are on, to be mirrored in the render worker
+     *
+     * @returns {Object} {name: enabled}
+     */
+    getStates() {
+        return Object.fromEntries(this.extensions.map(({ name, enabled }) => [name, enabled]));
+    }
+
+    /**
+     * Turn extensions on or off to match another thread
+     * Names that are not registered here are ignored.
+     *
+     * @param {Object} states - {name: enabled}, from getStates
+     */
+    setStates(states) {
+        this.extensions.forEach((extension) => {
+            if (extension.name in states) extension.enabled = Boolean(states[extension.name]);
+        });
+    }
+}
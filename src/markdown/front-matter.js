@@ -0,0 +1,181 @@
+/**
+ * Front Matter Module
+ *
+ * This module reads the YAML front matter block at the top of a note:
+ *
+ *     ---
+ *     title: یادداشت‌های درس
+ *     tags: [math, notes]
+ *     date: 2025-03-01
+ *     lang: fa
+ *     ---
+ *
+ * Only the part of YAML used in note metadata is supported: `key: value`
+ * pairs with plain, quoted, boolean, null and numeric scalars, inline
+ * `[a, b]` lists, block lists (`- item`), one level of nested keys, and `|`
+ * and `>` block scalars. A leading `---` block that does not look like YAML
+ * (e.g. a horizontal rule followed by text) is left in the note.
+ *
+ * @module front-matter
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+/**
+ * Matches a front matter block: `---` on the first line, then YAML, then
+ * `---` or `...` on a line of its own
+ */
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// `key: value` at the start of a line
+const KEY_PATTERN = /^([\w$][\w$ .-]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+
+/**
+ * Languages written right to left (ISO 639-1 and common 639-3 codes)
+ */
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+/**
+ * Parses a scalar or inline list value
+ *
+ * @param {string} value - Value text after `key:`
+ * @returns {*} String, number, boolean, null or array
+ */
+function parseValue(value) {
+    const text = value.trim();
+
+    if (text.startsWith('"')) {
+        const end = text.lastIndexOf('"');
+        return text.slice(1, end > 0 ? end : undefined)
+            .replace(/\\(["\\/nt])/g, (match, char) => ({ n: '\n', t: '\t' }[char] || char));
+    }
+    if (text.startsWith("'")) {
+        const end = text.lastIndexOf("'");
+        return text.slice(1, end > 0 ? end : undefined).replace(/''/g, "'");
+    }
+    if (text.startsWith('[') && text.endsWith(']')) {
+        const inner = text.slice(1, -1).trim();
+        if (!inner) return [];
+        return inner.split(/,(?=(?:[^"']|"[^"]*"|'[^']*')*$)/).map(item => parseValue(item));
+    }
+
+    // Unquoted values end at a comment
+    const plain = text.replace(/\s+#.*$/, '');
+    if (plain === '' || plain === '~' || plain === 'null') return null;
+    if (plain === 'true') return true;
+    if (plain === 'false') return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+}
+
+/**
+ * Parses the YAML subset used in front matter
+ *
+ * @param {string} yaml - Text between the `---` lines
+ * @returns {Object|null} Parsed data, or null if the text is not valid YAML
+ */
+function parseYaml(yaml) {
+    const lines = yaml.split(/\r?\n/);
+    const data = {};
+    let i = 0;
+
+    const isSkippable = line => /^\s*(#.*)?$/.test(line);
+    const indentOf = line => line.match(/^ */)[0].length;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isSkippable(line)) {
+            i++;
+            continue;
+        }
+
+        const match = indentOf(line) === 0 && KEY_PATTERN.exec(line);
+        if (!match) return null;
+
+        const key = match[1];
+        const value = (match[2] || '').trim();
+        i++;
+
+        // Indented lines that belong to this key
+        const block = [];
+        while (i < lines.length && (isSkippable(lines[i]) || indentOf(lines[i]) > 0 || lines[i].startsWith('-'))) {
+            block.push(lines[i]);
+            i++;
+        }
+        while (block.length > 0 && isSkippable(block[block.length - 1])) block.pop();
+
+        if (/^[|>][-+]?$/.test(value)) {
+            // Block scalar: | keeps line breaks, > folds them into spaces
+            const indent = Math.min(...block.filter(entry => entry.trim()).map(indentOf));
+            const text = block.map(entry => entry.slice(indent)).join(value[0] === '|' ? '\n' : ' ');
+            data[key] = value.endsWith('-') ? text : `${text}\n`;
+        } else if (value) {
+            if (block.some(entry => !isSkippable(entry))) return null;
+            data[key] = parseValue(value);
+        } else {
+            const entries = block.filter(entry => !isSkippable(entry)).map(entry => entry.trim());
+            if (entries.length === 0) {
+                data[key] = null;
+            } else if (entries.every(entry => entry.startsWith('- ') || entry === '-')) {
+                data[key] = entries.map(entry => parseValue(entry.slice(1)));
+            } else {
+                const nested = {};
+                for (const entry of entries) {
+                    const nestedMatch = KEY_PATTERN.exec(entry);
+                    if (!nestedMatch) return null;
+                    nested[nestedMatch[1]] = parseValue(nestedMatch[2] || '');
+                }
+                data[key] = nested;
+            }
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Splits a note into its front matter and Markdown body
+ *
+ * @param {string} text - Note content
+ * @returns {Object} {data, body, lineCount}: the parsed front matter ({} if
+ *   there is none), the text after it, and the number of lines it occupied
+ *
+ * @example
+ * parseFrontMatter('---\ntitle: Hi\ntags: [a, b]\n---\n# Body');
+ * // {data: {title: 'Hi', tags: ['a', 'b']}, body: '# Body', lineCount: 4}
+ */
+export function parseFrontMatter(text) {
+    const match = FRONT_MATTER_PATTERN.exec(text);
+    if (!match) return { data: {}, body: text, lineCount: 0 };
+
+    const data = parseYaml(match[1] || '');
+    if (!data) return { data: {}, body: text, lineCount: 0 };
+
+    const block = match[0];
+    return {
+        data,
+        body: text.slice(block.length),
+        lineCount: block.split('\n').length - (block.endsWith('\n') ? 1 : 0)
+    };
+}
+
+/**
+ * Gets the text direction requested by front matter
+ * An explicit `dir` wins; otherwise `lang` selects RTL for right-to-left
+ * languages and LTR for the rest.
+ *
+ * @param {Object} data - Parsed front matter
+ * @returns {string|null} 'ltr', 'rtl', 'auto', or null if not specified
+ *
+ * @example
+ * getFrontMatterDirection({ lang: 'fa-IR' }); // 'rtl'
+ * getFrontMatterDirection({ dir: 'ltr', lang: 'fa' }); // 'ltr'
+ */
+export function getFrontMatterDirection(data) {
+    const dir = typeof data.dir === 'string' ? data.dir.trim().toLowerCase() : '';
+    if (['ltr', 'rtl', 'auto'].includes(dir)) return dir;
+
+    const lang = typeof data.lang === 'string' ? data.lang.trim().toLowerCase() : '';
+    if (!lang) return null;
+    return RTL_LANGUAGES.has(lang.split(/[-_]/)[0]) ? 'rtl' : 'ltr';
+}
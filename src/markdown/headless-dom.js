@@ -0,0 +1,28 @@
+/**
+ * Headless DOM Module
+ *
+ * This module provides a document for rendering outside the browser, e.g.
+ * pre-rendering notes in a Node build step. It uses jsdom, which implements
+ * the DOM and HTML parsing as browsers do, so createRenderer produces the
+ * same HTML in Node as in the page:
+ *
+ *     const renderer = createRenderer({ document: createHeadlessDocument() });
+ *
+ * The browser app does not import this module.
+ *
+ * @module headless-dom
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { JSDOM } from 'jsdom';
+
+/**
+ * Creates an empty HTML document without a browser
+ * Scripts in it never run, and nothing is loaded.
+ *
+ * @returns {Document} The document
+ */
+export function createHeadlessDocument() {
+    return new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>').window.document;
+}
@@ -0,0 +1,106 @@
+/**
+ * Highlight Extension Module
+ *
+ * Built-in renderer extension (see extensions.js) that highlights code
+ * blocks with highlight.js:
+ *
+ * - After lexing, each code block whose language highlight.js knows, or that
+ *   has no language (it is then detected), is highlighted and replaced by
+ *   HTML whose <code> is marked with `data-highlight`; this is the costly
+ *   part, and it runs in the render worker
+ * - After sanitization, the marked blocks receive the highlighted markup, so
+ *   it is never stripped. The remaining <pre><code> blocks (e.g. written as
+ *   HTML) are highlighted in place; diagram fences (`pre[data-diagram]`,
+ *   see diagrams.js) are left alone.
+ *
+ * @module highlight-extension
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+// Syntax highlighting for code blocks
+import hljs from 'highlight.js';
+
+/**
+ * Characters escaped when text is put in HTML
+ */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for use in HTML
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * The highlight extension, registered with every renderer (see renderer.js)
+ */
+export const highlightExtension = {
+    name: 'highlight',
+    order: 20,
+    builtIn: true,
+
+    walkTokens(token, context) {
+        if (token.type !== 'code') return;
+
+        const language = (token.lang || '').match(/^\S*/)[0];
+        if (language && !hljs.getLanguage(language)) return;
+
+        // marked ends every code block with a line break
+        const code = token.text.replace(/\n$/, '') + '\n';
+        let result;
+        try {
+            result = language
+                ? hljs.highlight(code, { language, ignoreIllegals: true })
+                : hljs.highlightAuto(code);
+        } catch (error) {
+            console.error("Highlight.js error on block:", error);
+            return;
+        }
+
+        if (!context.data.blocks) context.data.blocks = [];
+        const classAttribute = language ? ` class="language-${escapeHtml(language)}"` : '';
+        Object.assign(token, {
+            type: 'html',
+            block: true,
+            pre: false,
+            text: `<pre><code${classAttribute} data-highlight="${context.data.blocks.length}">${escapeHtml(code)}</code></pre>\n`
+        });
+        context.data.blocks.push({ html: result.value, language: result.language || language });
+    },
+
+    postprocess(root, context) {
+        const blocks = context.data.blocks || [];
+        root.querySelectorAll('pre code[data-highlight]').forEach((block) => {
+            const highlighted = blocks[parseInt(block.dataset.highlight, 10)];
+            block.removeAttribute('data-highlight');
+            if (!highlighted) return;
+
+            block.innerHTML = highlighted.html;
+            block.classList.add('hljs');
+            if (highlighted.language) block.classList.add(`language-${highlighted.language}`);
+        });
+
+        root.querySelectorAll('pre code').forEach((block) => {
+            // highlight.js leaves languages it does not know as they are,
+            // with a console warning; skip them up front
+            const languageClass = Array.from(block.classList).find(name => name.startsWith('language-'));
+            if (languageClass && !hljs.getLanguage(languageClass.slice('language-'.length))) return;
+
+            // Skip already highlighted blocks and diagrams
+            if (!block.classList.contains('hljs') && !block.closest('pre[data-diagram]')) {
+                try {
+                    hljs.highlightElement(block);
+                } catch (error) {
+                    console.error("Highlight.js error on block:", error, block);
+                    // Add error class to indicate highlighting failed
+                    block.classList.add('hljs-error');
+                }
+            }
+        });
+    }
+};
@@ -0,0 +1,262 @@
+/**
+ * Incremental Renderer Module
+ *
+ * This module keeps a rendered note up to date without re-rendering all of
+ * it on every edit. The note is split into top-level blocks (see
+ * splitMarkdownBlocks), each block is rendered on its own and its HTML is
+ * cached by its source, and the output element is patched: blocks whose
+ * source did not change keep their DOM nodes, so KaTeX and highlight.js only
+ * run for the blocks that were edited, and state such as collapsed code
+ * blocks or open <details> survives.
+ *
+ * Source line attributes (see the sourceLines option of render()) are kept
+ * current when blocks move up or down in the note.
+ *
+ * With an AsyncRenderer, renderAsync splits the note and renders the changed
+ * blocks in a Web Worker; only sanitizing and patching the DOM are left for
+ * the main thread.
+ *
+ * @module incremental-renderer
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { defaultRenderer, render, splitMarkdownBlocks } from './renderer.js';
+
+/**
+ * Moves the source line attributes of rendered nodes by a number of lines
+ *
+ * @param {Node[]} nodes - Top-level nodes of a block
+ * @param {number} delta - Number of lines to add
+ */
+function shiftSourceLines(nodes, delta) {
+    nodes.forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const elements = Array.from(node.querySelectorAll('[data-source-line]'));
+        if (node.hasAttribute('data-source-line')) elements.push(node);
+        elements.forEach((element) => {
+            element.dataset.sourceLine = Number(element.dataset.sourceLine) + delta;
+            element.dataset.sourceLineEnd = Number(element.dataset.sourceLineEnd) + delta;
+        });
+    });
+}
+
+/**
+ * Renders markdown into an element block by block, reusing unchanged blocks
+ *
+ * @example
+ * const renderer = new IncrementalRenderer(outputElement);
+ * renderer.render(text, true, { textDirection: 'auto' });
+ * // {rendered: 1, reused: 120} after editing one paragraph
+ */
+export class IncrementalRenderer {
+    /**
+     * @param {HTMLElement} container - Element the note is rendered into
+     * @param {AsyncRenderer} [asyncRenderer=null] - Renders blocks off the
+     *   main thread for renderAsync
+     */
+    constructor(container, asyncRenderer = null) {
+        this.container = container;
+        this.asyncRenderer = asyncRenderer;
+        this.cache = new Map();     // block source -> rendered HTML
+        this.blocks = [];           // {source, nodes, start} in document order
+        this.optionsKey = null;
+        this.definitions = null;    // link definitions the cached blocks were rendered with
+        this.generation = 0;        // incremented by every render
+        this.shownGeneration = 0;   // generation of the render the container shows
+    }
+
+    /**
+     * Forget all rendered blocks, so the next render starts from scratch
+     */
+    reset() {
+        this.cache.clear();
+        this.blocks = [];
+        this.optionsKey = null;
+        this.definitions = null;
+    }
+
+    /**
+     * Render a note into the container, patching only what changed
+     *
+     * @param {string} markdownText - The raw markdown text
+     * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+     * @param {Object} [options={}] - Rendering options, as for render();
+     *   sourceLines is always on
+     * @returns {{rendered: number, reused: number}} Number of blocks rendered
+     *   from markdown, and of blocks whose DOM nodes were kept
+     */
+    render(markdownText, isMathEnabled = true, options = {}) {
+        // A render in progress in the background is now stale
+        this.generation++;
+        this.shownGeneration = this.generation;
+        if (this.asyncRenderer) this.asyncRenderer.cancel();
+
+        const { blocks, definitions } = splitMarkdownBlocks(markdownText, isMathEnabled);
+        return this.update(blocks, definitions, isMathEnabled, options, (source) => {
+            return this.renderBlock(source, definitions, isMathEnabled, options);
+        });
+    }
+
+    /**
+     * Render a note like render(), with parsing, math and highlighting done
+     * off the main thread by the async renderer (see async-renderer.js)
+     * Falls back to render() without an async renderer.
+     *
+     * @param {string} markdownText - The raw markdown text
+     * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+     * @param {Object} [options={}] - Rendering options, as for render()
+     * @returns {Promise<Object|null>} {rendered, reused} as for render(), or
+     *   null if it was dropped: a render started later was shown already, or
+     *   the async renderer replaced or cancelled it
+     *
+     * Results are shown as they arrive, even when renderAsync was called
+     * again meanwhile, so the container keeps up with a note that changes
+     * faster than it renders.
+     */
+    async renderAsync(markdownText, isMathEnabled = true, options = {}) {
+        if (!this.asyncRenderer) return this.render(markdownText, isMathEnabled, options);
+
+        const generation = ++this.generation;
+
+        // Cached blocks only count as rendered if the options are unchanged;
+        // the worker checks the link definitions
+        const isCacheValid = this.getOptionsKey(isMathEnabled, options, this.definitions) === this.optionsKey;
+        const result = await this.asyncRenderer.renderBlocks(markdownText, isMathEnabled, options, {
+            sources: isCacheValid ? Array.from(this.cache.keys()) : [],
+            definitions: this.definitions
+        });
+        if (!result || generation <= this.shownGeneration) return null;
+        this.shownGeneration = generation;
+
+        const { blocks, definitions, html } = result;
+        return this.update(blocks, definitions, isMathEnabled, options, (source) => {
+            return html.has(source) ? html.get(source) : this.renderBlock(source, definitions, isMathEnabled, options);
+        });
+    }
+
+    /**
+     * Render one block on the main thread
+     *
+     * @param {string} source - Markdown of the block
+     * @param {string} definitions - Link definitions of the note
+     * @param {boolean} isMathEnabled - Whether math expressions are rendered
+     * @param {Object} options - Rendering options
+     * @returns {string} HTML of the block, with source lines relative to it
+     */
+    renderBlock(source, definitions, isMathEnabled, options) {
+        return render(definitions ? `${source}\n\n${definitions}` : source, isMathEnabled, {
+            ...options,
+            sourceLines: true
+        });
+    }
+
+    /**
+     * Build the key that cached blocks are valid for
+     *
+     * @param {boolean} isMathEnabled - Whether math expressions are rendered
+     * @param {Object} options - Rendering options
+     * @param {string|null} definitions - Link definitions of the note
+     * @returns {string} The key
+     */
+    getOptionsKey(isMathEnabled, options, definitions) {
+        const { textDirection = 'ltr', trusted = false, sanitize = {} } = options;
+        return JSON.stringify([isMathEnabled, textDirection, trusted, sanitize, definitions, defaultRenderer.extensions.getStates()]);
+    }
+
+    /**
+     * Patch the container to show a list of blocks
+     *
+     * @param {Array<Object>} blocks - Blocks from splitMarkdownBlocks
+     * @param {string} definitions - Link definitions of the note
+     * @param {boolean} isMathEnabled - Whether math expressions are rendered
+     * @param {Object} options - Rendering options
+     * @param {Function} getBlockHtml - Returns the HTML of a block source
+     *   that is not cached
+     * @returns {{rendered: number, reused: number}} As for render()
+     */
+    update(blocks, definitions, isMathEnabled, options, getBlockHtml) {
+        // Blocks render differently when an option, a link definition or an
+        // extension changes
+        const optionsKey = this.getOptionsKey(isMathEnabled, options, definitions);
+        if (optionsKey !== this.optionsKey) {
+            this.reset();
+            this.optionsKey = optionsKey;
+            this.definitions = definitions;
+        }
+
+        // Rendered blocks by source. Blocks whose nodes were removed by other
+        // code (e.g. a full re-render) cannot be reused.
+        const available = new Map();
+        this.blocks.forEach((block) => {
+            block.nodes = block.nodes
+                .map((node) => {
+                    // Post-processing may have wrapped a node, e.g. code blocks
+                    while (node.parentNode && node.parentNode !== this.container) node = node.parentNode;
+                    return node;
+                })
+                .filter((node, index, nodes) => nodes.indexOf(node) === index);
+            if (!block.nodes.every(node => node.parentNode === this.container)) return;
+
+            if (!available.has(block.source)) available.set(block.source, []);
+            available.get(block.source).push(block);
+        });
+
+        let rendered = 0;
+        let reused = 0;
+        const nextBlocks = blocks.map(({ source, start }) => {
+            const reusable = available.get(source);
+            const block = reusable && reusable.length > 0 ? reusable.shift() : null;
+            if (block) {
+                if (block.start !== start) {
+                    shiftSourceLines(block.nodes, start - block.start);
+                    block.start = start;
+                }
+                reused++;
+                return block;
+            }
+
+            let html = this.cache.get(source);
+            if (html === undefined) {
+                html = getBlockHtml(source);
+                rendered++;
+            }
+            this.cache.set(source, html);
+
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            const nodes = Array.from(template.content.childNodes)
+                .filter(node => node.nodeType !== Node.TEXT_NODE || node.data.trim());
+            shiftSourceLines(nodes, start);
+            return { source, nodes, start };
+        });
+
+        // Remove everything that is not part of the new document, then put
+        // the nodes in order, moving only those that are out of place
+        const keptNodes = new Set(nextBlocks.flatMap(block => block.nodes));
+        Array.from(this.container.childNodes).forEach((node) => {
+            if (!keptNodes.has(node)) node.remove();
+        });
+
+        let cursor = this.container.firstChild;
+        nextBlocks.forEach((block) => {
+            block.nodes.forEach((node) => {
+                if (node === cursor) {
+                    cursor = cursor.nextSibling;
+                } else {
+                    this.container.insertBefore(node, cursor);
+                }
+            });
+        });
+
+        // Keep only the HTML of blocks that are still in the note
+        const sources = new Set(blocks.map(block => block.source));
+        this.cache.forEach((html, source) => {
+            if (!sources.has(source)) this.cache.delete(source);
+        });
+
+        this.blocks = nextBlocks;
+        return { rendered, reused };
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Math Extension Module
+ *
+ * Built-in renderer extension (see extensions.js) for LaTeX math, rendered
+ * with KaTeX when the isMathEnabled argument of render() is set:
+ *
+ * - Before parsing, $...$ and $$...$$ expressions (and \(...\) and \[...\])
+ *   are replaced with placeholders, so markdown does not touch underscores
+ *   or asterisks in them, and are rendered to HTML
+ * - After sanitization, the placeholders are replaced with the rendered math,
+ *   so KaTeX markup is never stripped
+ *
+ * @module math-extension
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+// LaTeX math rendering
+import katex from 'katex';
+
+/**
+ * Placeholder left in the markdown for a math expression (see protectMath)
+ */
+export const MATH_PLACEHOLDER_PATTERN = /<span class="math-placeholder" data-id="(\d+)"><\/span>/g;
+
+/**
+ * Replaces math expressions with placeholders that markdown leaves alone
+ * LaTeX-style delimiters \(...\) and \[...\] are converted to $...$ and
+ * $$...$$ first.
+ *
+ * @param {string} markdownText - Markdown source
+ * @returns {{text: string, mathBlocks: string[]}} The text with placeholders,
+ *   and the math expression (with delimiters) of each placeholder id
+ */
+export function protectMath(markdownText) {
+    const mathBlocks = [];
+
+    // Convert LaTeX-style delimiters to dollar-sign delimiters for broader compatibility
+    // Escaped delimiters: \(...\) and \[...\]
+    let text = markdownText.replace(/\\\((.*?)\\\)/gs, (match, mathContent) => {
+        return `$${mathContent}$`;
+    });
+    text = text.replace(/\\\[(.*?)\\\]/gs, (match, mathContent) => {
+        return `$$${mathContent}$$`;
+    });
+
+    // Replace display math blocks ($$...$$) with placeholders
+    text = text.replace(/\$\$([\s\S]*?)\$\$/g, (match) => {
+        const id = mathBlocks.length;
+        mathBlocks.push(match);
+        return `<span class="math-placeholder" data-id="${id}"></span>`;
+    });
+
+    // Replace inline math expressions ($...$) with placeholders
+    text = text.replace(/\$([^$\n]+?)\$/g, (match) => {
+        const id = mathBlocks.length;
+        mathBlocks.push(match);
+        return `<span class="math-placeholder" data-id="${id}"></span>`;
+    });
+
+    return { text, mathBlocks };
+}
+
+/**
+ * Puts math expressions back in place of their placeholders
+ *
+ * @param {string} text - Text returned by protectMath, or a part of it
+ * @param {string[]} mathBlocks - Math expressions by placeholder id
+ * @returns {string} The text with math expressions
+ */
+export function restoreMath(text, mathBlocks) {
+    return text.replace(MATH_PLACEHOLDER_PATTERN, (match, id) => mathBlocks[id] || match);
+}
+
+/**
+ * Renders a math expression to HTML with KaTeX
+ *
+ * KaTeX configuration:
+ * - Display math: $$...$$ (block-level, centered)
+ * - Inline math: $...$ (inline, within text flow)
+ * - throwOnError: false (show error message instead of throwing)
+ *
+ * @param {string} expression - Math expression with its delimiters
+ * @returns {string|null} KaTeX markup, or null if KaTeX failed
+ */
+function renderMathToString(expression) {
+    const displayMode = expression.startsWith('$$');
+    const tex = displayMode ? expression.slice(2, -2) : expression.slice(1, -1);
+    try {
+        return katex.renderToString(tex, { displayMode, throwOnError: false });
+    } catch (error) {
+        console.error("KaTeX rendering error:", error);
+        return null;
+    }
+}
+
+/**
+ * The math extension, registered with every renderer (see renderer.js)
+ */
+export const mathExtension = {
+    name: 'math',
+    order: 10,
+    builtIn: true,
+
+    preprocess(markdown, context) {
+        if (!context.isMathEnabled) return markdown;
+
+        const { text, mathBlocks } = protectMath(markdown);
+        context.data.expressions = mathBlocks;
+        context.data.html = mathBlocks.map(renderMathToString);
+        return text;
+    },
+
+    postprocess(root, context) {
+        const { expressions = [], html = [] } = context.data;
+        root.querySelectorAll('span.math-placeholder').forEach((placeholder) => {
+            const id = parseInt(placeholder.dataset.id, 10);
+            if (id >= 0 && id < expressions.length) {
+                // Math KaTeX could not render is shown as written
+                const template = root.ownerDocument.createElement('template');
+                template.innerHTML = html[id] === null ? '' : html[id];
+                placeholder.replaceWith(html[id] === null ? expressions[id] : template.content);
+            }
+        });
+    }
+};
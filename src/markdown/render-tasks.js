@@ -0,0 +1,61 @@
+/**
+ * Render Tasks Module
+ *
+ * This module runs the part of rendering that needs no DOM (see
+ * parseMarkdown in renderer.js) for async-renderer.js: in its Web Worker,
+ * or on the main thread where workers are not available. Tasks and results
+ * are plain data, so they can be posted between threads:
+ *
+ * - {type: 'document', markdownText, isMathEnabled, options} parses a
+ *   whole note; the result is that of parseMarkdown
+ * - {type: 'blocks', markdownText, isMathEnabled, options, known, definitions} splits
+ *   a note into blocks (see splitMarkdownBlocks) and parses each block that
+ *   is not in known, the sources of blocks the caller has already rendered
+ *   with the given link definitions; the result is {blocks, definitions,
+ *   parsed}, where parsed maps a block's source to its parseMarkdown result
+ *
+ * Every task may carry extensionStates (see ExtensionRegistry#getStates
+ * in extensions.js), so the worker turns the same extensions on and off as the
+ * main thread.
+ *
+ * @module render-tasks
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { defaultRenderer, parseMarkdown, splitMarkdownBlocks } from './renderer.js';
+
+/**
+ * Runs a render task
+ *
+ * @param {Object} task - Task, as described above
+ * @returns {Object} The task's result
+ * @throws {Error} If the task type is unknown
+ */
+export function runRenderTask(task) {
+    const { type, markdownText, isMathEnabled, options = {} } = task;
+    if (task.extensionStates) defaultRenderer.extensions.setStates(task.extensionStates);
+
+    if (type === 'document') {
+        return parseMarkdown(markdownText, isMathEnabled, options);
+    }
+
+    if (type === 'blocks') {
+        const { blocks, definitions } = splitMarkdownBlocks(markdownText, isMathEnabled);
+
+        // Blocks render differently when a link definition changes
+        const known = new Set(definitions === task.definitions ? task.known : []);
+        const parsed = new Map();
+        blocks.forEach(({ source }) => {
+            if (known.has(source) || parsed.has(source)) return;
+            parsed.set(source, parseMarkdown(definitions ? `${source}\n\n${definitions}` : source, isMathEnabled, {
+                ...options,
+                sourceLines: true
+            }));
+        });
+
+        return { blocks, definitions, parsed };
+    }
+
+    throw new Error(`Unknown render task: ${type}`);
+}
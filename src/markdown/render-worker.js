@@ -0,0 +1,23 @@
+/**
+ * Render Worker
+ *
+ * Web Worker that runs render tasks (see render-tasks.js) off the main
+ * thread for async-renderer.js. Messages are {id, task}; each is answered
+ * with {id, result}, or {id, error} with the error message.
+ *
+ * @module render-worker
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { runRenderTask } from './render-tasks.js';
+
+self.addEventListener('message', (event) => {
+    const { id, task } = event.data;
+    try {
+        self.postMessage({ id, result: runRenderTask(task) });
+    } catch (error) {
+        console.error("Render task error:", error);
+        self.postMessage({ id, error: error.message });
+    }
+});
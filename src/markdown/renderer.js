@@ -3,187 +3,864 @@
  * 
  * This module provides a comprehensive markdown rendering function that:
  * - Parses markdown using the 'marked' library
- * - Handles LaTeX math expressions using KaTeX
+ * - Handles LaTeX math expressions using KaTeX (math-extension.js)
  * - Applies syntax highlighting to code blocks using highlight.js
+ *   (highlight-extension.js)
  * - Preserves math expressions during markdown processing to avoid conflicts
+ * - Lets extensions add syntax and post-processing (see extensions.js)
+ * - Sanitizes the generated HTML unless the document is trusted
+ * - Leaves YAML front matter out of the output (see front-matter.js)
+ * - Optionally marks blocks with the source lines they came from, for
+ *   scroll synchronization with the editor
  * 
  * The rendering process protects math expressions by temporarily replacing them
  * with placeholders, processing the markdown, then restoring and rendering the math.
  * 
+ * Renderers are instances (see createRenderer), each with its own
+ * extensions and document, so rendering has no global side effects and
+ * also runs in Node with a headless DOM (see headless-dom.js). The
+ * functions exported next to createRenderer use the app's default renderer.
+ * 
+ * Rendering has two phases: parseMarkdown does the parsing, KaTeX and
+ * highlight.js work on strings and can run in a Web Worker; finishRender
+ * sanitizes the result and runs the extensions' postprocessors, which put
+ * the math and code in place, using the DOM. Once the HTML is in the page,
+ * enhanceOutput runs the extensions' enhance hooks, such as drawing diagram
+ * fences (see diagrams.js).
+ * 
  * @module markdown-renderer
  * @author Matin KG
  * @version 1.0.0
  */
 
 // Core markdown parsing library
-import { marked } from 'marked';
-// Syntax highlighting for code blocks
-import hljs from 'highlight.js';
-// LaTeX math rendering
-import katex from 'katex';
-// Auto-render extension for KaTeX to find and render math in DOM
-import renderMathInElement from 'katex/dist/contrib/auto-render';
+import { Marked } from 'marked';
+// Allowlist-based HTML sanitization for untrusted documents
+import { sanitizeFragment } from './sanitizer.js';
+// Leading YAML metadata block
+import { parseFrontMatter } from './front-matter.js';
+// Extensions hook into parsing and post-processing
+import { ExtensionRegistry } from './extensions.js';
+// Built-in extensions, registered with every renderer
+import { mathExtension, MATH_PLACEHOLDER_PATTERN, protectMath, restoreMath } from './math-extension.js';
+import { highlightExtension } from './highlight-extension.js';
 
 /**
- * Renders markdown text to HTML with math support and syntax highlighting
- * 
- * @param {string} markdownText - The raw markdown text to render
- * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
- * @returns {string} The rendered HTML string
- * 
- * @example
- * const html = render('# Hello World\n\nThis is **bold** text with $x^2$ math.');
- * console.log(html); // Returns HTML with rendered markdown and math
+ * Strong right-to-left characters (Hebrew, Arabic, Syriac, Thaana, NKo and
+ * the Arabic/Hebrew presentation forms). Arabic-Indic and Persian digits are
+ * weak characters and are left out.
  */
-export function render(markdownText, isMathEnabled = true) {
-    // Array to store math expressions temporarily during markdown processing
-    const mathBlocks = [];
-    let textWithPlaceholders = markdownText;
+const RTL_CHAR_PATTERN = /[\u0590-\u065F\u066A-\u06EF\u06FA-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
 
-    if (isMathEnabled) {
-        // Convert LaTeX-style delimiters to dollar-sign delimiters for broader compatibility
-        // Escaped delimiters: \(...\) and \[...\]
-        markdownText = markdownText.replace(/\\\((.*?)\\\)/gs, (match, mathContent) => {
-            return `$${mathContent}$`;
-        });
-        markdownText = markdownText.replace(/\\\[(.*?)\\\]/gs, (match, mathContent) => {
-            return `$$${mathContent}$$`;
-        });
+/**
+ * Strong left-to-right characters (Latin, Greek, Cyrillic and the rest of the
+ * alphabetic scripts below the Hebrew block, plus CJK and other BMP letters)
+ */
+const LTR_CHAR_PATTERN = /[A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02B8\u0370-\u03FF\u0400-\u052F\u0900-\u1FFF\u2C00-\uFB1C]/;
 
-        /**
-         * STEP 1: Protect mathexpressions from markdown processing
-         * 
-         * We need to extract math expressions before markdown processing because:
-         * 1. Markdown might interfere with LaTeX syntax (underscores, asterisks, etc.)
-         * 2. We want to render math after HTML structure is ready
-         * 3. This ensures math expressions are preserved exactly as written
-         */
-        
-        // Replace display math blocks ($$...$$) with placeholders
-        textWithPlaceholders = markdownText.replace(/\$\$([\s\S]*?)\$\$/g, (match) => {
-            const id = mathBlocks.length;
-            mathBlocks.push(match);
-            return `<span class="math-placeholder" data-id="${id}"></span>`;
-        });
+/**
+ * Block elements that receive their own `dir` attribute in auto direction mode
+ */
+const AUTO_DIRECTION_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, ul, ol, li, th, td, blockquote';
+
+/**
+ * Elements whose text is ignored when detecting a block's direction.
+ * Code and math keep their own direction, so they must not decide the
+ * direction of the surrounding text.
+ */
+const AUTO_DIRECTION_IGNORED = 'code, pre, .katex, .katex-display, .math-placeholder';
+
+// Node types, without the browser's Node global (rendering may use a headless DOM)
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * Counts the line breaks in lexer output
+ * Display math was replaced by single-line placeholders before lexing, so
+ * the line breaks of the math each placeholder stands for are added back.
+ *
+ * @param {string} text - Raw text of a token
+ * @param {string[]} mathBlocks - Math expressions by placeholder id
+ * @returns {number} Number of line breaks in the original source
+ */
+function countSourceLineBreaks(text, mathBlocks) {
+    let count = (text.match(/\n/g) || []).length;
+    for (const [, id] of text.matchAll(MATH_PLACEHOLDER_PATTERN)) {
+        count += ((mathBlocks[id] || '').match(/\n/g) || []).length;
+    }
+    return count;
+}
 
-        // Replace inline math expressions ($...$) with placeholders
-        textWithPlaceholders = textWithPlaceholders.replace(/\$([^$\n]+?)\$/g, (match) => {
-            const id = mathBlocks.length;
-            mathBlocks.push(match);
-            return `<span class="math-placeholder" data-id="${id}"></span>`;
+/**
+ * Gets the source line range of a top-level token
+ * Lists also get the range of each item.
+ *
+ * @param {Object} token - Lexer token
+ * @param {number} line - Line the token starts on (0-based)
+ * @param {string[]} mathBlocks - Math expressions by placeholder id
+ * @returns {Object} {type, start, end, items}, where items are {start, end}
+ */
+function getSourceBlock(token, line, mathBlocks) {
+    const breaks = countSourceLineBreaks(token.raw, mathBlocks);
+    const trailing = (token.raw.match(/\n+$/) || [''])[0].length;
+    const block = { type: token.type, start: line, end: line + breaks - trailing, items: [] };
+
+    if (token.type === 'list') {
+        let itemLine = line;
+        block.items = token.items.map((item) => {
+            const itemBreaks = countSourceLineBreaks(item.raw, mathBlocks);
+            const itemTrailing = (item.raw.match(/\n+$/) || [''])[0].length;
+            const range = { start: itemLine, end: itemLine + itemBreaks - itemTrailing };
+            itemLine += itemBreaks;
+            return range;
         });
     }
+    return block;
+}
 
-    /**
-     * STEP 2: Configure markdown parser
-     * 
-     * Configuration options:
-     * - breaks: true - Convert line breaks to <br> tags (GitHub-style)
-     * - gfm: true - Enable GitHub Flavored Markdown features
-     */
-    marked.setOptions({
+/**
+ * Sets the source line range of a rendered block
+ *
+ * @param {HTMLElement} element - The rendered block
+ * @param {number} start - First source line (0-based)
+ * @param {number} end - Last source line
+ */
+function setSourceLines(element, start, end) {
+    element.dataset.sourceLine = start;
+    element.dataset.sourceLineEnd = end;
+}
+
+/**
+ * Finds the source line markers inserted before each top-level token
+ * Markers carry the id of the render, so markers written in the note itself
+ * (which have no block, or the wrong one) are ignored. Call it before
+ * sanitizing, which strips the markers' attributes.
+ *
+ * @param {DocumentFragment} fragment - Parsed HTML containing the markers
+ * @param {Object} parsed - Result of parseMarkdown ({sourceMarker, sourceBlocks})
+ * @returns {Array<Object>} {marker, block} for each marker of this render
+ */
+function findSourceLineMarkers(fragment, parsed) {
+    const prefix = `${parsed.sourceMarker}-`;
+    const markers = [];
+
+    fragment.querySelectorAll('span.source-line-marker').forEach((marker) => {
+        const id = marker.dataset.block || '';
+        const block = id.startsWith(prefix) ? parsed.sourceBlocks[Number(id.slice(prefix.length))] : undefined;
+        if (block) markers.push({ marker, block });
+    });
+    return markers;
+}
+
+/**
+ * Replaces the source line markers with `data-source-line` and
+ * `data-source-line-end` attributes on the block the token rendered to.
+ * List items and table rows get their own ranges, so long lists and tables
+ * map line by line.
+ *
+ * @param {Array<Object>} markers - Markers from findSourceLineMarkers
+ */
+function applySourceLines(markers) {
+    markers.forEach(({ marker, block }) => {
+        const { type, start, end, items } = block;
+
+        // Skip whitespace; a marker followed by text (e.g. the closing tag of
+        // an HTML block) has no block of its own
+        let element = marker.nextSibling;
+        while (element && element.nodeType === TEXT_NODE && !element.data.trim()) {
+            element = element.nextSibling;
+        }
+        marker.remove();
+        if (!element || element.nodeType !== ELEMENT_NODE) return;
+
+        setSourceLines(element, start, end);
+
+        if (type === 'list' && /^[OU]L$/.test(element.tagName)) {
+            const listItems = Array.from(element.children).filter(child => child.tagName === 'LI');
+            items.forEach((item, index) => {
+                if (listItems[index]) setSourceLines(listItems[index], item.start, item.end);
+            });
+        } else if (type === 'table' && element.tagName === 'TABLE') {
+            // Header row, delimiter row, then one line per body row
+            const headerRow = element.querySelector('thead tr');
+            if (headerRow) setSourceLines(headerRow, start, start + 1);
+            element.querySelectorAll('tbody tr').forEach((row, index) => {
+                setSourceLines(row, start + 2 + index, start + 2 + index);
+            });
+        }
+    });
+}
+
+/**
+ * Detects the direction of a piece of text from its first strong character
+ *
+ * @param {string} text - The text to inspect
+ * @returns {string|null} 'rtl', 'ltr', or null if the text has no strong characters
+ *
+ * @example
+ * detectTextDirection('۱. سلام world'); // 'rtl'
+ * detectTextDirection('123 hello');     // 'ltr'
+ */
+export function detectTextDirection(text) {
+    for (const char of text) {
+        if (RTL_CHAR_PATTERN.test(char)) return 'rtl';
+        if (LTR_CHAR_PATTERN.test(char)) return 'ltr';
+    }
+    return null;
+}
+
+/**
+ * Finds the direction of an element's text from its first strong character,
+ * skipping code and math
+ *
+ * @param {Node} node - The element to inspect
+ * @returns {string|null} 'rtl', 'ltr', or null if no text has strong characters
+ */
+function findTextDirection(node) {
+    for (const child of node.childNodes) {
+        let direction = null;
+        if (child.nodeType === TEXT_NODE) {
+            direction = detectTextDirection(child.data);
+        } else if (child.nodeType === ELEMENT_NODE && !child.matches(AUTO_DIRECTION_IGNORED)) {
+            direction = findTextDirection(child);
+        }
+        if (direction) return direction;
+    }
+    return null;
+}
+
+/**
+ * Sets the `dir` attribute of every direction-bearing block in an element
+ * based on the first strong character of its own text
+ *
+ * @param {HTMLElement} rootElement - The element containing rendered markdown
+ */
+function applyAutoDirection(rootElement) {
+    rootElement.querySelectorAll(AUTO_DIRECTION_BLOCKS).forEach((block) => {
+        // Blocks written inside code (e.g. as HTML) keep the code's direction
+        if (block.parentElement && block.parentElement.closest(AUTO_DIRECTION_IGNORED)) return;
+
+        const direction = findTextDirection(block);
+        if (direction) {
+            block.setAttribute('dir', direction);
+        }
+    });
+}
+
+/**
+ * Creates the context each enabled extension gets during a render
+ *
+ * @param {ExtensionRegistry} extensions - Extensions of the renderer
+ * @param {boolean} isMathEnabled - Whether math expressions are rendered
+ * @param {Object} options - Rendering options
+ * @param {Object} [data={}] - Data of each extension by name, from parseMarkdown
+ * @returns {Map<string, Object>} {isMathEnabled, options, data} by extension name
+ */
+function createExtensionContexts(extensions, isMathEnabled, options, data = {}) {
+    const contexts = new Map();
+    extensions.getActive().forEach(({ name }) => {
+        contexts.set(name, { isMathEnabled, options, data: data[name] || {} });
+    });
+    return contexts;
+}
+
+/**
+ * Runs one hook of every enabled extension that has it
+ * An extension that throws is reported and skipped, so it cannot break
+ * the whole render.
+ *
+ * @param {ExtensionRegistry} extensions - Extensions of the renderer
+ * @param {string} hook - Hook name
+ * @param {Map<string, Object>} contexts - Contexts from createExtensionContexts
+ * @param {Function} callback - Called with (extension, context)
+ */
+function runExtensionHook(extensions, hook, contexts, callback) {
+    extensions.getActive(hook).forEach((extension) => {
+        try {
+            callback(extension, contexts.get(extension.name));
+        } catch (error) {
+            console.error(`Renderer extension "${extension.name}" failed in ${hook}:`, error);
+        }
+    });
+}
+
+/**
+ * Creates a markdown parser with the syntax of the enabled extensions
+ * A new parser is made for each render, so extensions never leak into the
+ * shared `marked` instance or into other renderers.
+ * 
+ * Configuration options:
+ * - breaks: true - Convert line breaks to <br> tags (GitHub-style)
+ * - gfm: true - Enable GitHub Flavored Markdown features
+ *
+ * @param {ExtensionRegistry} extensions - Extensions of the renderer
+ * @param {Map<string, Object>} contexts - Contexts from createExtensionContexts
+ * @returns {Marked} The parser
+ */
+function createMarked(extensions, contexts) {
+    const markedInstance = new Marked({
         breaks: true,  // Convert single line breaks to <br>
         gfm: true,     // Enable GitHub Flavored Markdown (tables, task lists, etc.)
     });
 
-    // Custom tokenizer to handle specific cases if needed
-    marked.use({
-        tokenizer: {
-            // Custom code block handling (currently returns undefined to use default)
-            code(src, tokens) {
-                return undefined;
-            }
+    // marked tries the extensions added last first, so add them in reverse
+    extensions.getActive().slice().reverse().forEach((extension) => {
+        const context = contexts.get(extension.name);
+        const markedExtensions = [
+            ...extension.tokenizers,
+            ...Object.entries(extension.renderers).map(([name, renderToken]) => ({
+                name,
+                renderer(token) {
+                    return renderToken.call(this, token, context);
+                }
+            }))
+        ];
+        if (markedExtensions.length > 0) {
+            markedInstance.use({ extensions: markedExtensions });
         }
     });
 
+    return markedInstance;
+}
+
+/**
+ * Gets the math expressions the math extension replaced with placeholders
+ *
+ * @param {Map<string, Object>} contexts - Contexts from createExtensionContexts
+ * @returns {string[]} Math expressions by placeholder id
+ */
+function getMathBlocks(contexts) {
+    const context = contexts.get('math');
+    return (context && context.data.expressions) || [];
+}
+
+/**
+ * Elements without a closing tag, ignored when balancing HTML blocks
+ */
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Counts how many elements an HTML block leaves open
+ *
+ * @param {string} html - Raw HTML of a block token
+ * @returns {number} Opening tags minus closing tags (negative for stray closing tags)
+ */
+function getOpenElementCount(html) {
+    let count = 0;
+    for (const [, closing, name, selfClosing] of html.matchAll(/<(\/?)([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/g)) {
+        if (selfClosing || VOID_ELEMENTS.has(name.toLowerCase())) continue;
+        count += closing ? -1 : 1;
+    }
+    return count;
+}
+
+/**
+ * Renders markdown with its own extensions and DOM
+ *
+ * A renderer changes no global state: each render parses with a new marked
+ * instance, and the extensions belong to the renderer. The output is built
+ * with the renderer's document, so the same pipeline produces the same HTML
+ * in the browser and in Node, with a headless document such as the one from
+ * createHeadlessDocument in headless-dom.js.
+ *
+ * @example
+ * const renderer = createRenderer({ document: createHeadlessDocument() });
+ * renderer.render('# Hello $x^2$'); // '<h1>Hello <span class="katex">...'
+ */
+export class Renderer {
+    /**
+     * @param {Object} [options={}] - Renderer options
+     * @param {Document} [options.document] - Document the output is built
+     *   with; defaults to the global document, where there is one
+     * @param {Array<Object>|ExtensionRegistry} [options.extensions=[]] -
+     *   Extensions to register besides the built-in ones (see extensions.js),
+     *   or a registry to use as it is
+     */
+    constructor({ document = null, extensions = [] } = {}) {
+        this.document = document;
+        this.extensions = extensions instanceof ExtensionRegistry
+            ? extensions
+            : new ExtensionRegistry([mathExtension, highlightExtension, ...extensions]);
+    }
+
     /**
-     * STEP 3: Parse markdown to HTML
-     * 
-     * Convert the markdown text (with math placeholders) to HTML.
-     * If parsing fails, return an error message in a Bootstrap alert.
+     * Get the document the output is built with
+     *
+     * @returns {Document} The document
+     * @throws {Error} If the renderer has no document and there is no global one
      */
-    let html = '';
-    try {
-        html = marked.parse(textWithPlaceholders);
-    } catch (error) {
-        console.error("Markdown parsing error:", error);
-        return `<div class="alert alert-danger">Error parsing Markdown.</div>`;
+    getDocument() {
+        const ownerDocument = this.document || globalThis.document;
+        if (!ownerDocument) {
+            throw new Error('Rendering needs a document; pass one to createRenderer (see headless-dom.js)');
+        }
+        return ownerDocument;
     }
 
     /**
-     * STEP 4: Create DOM element and restore math expressions
-     * 
-     * We create a temporary DOM element to:
-     * 1. Parse the HTML safely
-     * 2. Restore math expressions from placeholders
-     * 3. Apply KaTeX rendering to math expressions
-     * 4. Apply syntax highlighting to code blocks
+     * Parse markdown to HTML, running the parsing hooks of the extensions
+     *
+     * This is the part of rendering that needs no DOM, so it can run in a Web
+     * Worker (see async-renderer.js); finishRender completes it. The result
+     * holds only plain data, so it can be posted between threads.
+     *
+     * @param {string} markdownText - The raw markdown text to render
+     * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+     * @param {Object} [options={}] - Rendering options, as for render(); only
+     *   sourceLines is used here, the rest is passed to the extensions
+     * @returns {Object} {html, isMathEnabled, extensions, sourceBlocks,
+     *   sourceMarker, isError}: html still contains the extensions' placeholders
+     *   (e.g. for math) and the source line markers, which carry the random
+     *   sourceMarker id; extensions holds the data of each extension by name.
+     *   isError is set when the markdown could not be parsed.
      */
-    const outputElement = document.createElement('div');
-    outputElement.innerHTML = html;
-
-    if (isMathEnabled) {
-        // Restore math expressions by replacing placeholders with original math text
-        outputElement.querySelectorAll('span.math-placeholder').forEach(placeholder => {
-            const id = parseInt(placeholder.dataset.id, 10);
-            if (id >= 0 && id < mathBlocks.length) {
-                // Replace placeholder with text node containing original math expression
-                const mathTextNode = document.createTextNode(mathBlocks[id]);
-                placeholder.parentNode.replaceChild(mathTextNode, placeholder);
-            }
+    parseMarkdown(markdownText, isMathEnabled = true, options = {}) {
+        const { sourceLines = false } = options;
+        const contexts = createExtensionContexts(this.extensions, isMathEnabled, options);
+
+        /**
+         * STEP 0: Remove YAML front matter
+         * 
+         * Metadata at the top of the note is not part of the document; marked
+         * would render it as a paragraph followed by a horizontal rule.
+         */
+        const frontMatter = parseFrontMatter(markdownText);
+        let text = frontMatter.body;
+
+        /**
+         * STEP 1: Run the extensions' preprocessors
+         * 
+         * The math extension extracts math expressions before markdown processing:
+         * 1. Markdown might interfere with LaTeX syntax (underscores, asterisks, etc.)
+         * 2. We want to render math after HTML structure is ready
+         * 3. This ensures math expressions are preserved exactly as written
+         */
+        runExtensionHook(this.extensions, 'preprocess', contexts, (extension, context) => {
+            const result = extension.preprocess(text, context);
+            if (typeof result === 'string') text = result;
         });
+        const mathBlocks = getMathBlocks(contexts);
+
+        /**
+         * STEP 2: Configure markdown parser
+         */
+        const markedInstance = createMarked(this.extensions, contexts);
 
         /**
-         * STEP 5: Render LaTeX math expressions using KaTeX
+         * STEP 3: Parse markdown to HTML
          * 
-         * KaTeX configuration:
-         * - Display math: $$...$$ (block-level, centered)
-         * - Inline math: $...$ (inline, within text flow)
-         * - throwOnError: false (show error message instead of throwing)
+         * Convert the markdown text (with placeholders) to HTML, after the
+         * extensions walked the tokens (the highlight extension highlights code
+         * blocks here). If parsing fails, return an error message in a
+         * Bootstrap alert.
+         * 
+         * For source lines, a marker is rendered before each top-level token;
+         * line numbers are counted from where the tokens' raw text is found in
+         * the source, starting after the front matter. The markers' ids start
+         * with a random id of this render, so a note cannot forge them.
          */
+        let html = '';
+        const sourceBlocks = [];
+        const sourceMarker = Math.random().toString(36).slice(2);
         try {
-            renderMathInElement(outputElement, {
-                delimiters: [
-                    { left: '$$', right: '$$', display: true },   // Block math
-                    { left: '$', right: '$', display: false }     // Inline math
-                ],
-                throwOnError: false  // Show error in place instead of breaking
-            });
+            let tokens = markedInstance.lexer(text);
+
+            if (sourceLines) {
+                const markedTokens = [];
+                markedTokens.links = tokens.links;
+
+                // The lexer drops some source (e.g. link definitions after a
+                // heading), so each token is located in the text before counting
+                let position = 0;
+                let line = frontMatter.lineCount;
+                tokens.forEach((token) => {
+                    const index = text.indexOf(token.raw, position);
+                    if (index !== -1) {
+                        line += countSourceLineBreaks(text.slice(position, index), mathBlocks);
+                        position = index;
+                    }
+                    position += token.raw.length;
+
+                    if (token.type !== 'space') {
+                        markedTokens.push({
+                            type: 'html',
+                            block: true,
+                            pre: false,
+                            raw: '',
+                            text: `<span class="source-line-marker" data-block="${sourceMarker}-${sourceBlocks.length}"></span>`
+                        });
+                        sourceBlocks.push(getSourceBlock(token, line, mathBlocks));
+                    }
+                    markedTokens.push(token);
+                    line += countSourceLineBreaks(token.raw, mathBlocks);
+                });
+                tokens = markedTokens;
+            }
+
+            if (this.extensions.getActive('walkTokens').length > 0) {
+                markedInstance.walkTokens(tokens, (token) => {
+                    runExtensionHook(this.extensions, 'walkTokens', contexts, (extension, context) => {
+                        extension.walkTokens(token, context);
+                    });
+                });
+            }
+
+            html = markedInstance.parser(tokens);
         } catch (error) {
-            console.error("KaTeX rendering error:", error);
+            console.error("Markdown parsing error:", error);
+            return {
+                html: `<div class="alert alert-danger">Error parsing Markdown.</div>`,
+                isMathEnabled,
+                extensions: {},
+                sourceBlocks: [],
+                sourceMarker,
+                isError: true
+            };
+        }
+
+        const extensions = {};
+        contexts.forEach((context, name) => {
+            extensions[name] = context.data;
+        });
+        return { html, isMathEnabled, extensions, sourceBlocks, sourceMarker, isError: false };
+    }
+
+    /**
+     * Complete a render started by parseMarkdown, running the extensions'
+     * postprocessors on the renderer's document
+     *
+     * @param {Object} parsed - Result of parseMarkdown
+     * @param {Object} [options={}] - Rendering options, as for render()
+     * @returns {string} The rendered HTML string
+     */
+    finishRender(parsed, options = {}) {
+        const { textDirection = 'ltr', trusted = false, sanitize = {} } = options;
+        if (parsed.isError) return parsed.html;
+
+        /**
+         * STEP 4: Parse the HTML inertly and sanitize it
+         * 
+         * The HTML is parsed inside a <template>, where nothing loads or runs
+         * (an <img onerror> would fire even on a detached element). Untrusted
+         * documents are cleaned before the markup is moved into the output element.
+         * Placeholders survive sanitization; the extensions put KaTeX and
+         * highlight.js markup in place afterwards, so it is never stripped.
+         * Source line markers are found before sanitizing and applied after
+         * it, so the sanitizer removes any source lines written in the note.
+         */
+        const ownerDocument = this.getDocument();
+        const template = ownerDocument.createElement('template');
+        template.innerHTML = parsed.html;
+
+        const sourceMarkers = parsed.sourceBlocks.length > 0
+            ? findSourceLineMarkers(template.content, parsed)
+            : [];
+
+        if (!trusted) {
+            sanitizeFragment(template.content, sanitize);
+        }
+
+        applySourceLines(sourceMarkers);
+
+        const outputElement = ownerDocument.createElement('div');
+        outputElement.appendChild(template.content);
+
+        /**
+         * STEP 5: Run the extensions' postprocessors
+         * 
+         * In order: math placeholders are replaced with the rendered math,
+         * diagram fences are marked (when diagrams.js is loaded), and code
+         * blocks receive their highlighting.
+         */
+        const contexts = createExtensionContexts(this.extensions, parsed.isMathEnabled, options, parsed.extensions);
+        runExtensionHook(this.extensions, 'postprocess', contexts, (extension, context) => {
+            extension.postprocess(outputElement, context);
+        });
+
+        /**
+         * STEP 6: Detect direction per block in auto mode
+         * 
+         * Each paragraph, heading, list, table cell and blockquote gets a `dir`
+         * attribute from its first strong character. Inline code and math are
+         * skipped during detection so they keep their own direction.
+         */
+        if (textDirection === 'auto') {
+            applyAutoDirection(outputElement);
         }
+
+        /**
+         * STEP 7: Return the final HTML
+         * 
+         * The outputElement now contains:
+         * - Properly rendered markdown structure
+         * - Rendered LaTeX math expressions
+         * - Syntax-highlighted code blocks, and diagram fences to draw
+         * - Per-block `dir` attributes in auto direction mode
+         * - Preserved HTML structure and attributes
+         */
+        return outputElement.innerHTML;
     }
 
     /**
-     * STEP 6: Apply syntax highlighting to code blocks
+     * Render markdown text to HTML with math support and syntax highlighting
      * 
-     * Process all <pre><code> elements (code blocks) with highlight.js:
-     * - Skip blocks already processed (have 'hljs' class)
-     * - Auto-detect language or use specified language
-     * - Add error class if highlighting fails
-     * - Only highlights BLOCK code, not inline code elements
+     * @param {string} markdownText - The raw markdown text to render
+     * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+     * @param {Object} [options={}] - Additional rendering options
+     * @param {string} [options.textDirection='ltr'] - 'ltr', 'rtl', or 'auto' to set `dir`
+     *   on each block from its first strong character
+     * @param {boolean} [options.trusted=false] - Skip sanitization (scripts, iframes and
+     *   event handlers in the document are kept)
+     * @param {Object} [options.sanitize={}] - Partial sanitizer configuration
+     *   (see DEFAULT_SANITIZE_CONFIG in sanitizer.js)
+     * @param {boolean} [options.sourceLines=false] - Add `data-source-line` and
+     *   `data-source-line-end` (0-based lines of the note, front matter included)
+     *   to top-level blocks, list items and table rows
+     * @returns {string} The rendered HTML string
+     */
+    render(markdownText, isMathEnabled = true, options = {}) {
+        return this.finishRender(this.parseMarkdown(markdownText, isMathEnabled, options), options);
+    }
+
+    /**
+     * Run the enhance hooks of the enabled extensions on the live output
+     * Call it once rendered HTML is in the page; hooks must cope with content
+     * they already enhanced, since unchanged blocks keep their DOM.
+     *
+     * @param {HTMLElement} element - The output element
+     * @param {Object} [context={}] - Passed to every hook (e.g. the theme)
+     * @returns {Promise} Resolves when asynchronous hooks (e.g. drawing
+     *   diagrams) finished; failures are reported, not thrown
      */
-    outputElement.querySelectorAll('pre code').forEach((block) => {
-        // Skip already highlighted blocks to avoid double processing
-        if (!block.classList.contains('hljs')) {
+    enhanceOutput(element, context = {}) {
+        const results = this.extensions.getActive('enhance').map((extension) => {
+            const report = (error) => {
+                console.error(`Renderer extension "${extension.name}" failed in enhance:`, error);
+            };
             try {
-                hljs.highlightElement(block);
+                return Promise.resolve(extension.enhance(element, context)).catch(report);
             } catch (error) {
-                console.error("Highlight.js error on block:", error, block);
-                // Add error class to indicate highlighting failed
-                block.classList.add('hljs-error');
+                report(error);
+                return null;
             }
-        }
-    });
+        });
+        return Promise.all(results);
+    }
 
     /**
-     * STEP 7: Return the final HTML
-     * 
-     * The outputElement now contains:
-     * - Properly rendered markdown structure
-     * - Rendered LaTeX math expressions
-     * - Syntax-highlighted code blocks
-     * - Preserved HTML structure and attributes
+     * Split a note into top-level blocks that can be rendered on their own
+     *
+     * Each block is one top-level markdown token (paragraph, heading, list,
+     * table, code block...), except that an HTML block that leaves elements open,
+     * such as `<details>`, is grouped with the blocks up to its closing tag.
+     * Math is protected while splitting, so display math containing blank lines
+     * stays in one block. Link reference definitions apply to the whole note,
+     * so they are returned separately, to be appended when rendering a block.
+     *
+     * @param {string} markdownText - The raw markdown text
+     * @param {boolean} [isMathEnabled=true] - Whether math expressions are rendered
+     * @returns {Object} {blocks, definitions}: blocks are {source, start, end}
+     *   with 0-based source lines of the note; definitions is markdown text
+     *
+     * @example
+     * const { blocks, definitions } = splitMarkdownBlocks('# Title\n\nSee [docs][d].\n\n[d]: https://example.com');
+     * render(blocks[1].source + '\n\n' + definitions); // <p>See <a href="https://example.com">docs</a>.</p>
      */
-    return outputElement.innerHTML;
+    splitMarkdownBlocks(markdownText, isMathEnabled = true) {
+        const frontMatter = parseFrontMatter(markdownText);
+        const { text, mathBlocks } = isMathEnabled && this.extensions.isEnabled('math')
+            ? protectMath(frontMatter.body)
+            : { text: frontMatter.body, mathBlocks: [] };
+
+        const contexts = createExtensionContexts(this.extensions, isMathEnabled, {});
+        const tokens = createMarked(this.extensions, contexts).lexer(text);
+
+        const blocks = [];
+        let current = null;
+        let openElements = 0;
+        let position = 0;
+        let line = frontMatter.lineCount;
+
+        tokens.forEach((token) => {
+            const index = text.indexOf(token.raw, position);
+            if (index !== -1) {
+                line += countSourceLineBreaks(text.slice(position, index), mathBlocks);
+                position = index;
+            }
+            const from = position;
+            position += token.raw.length;
+
+            const breaks = countSourceLineBreaks(token.raw, mathBlocks);
+            const trailing = (token.raw.match(/\n+$/) || [''])[0].length;
+
+            if (current && openElements > 0) {
+                current.to = position;
+                if (token.type !== 'space') current.end = line + breaks - trailing;
+            } else if (token.type !== 'space') {
+                current = { from, to: position, start: line, end: line + breaks - trailing };
+                blocks.push(current);
+                openElements = 0;
+            }
+
+            if (token.type === 'html') {
+                openElements = Math.max(openElements + getOpenElementCount(token.raw), 0);
+            }
+            line += breaks;
+        });
+
+        const definitions = Object.entries(tokens.links || {})
+            .map(([label, { href, title }]) => {
+                const titlePart = title ? ` "${title.replace(/(["\\])/g, '\\$1')}"` : '';
+                return `[${label}]: <${href}>${titlePart}`;
+            })
+            .join('\n');
+
+        return {
+            blocks: blocks.map(({ from, to, start, end }) => ({
+                source: restoreMath(text.slice(from, to), mathBlocks).replace(/\n+$/, ''),
+                start,
+                end
+            })),
+            definitions
+        };
+    }
+}
+
+/**
+ * Creates a renderer with its own extensions and document
+ *
+ * @param {Object} [options={}] - Renderer options, as for the Renderer class
+ * @returns {Renderer} The renderer
+ *
+ * @example
+ * // In Node, with a headless document (see headless-dom.js)
+ * const renderer = createRenderer({ document: createHeadlessDocument(), extensions: [wikiLinks] });
+ * const html = renderer.render(note, true, { textDirection: 'auto' });
+ */
+export function createRenderer(options = {}) {
+    return new Renderer(options);
+}
+
+/**
+ * The renderer of the app, used by the functions below; diagrams.js and
+ * script.js register their extensions with it
+ */
+export const defaultRenderer = new Renderer();
+
+/**
+ * Parses markdown to HTML with the default renderer (see Renderer#parseMarkdown)
+ *
+ * @param {string} markdownText - The raw markdown text to render
+ * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+ * @param {Object} [options={}] - Rendering options, as for render()
+ * @returns {Object} {html, isMathEnabled, extensions, sourceBlocks, sourceMarker, isError}
+ */
+export function parseMarkdown(markdownText, isMathEnabled = true, options = {}) {
+    return defaultRenderer.parseMarkdown(markdownText, isMathEnabled, options);
+}
+
+/**
+ * Completes a render started by parseMarkdown, with the default renderer
+ * (see Renderer#finishRender)
+ *
+ * @param {Object} parsed - Result of parseMarkdown
+ * @param {Object} [options={}] - Rendering options, as for render()
+ * @returns {string} The rendered HTML string
+ */
+export function finishRender(parsed, options = {}) {
+    return defaultRenderer.finishRender(parsed, options);
+}
+
+/**
+ * Renders markdown text to HTML with math support and syntax highlighting,
+ * with the default renderer (see Renderer#render for the options)
+ * 
+ * For rendering off the main thread, see renderAsync in async-renderer.js.
+ * 
+ * @param {string} markdownText - The raw markdown text to render
+ * @param {boolean} [isMathEnabled=true] - Whether to render LaTeX math expressions
+ * @param {Object} [options={}] - Additional rendering options
+ * @returns {string} The rendered HTML string
+ * 
+ * @example
+ * const html = render('# Hello World\n\nThis is **bold** text with $x^2$ math.');
+ * console.log(html); // Returns HTML with rendered markdown and math
+ */
+export function render(markdownText, isMathEnabled = true, options = {}) {
+    return defaultRenderer.render(markdownText, isMathEnabled, options);
+}
+
+/**
+ * Runs the enhance hooks of the default renderer's extensions on the live
+ * output (see Renderer#enhanceOutput)
+ *
+ * @param {HTMLElement} element - The output element
+ * @param {Object} [context={}] - Passed to every hook (e.g. the theme)
+ * @returns {Promise} Resolves when asynchronous hooks finished
+ */
+export function enhanceOutput(element, context = {}) {
+    return defaultRenderer.enhanceOutput(element, context);
+}
+
+/**
+ * Splits a note into top-level blocks with the default renderer (see
+ * Renderer#splitMarkdownBlocks)
+ *
+ * @param {string} markdownText - The raw markdown text
+ * @param {boolean} [isMathEnabled=true] - Whether math expressions are rendered
+ * @returns {Object} {blocks, definitions}
+ */
+export function splitMarkdownBlocks(markdownText, isMathEnabled = true) {
+    return defaultRenderer.splitMarkdownBlocks(markdownText, isMathEnabled);
+}
+
+/**
+ * Adds an extension to the default renderer
+ *
+ * @param {Object} extension - The extension (see extensions.js)
+ * @returns {Object} The registered extension
+ * @throws {Error} If the name is missing or already registered
+ */
+export function registerExtension(extension) {
+    return defaultRenderer.extensions.register(extension);
+}
+
+/**
+ * Removes an extension from the default renderer
+ *
+ * @param {string} name - Extension name
+ * @returns {boolean} True if the extension was registered
+ */
+export function unregisterExtension(name) {
+    return defaultRenderer.extensions.unregister(name);
+}
+
+/**
+ * Turns an extension of the default renderer on or off
+ *
+ * @param {string} name - Extension name
+ * @param {boolean} enabled - Whether the extension runs
+ * @throws {Error} If no extension has this name
+ */
+export function setExtensionEnabled(name, enabled) {
+    defaultRenderer.extensions.setEnabled(name, enabled);
+}
+
+/**
+ * Tells whether an extension of the default renderer is registered and on
+ *
+ * @param {string} name - Extension name
+ * @returns {boolean} True if the extension runs
+ */
+export function isExtensionEnabled(name) {
+    return defaultRenderer.extensions.isEnabled(name);
+}
+
+/**
+ * Lists the extensions of the default renderer
+ *
+ * @returns {Array<Object>} {name, order, enabled, builtIn} in running order
+ */
+export function getExtensions() {
+    return defaultRenderer.extensions.list();
 }
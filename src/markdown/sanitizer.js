@@ -0,0 +1,338 @@
+/**
+ * HTML Sanitizer Module
+ *
+ * This module removes dangerous markup from the HTML produced by marked
+ * before it reaches the page. Notes can come from a GitHub repository, so
+ * raw HTML inside markdown must not be able to run script in the page that
+ * stores the GitHub token.
+ *
+ * Sanitization is allowlist based:
+ * - Elements not in the allowlist are unwrapped (their text is kept), except
+ *   for elements like <script> and <style> which are dropped with their content
+ * - Attributes not in the allowlist are removed, including all inline event
+ *   handlers (onclick, onerror, ...) and the data-* attributes the renderer
+ *   and the app use as hooks (e.g. data-source-line)
+ * - Class names the renderer and the app use as hooks (e.g.
+ *   `source-line-marker`, `code-block-wrapper`) are removed from class lists
+ * - URL attributes are checked against a list of allowed schemes, so
+ *   javascript: and similar URLs are removed
+ * - Iframes are only kept when explicitly allowed, must be https pages of
+ *   another origin, optionally limited to a list of hosts, and are always
+ *   sandboxed
+ * - IDs and link names get a prefix (`user-content-`, as on GitHub), so a
+ *   note cannot take over the IDs of the app's own elements; links to
+ *   `#fragment`s in the note are rewritten to match
+ *
+ * The sanitizer works on an inert DocumentFragment (from a <template>), so
+ * nothing in the markup loads or runs while it is being cleaned.
+ *
+ * @module html-sanitizer
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+/**
+ * Default sanitizer configuration
+ * Pass a partial object to sanitizeFragment() to override any of these keys.
+ */
+export const DEFAULT_SANITIZE_CONFIG = Object.freeze({
+    // Elements that are kept as is
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+        'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+        'mark', 'ol', 'p', 'picture', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small',
+        'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot',
+        'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+    ],
+
+    // Attributes allowed per element; '*' applies to every element.
+    // Entries ending in '*' are prefixes, e.g. 'aria-*'. The data-* attributes
+    // of the extensions' placeholders (math, highlighted code) are kept so the
+    // extensions can find them after sanitizing; they check the ids.
+    allowedAttributes: {
+        '*': ['class', 'id', 'title', 'dir', 'lang', 'align'],
+        a: ['href', 'name', 'target', 'rel'],
+        span: ['data-id'],
+        code: ['data-highlight'],
+        img: ['src', 'srcset', 'alt', 'width', 'height', 'loading'],
+        source: ['src', 'srcset', 'type', 'media'],
+        input: ['type', 'checked', 'disabled'],
+        ol: ['start', 'reversed', 'type'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope'],
+        col: ['span'],
+        colgroup: ['span'],
+        details: ['open'],
+        time: ['datetime'],
+        q: ['cite'],
+        blockquote: ['cite'],
+        iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'frameborder']
+    },
+
+    // Elements removed together with everything inside them
+    droppedTags: [
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'noscript', 'template', 'link', 'meta', 'base', 'form', 'textarea', 'select',
+        'button', 'svg', 'math'
+    ],
+
+    // Class names the renderer and the app rely on in the output, removed
+    // from the class lists of the note's own markup
+    internalClasses: [
+        'source-line-marker', 'code-block-wrapper', 'code-block-header', 'copy-code-button',
+        'diagram', 'search-highlight'
+    ],
+
+    // Attributes that hold URLs and must use an allowed scheme
+    urlAttributes: ['href', 'src', 'cite', 'srcset'],
+
+    // URL schemes allowed in URL attributes (relative URLs are always allowed)
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+
+    // Allow data:image/... URLs in <img> and <source> (but not data:image/svg+xml)
+    allowDataImages: true,
+
+    // Keep <iframe> elements (always sandboxed)
+    allowIframes: false,
+
+    // When iframes are allowed, restrict them to these hosts (empty = any
+    // https host of another origin)
+    iframeHosts: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'],
+
+    // Only checkbox inputs (GFM task lists) are kept, and always disabled
+    allowedInputTypes: ['checkbox'],
+
+    // Prefix added to id and <a name> values and to the fragments of relative
+    // links ('' keeps them unchanged)
+    idPrefix: 'user-content-'
+});
+
+/**
+ * Merges a partial configuration with the defaults
+ *
+ * @param {Object} [config={}] - Partial sanitizer configuration
+ * @returns {Object} Complete configuration
+ */
+export function resolveSanitizeConfig(config = {}) {
+    return {
+        ...DEFAULT_SANITIZE_CONFIG,
+        ...config,
+        allowedAttributes: {
+            ...DEFAULT_SANITIZE_CONFIG.allowedAttributes,
+            ...(config.allowedAttributes || {})
+        }
+    };
+}
+
+/**
+ * Checks whether an attribute name is allowed on an element
+ *
+ * @param {string} tagName - Lowercase element name
+ * @param {string} attrName - Lowercase attribute name
+ * @param {Object} config - Resolved sanitizer configuration
+ * @returns {boolean} True if the attribute may be kept
+ */
+function isAttributeAllowed(tagName, attrName, config) {
+    if (attrName.startsWith('on')) return false;
+
+    const allowed = [
+        ...(config.allowedAttributes['*'] || []),
+        ...(config.allowedAttributes[tagName] || [])
+    ];
+
+    return allowed.some(entry => entry.endsWith('*')
+        ? attrName.startsWith(entry.slice(0, -1))
+        : attrName === entry);
+}
+
+/**
+ * Checks whether a URL is safe for the given element
+ *
+ * @param {string} url - Attribute value
+ * @param {string} tagName - Lowercase element name
+ * @param {Object} config - Resolved sanitizer configuration
+ * @returns {boolean} True if the URL may be kept
+ */
+export function isUrlAllowed(url, tagName, config = DEFAULT_SANITIZE_CONFIG) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const normalized = url.replace(/[\u0000- \u007F-\u009F]/g, '').toLowerCase();
+    const schemeMatch = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    // Relative URLs, fragments and query strings have no scheme
+    if (!schemeMatch) return true;
+
+    const scheme = schemeMatch[1];
+    if (config.allowedSchemes.includes(scheme)) return true;
+
+    return scheme === 'data'
+        && config.allowDataImages
+        && (tagName === 'img' || tagName === 'source')
+        && /^data:image\/(png|gif|jpe?g|webp|avif|bmp);/.test(normalized);
+}
+
+/**
+ * Checks whether an iframe may be kept under the current configuration
+ *
+ * @param {Element} iframe - The iframe element
+ * @param {Object} config - Resolved sanitizer configuration
+ * @returns {boolean} True if the iframe may be kept
+ */
+function isIframeAllowed(iframe, config) {
+    if (!config.allowIframes) return false;
+
+    const src = iframe.getAttribute('src') || '';
+    if (!isUrlAllowed(src, 'iframe', config)) return false;
+
+    // Relative URLs throw here. The sandbox allows scripts and the frame's own
+    // origin, so a page of the app's origin could script the app: only https
+    // pages of other origins are kept.
+    try {
+        const { protocol, host, origin } = new URL(src);
+        if (protocol !== 'https:') return false;
+        if (config.iframeHosts.length) return config.iframeHosts.includes(host);
+        return !globalThis.location || origin !== globalThis.location.origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Adds the ID prefix to a value that does not have it yet
+ *
+ * @param {string} value - ID, name or fragment
+ * @param {string} prefix - The prefix
+ * @returns {string} Prefixed value
+ */
+function addIdPrefix(value, prefix) {
+    return value.startsWith(prefix) ? value : prefix + value;
+}
+
+/**
+ * Prefixes the IDs an element defines or links to
+ *
+ * @param {Element} element - Element with sanitized attributes
+ * @param {string} prefix - ID prefix
+ */
+function prefixIds(element, prefix) {
+    if (element.hasAttribute('id')) {
+        element.setAttribute('id', addIdPrefix(element.getAttribute('id'), prefix));
+    }
+    if (element.localName !== 'a') return;
+
+    if (element.hasAttribute('name')) {
+        element.setAttribute('name', addIdPrefix(element.getAttribute('name'), prefix));
+    }
+
+    // Fragments of links within the notes: '#intro' or 'other.md#intro'
+    const href = element.getAttribute('href');
+    const fragment = href && !/^[a-z][a-z0-9+.-]*:/i.test(href.trim()) && /^([^#]*)#(.+)$/.exec(href);
+    if (fragment) {
+        element.setAttribute('href', `${fragment[1]}#${addIdPrefix(fragment[2], prefix)}`);
+    }
+}
+
+/**
+ * Cleans the attributes of a single element in place
+ *
+ * @param {Element} element - The element to clean
+ * @param {Object} config - Resolved sanitizer configuration
+ */
+function sanitizeAttributes(element, config) {
+    const tagName = element.localName;
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+        const attrName = name.toLowerCase();
+
+        if (!isAttributeAllowed(tagName, attrName, config)) {
+            element.removeAttribute(name);
+            return;
+        }
+
+        if (config.urlAttributes.includes(attrName)) {
+            const urls = attrName === 'srcset'
+                ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+                : [value];
+
+            if (!urls.every(url => isUrlAllowed(url, tagName, config))) {
+                element.removeAttribute(name);
+            }
+        }
+    });
+
+    if (element.hasAttribute('class') && config.internalClasses.length) {
+        const classes = Array.from(element.classList).filter(name => !config.internalClasses.includes(name));
+        if (classes.length) {
+            element.setAttribute('class', classes.join(' '));
+        } else {
+            element.removeAttribute('class');
+        }
+    }
+
+    if (config.idPrefix) {
+        prefixIds(element, config.idPrefix);
+    }
+
+    if (tagName === 'a' && element.getAttribute('target') === '_blank') {
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    if (tagName === 'input') {
+        element.setAttribute('disabled', '');
+    }
+
+    if (tagName === 'iframe') {
+        element.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-presentation allow-popups');
+        element.setAttribute('referrerpolicy', 'no-referrer');
+    }
+}
+
+/**
+ * Removes dangerous elements and attributes from a DocumentFragment in place
+ *
+ * @param {DocumentFragment|Element} root - Inert markup to clean, e.g. template.content
+ * @param {Object} [config={}] - Partial sanitizer configuration
+ * @returns {DocumentFragment|Element} The same root, for chaining
+ *
+ * @example
+ * const template = document.createElement('template');
+ * template.innerHTML = '<img src="x" onerror="alert(1)"><a href="javascript:alert(1)">x</a>';
+ * sanitizeFragment(template.content); // <img src="x"><a>x</a>
+ */
+export function sanitizeFragment(root, config = {}) {
+    const resolved = resolveSanitizeConfig(config);
+
+    // Copy the list first, since elements are removed and unwrapped while walking
+    Array.from(root.querySelectorAll('*')).forEach((element) => {
+        // Skip elements already removed together with a dropped ancestor
+        if (!root.contains(element)) return;
+
+        const tagName = element.localName;
+
+        if (tagName === 'iframe' && isIframeAllowed(element, resolved)) {
+            element.replaceChildren();
+            sanitizeAttributes(element, resolved);
+            return;
+        }
+
+        if (resolved.droppedTags.includes(tagName)) {
+            element.remove();
+            return;
+        }
+
+        if (tagName === 'input' && !resolved.allowedInputTypes.includes((element.getAttribute('type') || '').toLowerCase())) {
+            element.remove();
+            return;
+        }
+
+        if (!resolved.allowedTags.includes(tagName)) {
+            // Unknown element: keep its content, drop the element itself
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+
+        sanitizeAttributes(element, resolved);
+    });
+
+    return root;
+}
@@ -0,0 +1,154 @@
+/**
+ * Find and Replace Module
+ *
+ * This module finds and replaces text in note content for the editor's
+ * find bar. Queries are matched in one of three ways:
+ *
+ * - Plain text, optionally case-sensitive
+ * - Whole words only: the match may not be preceded or followed by a letter,
+ *   digit, combining mark, underscore or ZWNJ of any script, so Persian and
+ *   Arabic words are matched as words too
+ * - Regular expressions, with `^` and `$` matching at line breaks and `$1`,
+ *   `$<name>`, `$&` and `$$` expanded in the replacement
+ *
+ * Unlike the note search palette, no normalization is applied: the find bar
+ * edits text, so it matches exactly what is in the note.
+ *
+ * @module find-replace
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+// Stop counting after this many matches in one note (replace all has no limit)
+export const MAX_MATCHES = 10000;
+
+// Characters that are part of a word, in any script. ZWNJ joins the parts
+// of one Persian word (کتاب‌ها), so it does not end a word.
+const WORD_CHARACTER = '[\\p{L}\\p{N}\\p{M}_\\u200C]';
+
+/**
+ * Escapes text for literal use in a regular expression
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Builds the regular expression for a query
+ *
+ * @param {string} query - Text or pattern to find
+ * @param {Object} [options] - Match options
+ * @param {boolean} [options.caseSensitive=false] - Match letter case exactly
+ * @param {boolean} [options.wholeWord=false] - Only match whole words
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @returns {RegExp|null} A global pattern, or null for an empty query
+ * @throws {SyntaxError} If the query is not a valid regular expression
+ *
+ * @example
+ * createFindPattern('کتاب', { wholeWord: true }).test('کتاب‌ها'); // false
+ */
+export function createFindPattern(query, { caseSensitive = false, wholeWord = false, regex = false } = {}) {
+    if (!query) return null;
+
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) {
+        source = `(?<!${WORD_CHARACTER})(?:${source})(?!${WORD_CHARACTER})`;
+    }
+    return new RegExp(source, `gmu${caseSensitive ? '' : 'i'}`);
+}
+
+/**
+ * Finds every match of a pattern
+ * Empty matches (e.g. of `^`) are included, so they can be replaced.
+ *
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Pattern from createFindPattern
+ * @param {number} [limit=MAX_MATCHES] - Maximum number of matches
+ * @returns {Array<Object>} Matches {start, end, match}, where match is the
+ *   RegExp result used to expand the replacement
+ */
+export function findMatches(text, pattern, limit = MAX_MATCHES) {
+    const matches = [];
+    if (!pattern) return matches;
+
+    pattern.lastIndex = 0;
+    let match;
+    while (matches.length < limit && (match = pattern.exec(text)) !== null) {
+        matches.push({ start: match.index, end: match.index + match[0].length, match });
+        if (match[0].length === 0) {
+            // Step over the whole code point so surrogate pairs are not split
+            pattern.lastIndex += text.codePointAt(pattern.lastIndex) > 0xFFFF ? 2 : 1;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Expands `$` references in a regex replacement for one match
+ *
+ * @param {string} replacement - Replacement as typed
+ * @param {Array} match - RegExp result of the match
+ * @param {string} text - The searched text
+ * @returns {string} The replacement text
+ */
+function expandReplacement(replacement, match, text) {
+    return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, reference, groupName) => {
+        if (reference === '$') return '$';
+        if (reference === '&') return match[0];
+        if (reference === '`') return text.slice(0, match.index);
+        if (reference === "'") return text.slice(match.index + match[0].length);
+        if (groupName !== undefined) {
+            return match.groups && groupName in match.groups ? match.groups[groupName] || '' : token;
+        }
+
+        // $12 means group 12 if it exists, otherwise group 1 followed by '2'
+        let index = parseInt(reference, 10);
+        let rest = '';
+        if (index >= match.length && reference.length === 2) {
+            index = parseInt(reference[0], 10);
+            rest = reference[1];
+        }
+        if (index === 0 || index >= match.length) return token;
+        return (match[index] || '') + rest;
+    });
+}
+
+/**
+ * Gets the text that replaces one match
+ *
+ * @param {Object} found - Match from findMatches
+ * @param {string} replacement - Replacement as typed
+ * @param {string} text - The searched text
+ * @param {boolean} [regex=false] - Expand `$` references
+ * @returns {string} The replacement text
+ */
+export function getReplacement(found, replacement, text, regex = false) {
+    return regex ? expandReplacement(replacement, found.match, text) : replacement;
+}
+
+/**
+ * Replaces every match of a pattern
+ *
+ * @param {string} text - Text to change
+ * @param {RegExp} pattern - Pattern from createFindPattern
+ * @param {string} replacement - Replacement as typed
+ * @param {boolean} [regex=false] - Expand `$` references
+ * @returns {{text: string, count: number}} The new text and the number of replacements
+ */
+export function replaceAll(text, pattern, replacement, regex = false) {
+    const matches = findMatches(text, pattern, Infinity);
+    if (matches.length === 0) return { text, count: 0 };
+
+    let result = '';
+    let position = 0;
+    matches.forEach((found) => {
+        result += text.slice(position, found.start) + getReplacement(found, replacement, text, regex);
+        position = found.end;
+    });
+    result += text.slice(position);
+
+    return { text: result, count: matches.length };
+}
@@ -0,0 +1,275 @@
+/**
+ * Note Search Module
+ *
+ * This module provides full-text search over note names and content. Text
+ * is normalized before matching, so a query matches the way people actually
+ * type Persian and Arabic:
+ *
+ * - Arabic Yeh/Alef Maksura (ي ى) match Persian Yeh (ی), Arabic Kaf (ك)
+ *   matches Keheh (ک), Teh Marbuta and Heh with Yeh (ة ۀ) match Heh (ه),
+ *   and hamza forms of Alef (أ إ آ ٱ) match Alef (ا)
+ * - Diacritics (harakat, tanwin, superscript alef, combining accents) and
+ *   tatweel are ignored
+ * - ZWNJ, ZWJ and bidi marks are ignored, so «می‌خواهم» matches «میخواهم»
+ * - Arabic-Indic (٠-٩) and Persian (۰-۹) digits match ASCII digits
+ * - Latin letters are matched case- and accent-insensitively
+ *
+ * Normalization keeps a map from each normalized character to its position
+ * in the original text, so matches can be highlighted in the source.
+ *
+ * @module note-search
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+/**
+ * Characters replaced by a canonical form
+ */
+const CHARACTER_MAP = {
+    'ي': 'ی', 'ى': 'ی', 'ئ': 'ی',
+    'ك': 'ک',
+    'ة': 'ه', 'ۀ': 'ه',
+    'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+    'ؤ': 'و'
+};
+
+/**
+ * Characters ignored when matching: Arabic diacritics and Quranic marks,
+ * tatweel, zero-width (non-)joiners and directional marks
+ */
+const IGNORED_PATTERN = /[\u064B-\u065F\u0670\u06D6-\u06ED\u0640\u0300-\u036F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/;
+
+// Number of characters of context shown on each side of a match
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Normalizes one character
+ *
+ * @param {string} char - A single character
+ * @returns {string} The normalized form ('' if the character is ignored)
+ */
+function normalizeCharacter(char) {
+    if (IGNORED_PATTERN.test(char)) return '';
+    if (CHARACTER_MAP[char]) return CHARACTER_MAP[char];
+
+    const code = char.charCodeAt(0);
+    if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);   // Arabic-Indic digits
+    if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0);   // Persian digits
+    if (code < 0x80) return char.toLowerCase();
+
+    // Remove Latin accents: é -> e
+    return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Normalizes text for matching
+ *
+ * @param {string} text - Text to normalize
+ * @returns {{text: string, map: number[]}} The normalized text and, for each
+ *   of its characters, the index of the original character it came from
+ *
+ * @example
+ * normalizeForSearch('كتاب‌ها ۱۲').text; // 'کتابها 12'
+ */
+export function normalizeForSearch(text) {
+    let normalized = '';
+    const map = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const normalizedChar = normalizeCharacter(text[i]);
+        for (let j = 0; j < normalizedChar.length; j++) {
+            map.push(i);
+        }
+        normalized += normalizedChar;
+    }
+    map.push(text.length);
+
+    return { text: normalized, map };
+}
+
+/**
+ * Finds every occurrence of a normalized term in normalized text
+ *
+ * @param {string} text - Normalized text
+ * @param {string} term - Normalized term
+ * @returns {number[]} Start indices in the normalized text
+ */
+function findAll(text, term) {
+    const positions = [];
+    let index = text.indexOf(term);
+    while (index !== -1) {
+        positions.push(index);
+        index = text.indexOf(term, index + term.length);
+    }
+    return positions;
+}
+
+/**
+ * Converts a match in normalized text to a range in the original text
+ *
+ * @param {number[]} map - Map returned by normalizeForSearch
+ * @param {number} start - Start index in the normalized text
+ * @param {number} length - Length in the normalized text
+ * @returns {{start: number, end: number}} Range in the original text
+ */
+function toOriginalRange(map, start, length) {
+    return { start: map[start], end: map[start + length - 1] + 1 };
+}
+
+/**
+ * Finds a query in text, using the same normalization as the search index
+ * Used to highlight a search hit in the editor and the rendered output.
+ *
+ * @param {string} text - Text to search
+ * @param {string} query - Query as typed
+ * @returns {{start: number, end: number}|null} Range of the first match in
+ *   the original text, or null
+ */
+export function findNormalized(text, query) {
+    const normalizedQuery = normalizeForSearch(query.trim()).text;
+    if (!normalizedQuery) return null;
+
+    const { text: normalized, map } = normalizeForSearch(text);
+    const index = normalized.indexOf(normalizedQuery);
+    return index === -1 ? null : toOriginalRange(map, index, normalizedQuery.length);
+}
+
+/**
+ * Search index over the notes collection
+ * Normalized text is cached per note and recomputed only when its content
+ * or name changes.
+ *
+ * @example
+ * const index = new NoteSearchIndex();
+ * index.update(files);
+ * index.search('كتاب'); // also finds «کتاب»
+ */
+export class NoteSearchIndex {
+    constructor() {
+        this.entries = new Map();   // fileId -> {file, name, content} (normalized)
+    }
+
+    /**
+     * Bring the index up to date with the notes collection
+     * @param {Object} files - Files object {id: file}
+     */
+    update(files) {
+        const ids = new Set();
+        Object.values(files).forEach((file) => {
+            ids.add(file.id);
+            const entry = this.entries.get(file.id);
+            if (!entry || entry.sourceContent !== file.content) {
+                this.entries.set(file.id, {
+                    file,
+                    sourceName: file.name,
+                    sourceContent: file.content,
+                    name: normalizeForSearch(file.name),
+                    content: normalizeForSearch(file.content)
+                });
+            } else {
+                entry.file = file;
+                if (entry.sourceName !== file.name) {
+                    entry.sourceName = file.name;
+                    entry.name = normalizeForSearch(file.name);
+                }
+            }
+        });
+
+        [...this.entries.keys()].forEach((id) => {
+            if (!ids.has(id)) this.entries.delete(id);
+        });
+    }
+
+    /**
+     * Search the indexed notes
+     *
+     * Every word of the query must appear in the note's name or content.
+     * Results are ranked by where and how often the words appear: name
+     * matches count most, then the whole query appearing as a phrase, then
+     * matches at the start of a word, then the number of occurrences.
+     *
+     * @param {string} query - Query as typed
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit=50] - Maximum number of results
+     * @returns {Array<Object>} Results {fileId, name, folder, score, snippet,
+     *   match}, best first. snippet is {text, start, end} with the
+     *   highlighted part of the text; match is the {start, end} range of the
+     *   first match in the note content, or null for name-only matches
+     */
+    search(query, { limit = 50 } = {}) {
+        const phrase = normalizeForSearch(query.trim()).text.replace(/\s+/g, ' ');
+        const terms = phrase.split(' ').filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const results = [];
+        this.entries.forEach((entry) => {
+            const name = entry.name.text;
+            const content = entry.content.text;
+            let score = 0;
+
+            for (const term of terms) {
+                const inName = name.includes(term);
+                const positions = findAll(content, term);
+                if (!inName && positions.length === 0) return;
+
+                if (inName) score += name.startsWith(term) ? 15 : 10;
+                const wordStarts = positions.filter(index => index === 0 || /[\s\p{P}]/u.test(content[index - 1]));
+                score += Math.min(positions.length, 10) + wordStarts.length * 0.5;
+            }
+
+            if (terms.length > 1 && name.includes(phrase)) score += 10;
+            const phraseIndex = content.indexOf(phrase);
+            if (terms.length > 1 && phraseIndex !== -1) score += 5;
+
+            // Highlight the phrase if it occurs, otherwise the first term
+            let matchIndex = phraseIndex;
+            let matchLength = phrase.length;
+            if (matchIndex === -1) {
+                matchIndex = content.indexOf(terms[0]);
+                matchLength = terms[0].length;
+            }
+
+            results.push({
+                fileId: entry.file.id,
+                name: entry.file.name,
+                folder: entry.file.folder || '',
+                score,
+                match: matchIndex === -1 ? null : toOriginalRange(entry.content.map, matchIndex, matchLength),
+                snippet: null
+            });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+        return results.slice(0, limit).map((result) => {
+            result.snippet = this.getSnippet(result);
+            return result;
+        });
+    }
+
+    /**
+     * Build a one-line excerpt around a result's match
+     * @param {Object} result - Search result
+     * @returns {Object|null} {text, start, end}, where start/end delimit the
+     *   match inside text; null for name-only matches
+     */
+    getSnippet(result) {
+        if (!result.match) return null;
+
+        const content = this.entries.get(result.fileId).file.content;
+        const { start, end } = result.match;
+        const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+        const lineEndIndex = content.indexOf('\n', end);
+        const lineEnd = lineEndIndex === -1 ? content.length : lineEndIndex;
+
+        const from = Math.max(lineStart, start - SNIPPET_CONTEXT);
+        const to = Math.min(lineEnd, end + SNIPPET_CONTEXT);
+        const prefix = from > lineStart ? '…' : '';
+        const suffix = to < lineEnd ? '…' : '';
+
+        return {
+            text: prefix + content.slice(from, to) + suffix,
+            start: prefix.length + start - from,
+            end: prefix.length + end - from
+        };
+    }
+}
@@ -0,0 +1,387 @@
+/**
+ * Site Builder Module
+ *
+ * This module builds a static website from a folder of notes, e.g. a clone
+ * of the repository the app syncs with. Every note is rendered like the
+ * app's HTML export (math, highlighting, code blocks with their language,
+ * direction from the front matter; see note-export.js), and the site gets:
+ *
+ *     index.html            every note, newest first
+ *     tags.html             every tag, and tags/<tag>.html per tag
+ *     search.html           search over search-index.json
+ *     notes/<path>.html     one page per note, with previous/next links
+ *     assets/               shared stylesheets, fonts and the site script
+ *
+ * Notes whose front matter has `draft: true` or `publish: false` are left
+ * out. Links between notes (`other.md`) point to their pages, and local
+ * files the notes refer to (images, attachments) are copied next to them.
+ *
+ * @module site-builder
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { copyFile, mkdir, stat, writeFile } from 'node:fs/promises';
+import { basename, dirname, join, posix } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { NoteExporter } from '../cli/note-export.js';
+import { NotesFolder } from '../cli/notes-folder.js';
+import { parseFrontMatter } from '../markdown/front-matter.js';
+import { keepWoff2Sources } from '../export/html-document.js';
+import {
+    getSiteStyles,
+    buildNotePage,
+    buildIndexPage,
+    buildTagListPage,
+    buildTagPage,
+    buildSearchPage
+} from './site-pages.js';
+
+/**
+ * Browser scripts copied to assets/, keeping their place under src/ so the
+ * imports between them still resolve
+ */
+const CLIENT_SCRIPTS = {
+    'site/site-client.js': new URL('./site-client.js', import.meta.url),
+    'search/note-search.js': new URL('../search/note-search.js', import.meta.url)
+};
+
+// Length of the summary shown in note lists, in characters
+const SUMMARY_LENGTH = 200;
+
+// Links that leave the notes folder: URLs with a scheme, absolute paths and fragments
+const EXTERNAL_LINK_PATTERN = /^([a-z][a-z\d+.-]*:|\/|#)/i;
+
+/**
+ * Whether a note is published
+ *
+ * @param {Object} frontMatter - Parsed front matter
+ * @returns {boolean} False for drafts and notes with `publish: false`
+ */
+export function isPublished(frontMatter) {
+    return frontMatter.draft !== true && frontMatter.publish !== false;
+}
+
+/**
+ * Gets the tags of a note from its front matter
+ * `tags` may be a list or a comma-separated string; a leading # is dropped.
+ *
+ * @param {Object} frontMatter - Parsed front matter
+ * @returns {string[]} Tag names, without duplicates
+ *
+ * @example
+ * getNoteTags({ tags: ['#math', 'ریاضی'] }); // ['math', 'ریاضی']
+ */
+export function getNoteTags(frontMatter) {
+    const { tags } = frontMatter;
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const names = list
+        .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+        .map(tag => String(tag).trim().replace(/^#/, ''))
+        .filter(Boolean);
+    return [...new Set(names)];
+}
+
+/**
+ * Turns a tag into the file name of its page
+ * Letters of every script are kept, so Persian tags get readable URLs.
+ *
+ * @param {string} tag - Tag name
+ * @returns {string} File name without extension
+ *
+ * @example
+ * getTagSlug('Linear Algebra'); // 'linear-algebra'
+ */
+export function getTagSlug(tag) {
+    const slug = tag
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}_]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'tag';
+}
+
+/**
+ * Gets the plain text of rendered note content, for searching and summaries
+ * Math is replaced by its TeX source and code block labels are dropped.
+ *
+ * @param {HTMLElement} container - Element holding the rendered note
+ * @returns {HTMLElement} A copy of the element, reduced to its text
+ */
+function getTextCopy(container) {
+    const copy = container.cloneNode(true);
+    copy.querySelectorAll('.katex').forEach((math) => {
+        const annotation = math.querySelector('annotation');
+        math.replaceWith(annotation ? annotation.textContent : '');
+    });
+    copy.querySelectorAll('.code-block-header').forEach(header => header.remove());
+
+    // Keep blocks apart once the markup is gone
+    copy.querySelectorAll('p, li, pre, blockquote, tr, h1, h2, h3, h4, h5, h6').forEach((block) => {
+        block.append('\n');
+    });
+    copy.querySelectorAll('td, th').forEach(cell => cell.append(' '));
+    return copy;
+}
+
+/**
+ * Shortens text to a summary at a word boundary
+ *
+ * @param {string} text - Text
+ * @returns {string} At most SUMMARY_LENGTH characters
+ */
+function summarize(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (clean.length <= SUMMARY_LENGTH) return clean;
+
+    const cut = clean.slice(0, SUMMARY_LENGTH);
+    const wordEnd = cut.lastIndexOf(' ');
+    return `${wordEnd > SUMMARY_LENGTH / 2 ? cut.slice(0, wordEnd) : cut}…`;
+}
+
+/**
+ * Resolves a relative link of a note to a path in the notes folder
+ *
+ * @param {string} notePath - Path of the note
+ * @param {string} href - Link as written in the note
+ * @returns {string|null} Path relative to the folder, or null for links
+ *   that leave it
+ */
+function resolveLocalLink(notePath, href) {
+    if (!href || EXTERNAL_LINK_PATTERN.test(href)) return null;
+
+    let target;
+    try {
+        target = decodeURIComponent(href.split(/[?#]/)[0]);
+    } catch (error) {
+        return null;
+    }
+    if (!target) return null;
+
+    // Nothing outside the folder, and no hidden files such as .noteshub.json
+    const path = posix.normalize(posix.join(posix.dirname(notePath), target));
+    return path.split('/').some(segment => segment.startsWith('.')) ? null : path;
+}
+
+/**
+ * Writes a file of the site, creating its folder as needed
+ *
+ * @param {string} path - File path
+ * @param {string} content - File content
+ */
+async function writeSiteFile(path, content) {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, content, 'utf8');
+}
+
+/**
+ * Copies a file, creating the target folder as needed
+ *
+ * @param {string} source - File to copy
+ * @param {string} target - Where to copy it
+ */
+async function copySiteFile(source, target) {
+    await mkdir(dirname(target), { recursive: true });
+    await copyFile(source, target);
+}
+
+/**
+ * Builds a static website from a folder of notes
+ *
+ * @example
+ * const builder = new SiteBuilder({ title: 'یادداشت‌ها', direction: 'rtl' });
+ * const { pages, tags } = await builder.build('./notes', './dist/site');
+ */
+export class SiteBuilder {
+    /**
+     * @param {Object} [options={}] - Site options
+     * @param {string} [options.title='Notes'] - Site title
+     * @param {string} [options.direction='auto'] - Direction of the site and of
+     *   notes whose front matter sets no `dir` or `lang`: 'ltr', 'rtl' or 'auto'
+     * @param {string} [options.lang=''] - Language of the site
+     * @param {string} [options.theme='light'] - 'light' or 'dark'
+     * @param {Object} [options.exportOptions] - Other NoteExporter options
+     *   (isMathEnabled, trusted, inlineCodeDirection, codeDirection, extensions)
+     */
+    constructor({ title = 'Notes', direction = 'auto', lang = '', theme = 'light', ...exportOptions } = {}) {
+        this.site = { title, direction, lang, theme };
+        this.exporter = new NoteExporter({ ...exportOptions, textDirection: direction, theme });
+    }
+
+    /**
+     * Render the published notes of a folder
+     *
+     * @param {NotesFolder} folder - The notes folder
+     * @returns {Promise<Object>} {pages, files}: note pages newest first,
+     *   and the paths of the local files they refer to
+     */
+    async readPages(folder) {
+        const notes = new Map();
+        for (const path of await folder.listNotes()) {
+            const markdownText = await folder.readNote(path);
+            if (isPublished(parseFrontMatter(markdownText).data)) notes.set(path, markdownText);
+        }
+
+        const pages = [];
+        const files = new Set();
+        for (const [path, markdownText] of notes) {
+            const note = this.exporter.renderNote(markdownText, basename(path));
+            const container = this.exporter.document.createElement('div');
+            container.innerHTML = note.content;
+
+            // Links to notes point to their pages; other local files are copied
+            container.querySelectorAll('a[href], img[src]').forEach((element) => {
+                const attribute = element.hasAttribute('href') ? 'href' : 'src';
+                const value = element.getAttribute(attribute);
+                const target = resolveLocalLink(path, value);
+                if (!target) return;
+
+                if (notes.has(target) && attribute === 'href') {
+                    element.setAttribute(attribute, value.replace(/\.md(?=$|[?#])/, '.html'));
+                } else if (!target.endsWith('.md')) {
+                    files.add(target);
+                }
+            });
+
+            const textCopy = getTextCopy(container);
+            const { description, summary, date } = note.frontMatter;
+            const firstParagraph = textCopy.querySelector('p');
+            const summaryText = [description, summary].find(value => typeof value === 'string')
+                || (firstParagraph ? firstParagraph.textContent : '');
+
+            pages.push({
+                path,
+                url: `notes/${path.replace(/\.md$/, '.html')}`,
+                title: note.title,
+                date: typeof date === 'string' || typeof date === 'number' ? String(date) : '',
+                folder: path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '',
+                tagNames: getNoteTags(note.frontMatter),
+                tags: [],
+                textDirection: note.textDirection,
+                lang: note.lang,
+                content: container.innerHTML,
+                hasMath: !!container.querySelector('.katex'),
+                summary: summarize(summaryText),
+                text: textCopy.textContent.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim()
+            });
+        }
+
+        // Newest first; undated notes after, by title
+        pages.sort((a, b) => {
+            if (a.date !== b.date) {
+                if (!a.date || !b.date) return a.date ? -1 : 1;
+                return a.date < b.date ? 1 : -1;
+            }
+            return a.title.localeCompare(b.title);
+        });
+        return { pages, files };
+    }
+
+    /**
+     * Group note pages by tag
+     * Tags that differ only in case share a page, named as first written.
+     *
+     * @param {Array<Object>} pages - Note pages; their `tags` are filled in
+     * @returns {Array<Object>} Tags {name, slug, url, pages}, by name
+     */
+    groupTags(pages) {
+        const tags = new Map();
+        pages.forEach((page) => {
+            page.tags = page.tagNames.map((name) => {
+                const slug = getTagSlug(name);
+                if (!tags.has(slug)) {
+                    tags.set(slug, { name, slug, url: `tags/${slug}.html`, pages: [] });
+                }
+                const tag = tags.get(slug);
+                if (!tag.pages.includes(page)) tag.pages.push(page);
+                return tag;
+            });
+        });
+        return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Write the shared stylesheets and scripts
+     * Fonts the stylesheets refer to are copied to assets/fonts/.
+     *
+     * @param {string} outputFolder - Folder of the site
+     */
+    async writeAssets(outputFolder) {
+        const assets = join(outputFolder, 'assets');
+        const { fonts, katex, highlight } = await this.exporter.loadStylesheets();
+
+        const copyFonts = async (css) => {
+            const copies = [];
+            const result = keepWoff2Sources(css).replace(/url\(\s*(['"]?)(file:[^'")]+)\1\s*\)/g, (match, quote, url) => {
+                const file = fileURLToPath(url);
+                copies.push(copySiteFile(file, join(assets, 'fonts', basename(file))));
+                return `url("fonts/${encodeURIComponent(basename(file))}")`;
+            });
+            await Promise.all(copies);
+            return result;
+        };
+
+        const siteCss = await copyFonts([...fonts, highlight, getSiteStyles()].join('\n'));
+        await writeSiteFile(join(assets, 'site.css'), siteCss);
+        await writeSiteFile(join(assets, 'katex.css'), await copyFonts(katex));
+
+        for (const [path, source] of Object.entries(CLIENT_SCRIPTS)) {
+            await copySiteFile(fileURLToPath(source), join(assets, path));
+        }
+    }
+
+    /**
+     * Build the site
+     *
+     * @param {string} notesFolder - Folder of the notes
+     * @param {string} outputFolder - Folder to write the site to; existing
+     *   files are overwritten, others are left in place
+     * @returns {Promise<Object>} {pages, tags, files}: numbers of note pages,
+     *   tags and copied files
+     */
+    async build(notesFolder, outputFolder) {
+        const folder = new NotesFolder(notesFolder);
+        const { pages, files } = await this.readPages(folder);
+        const tags = this.groupTags(pages);
+
+        await this.writeAssets(outputFolder);
+
+        for (const [index, page] of pages.entries()) {
+            const html = buildNotePage(this.site, page, {
+                previous: pages[index - 1] || null,
+                next: pages[index + 1] || null
+            });
+            await writeSiteFile(join(outputFolder, page.url), html);
+        }
+        for (const tag of tags) {
+            await writeSiteFile(join(outputFolder, tag.url), buildTagPage(this.site, tag));
+        }
+        await writeSiteFile(join(outputFolder, 'index.html'), buildIndexPage(this.site, pages));
+        await writeSiteFile(join(outputFolder, 'tags.html'), buildTagListPage(this.site, tags));
+        await writeSiteFile(join(outputFolder, 'search.html'), buildSearchPage(this.site));
+
+        const searchIndex = pages.map(page => ({
+            url: page.url,
+            title: page.title,
+            folder: page.folder,
+            tags: page.tags.map(tag => tag.name),
+            date: page.date,
+            text: page.text
+        }));
+        await writeSiteFile(join(outputFolder, 'search-index.json'), JSON.stringify(searchIndex));
+
+        // Local files the notes refer to; links to missing files stay broken
+        let copied = 0;
+        for (const path of files) {
+            const source = join(notesFolder, path);
+            const info = await stat(source).catch(() => null);
+            if (!info || !info.isFile()) continue;
+
+            await copySiteFile(source, join(outputFolder, 'notes', path));
+            copied++;
+        }
+
+        return { pages: pages.length, tags: tags.length, files: copied };
+    }
+}
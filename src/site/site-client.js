@@ -0,0 +1,154 @@
+/**
+ * Site Client Module
+ *
+ * This module is the browser script of the static site (see
+ * site-builder.js), copied to assets/site/ with note-search.js next to it
+ * in assets/search/. It:
+ *
+ * - Adds a copy button to every code block
+ * - Runs the search page: the query from `?q=` (or typed on the page) is
+ *   matched against search-index.json with the app's NoteSearchIndex, so
+ *   Persian and Arabic letter forms, diacritics and digits match as they
+ *   do in the app
+ *
+ * @module site-client
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+// How long the copy button shows its result
+const COPY_FEEDBACK_DURATION = 1500;
+
+/**
+ * Adds a copy button to the header of every code block
+ */
+function addCopyButtons() {
+    document.querySelectorAll('.code-block-wrapper').forEach((wrapper) => {
+        const header = wrapper.querySelector('.code-block-header');
+        const code = wrapper.querySelector('pre code');
+        if (!header || !code) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'copy-code-button';
+        button.textContent = 'Copy';
+        button.setAttribute('aria-label', 'Copy code to clipboard');
+
+        button.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                button.textContent = 'Copied!';
+            } catch (error) {
+                console.error("Failed to copy code:", error);
+                button.textContent = 'Failed';
+            }
+            setTimeout(() => {
+                button.textContent = 'Copy';
+            }, COPY_FEEDBACK_DURATION);
+        });
+
+        header.appendChild(button);
+    });
+}
+
+/**
+ * Builds the list item of a search result
+ *
+ * @param {Object} result - Result of NoteSearchIndex#search
+ * @param {string} root - Path to the site root
+ * @returns {HTMLLIElement} The list item
+ */
+function createResultItem(result, root) {
+    const item = document.createElement('li');
+    item.dir = 'auto';
+
+    const link = document.createElement('a');
+    link.className = 'note-link';
+    link.href = root + result.fileId.split('/').map(encodeURIComponent).join('/');
+    link.textContent = result.name;
+    item.appendChild(link);
+
+    if (result.folder) {
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        meta.textContent = result.folder;
+        item.appendChild(meta);
+    }
+
+    if (result.snippet) {
+        const { text, start, end } = result.snippet;
+        const snippet = document.createElement('p');
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        snippet.append(text.slice(0, start), mark, text.slice(end));
+        item.appendChild(snippet);
+    }
+
+    return item;
+}
+
+/**
+ * Runs the search page
+ *
+ * @param {HTMLElement} resultList - The page's result list
+ */
+async function setUpSearch(resultList) {
+    const root = document.body.dataset.siteRoot || '';
+    const status = document.querySelector('.search-status');
+    const input = document.querySelector('.site-search input[name="q"]');
+
+    let index;
+    try {
+        const [{ NoteSearchIndex }, response] = await Promise.all([
+            import('../search/note-search.js'),
+            fetch(`${root}search-index.json`)
+        ]);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const files = {};
+        (await response.json()).forEach((page) => {
+            files[page.url] = { id: page.url, name: page.title, folder: page.folder, content: page.text };
+        });
+        index = new NoteSearchIndex();
+        index.update(files);
+    } catch (error) {
+        console.error("Failed to load the search index:", error);
+        status.textContent = 'The search index could not be loaded.';
+        return;
+    }
+
+    const showResults = (query) => {
+        const results = query.trim() ? index.search(query) : [];
+        resultList.replaceChildren(...results.map(result => createResultItem(result, root)));
+
+        if (!query.trim()) {
+            status.textContent = 'Type to search the notes.';
+        } else if (results.length === 0) {
+            status.textContent = `No notes match “${query.trim()}”.`;
+        } else {
+            status.textContent = `${results.length} note${results.length === 1 ? ' matches' : 's match'} “${query.trim()}”.`;
+        }
+    };
+
+    const query = new URLSearchParams(window.location.search).get('q') || '';
+    input.value = query;
+    showResults(query);
+
+    // Search as the user types, keeping the query in the address bar
+    input.addEventListener('input', () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('q', input.value);
+        history.replaceState(null, '', url);
+        showResults(input.value);
+    });
+    input.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+    });
+}
+
+addCopyButtons();
+
+const searchResults = document.querySelector('.search-results');
+if (searchResults) {
+    setUpSearch(searchResults);
+}
@@ -0,0 +1,389 @@
+/**
+ * Site Pages Module
+ *
+ * This module builds the HTML pages of the static site (see site-builder.js):
+ * one page per note, the index, the tag list, a page per tag and the search
+ * page. Every page shares the same header (site title, navigation and search
+ * box) and links to the shared stylesheet and script in assets/.
+ *
+ * Links are relative, so the site works from any path, e.g. a GitHub Pages
+ * project site or a subfolder of one.
+ *
+ * @module site-pages
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { EXPORT_STYLES, escapeHtml } from '../export/html-document.js';
+
+/**
+ * Styles of the site's header, lists and navigation, added to the export
+ * styles (EXPORT_STYLES) in assets/site.css
+ */
+export const SITE_STYLES = `
+.site-header {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5rem 1.5rem;
+    padding: 0.75rem 1.5rem;
+    border-bottom: 1px solid var(--border-color);
+}
+
+.site-header a {
+    color: inherit;
+    text-decoration: none;
+}
+
+.site-header a:hover {
+    color: var(--link-color);
+}
+
+.site-title {
+    font-weight: 700;
+    font-size: 1.15rem;
+}
+
+.site-nav {
+    display: flex;
+    gap: 1rem;
+}
+
+.site-search {
+    margin-inline-start: auto;
+}
+
+.site-search input {
+    width: 14rem;
+    max-width: 100%;
+    padding: 0.3rem 0.6rem;
+    font: inherit;
+    color: inherit;
+    background-color: var(--body-bg);
+    border: 1px solid var(--border-color);
+    border-radius: 0.3rem;
+}
+
+.site-main {
+    max-width: 56rem;
+    margin: 0 auto;
+    padding: 2rem 1.5rem;
+}
+
+.site-main a {
+    color: var(--link-color);
+}
+
+.note-list {
+    padding: 0;
+    list-style: none;
+}
+
+.note-list li {
+    padding: 0.75rem 0;
+    border-bottom: 1px solid var(--border-color);
+}
+
+.note-list .note-link {
+    font-weight: 700;
+}
+
+.note-list p {
+    margin: 0.25rem 0 0;
+    opacity: 0.85;
+}
+
+.note-meta {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.25rem 0.75rem;
+    margin-top: 0.25rem;
+    font-size: 0.85em;
+    opacity: 0.75;
+}
+
+.markdown-body > .note-meta {
+    margin: 0 0 1.5rem;
+}
+
+.tag-link {
+    padding: 0 0.4em;
+    border: 1px solid var(--border-color);
+    border-radius: 1em;
+    text-decoration: none;
+}
+
+.tag-cloud {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    padding: 0;
+    list-style: none;
+}
+
+.page-nav {
+    display: flex;
+    justify-content: space-between;
+    gap: 1rem;
+    max-width: 56rem;
+    margin: 0 auto;
+    padding: 1rem 1.5rem 2rem;
+    border-top: 1px solid var(--border-color);
+}
+
+.page-nav a {
+    color: var(--link-color);
+}
+
+.page-nav .next {
+    margin-inline-start: auto;
+    text-align: end;
+}
+
+.code-block-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+}
+
+.copy-code-button {
+    padding: 0.15rem 0.5rem;
+    font: inherit;
+    font-size: 0.9em;
+    color: inherit;
+    background: transparent;
+    border: 1px solid var(--code-border-color);
+    border-radius: 0.3rem;
+    cursor: pointer;
+}
+
+.search-results mark {
+    background-color: rgba(255, 193, 7, 0.4);
+    color: inherit;
+}
+`;
+
+/**
+ * Stylesheet of the whole site, besides the fonts and code theme
+ *
+ * @returns {string} Stylesheet text
+ */
+export function getSiteStyles() {
+    return `${EXPORT_STYLES}\n${SITE_STYLES}`;
+}
+
+/**
+ * Gets the link from a page to another page of the site
+ *
+ * @param {string} root - Path from the page to the site root ('' or '../…')
+ * @param {string} url - Site path of the target, e.g. 'notes/درس/جلسه ۱.html'
+ * @returns {string} Relative, URL-encoded link
+ */
+export function getHref(root, url) {
+    return root + url.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Gets the path from a page to the site root
+ *
+ * @param {string} url - Site path of the page
+ * @returns {string} '' for top-level pages, otherwise '../' per folder
+ */
+export function getRoot(url) {
+    return '../'.repeat(url.split('/').length - 1);
+}
+
+/**
+ * Builds the tag links of a note
+ *
+ * @param {Array<Object>} tags - Tags {name, url}
+ * @param {string} root - Path to the site root
+ * @returns {string} HTML
+ */
+function buildTagLinks(tags, root) {
+    return tags
+        .map(tag => `<a class="tag-link" href="${escapeHtml(getHref(root, tag.url))}">${escapeHtml(tag.name)}</a>`)
+        .join(' ');
+}
+
+/**
+ * Builds the date, folder and tags line of a note
+ *
+ * @param {Object} page - Note page
+ * @param {string} root - Path to the site root
+ * @returns {string} HTML, empty if the note has none of them
+ */
+function buildNoteMeta(page, root) {
+    const parts = [];
+    if (page.date) parts.push(`<time datetime="${escapeHtml(page.date)}">${escapeHtml(page.date)}</time>`);
+    if (page.folder) parts.push(`<span class="note-folder">${escapeHtml(page.folder)}</span>`);
+    if (page.tags.length > 0) parts.push(`<span class="note-tags">${buildTagLinks(page.tags, root)}</span>`);
+    return parts.length > 0 ? `<div class="note-meta">${parts.join('')}</div>` : '';
+}
+
+/**
+ * Builds a list of notes with their summaries
+ *
+ * @param {Array<Object>} pages - Note pages
+ * @param {string} root - Path to the site root
+ * @returns {string} HTML
+ */
+function buildNoteList(pages, root) {
+    const items = pages.map(page => `<li dir="auto">
+<a class="note-link" href="${escapeHtml(getHref(root, page.url))}">${escapeHtml(page.title)}</a>
+${buildNoteMeta(page, root)}
+${page.summary ? `<p>${escapeHtml(page.summary)}</p>` : ''}
+</li>`);
+    return `<ul class="note-list">\n${items.join('\n')}\n</ul>`;
+}
+
+/**
+ * Builds a complete page of the site
+ *
+ * @param {Object} site - Site settings {title, direction, lang, theme}
+ * @param {Object} options - Page options
+ * @param {string} options.url - Site path of the page
+ * @param {string} options.title - Page title ('' for the index)
+ * @param {string} options.main - The page's <main> element
+ * @param {string} [options.footer=''] - HTML after <main>
+ * @param {boolean} [options.hasMath=false] - Whether to load the KaTeX stylesheet
+ * @returns {string} Complete HTML document
+ */
+export function buildSitePage(site, { url, title, main, footer = '', hasMath = false }) {
+    const root = getRoot(url);
+    const dirAttribute = site.direction === 'auto' ? '' : ` dir="${site.direction}"`;
+    const langAttribute = site.lang ? ` lang="${escapeHtml(site.lang)}"` : '';
+    const fullTitle = title ? `${title} · ${site.title}` : site.title;
+    const mathStylesheet = hasMath ? `\n<link rel="stylesheet" href="${root}assets/katex.css">` : '';
+
+    return `<!DOCTYPE html>
+<html data-theme="${site.theme === 'dark' ? 'dark' : 'light'}"${dirAttribute}${langAttribute}>
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="NotesHubBidi">
+<title>${escapeHtml(fullTitle)}</title>
+<link rel="stylesheet" href="${root}assets/site.css">${mathStylesheet}
+<script type="module" src="${root}assets/site/site-client.js"></script>
+</head>
+<body data-site-root="${root}">
+<header class="site-header">
+<a class="site-title" href="${root}index.html">${escapeHtml(site.title)}</a>
+<nav class="site-nav">
+<a href="${root}index.html">Notes</a>
+<a href="${root}tags.html">Tags</a>
+</nav>
+<form class="site-search" action="${root}search.html" role="search">
+<input type="search" name="q" placeholder="Search notes" aria-label="Search notes">
+</form>
+</header>
+${main}
+${footer}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the page of a note, with links to the notes before and after it
+ *
+ * @param {Object} site - Site settings
+ * @param {Object} page - Note page {url, title, date, folder, tags, content,
+ *   textDirection, lang, hasMath}
+ * @param {Object} [neighbors={}] - {previous, next} note pages
+ * @returns {string} Complete HTML document
+ */
+export function buildNotePage(site, page, { previous = null, next = null } = {}) {
+    const root = getRoot(page.url);
+    const langAttribute = page.lang ? ` lang="${escapeHtml(page.lang)}"` : '';
+    const links = [
+        previous ? `<a class="previous" href="${escapeHtml(getHref(root, previous.url))}" dir="auto">← ${escapeHtml(previous.title)}</a>` : '',
+        next ? `<a class="next" href="${escapeHtml(getHref(root, next.url))}" dir="auto">${escapeHtml(next.title)} →</a>` : ''
+    ].filter(Boolean);
+
+    return buildSitePage(site, {
+        url: page.url,
+        title: page.title,
+        hasMath: page.hasMath,
+        main: `<main class="markdown-body" data-text-direction="${page.textDirection}"${langAttribute}>
+${buildNoteMeta(page, root)}
+${page.content}
+</main>`,
+        footer: links.length > 0 ? `<nav class="page-nav">\n${links.join('\n')}\n</nav>` : ''
+    });
+}
+
+/**
+ * Builds the index page: every note, newest first
+ *
+ * @param {Object} site - Site settings
+ * @param {Array<Object>} pages - Note pages, in site order
+ * @returns {string} Complete HTML document
+ */
+export function buildIndexPage(site, pages) {
+    return buildSitePage(site, {
+        url: 'index.html',
+        title: '',
+        main: `<main class="site-main">
+<h1>${escapeHtml(site.title)}</h1>
+${pages.length > 0 ? buildNoteList(pages, '') : '<p>No notes published yet.</p>'}
+</main>`
+    });
+}
+
+/**
+ * Builds the page listing every tag
+ *
+ * @param {Object} site - Site settings
+ * @param {Array<Object>} tags - Tags {name, url, pages}, sorted
+ * @returns {string} Complete HTML document
+ */
+export function buildTagListPage(site, tags) {
+    const items = tags.map(tag => `<li><a class="tag-link" href="${escapeHtml(getHref('', tag.url))}">${escapeHtml(tag.name)}</a> <small>${tag.pages.length}</small></li>`);
+
+    return buildSitePage(site, {
+        url: 'tags.html',
+        title: 'Tags',
+        main: `<main class="site-main">
+<h1>Tags</h1>
+${tags.length > 0 ? `<ul class="tag-cloud">\n${items.join('\n')}\n</ul>` : '<p>No note has tags.</p>'}
+</main>`
+    });
+}
+
+/**
+ * Builds the page of one tag
+ *
+ * @param {Object} site - Site settings
+ * @param {Object} tag - Tag {name, url, pages}
+ * @returns {string} Complete HTML document
+ */
+export function buildTagPage(site, tag) {
+    return buildSitePage(site, {
+        url: tag.url,
+        title: tag.name,
+        main: `<main class="site-main">
+<h1 dir="auto">${escapeHtml(tag.name)}</h1>
+${buildNoteList(tag.pages, getRoot(tag.url))}
+</main>`
+    });
+}
+
+/**
+ * Builds the search page; site-client.js fills in the results
+ *
+ * @param {Object} site - Site settings
+ * @returns {string} Complete HTML document
+ */
+export function buildSearchPage(site) {
+    return buildSitePage(site, {
+        url: 'search.html',
+        title: 'Search',
+        main: `<main class="site-main">
+<h1>Search</h1>
+<p class="search-status" aria-live="polite"></p>
+<ul class="note-list search-results"></ul>
+<noscript><p>Searching needs JavaScript.</p></noscript>
+</main>`
+    });
+}
@@ -0,0 +1,305 @@
+/**
+ * Local Files Module
+ *
+ * This module links notes to Markdown files on the user's disk through the
+ * File System Access API, so a note opened from a local file or folder is
+ * written back to that file when it is saved.
+ *
+ * Features:
+ * - Open one or more .md/.markdown/.txt files, or a whole folder
+ * - Accept file handles from drag and drop
+ * - Write note content back to its file
+ * - Detect changes made to the file by other programs
+ *
+ * Handles are kept in the `handles` store of the notes database, so links
+ * survive a reload. Browsers only grant write access again after a user
+ * gesture, so a restored link may need its permission renewed (see
+ * requestPermission). When IndexedDB is unavailable, links last for the
+ * session only.
+ *
+ * @module local-files
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { HANDLES_STORE } from './note-storage.js';
+
+// Files that can be opened as notes
+export const LOCAL_FILE_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const LOCAL_FILE_PATTERN = /\.(md|markdown|txt)$/i;
+
+// Folders skipped when reading a folder
+const IGNORED_FOLDERS = new Set(['node_modules']);
+
+const PICKER_TYPES = [{
+    description: 'Markdown files',
+    accept: { 'text/markdown': LOCAL_FILE_EXTENSIONS, 'text/plain': ['.txt'] }
+}];
+
+/**
+ * Checks whether a file name has a supported extension
+ *
+ * @param {string} name - File name
+ * @returns {boolean} True for Markdown and text files
+ */
+export function isLocalNoteFile(name) {
+    return LOCAL_FILE_PATTERN.test(name);
+}
+
+/**
+ * Removes the extension from a local file name, for use as a note name
+ *
+ * @param {string} name - File name, e.g. 'ideas.md'
+ * @returns {string} Note name, e.g. 'ideas'
+ */
+export function toNoteName(name) {
+    return name.replace(LOCAL_FILE_PATTERN, '') || name;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Reads a file handle
+ *
+ * @param {FileSystemFileHandle} handle - Handle to read
+ * @returns {Promise<Object>} {content, lastModified}
+ */
+async function readHandle(handle) {
+    const file = await handle.getFile();
+    return { content: await file.text(), lastModified: file.lastModified };
+}
+
+/**
+ * Links between notes and files on disk
+ *
+ * @example
+ * const localFiles = new LocalFileLinks(noteStorage);
+ * const opened = await localFiles.openFiles();           // [{handle, name, path, content, lastModified}]
+ * await localFiles.link(fileId, opened[0].handle);
+ * const { lastModified } = await localFiles.write(fileId, 'new content');
+ * const change = await localFiles.readIfChanged(fileId, lastModified); // null if unchanged
+ */
+export class LocalFileLinks {
+    /**
+     * @param {NoteStorage} storage - Note storage providing the database
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.handles = new Map();   // fileId -> handle (or null if not linked)
+    }
+
+    /**
+     * Check whether the browser can open and save local files
+     * @returns {boolean} True if the File System Access API is available
+     */
+    isSupported() {
+        return 'showOpenFilePicker' in window && 'showDirectoryPicker' in window;
+    }
+
+    /**
+     * Check whether links are stored in IndexedDB
+     * @returns {Promise<boolean>} False when kept in memory only
+     */
+    async isPersistent() {
+        await this.storage.open();
+        return this.storage.backend === 'indexedDB';
+    }
+
+    /**
+     * Let the user pick Markdown files
+     * @returns {Promise<Array>} Opened files {handle, name, path, content, lastModified};
+     *   empty if the picker was cancelled
+     */
+    async openFiles() {
+        let handles;
+        try {
+            handles = await window.showOpenFilePicker({ multiple: true, types: PICKER_TYPES });
+        } catch (error) {
+            if (error.name === 'AbortError') return [];
+            throw error;
+        }
+
+        return Promise.all(handles.map(async handle => ({
+            handle,
+            name: handle.name,
+            path: handle.name,
+            ...(await readHandle(handle))
+        })));
+    }
+
+    /**
+     * Let the user pick a folder and read every Markdown file in it
+     * Hidden folders and node_modules are skipped.
+     *
+     * @returns {Promise<Object|null>} {name, files}, where files are
+     *   {handle, name, path, content, lastModified} and path is relative to
+     *   the folder; null if the picker was cancelled
+     */
+    async openFolder() {
+        let directory;
+        try {
+            directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+
+        const files = [];
+        const readDirectory = async (handle, prefix) => {
+            for await (const entry of handle.values()) {
+                if (entry.name.startsWith('.')) continue;
+
+                const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+                if (entry.kind === 'directory') {
+                    if (!IGNORED_FOLDERS.has(entry.name)) {
+                        await readDirectory(entry, path);
+                    }
+                } else if (isLocalNoteFile(entry.name)) {
+                    files.push({ handle: entry, name: entry.name, path, ...(await readHandle(entry)) });
+                }
+            }
+        };
+        await readDirectory(directory, '');
+
+        files.sort((a, b) => a.path.localeCompare(b.path));
+        return { name: directory.name, files };
+    }
+
+    /**
+     * Link a note to a file handle
+     * @param {number} fileId - File id
+     * @param {FileSystemFileHandle} handle - Handle of the file on disk
+     * @returns {Promise} Resolves once stored
+     */
+    async link(fileId, handle) {
+        this.handles.set(fileId, handle);
+        if (await this.isPersistent()) {
+            const transaction = this.storage.db.transaction(HANDLES_STORE, 'readwrite');
+            await requestToPromise(transaction.objectStore(HANDLES_STORE).put({ fileId, handle }));
+        }
+    }
+
+    /**
+     * Remove the link of a note, e.g. when the note is deleted
+     * The file on disk is not touched.
+     *
+     * @param {number} fileId - File id
+     * @returns {Promise} Resolves once removed
+     */
+    async unlink(fileId) {
+        this.handles.set(fileId, null);
+        if (await this.isPersistent()) {
+            const transaction = this.storage.db.transaction(HANDLES_STORE, 'readwrite');
+            await requestToPromise(transaction.objectStore(HANDLES_STORE).delete(fileId));
+        }
+    }
+
+    /**
+     * Get the file handle of a note
+     * @param {number} fileId - File id
+     * @returns {Promise<FileSystemFileHandle|null>} The handle, or null if not linked
+     */
+    async getHandle(fileId) {
+        if (!this.handles.has(fileId)) {
+            let handle = null;
+            if (await this.isPersistent()) {
+                const record = await requestToPromise(this.storage.db
+                    .transaction(HANDLES_STORE, 'readonly')
+                    .objectStore(HANDLES_STORE)
+                    .get(fileId));
+                handle = record ? record.handle : null;
+            }
+            this.handles.set(fileId, handle);
+        }
+        return this.handles.get(fileId);
+    }
+
+    /**
+     * Find the note linked to the same file as a handle
+     * @param {FileSystemFileHandle} handle - Handle to look for
+     * @param {number[]} fileIds - Ids of the notes to check
+     * @returns {Promise<number|null>} The note's id, or null
+     */
+    async findLinkedFile(handle, fileIds) {
+        for (const fileId of fileIds) {
+            const linked = await this.getHandle(fileId);
+            if (linked && await linked.isSameEntry(handle)) return fileId;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether the page may write to a note's file without asking
+     * @param {number} fileId - File id
+     * @returns {Promise<boolean>} True if write access is granted
+     */
+    async hasPermission(fileId) {
+        const handle = await this.getHandle(fileId);
+        if (!handle) return false;
+        if (!handle.queryPermission) return true;
+        return await handle.queryPermission({ mode: 'readwrite' }) === 'granted';
+    }
+
+    /**
+     * Ask the user for write access to a note's file
+     * Must be called from a user gesture such as a click.
+     *
+     * @param {number} fileId - File id
+     * @returns {Promise<boolean>} True if write access is granted
+     */
+    async requestPermission(fileId) {
+        const handle = await this.getHandle(fileId);
+        if (!handle) return false;
+        if (!handle.requestPermission) return true;
+        return await handle.requestPermission({ mode: 'readwrite' }) === 'granted';
+    }
+
+    /**
+     * Read a note's file if it changed since it was last read or written
+     *
+     * @param {number} fileId - File id
+     * @param {number} lastModified - Modification time of the version the note is based on
+     * @returns {Promise<Object|null>} {content, lastModified}, or null if unchanged
+     * @throws {Error} If the file cannot be read (e.g. it was deleted)
+     */
+    async readIfChanged(fileId, lastModified) {
+        const handle = await this.getHandle(fileId);
+        if (!handle) return null;
+
+        const file = await handle.getFile();
+        if (file.lastModified === lastModified) return null;
+        return { content: await file.text(), lastModified: file.lastModified };
+    }
+
+    /**
+     * Write content to a note's file
+     *
+     * @param {number} fileId - File id
+     * @param {string} content - Content to write
+     * @returns {Promise<Object>} {lastModified} of the written file
+     * @throws {Error} If the note is not linked or write access was not granted
+     */
+    async write(fileId, content) {
+        const handle = await this.getHandle(fileId);
+        if (!handle) {
+            throw new Error('This note is not linked to a local file.');
+        }
+
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+
+        const file = await handle.getFile();
+        return { lastModified: file.lastModified };
+    }
+}
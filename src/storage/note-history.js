@@ -0,0 +1,272 @@
+/**
+ * Note History Module
+ *
+ * This module keeps timestamped snapshots of each note's content, so earlier
+ * versions can be compared with the current text and restored after a bad
+ * paste or a sync that replaced the content.
+ *
+ * Snapshots are taken:
+ * - At most once per SNAPSHOT_INTERVAL while a note is being edited
+ * - When a note is opened, if it changed since its last snapshot
+ * - Before a GitHub sync or load, and before a restore, replaces the content
+ *
+ * A snapshot is skipped when the content equals the note's latest snapshot,
+ * and only the newest MAX_SNAPSHOTS_PER_FILE snapshots of each note are kept.
+ * Snapshots live in the `history` store of the notes database; when
+ * IndexedDB is unavailable they are kept in memory for the session.
+ *
+ * @module note-history
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { HISTORY_STORE } from './note-storage.js';
+import { splitLines, diffLines } from '../github/merge.js';
+
+// Minimum time between automatic snapshots of the same note
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+// Number of snapshots kept per note
+const MAX_SNAPSHOTS_PER_FILE = 50;
+
+/**
+ * Computes a line diff between two versions of a note
+ *
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array<Object>} Rows {type, text} in order, where type is
+ *   'same', 'removed' (only in oldText) or 'added' (only in newText)
+ *
+ * @example
+ * lineDiff('a\nb', 'a\nc');
+ * // [{type: 'same', text: 'a'}, {type: 'removed', text: 'b'}, {type: 'added', text: 'c'}]
+ */
+export function lineDiff(oldText, newText) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+    const rows = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    [...diffLines(oldLines, newLines), [oldLines.length, newLines.length]].forEach(([oldMatch, newMatch]) => {
+        while (oldIndex < oldMatch) {
+            rows.push({ type: 'removed', text: oldLines[oldIndex++] });
+        }
+        while (newIndex < newMatch) {
+            rows.push({ type: 'added', text: newLines[newIndex++] });
+        }
+        if (oldMatch < oldLines.length) {
+            rows.push({ type: 'same', text: oldLines[oldMatch] });
+        }
+        oldIndex = oldMatch + 1;
+        newIndex = newMatch + 1;
+    });
+
+    return rows;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Version history for notes
+ *
+ * @example
+ * const history = new NoteHistory(noteStorage);
+ * await history.recordIfDue(file);                    // throttled snapshot
+ * await history.recordAll(files, 'Before sync');      // before replacing content
+ * const snapshots = await history.list(file.id);      // newest first
+ */
+export class NoteHistory {
+    /**
+     * @param {NoteStorage} storage - Note storage providing the database
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.latest = new Map();    // fileId -> latest snapshot (or null if none)
+        this.memory = [];           // Snapshots kept when IndexedDB is unavailable
+        this.nextMemoryId = 1;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Run history writes one after another, so concurrent saves cannot
+     * record the same content twice
+     * @param {Function} task - Async function to run
+     * @returns {Promise} Resolves with the task's result
+     */
+    enqueue(task) {
+        const result = this.pending.catch(() => {}).then(task);
+        this.pending = result;
+        return result;
+    }
+
+    /**
+     * Check whether snapshots are stored in IndexedDB
+     * @returns {Promise<boolean>} False when kept in memory only
+     */
+    async isPersistent() {
+        await this.storage.open();
+        return this.storage.backend === 'indexedDB';
+    }
+
+    /**
+     * List the snapshots of a note
+     * @param {number} fileId - File id
+     * @returns {Promise<Array>} Snapshots {id, fileId, content, timestamp, reason}, newest first
+     */
+    async list(fileId) {
+        let snapshots;
+        if (await this.isPersistent()) {
+            const index = this.storage.db
+                .transaction(HISTORY_STORE, 'readonly')
+                .objectStore(HISTORY_STORE)
+                .index('fileId');
+            snapshots = await requestToPromise(index.getAll(IDBKeyRange.only(fileId)));
+        } else {
+            snapshots = this.memory.filter(snapshot => snapshot.fileId === fileId);
+        }
+
+        return snapshots.sort((a, b) => b.timestamp - a.timestamp || b.id - a.id);
+    }
+
+    /**
+     * Get the latest snapshot of a note
+     * @param {number} fileId - File id
+     * @returns {Promise<Object|null>} The snapshot, or null if there is none
+     */
+    async getLatest(fileId) {
+        if (!this.latest.has(fileId)) {
+            const [newest = null] = await this.list(fileId);
+            this.latest.set(fileId, newest);
+        }
+        return this.latest.get(fileId);
+    }
+
+    /**
+     * Record a snapshot of a note unless its content equals the latest snapshot
+     *
+     * @param {Object} file - File object {id, content}
+     * @param {string} reason - Why the snapshot was taken, shown in the history panel
+     * @returns {Promise<boolean>} True if a snapshot was recorded
+     */
+    record(file, reason) {
+        const { id: fileId, content } = file;
+        return this.enqueue(() => this.addSnapshot(fileId, content, reason));
+    }
+
+    /**
+     * Add a snapshot unless the content equals the latest snapshot
+     * @param {number} fileId - File id
+     * @param {string} content - Content to record
+     * @param {string} reason - Why the snapshot was taken
+     * @returns {Promise<boolean>} True if a snapshot was recorded
+     */
+    async addSnapshot(fileId, content, reason) {
+        const latest = await this.getLatest(fileId);
+        if (latest && latest.content === content) return false;
+        // An empty new note has nothing worth restoring
+        if (!latest && content === '') return false;
+
+        const snapshot = {
+            fileId,
+            content,
+            timestamp: Date.now(),
+            reason
+        };
+
+        if (await this.isPersistent()) {
+            const transaction = this.storage.db.transaction(HISTORY_STORE, 'readwrite');
+            snapshot.id = await requestToPromise(transaction.objectStore(HISTORY_STORE).add(snapshot));
+        } else {
+            snapshot.id = this.nextMemoryId++;
+            this.memory.push(snapshot);
+        }
+
+        this.latest.set(fileId, snapshot);
+        await this.trim(fileId);
+        return true;
+    }
+
+    /**
+     * Record a snapshot if the latest one is older than SNAPSHOT_INTERVAL
+     * Called on every save; cheap when no snapshot is due.
+     *
+     * @param {Object} file - File object {id, content}
+     * @returns {Promise<boolean>} True if a snapshot was recorded
+     */
+    recordIfDue(file) {
+        const { id: fileId, content } = file;
+        return this.enqueue(async () => {
+            const latest = await this.getLatest(fileId);
+            if (latest && Date.now() - latest.timestamp < SNAPSHOT_INTERVAL) return false;
+            return await this.addSnapshot(fileId, content, 'Autosave');
+        });
+    }
+
+    /**
+     * Record a snapshot of every note, e.g. before a sync may replace their content
+     *
+     * @param {Object} files - Files object {id: file}
+     * @param {string} reason - Why the snapshots were taken
+     * @returns {Promise} Resolves once all snapshots are recorded
+     */
+    recordAll(files, reason) {
+        return Promise.all(Object.values(files).map(file => this.record(file, reason)));
+    }
+
+    /**
+     * Delete the oldest snapshots of a note beyond MAX_SNAPSHOTS_PER_FILE
+     * @param {number} fileId - File id
+     * @returns {Promise} Resolves once trimmed
+     */
+    async trim(fileId) {
+        const snapshots = await this.list(fileId);
+        const excess = snapshots.slice(MAX_SNAPSHOTS_PER_FILE);
+        if (excess.length === 0) return;
+
+        await this.remove(excess.map(snapshot => snapshot.id));
+    }
+
+    /**
+     * Delete every snapshot of a note, e.g. when the note is deleted
+     * @param {number} fileId - File id
+     * @returns {Promise} Resolves once deleted
+     */
+    clear(fileId) {
+        return this.enqueue(async () => {
+            const snapshots = await this.list(fileId);
+            await this.remove(snapshots.map(snapshot => snapshot.id));
+            this.latest.delete(fileId);
+        });
+    }
+
+    /**
+     * Delete snapshots by id
+     * @param {number[]} ids - Snapshot ids
+     * @returns {Promise} Resolves once deleted
+     */
+    async remove(ids) {
+        if (!(await this.isPersistent())) {
+            this.memory = this.memory.filter(snapshot => !ids.includes(snapshot.id));
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.storage.db.transaction(HISTORY_STORE, 'readwrite');
+            const store = transaction.objectStore(HISTORY_STORE);
+            ids.forEach(id => store.delete(id));
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
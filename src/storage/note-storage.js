@@ -0,0 +1,313 @@
+/**
+ * Note Storage Module
+ *
+ * This module persists notes in IndexedDB, one record per file, so saving
+ * only writes the files that actually changed and large note collections are
+ * not limited by the ~5 MB localStorage quota.
+ *
+ * Features:
+ * - One IndexedDB record per file, keyed by file id
+ * - A history store for version snapshots, used by note-history.js
+ * - A handles store for local file handles, used by local-files.js
+ * - Change tracking: only added, changed and deleted files are written
+ * - One-time migration from the `markdownFiles` localStorage key
+ * - Falls back to localStorage when IndexedDB is unavailable
+ * - Quota errors are reported with a recognizable error (see isQuotaExceededError)
+ *
+ * @module note-storage
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+const DB_NAME = 'noteshub-notes';
+const DB_VERSION = 3;
+const FILES_STORE = 'files';
+
+// Version history snapshots (see note-history.js), indexed by file id
+export const HISTORY_STORE = 'history';
+
+// File System Access handles of notes linked to local files (see local-files.js), keyed by file id
+export const HANDLES_STORE = 'handles';
+
+// localStorage key used before notes moved to IndexedDB (and as fallback)
+const LOCAL_STORAGE_FILES_KEY = 'markdownFiles';
+
+/**
+ * Checks whether an error was caused by running out of storage space
+ * Browsers report this differently for IndexedDB and localStorage.
+ *
+ * @param {Error|DOMException} error - Error thrown by a storage operation
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaExceededError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError'
+        || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22
+        || error.code === 1014
+    );
+}
+
+/**
+ * Copies a file object so later in-place edits can be detected
+ * Nested objects (such as file.github) are copied one level deep.
+ *
+ * @param {Object} file - File object
+ * @returns {Object} Copy of the file
+ */
+function snapshotFile(file) {
+    const copy = { ...file };
+    Object.keys(copy).forEach((key) => {
+        if (copy[key] && typeof copy[key] === 'object') {
+            copy[key] = { ...copy[key] };
+        }
+    });
+    return copy;
+}
+
+/**
+ * Compares a file with the snapshot taken when it was last saved
+ * Strings are compared by value, which is cheap for unchanged content.
+ *
+ * @param {Object|undefined} saved - Snapshot of the saved file
+ * @param {Object} file - Current file object
+ * @returns {boolean} True if nothing changed
+ */
+function isSameFile(saved, file) {
+    if (!saved) return false;
+
+    const keys = Object.keys(file);
+    if (keys.length !== Object.keys(saved).length) return false;
+
+    return keys.every((key) => {
+        const value = file[key];
+        const savedValue = saved[key];
+        if (value && typeof value === 'object' && savedValue && typeof savedValue === 'object') {
+            const nestedKeys = Object.keys(value);
+            return nestedKeys.length === Object.keys(savedValue).length
+                && nestedKeys.every(nestedKey => value[nestedKey] === savedValue[nestedKey]);
+        }
+        return value === savedValue;
+    });
+}
+
+/**
+ * Opens the notes database, creating or upgrading its stores as needed
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                db.createObjectStore(FILES_STORE, { keyPath: 'id' });
+            }
+            if (event.oldVersion < 2) {
+                const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                history.createIndex('fileId', 'fileId');
+            }
+            if (event.oldVersion < 3) {
+                db.createObjectStore(HANDLES_STORE, { keyPath: 'fileId' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('The notes database is blocked by another tab.'));
+    });
+}
+
+/**
+ * Persistent storage for the notes collection
+ *
+ * @example
+ * const storage = new NoteStorage();
+ * const files = await storage.loadFiles(); // {id: file} or null
+ * files[id].content = 'changed';
+ * await storage.saveFiles(files);          // writes only files[id]
+ */
+export class NoteStorage {
+    constructor() {
+        this.db = null;
+        this.backend = null;            // 'indexedDB' or 'localStorage'
+        this.savedFiles = new Map();    // id -> snapshot of the file as last saved
+        this.pendingSave = Promise.resolve();
+    }
+
+    /**
+     * Open the database, falling back to localStorage if IndexedDB is unavailable
+     * @returns {Promise} Resolves once the backend is ready
+     */
+    async open() {
+        if (this.backend) return;
+
+        try {
+            this.db = await openDatabase();
+            this.backend = 'indexedDB';
+
+            // Ask the browser not to evict notes under storage pressure
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => {});
+            }
+        } catch (error) {
+            console.warn('IndexedDB is unavailable, saving notes to localStorage:', error);
+            this.backend = 'localStorage';
+        }
+    }
+
+    /**
+     * Load all files, migrating them from localStorage on first use
+     * @returns {Promise<Object|null>} Files object {id: file}, or null if there are none
+     */
+    async loadFiles() {
+        await this.open();
+
+        let records;
+        if (this.backend === 'localStorage') {
+            records = this.readLocalStorageFiles() || [];
+        } else {
+            records = await this.readAllRecords();
+            if (records.length === 0) {
+                try {
+                    records = await this.migrateFromLocalStorage();
+                } catch (error) {
+                    // Keep using localStorage this session; migration is retried next start
+                    console.warn('Failed to move notes to IndexedDB:', error);
+                    this.backend = 'localStorage';
+                    records = this.readLocalStorageFiles() || [];
+                }
+            }
+        }
+
+        if (records.length === 0) return null;
+
+        const files = {};
+        records.forEach((file) => {
+            files[file.id] = file;
+            this.savedFiles.set(file.id, snapshotFile(file));
+        });
+        return files;
+    }
+
+    /**
+     * Save the files collection
+     * Only files added or changed since the last save are written, and files
+     * no longer in the collection are deleted. Saves run one after another.
+     *
+     * @param {Object} files - Files object {id: file}
+     * @returns {Promise} Resolves once written; rejects on storage errors
+     *   (check isQuotaExceededError for a full disk or quota)
+     */
+    saveFiles(files) {
+        this.pendingSave = this.pendingSave
+            .catch(() => {})
+            .then(() => this.writeChanges(files));
+        return this.pendingSave;
+    }
+
+    /**
+     * Write the differences between the collection and the last save
+     * @param {Object} files - Files object {id: file}
+     * @returns {Promise} Resolves once written
+     */
+    async writeChanges(files) {
+        await this.open();
+
+        if (this.backend === 'localStorage') {
+            localStorage.setItem(LOCAL_STORAGE_FILES_KEY, JSON.stringify(files));
+            return;
+        }
+
+        const changed = Object.values(files)
+            .filter(file => !isSameFile(this.savedFiles.get(file.id), file))
+            .map(snapshotFile);
+        const removed = [...this.savedFiles.keys()]
+            .filter(id => !files[id] || files[id].id !== id);
+
+        if (changed.length === 0 && removed.length === 0) return;
+
+        await this.runTransaction((store) => {
+            changed.forEach(file => store.put(file));
+            removed.forEach(id => store.delete(id));
+        });
+
+        changed.forEach(file => this.savedFiles.set(file.id, file));
+        removed.forEach(id => this.savedFiles.delete(id));
+    }
+
+    /**
+     * Run writes in a single readwrite transaction
+     * Either every write is stored or none is.
+     *
+     * @param {Function} callback - Called with the files object store
+     * @returns {Promise} Resolves when the transaction commits
+     */
+    runTransaction(callback) {
+        return new Promise((resolve, reject) => {
+            let transaction;
+            try {
+                transaction = this.db.transaction(FILES_STORE, 'readwrite');
+                callback(transaction.objectStore(FILES_STORE));
+            } catch (error) {
+                // Roll back writes queued before the failure
+                if (transaction) transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => resolve();
+            // Quota errors surface as an abort with a QuotaExceededError
+            transaction.onabort = () => reject(transaction.error || new Error('Saving notes was aborted.'));
+            transaction.onerror = (event) => event.preventDefault();
+        });
+    }
+
+    /**
+     * Read every file record from IndexedDB
+     * @returns {Promise<Array>} File objects
+     */
+    readAllRecords() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(FILES_STORE, 'readonly')
+                .objectStore(FILES_STORE)
+                .getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read the files saved under the `markdownFiles` localStorage key
+     * @returns {Array|null} File objects, or null if there are none or they are unreadable
+     */
+    readLocalStorageFiles() {
+        const saved = localStorage.getItem(LOCAL_STORAGE_FILES_KEY);
+        if (!saved) return null;
+
+        try {
+            return Object.values(JSON.parse(saved));
+        } catch (error) {
+            console.warn('Failed to read saved files from localStorage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Copy the files from localStorage into IndexedDB
+     * The localStorage key is removed only after the copy is committed, so a
+     * failed migration is retried on the next start.
+     *
+     * @returns {Promise<Array>} The migrated files (empty if there was nothing to migrate)
+     */
+    async migrateFromLocalStorage() {
+        const records = this.readLocalStorageFiles();
+        if (!records || records.length === 0) return [];
+
+        await this.runTransaction((store) => {
+            records.forEach(file => store.put(file));
+        });
+        localStorage.removeItem(LOCAL_STORAGE_FILES_KEY);
+
+        return records;
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Async Renderer Tests
+ *
+ * Runs AsyncRenderer against a fake Web Worker that answers only when the
+ * test lets it, and checks which requests render: the one the worker is
+ * working on always finishes, and newer requests waiting for it replace each
+ * other.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHeadlessDocument } from '../src/markdown/headless-dom.js';
+import { runRenderTask } from '../src/markdown/render-tasks.js';
+
+/**
+ * Web Worker that runs render tasks when answer() is called
+ */
+class FakeWorker {
+    constructor() {
+        this.listeners = {};
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * Answer the oldest message
+     */
+    answer() {
+        const { id, task } = this.messages.shift();
+        this.listeners.message({ data: { id, result: runRenderTask(task) } });
+    }
+}
+FakeWorker.instances = [];
+
+globalThis.Worker = FakeWorker;
+if (!globalThis.document) globalThis.document = createHeadlessDocument();
+const { AsyncRenderer } = await import('../src/markdown/async-renderer.js');
+
+test('the render in progress finishes and only the latest waiting one follows', async () => {
+    const asyncRenderer = new AsyncRenderer();
+    const results = [];
+    const renders = ['one', 'two', 'three'].map(word =>
+        asyncRenderer.render(`# ${word}`, false).then(html => results.push([word, html])));
+
+    const [worker] = FakeWorker.instances.slice(-1);
+    assert.equal(worker.messages.length, 1);
+
+    worker.answer();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(worker.messages.length, 1, 'the latest request starts once the first one finished');
+
+    worker.answer();
+    await Promise.all(renders);
+    assert.deepEqual(results, [
+        ['two', null],
+        ['one', '<h1>one</h1>\n'],
+        ['three', '<h1>three</h1>\n']
+    ]);
+    assert.equal(worker.terminated, false);
+});
+
+test('cancel drops the result of the render in progress', async () => {
+    const asyncRenderer = new AsyncRenderer();
+    const render = asyncRenderer.render('# one', false);
+    const [worker] = FakeWorker.instances.slice(-1);
+
+    asyncRenderer.cancel();
+    worker.answer();
+    assert.equal(await render, null);
+
+    const next = asyncRenderer.render('# two', false);
+    worker.answer();
+    assert.equal(await next, '<h1>two</h1>\n');
+});
@@ -0,0 +1,218 @@
+/**
+ * Command-Line Tool Tests
+ *
+ * Runs `noteshub` commands through runCli on temporary folders: exit codes
+ * and messages for bad input, rendering a note and exporting a folder, and
+ * pull and push between two folders and a mock repository (see
+ * github-mock.js), including a merge and a conflict.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+import { runCli } from '../src/cli/cli.js';
+import { TOKEN_VARIABLES } from '../src/cli/folder-sync.js';
+import { createGitHubMock } from './github-mock.js';
+
+let root;
+let mock;
+let originalFetch;
+let originalConsoleError;
+let originalEnvironment;
+
+beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'noteshub-'));
+    mock = createGitHubMock();
+    originalFetch = globalThis.fetch;
+    originalConsoleError = console.error;
+    originalEnvironment = TOKEN_VARIABLES.map(variable => process.env[variable]);
+    globalThis.fetch = mock.fetch;
+    // GitHubAPI logs the 409 of the empty repository
+    console.error = () => {};
+    TOKEN_VARIABLES.forEach(variable => delete process.env[variable]);
+    process.env.NOTESHUB_GITHUB_TOKEN = 'test-token';
+});
+
+afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    console.error = originalConsoleError;
+    TOKEN_VARIABLES.forEach((variable, index) => {
+        if (originalEnvironment[index] === undefined) {
+            delete process.env[variable];
+        } else {
+            process.env[variable] = originalEnvironment[index];
+        }
+    });
+    await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Runs a command and collects what it writes
+ *
+ * @param {...string} args - Command-line arguments
+ * @returns {Promise<Object>} {code, stdout, stderr}
+ */
+async function run(...args) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } }
+    };
+    const code = await runCli(args, io);
+    return { code, ...output };
+}
+
+/**
+ * Writes files under the temporary folder
+ *
+ * @param {Object} files - Content by path relative to the temporary folder
+ */
+async function writeFiles(files) {
+    for (const [path, content] of Object.entries(files)) {
+        await mkdir(dirname(join(root, path)), { recursive: true });
+        await writeFile(join(root, path), content, 'utf8');
+    }
+}
+
+/**
+ * Reads a file under the temporary folder
+ *
+ * @param {string} path - Path relative to the temporary folder
+ * @returns {Promise<string>} Its content
+ */
+function readText(path) {
+    return readFile(join(root, path), 'utf8');
+}
+
+test('help, unknown commands and bad options', async () => {
+    const help = await run();
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: noteshub <command>/);
+
+    const unknown = await run('publish');
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /unknown command "publish"/);
+
+    const option = await run('render', 'note.md', '--color');
+    assert.equal(option.code, 2);
+    assert.match(option.stderr, /--color/);
+
+    const choice = await run('render', join(root, 'note.md'), '--dir', 'up');
+    assert.equal(choice.code, 1);
+    assert.equal(choice.stderr, 'noteshub: --dir must be one of ltr, rtl, auto\n');
+
+    const missing = await run('render');
+    assert.equal(missing.code, 1);
+    assert.equal(missing.stderr, 'noteshub: render needs exactly one markdown file\n');
+});
+
+test('render writes a note fragment or a standalone document', async () => {
+    await writeFiles({ 'note.md': '---\ntitle: درس\nlang: fa\n---\n# سلام\n\nArea $x^2$\n\n<script>alert(1)</script>\n' });
+    const note = join(root, 'note.md');
+
+    const fragment = await run('render', note, '--fragment');
+    assert.equal(fragment.code, 0);
+    assert.match(fragment.stdout, /<h1[^>]*>سلام<\/h1>/);
+    assert.match(fragment.stdout, /class="katex"/);
+    assert.doesNotMatch(fragment.stdout, /<script>/);
+
+    const noMath = await run('render', note, '--fragment', '--no-math');
+    assert.match(noMath.stdout, /Area \$x\^2\$/);
+
+    const output = join(root, 'out', 'note.html');
+    const document = await run('render', note, '-o', output, '--theme', 'dark');
+    assert.equal(document.code, 0);
+    assert.equal(document.stdout, '');
+
+    const html = await readFile(output, 'utf8');
+    assert.match(html, /^<!DOCTYPE html>/i);
+    assert.match(html, /<title>درس<\/title>/);
+    assert.match(html, /dir="rtl"/);
+});
+
+test('export-site renders every note and keeps the folders', async () => {
+    await writeFiles({
+        'notes/a.md': '# A\n',
+        'notes/درس\u200Cها/b.md': '# B\n',
+        'notes/.hidden/c.md': '# C\n',
+        'notes/readme.txt': 'not a note'
+    });
+
+    const result = await run('export-site', join(root, 'notes'), '-o', join(root, 'site'));
+    assert.equal(result.code, 0);
+    assert.equal(result.stdout, `Exported 2 notes to ${join(root, 'site')}\n`);
+    assert.match(await readText('site/a.html'), /<h1[^>]*>A<\/h1>/);
+    assert.match(await readText('site/درس\u200Cها/b.html'), /<h1[^>]*>B<\/h1>/);
+    await assert.rejects(readText('site/.hidden/c.html'), { code: 'ENOENT' });
+});
+
+test('push and pull need a token and a repository', async () => {
+    await writeFiles({ 'a/note.md': 'text\n' });
+    const folder = join(root, 'a');
+
+    const noRepository = await run('push', folder);
+    assert.equal(noRepository.code, 1);
+    assert.match(noRepository.stderr, /No repository configured; pass --repo owner\/name/);
+
+    const badRepository = await run('push', folder, '--repo', 'notes');
+    assert.equal(badRepository.code, 1);
+    assert.equal(badRepository.stderr, 'noteshub: --repo must be written as owner/name\n');
+
+    delete process.env.NOTESHUB_GITHUB_TOKEN;
+    const noToken = await run('pull', folder, '--repo', 'owner/notes');
+    assert.equal(noToken.code, 1);
+    assert.match(noToken.stderr, /Set NOTESHUB_GITHUB_TOKEN/);
+});
+
+test('push and pull sync folders through the repository', async () => {
+    await writeFiles({ 'a/note.md': 'one\ntwo\nthree\n', 'a/درس\u200Cها/جلسه ۱.md': 'سلام\n' });
+
+    const push = await run('push', join(root, 'a'), '--repo', 'owner/notes', '-m', 'First');
+    assert.equal(push.code, 0);
+    assert.match(push.stdout, /^Pushed to owner\/notes@main in \w+: 2 written, 0 merged/);
+    assert.deepEqual(mock.getFile('درس\u200Cها/جلسه ۱.md'), Buffer.from('سلام\n'));
+
+    const settings = JSON.parse(await readText('a/.noteshub.json'));
+    assert.deepEqual(settings.repository, { owner: 'owner', name: 'notes', branch: 'main' });
+    assert.deepEqual(Object.keys(settings.files).sort(), ['note.md', 'درس\u200Cها/جلسه ۱.md']);
+    assert.equal((await run('push', join(root, 'a'))).stdout, 'Nothing to push to owner/notes@main\n');
+
+    // A second folder pulls the notes, changes one and pushes it
+    const pull = await run('pull', join(root, 'b'), '--repo', 'owner/notes');
+    assert.equal(pull.code, 0);
+    assert.equal(pull.stdout, 'Pulled owner/notes@main: 2 added\n');
+    assert.equal(await readText('b/درس\u200Cها/جلسه ۱.md'), 'سلام\n');
+
+    await writeFiles({ 'b/note.md': 'one\ntwo\nthree, from b\n' });
+    assert.equal((await run('push', join(root, 'b'))).code, 0);
+
+    // The first folder changed another line meanwhile: the changes merge
+    await writeFiles({ 'a/note.md': 'one, from a\ntwo\nthree\n' });
+    const merge = await run('pull', join(root, 'a'));
+    assert.equal(merge.code, 0);
+    assert.equal(merge.stdout, 'Pulled owner/notes@main: 1 merged, 1 unchanged\n');
+    assert.equal(await readText('a/note.md'), 'one, from a\ntwo\nthree, from b\n');
+});
+
+test('pull leaves notes with conflicting changes alone and fails', async () => {
+    await writeFiles({ 'a/note.md': 'one\n' });
+    await run('push', join(root, 'a'), '--repo', 'owner/notes');
+    await run('pull', join(root, 'b'), '--repo', 'owner/notes');
+
+    await writeFiles({ 'b/note.md': 'one from b\n' });
+    await run('push', join(root, 'b'));
+    await writeFiles({ 'a/note.md': 'one from a\n' });
+
+    const pull = await run('pull', join(root, 'a'));
+    assert.equal(pull.code, 1);
+    assert.equal(pull.stderr, 'Conflict: note.md changed on both sides; resolve it and push again\n');
+    assert.equal(await readText('a/note.md'), 'one from a\n');
+});
@@ -0,0 +1,117 @@
+/**
+ * Diagram Tests
+ *
+ * Renders Graphviz fences with the shared renderer on a headless document
+ * and draws them with renderDiagrams (Viz.js runs in Node; Mermaid needs a
+ * browser and is not covered): which fences are marked, the label
+ * direction, links removed from the SVG, syntax errors, redraws and
+ * switching a fence between its drawing and its source.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHeadlessDocument } from '../src/markdown/headless-dom.js';
+
+// The shared renderer and the drawings use the global document, and Viz.js
+// parses its SVG with DOMParser
+const document = createHeadlessDocument();
+globalThis.document = document;
+globalThis.DOMParser = document.defaultView.DOMParser;
+
+const { render } = await import('../src/markdown/renderer.js');
+const {
+    getDiagramType,
+    renderDiagrams,
+    setDiagramSourceVisible,
+    isDiagramSourceVisible
+} = await import('../src/markdown/diagrams.js');
+
+/**
+ * Renders a note into a detached container
+ *
+ * @param {string} markdown - The note
+ * @returns {HTMLElement} The container
+ */
+function renderToContainer(markdown) {
+    const container = document.createElement('div');
+    container.innerHTML = render(markdown);
+    return container;
+}
+
+test('fence languages that are drawn', () => {
+    assert.equal(getDiagramType('mermaid'), 'mermaid');
+    assert.equal(getDiagramType('DOT'), 'graphviz');
+    assert.equal(getDiagramType('graphviz'), 'graphviz');
+    assert.equal(getDiagramType('js'), null);
+    assert.equal(getDiagramType(''), null);
+    assert.equal(getDiagramType(undefined), null);
+});
+
+test('diagram fences are marked and left unhighlighted', () => {
+    const container = renderToContainer('```mermaid\ngraph LR\n```\n\n```dot\ndigraph {}\n```\n\n```js\nlet x;\n```\n');
+    const [mermaid, dot, js] = container.querySelectorAll('pre');
+
+    assert.equal(mermaid.dataset.diagram, 'mermaid');
+    assert.equal(dot.dataset.diagram, 'graphviz');
+    assert.equal(js.dataset.diagram, undefined);
+    assert.equal(dot.querySelector('.hljs-keyword'), null);
+    assert.ok(js.querySelector('.hljs-keyword'));
+});
+
+test('Graphviz fences are drawn after their hidden source', async () => {
+    const container = renderToContainer('```dot\ndigraph { a -> b [label="سلام"]; c [URL="javascript:alert(1)"] }\n```\n');
+    const pre = container.querySelector('pre');
+
+    assert.equal(await renderDiagrams(container, { textDirection: 'auto' }), 1);
+
+    const diagram = pre.nextElementSibling;
+    assert.equal(diagram.className, 'diagram');
+    assert.equal(pre.hidden, true);
+    assert.equal(diagram.hidden, false);
+
+    const labels = Array.from(diagram.querySelectorAll('svg text'), text => [text.textContent, text.getAttribute('direction')]);
+    assert.deepEqual(labels.sort(), [['a', 'ltr'], ['b', 'ltr'], ['c', 'ltr'], ['سلام', 'rtl']]);
+    assert.equal(diagram.innerHTML.includes('javascript:'), false);
+
+    // Drawn already with the same options
+    assert.equal(await renderDiagrams(container, { textDirection: 'auto' }), 0);
+    assert.equal(await renderDiagrams(container, { textDirection: 'ltr' }), 1);
+    assert.equal(container.querySelectorAll('.diagram').length, 1);
+    assert.equal(diagram.querySelector('text:not([direction="ltr"])'), null);
+});
+
+test('a syntax error is shown in place of the drawing', async () => {
+    const container = renderToContainer('```graphviz\ndigraph {\n```\n');
+
+    assert.equal(await renderDiagrams(container), 1);
+    const diagram = container.querySelector('.diagram');
+    assert.ok(diagram.classList.contains('diagram-error'));
+    assert.equal(diagram.getAttribute('role'), 'alert');
+    assert.match(diagram.querySelector('pre').textContent, /syntax error/);
+});
+
+test('a fence switches between its drawing and its source', async () => {
+    const container = renderToContainer('```dot\ndigraph { a }\n```\n');
+    const pre = container.querySelector('pre');
+
+    // Before drawing, the choice is only recorded
+    setDiagramSourceVisible(pre, true);
+    assert.equal(isDiagramSourceVisible(pre), true);
+    assert.equal(pre.hidden, false);
+
+    await renderDiagrams(container);
+    const diagram = pre.nextElementSibling;
+    assert.equal(pre.hidden, false);
+    assert.equal(diagram.hidden, true);
+
+    setDiagramSourceVisible(pre, false);
+    assert.equal(isDiagramSourceVisible(pre), false);
+    assert.equal(pre.hidden, true);
+    assert.equal(diagram.hidden, false);
+});
@@ -0,0 +1,99 @@
+/**
+ * Find and Replace Tests
+ *
+ * Checks the patterns createFindPattern builds for plain, whole-word and
+ * regex queries (Persian words and ZWNJ included), how findMatches steps
+ * over empty matches, and how replacements expand `$` references.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFindPattern, findMatches, getReplacement, replaceAll } from '../src/search/find-replace.js';
+
+/**
+ * Finds a query and returns the matched text
+ *
+ * @param {string} text - Text to search
+ * @param {string} query - Query
+ * @param {Object} [options] - Options for createFindPattern
+ * @returns {string[]} The matched strings
+ */
+function find(text, query, options) {
+    return findMatches(text, createFindPattern(query, options)).map(({ start, end }) => text.slice(start, end));
+}
+
+test('plain queries match literally and ignore case unless asked', () => {
+    assert.deepEqual(find('Note note NOTE', 'note'), ['Note', 'note', 'NOTE']);
+    assert.deepEqual(find('Note note NOTE', 'note', { caseSensitive: true }), ['note']);
+    assert.deepEqual(find('a.b axb (1+1) [x] $5 a/b', 'a.b'), ['a.b']);
+    assert.deepEqual(find('(1+1) = 2', '(1+1)'), ['(1+1)']);
+    assert.deepEqual(find('[x] $5 a/b c\\d', '[x] $5 a/b c\\d'), ['[x] $5 a/b c\\d']);
+    assert.equal(createFindPattern(''), null);
+    assert.deepEqual(findMatches('text', null), []);
+});
+
+test('whole words respect Persian letters, ZWNJ and combining marks', () => {
+    const text = 'کتاب کتاب\u200Cها کتابخانه «کتاب» كتاب کتابِ';
+
+    assert.deepEqual(find(text, 'کتاب', { wholeWord: true }), ['کتاب', 'کتاب']);
+    assert.deepEqual(find(text, 'کتاب'), ['کتاب', 'کتاب', 'کتاب', 'کتاب', 'کتاب']);
+    assert.deepEqual(find('cat cats concat cat_1 cat.', 'cat', { wholeWord: true }), ['cat', 'cat']);
+    assert.deepEqual(find('۱۲ ۱۲۳ 12', '۱۲', { wholeWord: true }), ['۱۲']);
+    assert.deepEqual(find('a1 b22 c', '\\w\\d+', { wholeWord: true, regex: true }), ['a1', 'b22']);
+});
+
+test('regex queries match at line breaks and report invalid patterns', () => {
+    assert.deepEqual(find('# one\ntext\n## two', '^#+ (.*)$', { regex: true }), ['# one', '## two']);
+    assert.deepEqual(find('Foo foo', 'f\\w+', { regex: true, caseSensitive: true }), ['foo']);
+    assert.deepEqual(find('😀a😀', '.', { regex: true }), ['😀', 'a', '😀']);
+    assert.throws(() => createFindPattern('(unclosed', { regex: true }), SyntaxError);
+    assert.doesNotThrow(() => createFindPattern('(unclosed'));
+});
+
+test('empty matches are found once at each position, without splitting surrogate pairs', () => {
+    const text = 'a😀\nb';
+    const pattern = createFindPattern('(?:)', { regex: true });
+
+    assert.deepEqual(findMatches(text, pattern).map(found => found.start), [0, 1, 3, 4, 5]);
+    assert.deepEqual(replaceAll('one\ntwo\n', createFindPattern('^', { regex: true }), '> ', true),
+        { text: '> one\n> two\n> ', count: 3 });
+});
+
+test('findMatches stops at the limit and replaceAll has none', () => {
+    const text = 'x'.repeat(30);
+    const pattern = createFindPattern('x');
+
+    assert.equal(findMatches(text, pattern, 10).length, 10);
+    assert.equal(findMatches(text, pattern).length, 30);
+    assert.deepEqual(replaceAll(text, pattern, 'y'), { text: 'y'.repeat(30), count: 30 });
+});
+
+test('regex replacements expand $ references', () => {
+    const text = 'date: 2025-03-01.';
+    const pattern = createFindPattern('(?<year>\\d{4})-(\\d{2})-(\\d{2})', { regex: true });
+    const [found] = findMatches(text, pattern);
+    const replace = replacement => getReplacement(found, replacement, text, true);
+
+    assert.equal(replace('$3/$2/$<year>'), '01/03/2025');
+    assert.equal(replace('[$&]'), '[2025-03-01]');
+    assert.equal(replace('$$1'), '$1');
+    assert.equal(replace('$`|$\''), 'date: |.');
+    assert.equal(replace('$12'), '20252');
+    assert.equal(replace('$0 $9 $<missing>'), '$0 $9 $<missing>');
+    assert.equal(getReplacement(found, '$1 $&', text), '$1 $&');
+});
+
+test('replaceAll replaces every match and counts them', () => {
+    const pattern = createFindPattern('(\\w+)@(\\w+)', { regex: true });
+
+    assert.deepEqual(replaceAll('a@b, c@d', pattern, '$2@$1', true), { text: 'b@a, d@c', count: 2 });
+    assert.deepEqual(replaceAll('a@b', pattern, '$2@$1'), { text: '$2@$1', count: 1 });
+    assert.deepEqual(replaceAll('سلام دنیا', createFindPattern('دنیا'), 'world'), { text: 'سلام world', count: 1 });
+    assert.deepEqual(replaceAll('none', pattern, 'x', true), { text: 'none', count: 0 });
+});
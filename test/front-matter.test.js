@@ -0,0 +1,126 @@
+/**
+ * Front Matter Tests
+ *
+ * Checks parseFrontMatter on the YAML subset notes use (scalars, quoted
+ * strings, inline and block lists, nested keys and block scalars), on the
+ * ways a block can start and end, and on leading `---` blocks that are not
+ * front matter, and the direction getFrontMatterDirection reads from it.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFrontMatter, getFrontMatterDirection } from '../src/markdown/front-matter.js';
+
+test('scalars, quoted strings and lists', () => {
+    const note = [
+        '---',
+        'title: یادداشت‌های درس',
+        'count: 3',
+        'ratio: -1.5e2',
+        'draft: false',
+        'published: true',
+        'summary: ~',
+        'empty:',
+        'version: "1.0"   ',
+        'quote: \'it\'\'s # not a comment\'',
+        'escaped: "line\\nbreak \\"quoted\\""',
+        'plain: text # a comment',
+        'tags: [math, "a, b", \'فارسی\', 7]',
+        'none: []',
+        '---',
+        '# Body'
+    ].join('\n');
+
+    assert.deepEqual(parseFrontMatter(note), {
+        data: {
+            title: 'یادداشت‌های درس',
+            count: 3,
+            ratio: -150,
+            draft: false,
+            published: true,
+            summary: null,
+            empty: null,
+            version: '1.0',
+            quote: "it's # not a comment",
+            escaped: 'line\nbreak "quoted"',
+            plain: 'text',
+            tags: ['math', 'a, b', 'فارسی', 7],
+            none: []
+        },
+        body: '# Body',
+        lineCount: 15
+    });
+});
+
+test('block lists, nested keys and block scalars', () => {
+    const note = [
+        '---',
+        'tags:',
+        '  - math',
+        '  - "notes"',
+        '',
+        'author:',
+        '  name: Matin',
+        '  year: 2025',
+        'abstract: |',
+        '  first line',
+        '    indented',
+        'folded: >-',
+        '  one',
+        '  two',
+        '# a comment line',
+        '---',
+        ''
+    ].join('\n');
+
+    assert.deepEqual(parseFrontMatter(note).data, {
+        tags: ['math', 'notes'],
+        author: { name: 'Matin', year: 2025 },
+        abstract: 'first line\n  indented\n',
+        folded: 'one two'
+    });
+});
+
+test('a BOM, CRLF line endings, an empty block and the ... terminator', () => {
+    assert.deepEqual(parseFrontMatter('\uFEFF---\r\nlang: fa\r\n---\r\nمتن\r\n'), {
+        data: { lang: 'fa' },
+        body: 'متن\r\n',
+        lineCount: 3
+    });
+    assert.deepEqual(parseFrontMatter('---\n---\nText'), { data: {}, body: 'Text', lineCount: 2 });
+    assert.deepEqual(parseFrontMatter('---\ntitle: Hi\n...'), { data: { title: 'Hi' }, body: '', lineCount: 3 });
+});
+
+test('leading --- blocks that are not front matter stay in the note', () => {
+    const notes = [
+        '# Title\n---\ntitle: Hi\n---\n',
+        '---\nJust a paragraph between rules.\n---\n',
+        '---\ntitle: Hi\n  stray: indented\n---\n',
+        '---\n  title: indented\n---\n',
+        '---\ntitle: Hi\n',
+        ' ---\ntitle: Hi\n---\n'
+    ];
+
+    notes.forEach((note) => {
+        assert.deepEqual(parseFrontMatter(note), { data: {}, body: note, lineCount: 0 }, note);
+    });
+});
+
+test('direction from dir and lang', () => {
+    assert.equal(getFrontMatterDirection({}), null);
+    assert.equal(getFrontMatterDirection({ lang: 'fa' }), 'rtl');
+    assert.equal(getFrontMatterDirection({ lang: 'fa-IR' }), 'rtl');
+    assert.equal(getFrontMatterDirection({ lang: 'AR_eg' }), 'rtl');
+    assert.equal(getFrontMatterDirection({ lang: 'en' }), 'ltr');
+    assert.equal(getFrontMatterDirection({ dir: ' RTL ', lang: 'en' }), 'rtl');
+    assert.equal(getFrontMatterDirection({ dir: 'ltr', lang: 'he' }), 'ltr');
+    assert.equal(getFrontMatterDirection({ dir: 'auto' }), 'auto');
+    assert.equal(getFrontMatterDirection({ dir: 'sideways', lang: 'ur' }), 'rtl');
+    assert.equal(getFrontMatterDirection({ dir: true, lang: 7 }), null);
+});
@@ -0,0 +1,168 @@
+/**
+ * GitHub API Mock
+ *
+ * An in-memory repository behind a `fetch` replacement, covering the parts
+ * of the GitHub REST API that GitHubAPI uses: the contents API (list, read
+ * and create), git blobs, trees, commits and the branch ref. Blobs keep the raw
+ * bytes they were sent, and their SHAs are computed as git does, so tests
+ * can compare what was pushed byte for byte.
+ *
+ * Like GitHub, the contents API wraps base64 every 60 characters and leaves
+ * out the content of files over 1 MB (`encoding: 'none'`).
+ *
+ * @module github-mock
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { createHash } from 'node:crypto';
+
+// Files above this size come back from the contents API without content
+const CONTENTS_SIZE_LIMIT = 1024 * 1024;
+
+/**
+ * Creates a mock repository and the fetch function serving it
+ *
+ * @param {Object} [options={}] - Repository options
+ * @param {string} [options.owner='owner'] - Repository owner
+ * @param {string} [options.name='notes'] - Repository name
+ * @param {string} [options.branch='main'] - Branch name
+ * @returns {Object} {fetch, blobs, commits, getFile(path)}: commits maps
+ *   SHAs to {tree, parents}; getFile returns the bytes of a file on the
+ *   branch as a Buffer, or null
+ */
+export function createGitHubMock({ owner = 'owner', name = 'notes', branch = 'main' } = {}) {
+    const blobs = new Map();     // sha -> Buffer
+    const trees = new Map();     // sha -> Map(path -> blob sha)
+    const commits = new Map();   // sha -> {tree, parents}
+    let head = null;             // commit sha of the branch; null while empty
+    let counter = 0;
+
+    const prefix = `https://api.github.com/repos/${owner}/${name}`;
+
+    const storeBlob = (bytes) => {
+        const sha = createHash('sha1').update(`blob ${bytes.length}\0`).update(bytes).digest('hex');
+        blobs.set(sha, bytes);
+        return sha;
+    };
+    const storeTree = (entries) => {
+        const sha = `tree${++counter}`;
+        trees.set(sha, entries);
+        return sha;
+    };
+    const storeCommit = (tree, parents) => {
+        const sha = `commit${++counter}`;
+        commits.set(sha, { tree, parents });
+        return sha;
+    };
+    const headTree = () => (head ? trees.get(commits.get(head).tree) : new Map());
+
+    const reply = (status, body) => new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    const routes = [
+        ['GET', /^\/git\/ref\/heads\/(.+)$/, () => (head
+            ? reply(200, { object: { sha: head } })
+            : reply(409, { message: 'Git Repository is empty.' }))],
+
+        ['GET', /^\/git\/commits\/(\w+)$/, ([sha]) => reply(200, { sha, tree: { sha: commits.get(sha).tree } })],
+
+        ['GET', /^\/git\/trees\/[^?]+\?recursive=1$/, () => {
+            if (!head) return reply(409, { message: 'Git Repository is empty.' });
+            const tree = [...headTree()].map(([path, sha]) => ({ path, type: 'blob', sha, size: blobs.get(sha).length }));
+            return reply(200, { tree, truncated: false });
+        }],
+
+        ['GET', /^\/git\/blobs\/(\w+)$/, ([sha]) => reply(200, {
+            sha,
+            size: blobs.get(sha).length,
+            encoding: 'base64',
+            content: blobs.get(sha).toString('base64')
+        })],
+
+        ['POST', /^\/git\/blobs$/, (match, body) => reply(201, { sha: storeBlob(Buffer.from(body.content, 'base64')) })],
+
+        ['POST', /^\/git\/trees$/, (match, body) => {
+            const entries = new Map(trees.get(body.base_tree));
+            body.tree.forEach(entry => entries.set(entry.path, entry.sha));
+            return reply(201, { sha: storeTree(entries) });
+        }],
+
+        ['POST', /^\/git\/commits$/, (match, body) => reply(201, { sha: storeCommit(body.tree, body.parents) })],
+
+        ['POST', /^\/git\/refs$/, (match, body) => {
+            if (head) return reply(422, { message: 'Reference already exists' });
+            head = body.sha;
+            return reply(201, { ref: body.ref, object: { sha: head } });
+        }],
+
+        ['PATCH', /^\/git\/refs\/heads\/(.+)$/, (match, body) => {
+            if (!commits.get(body.sha).parents.includes(head)) {
+                return reply(422, { message: 'Update is not a fast forward' });
+            }
+            head = body.sha;
+            return reply(200, { object: { sha: head } });
+        }],
+
+        ['GET', /^\/contents\/\?ref=.+$/, () => {
+            if (!head) return reply(404, { message: 'This repository is empty.' });
+            const listing = new Map();
+            headTree().forEach((sha, path) => {
+                const [name, ...rest] = path.split('/');
+                listing.set(name, rest.length
+                    ? { type: 'dir', name, path: name }
+                    : { type: 'file', name, path, sha, size: blobs.get(sha).length });
+            });
+            return reply(200, [...listing.values()]);
+        }],
+
+        ['GET', /^\/contents\/([^?]+)\?ref=.+$/, ([encodedPath]) => {
+            const path = decodeURIComponent(encodedPath);
+            const sha = headTree().get(path);
+            if (!sha) return reply(404, { message: 'Not Found' });
+
+            const bytes = blobs.get(sha);
+            const tooLarge = bytes.length > CONTENTS_SIZE_LIMIT;
+            return reply(200, {
+                type: 'file',
+                path,
+                sha,
+                size: bytes.length,
+                encoding: tooLarge ? 'none' : 'base64',
+                content: tooLarge ? '' : bytes.toString('base64').replace(/.{60}/g, '$&\n')
+            });
+        }],
+
+        ['PUT', /^\/contents\/(.+)$/, ([encodedPath], body) => {
+            const path = decodeURIComponent(encodedPath);
+            const entries = new Map(headTree());
+            const sha = storeBlob(Buffer.from(body.content, 'base64'));
+            entries.set(path, sha);
+            head = storeCommit(storeTree(entries), head ? [head] : []);
+            return reply(201, { content: { path, sha }, commit: { sha: head } });
+        }]
+    ];
+
+    const fetch = async (url, { method = 'GET', body } = {}) => {
+        if (!url.startsWith(prefix)) return reply(404, { message: 'Not Found' });
+
+        const path = url.slice(prefix.length);
+        for (const [routeMethod, pattern, handler] of routes) {
+            const match = routeMethod === method && pattern.exec(path);
+            if (match) return handler(match.slice(1), body ? JSON.parse(body) : null);
+        }
+        return reply(404, { message: `No mock for ${method} ${path}` });
+    };
+
+    return {
+        fetch,
+        blobs,
+        commits,
+        getFile: (path) => {
+            const sha = headTree().get(path);
+            return sha ? blobs.get(sha) : null;
+        }
+    };
+}
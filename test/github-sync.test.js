@@ -0,0 +1,189 @@
+/**
+ * GitHub Sync Round-Trip Tests
+ *
+ * Pushes notes with syncToGitHub to a mock repository (see github-mock.js),
+ * loads them back with loadFromGitHub, and checks that both the pushed bytes
+ * and the loaded text are exactly what was written: mixed RTL/LTR text,
+ * emoji, a byte order mark, CRLF line endings, KaTeX and a Persian folder
+ * path. Also checks that the first push is one commit, and that remote
+ * changes to a trusted note clear its trust.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GitHubAPI, GitHubSyncManager } from '../src/github/github-integration.js';
+import { createGitHubMock } from './github-mock.js';
+
+const NOTES = {
+    1: {
+        id: 1,
+        name: 'mixed',
+        content: '# یادداشت‌ها about Markdown\n\nمتن فارسی with English و `code` در وسط.\n‏RLM and ZWNJ: می‌خواهم\n'
+    },
+    2: {
+        id: 2,
+        name: 'emoji',
+        content: 'Emoji: 👋🏽 👩🏽‍💻 🇮🇷 ✅\nسلام 🌍!\n'
+    },
+    3: {
+        id: 3,
+        name: 'bom-crlf',
+        content: '\uFEFF---\r\ntitle: ویندوز\r\n---\r\nLine one\r\nخط دوم\r\n'
+    },
+    4: {
+        id: 4,
+        name: 'katex',
+        content: 'Inline $e^{i\\pi} + 1 = 0$ و نمایشی:\n\n$$\n\\frac{\\sqrt{a^2+b^2}}{\\alpha_{۱}} \\leq \\sum_{n=1}^{\\infty} \\text{مجموع}\n$$\n'
+    },
+    5: {
+        id: 5,
+        name: 'nested',
+        github: { path: 'درس‌ها/جلسه ۱.md' },
+        content: 'A note in a Persian folder — with a dash.\n'
+    },
+    6: {
+        id: 6,
+        name: 'large',
+        // Over 1 MB, so the contents API leaves it out and the blob API is used
+        content: 'ریاضی $x^2$ and 🚀\r\n'.repeat(40000)
+    }
+};
+
+let mock;
+let originalFetch;
+let originalConsoleError;
+
+beforeEach(() => {
+    mock = createGitHubMock();
+    originalFetch = globalThis.fetch;
+    originalConsoleError = console.error;
+    globalThis.fetch = mock.fetch;
+    // GitHubAPI logs the 409 of the empty repository
+    console.error = () => {};
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    console.error = originalConsoleError;
+});
+
+/**
+ * Creates a sync manager for the mock repository
+ *
+ * @returns {GitHubSyncManager} The sync manager
+ */
+function createSyncManager() {
+    const storage = { getItem: () => null, setItem() {}, removeItem() {} };
+    const githubAPI = new GitHubAPI(storage);
+    githubAPI.setToken('test-token');
+    githubAPI.setRepository('owner', 'notes', 'main');
+    return new GitHubSyncManager(githubAPI);
+}
+
+/**
+ * Copies the notes, so each test starts from unsynced files
+ *
+ * @returns {Object} Files object {id: file}
+ */
+function copyNotes() {
+    return JSON.parse(JSON.stringify(NOTES));
+}
+
+test('pushed files hold the exact UTF-8 bytes of the notes', async () => {
+    const localFiles = copyNotes();
+    const results = await createSyncManager().syncToGitHub(localFiles);
+
+    assert.deepEqual(results.failed, []);
+    assert.equal(results.success.length, Object.keys(NOTES).length);
+
+    results.success.forEach(({ id, path }) => {
+        const bytes = mock.getFile(path);
+        assert.ok(bytes, `${path} was pushed`);
+        assert.deepEqual(bytes, Buffer.from(NOTES[id].content, 'utf8'), `${path} bytes`);
+    });
+});
+
+test('the first sync to an empty repository is a single root commit', async () => {
+    const results = await createSyncManager().syncToGitHub(copyNotes());
+
+    assert.equal(mock.commits.size, 1);
+    assert.deepEqual(mock.commits.get(results.commit).parents, []);
+});
+
+test('a failed first sync leaves the repository empty', async () => {
+    const { fetch } = mock;
+    globalThis.fetch = (url, init = {}) => (init.method === 'POST' && url.endsWith('/git/refs')
+        ? Promise.resolve(new Response(JSON.stringify({ message: 'Server Error' }), { status: 500 }))
+        : fetch(url, init));
+
+    const localFiles = copyNotes();
+    const results = await createSyncManager().syncToGitHub(localFiles);
+
+    assert.equal(results.failed.length, Object.keys(NOTES).length);
+    Object.values(localFiles).forEach((file) => {
+        assert.deepEqual(file.github, NOTES[file.id].github);
+    });
+    assert.equal(mock.getFile('mixed.md'), null);
+});
+
+test('notes survive a push followed by a load', async () => {
+    const { success: pushed } = await createSyncManager().syncToGitHub(copyNotes());
+
+    const loaded = new Map();
+    const results = await createSyncManager().loadFromGitHub((remote) => {
+        loaded.set(remote.path, remote);
+        return remote;
+    });
+
+    assert.deepEqual(results.failed, []);
+    assert.equal(loaded.size, Object.keys(NOTES).length);
+
+    pushed.forEach(({ id, path }) => {
+        const remote = loaded.get(path);
+        assert.ok(remote, `${path} was loaded`);
+        assert.equal(remote.content, NOTES[id].content, `${path} content`);
+        assert.equal(remote.content.length, NOTES[id].content.length);
+    });
+});
+
+test('a second sync of unchanged notes pushes nothing', async () => {
+    const syncManager = createSyncManager();
+    const localFiles = copyNotes();
+    await syncManager.syncToGitHub(localFiles);
+
+    const results = await syncManager.syncToGitHub(localFiles);
+
+    assert.equal(results.commit, null);
+    assert.equal(results.skipped.length, Object.keys(NOTES).length);
+    Object.values(localFiles).forEach((file) => {
+        assert.equal(file.content, NOTES[file.id].content);
+        assert.equal(file.github.base, NOTES[file.id].content);
+    });
+});
+
+test('remote changes to a trusted note clear its trust', async () => {
+    const syncManager = createSyncManager();
+    const localFiles = copyNotes();
+    localFiles[1].trusted = true;
+    localFiles[2].trusted = true;
+    await syncManager.syncToGitHub(localFiles);
+
+    // Another client changes one of the trusted notes
+    const otherFiles = copyNotes();
+    await createSyncManager().syncToGitHub(otherFiles);
+    otherFiles[1].content += '<script>alert(1)</script>\n';
+    await createSyncManager().syncToGitHub(otherFiles);
+
+    const results = await syncManager.syncToGitHub(localFiles);
+
+    assert.deepEqual(results.merged.map(file => file.id), [1]);
+    assert.equal(localFiles[1].content, otherFiles[1].content);
+    assert.equal(localFiles[1].trusted, undefined);
+    assert.equal(localFiles[2].trusted, true);
+});
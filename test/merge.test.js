@@ -0,0 +1,121 @@
+/**
+ * Three-Way Merge Tests
+ *
+ * Checks diffLines against known line diffs, including whole-note rewrites
+ * that must stay fast, and mergeThreeWay and joinChunks on clean merges,
+ * identical changes and conflicts.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { splitLines, diffLines, mergeThreeWay, joinChunks } from '../src/github/merge.js';
+
+/**
+ * Checks that matches pair equal lines in ascending order
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {Array<[number, number]>} matches - Output of diffLines
+ */
+function assertValidMatches(a, b, matches) {
+    matches.forEach(([x, y], index) => {
+        assert.equal(a[x], b[y]);
+        if (index > 0) {
+            assert.ok(x > matches[index - 1][0] && y > matches[index - 1][1]);
+        }
+    });
+}
+
+test('splitLines keeps empty lines and returns nothing for empty text', () => {
+    assert.deepEqual(splitLines(''), []);
+    assert.deepEqual(splitLines('a\n\nb\n'), ['a', '', 'b', '']);
+});
+
+test('diffLines finds the longest common subsequence', () => {
+    const cases = [
+        [[], [], 0],
+        [['a'], [], 0],
+        [['a', 'b', 'c'], ['a', 'b', 'c'], 3],
+        [['a', 'b', 'c'], ['a', 'x', 'c'], 2],
+        [['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c'], 4],
+        [['x', 'a', 'b'], ['a', 'b', 'y'], 2],
+        [['a', 'a', 'a'], ['a', 'a'], 2]
+    ];
+    cases.forEach(([a, b, length]) => {
+        const matches = diffLines(a, b);
+        assert.equal(matches.length, length, `${a} / ${b}`);
+        assertValidMatches(a, b, matches);
+    });
+});
+
+test('diffLines matches persian lines exactly', () => {
+    const a = ['# یادداشت', 'می‌خواهم', 'سلام'];
+    const b = ['# یادداشت', 'میخواهم', 'سلام'];
+    assert.deepEqual(diffLines(a, b), [[0, 0], [2, 2]]);
+});
+
+test('whole-note rewrites are diffed quickly', () => {
+    const lines = Array.from({ length: 20000 }, (_, index) => `Line ${index}: متن ${index}`);
+    const started = Date.now();
+
+    assert.deepEqual(diffLines(lines, lines.map(line => `${line}\r`)), []);
+    // Reordering every line is the worst case; the diff may give up on it
+    const reversed = [...lines].reverse();
+    assertValidMatches(lines, reversed, diffLines(lines, reversed));
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+});
+
+test('changes to different lines merge cleanly', () => {
+    const result = mergeThreeWay('a\nb\nc\nd\ne', 'A\nb\nc\nd\ne', 'a\nb\nc\nd\nE');
+    assert.equal(result.clean, true);
+    assert.equal(result.merged, 'A\nb\nc\nd\nE');
+});
+
+test('a change made on one side only is taken', () => {
+    assert.equal(mergeThreeWay('a\nb', 'a\nb', 'a\nb\nc').merged, 'a\nb\nc');
+    assert.equal(mergeThreeWay('a\nb', 'b', 'a\nb').merged, 'b');
+    assert.equal(mergeThreeWay('', 'new note', '').merged, 'new note');
+});
+
+test('the same change on both sides is not a conflict', () => {
+    const result = mergeThreeWay('a\nb\nc', 'a\nB\nc', 'a\nB\nc');
+    assert.equal(result.clean, true);
+    assert.equal(result.merged, 'a\nB\nc');
+});
+
+test('different changes to the same or adjacent lines conflict', () => {
+    const result = mergeThreeWay('a\nb\nc', 'a\nlocal\nc', 'a\nremote\nc');
+    assert.equal(result.clean, false);
+    assert.deepEqual(result.chunks, [
+        { type: 'ok', lines: ['a'] },
+        { type: 'conflict', base: ['b'], local: ['local'], remote: ['remote'] },
+        { type: 'ok', lines: ['c'] }
+    ]);
+    // Conflicts resolve to the local side by default
+    assert.equal(result.merged, 'a\nlocal\nc');
+
+    assert.equal(mergeThreeWay('a\nb', 'A\nb', 'a\nB').clean, false);
+});
+
+test('a line ending change on one side merges with nothing else changed', () => {
+    const base = 'one\ntwo\nthree';
+    const result = mergeThreeWay(base, base, 'one\r\ntwo\r\nthree');
+    assert.equal(result.clean, true);
+    assert.equal(result.merged, 'one\r\ntwo\r\nthree');
+});
+
+test('joinChunks applies each conflict choice', () => {
+    const { chunks } = mergeThreeWay('x\na\ny\nb\nz', 'x\nA1\ny\nB1\nz', 'x\nA2\ny\nB2\nz');
+    assert.equal(chunks.filter(chunk => chunk.type === 'conflict').length, 2);
+
+    const choices = ['remote', 'both'];
+    assert.equal(joinChunks(chunks, (chunk, index) => choices[index]), 'x\nA2\ny\nB1\nB2\nz');
+    assert.equal(joinChunks(chunks, () => ['custom']), 'x\ncustom\ny\ncustom\nz');
+    assert.equal(joinChunks(chunks, () => 'local'), 'x\nA1\ny\nB1\nz');
+});
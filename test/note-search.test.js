@@ -0,0 +1,127 @@
+/**
+ * Note Search Tests
+ *
+ * Checks the Persian and Arabic normalization of normalizeForSearch, that
+ * matches map back to the right range of the original text, and how
+ * NoteSearchIndex finds, ranks and excerpts notes.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeForSearch, findNormalized, NoteSearchIndex } from '../src/search/note-search.js';
+
+test('Arabic letter forms match their Persian forms', () => {
+    assert.equal(normalizeForSearch('كتاب علي').text, 'کتاب علی');
+    assert.equal(normalizeForSearch('مدرسة خانۀ').text, 'مدرسه خانه');
+    assert.equal(normalizeForSearch('أحمد إيران آب ٱلله').text, 'احمد ایران اب الله');
+    assert.equal(normalizeForSearch('مسئله مؤمن موسى').text, 'مسیله مومن موسی');
+});
+
+test('diacritics, tatweel, joiners and bidi marks are ignored', () => {
+    assert.equal(normalizeForSearch('عَرَبِيٌّ').text, 'عربی');
+    assert.equal(normalizeForSearch('هـــــلو').text, 'هلو');
+    assert.equal(normalizeForSearch('می\u200Cخواهم').text, 'میخواهم');
+    assert.equal(normalizeForSearch('\u202Bمتن\u202C \u200Fx\u200E \u2067y\u2069 \uFEFFz').text, 'متن x y z');
+});
+
+test('digits, case and Latin accents', () => {
+    assert.equal(normalizeForSearch('۱۴۰۳ ٢٠٢٤ 99').text, '1403 2024 99');
+    assert.equal(normalizeForSearch('Café NAÏVE Élan').text, 'cafe naive elan');
+    assert.equal(normalizeForSearch('Cafe\u0301').text, 'cafe');
+});
+
+test('the map points each normalized character at its original character', () => {
+    const text = 'مَن می\u200Cروم';
+    const { text: normalized, map } = normalizeForSearch(text);
+
+    assert.equal(normalized, 'من میروم');
+    assert.deepEqual(map, [0, 2, 3, 4, 5, 7, 8, 9, 10]);
+    assert.equal(map.length, normalized.length + 1);
+});
+
+test('findNormalized returns the range of the match in the original text', () => {
+    const text = 'سلام، من مي\u200Cخواهم كتاب بخوانم.';
+
+    const range = findNormalized(text, '  میخواهم کتاب ');
+    assert.deepEqual(range, { start: 9, end: 22 });
+    assert.equal(text.slice(range.start, range.end), 'مي\u200Cخواهم كتاب');
+
+    assert.equal(findNormalized(text, 'دفتر'), null);
+    assert.equal(findNormalized(text, '   '), null);
+    assert.equal(findNormalized(text, '\u200C'), null);
+});
+
+test('every word of the query must match, in the name or the content', () => {
+    const index = new NoteSearchIndex();
+    index.update({
+        1: { id: 1, name: 'ریاضی', content: 'مشتق و انتگرال', folder: 'درس\u200Cها' },
+        2: { id: 2, name: 'Shopping', content: 'نان، شیر' },
+        3: { id: 3, name: 'فیزیک', content: 'انتگرال در فیزیک' }
+    });
+
+    const ids = query => index.search(query).map(result => result.fileId);
+    assert.deepEqual(ids('انتگرال').sort(), [1, 3]);
+    assert.deepEqual(ids('رياضي انتگرال'), [1]);
+    assert.deepEqual(ids('shopping شير'), [2]);
+    assert.deepEqual(ids('انتگرال شیر'), []);
+    assert.deepEqual(ids(' '), []);
+    assert.equal(index.search('انتگرال', { limit: 1 }).length, 1);
+    assert.equal(index.search('ریاضی')[0].folder, 'درس\u200Cها');
+});
+
+test('name matches rank first, then phrases, then occurrences', () => {
+    const index = new NoteSearchIndex();
+    index.update({
+        1: { id: 1, name: 'b', content: 'جبر خطی و جبر' },
+        2: { id: 2, name: 'جبر', content: 'خلاصه' },
+        3: { id: 3, name: 'a', content: 'جبر' },
+        4: { id: 4, name: 'c', content: 'خطی، سپس جبر' }
+    });
+
+    assert.deepEqual(index.search('جبر').map(result => result.fileId), [2, 1, 3, 4]);
+    assert.deepEqual(index.search('جبر خطی').map(result => result.fileId), [1, 4]);
+});
+
+test('results carry the match range and a snippet of its line', () => {
+    const index = new NoteSearchIndex();
+    const content = `# عنوان\n${'الف '.repeat(20)}كتاب ${'ب '.repeat(30)}\nخط آخر`;
+    index.update({ 1: { id: 1, name: 'یادداشت', content } });
+
+    const [result] = index.search('کتاب');
+    assert.equal(content.slice(result.match.start, result.match.end), 'كتاب');
+
+    const { text, start, end } = result.snippet;
+    assert.equal(text.slice(start, end), 'كتاب');
+    assert.ok(text.startsWith('…') && text.endsWith('…'));
+    assert.ok(!text.includes('\n'));
+
+    assert.deepEqual(index.search('یادداشت')[0].match, null);
+    assert.equal(index.search('یادداشت')[0].snippet, null);
+});
+
+test('update re-indexes changed notes and drops removed ones', () => {
+    const index = new NoteSearchIndex();
+    const files = { 1: { id: 1, name: 'one', content: 'alpha' }, 2: { id: 2, name: 'two', content: 'beta' } };
+    index.update(files);
+
+    files[1] = { id: 1, name: 'renamed', content: 'alpha' };
+    delete files[2];
+    files[3] = { id: 3, name: 'three', content: 'gamma' };
+    index.update(files);
+
+    assert.deepEqual(index.search('renamed').map(result => result.fileId), [1]);
+    assert.deepEqual(index.search('one'), []);
+    assert.deepEqual(index.search('beta'), []);
+    assert.deepEqual(index.search('gamma').map(result => result.fileId), [3]);
+
+    files[3] = { id: 3, name: 'three', content: 'delta' };
+    index.update(files);
+    assert.deepEqual(index.search('gamma'), []);
+    assert.equal(index.search('delta')[0].name, 'three');
+});
@@ -0,0 +1,166 @@
+/**
+ * Note Storage Tests
+ *
+ * Runs NoteStorage on an in-memory IndexedDB (fake-indexeddb) and a stub
+ * localStorage: the one-time migration from the `markdownFiles` key, saves
+ * that write only what changed, a migration that fails, and the
+ * localStorage fallback when IndexedDB is unavailable.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+
+import { NoteStorage, isQuotaExceededError } from '../src/storage/note-storage.js';
+
+const FILES = {
+    1: { id: 1, name: 'یادداشت', content: '# سلام', github: { path: 'یادداشت.md', sha: 'abc', base: '# سلام' } },
+    2: { id: 2, name: 'todo', folder: 'lists', content: '- [ ] write tests' }
+};
+
+let items;
+let originalConsoleWarn;
+
+// NoteStorage asks navigator.storage to persist, where there is one
+if (typeof navigator === 'undefined') globalThis.navigator = {};
+
+beforeEach(() => {
+    items = new Map();
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    globalThis.indexedDB = new IDBFactory();
+    originalConsoleWarn = console.warn;
+    console.warn = () => {};
+});
+
+afterEach(() => {
+    delete globalThis.localStorage;
+    delete globalThis.indexedDB;
+    console.warn = originalConsoleWarn;
+});
+
+/**
+ * Copies the notes, so tests can change them
+ *
+ * @returns {Object} Files object {id: file}
+ */
+function copyFiles() {
+    return JSON.parse(JSON.stringify(FILES));
+}
+
+/**
+ * Records the writes of a storage's transactions
+ *
+ * @param {NoteStorage} storage - The storage
+ * @returns {Object} {put, deleted}: ids written and deleted, in order
+ */
+function recordWrites(storage) {
+    const writes = { put: [], deleted: [] };
+    const runTransaction = storage.runTransaction.bind(storage);
+    storage.runTransaction = callback => runTransaction(store => callback({
+        put: (file) => {
+            writes.put.push(file.id);
+            return store.put(file);
+        },
+        delete: (id) => {
+            writes.deleted.push(id);
+            return store.delete(id);
+        }
+    }));
+    return writes;
+}
+
+test('an empty storage loads no files', async () => {
+    assert.equal(await new NoteStorage().loadFiles(), null);
+});
+
+test('notes saved in localStorage move to IndexedDB once', async () => {
+    items.set('markdownFiles', JSON.stringify(FILES));
+
+    const storage = new NoteStorage();
+    assert.deepEqual(await storage.loadFiles(), FILES);
+    assert.equal(storage.backend, 'indexedDB');
+    assert.equal(items.has('markdownFiles'), false);
+
+    // The next start reads them from IndexedDB
+    assert.deepEqual(await new NoteStorage().loadFiles(), FILES);
+});
+
+test('saves write only changed files and delete removed ones', async () => {
+    await new NoteStorage().saveFiles(FILES);
+
+    const storage = new NoteStorage();
+    const files = await storage.loadFiles();
+    const writes = recordWrites(storage);
+
+    await storage.saveFiles(files);
+    assert.deepEqual(writes, { put: [], deleted: [] });
+
+    // Nested objects changed in place count as changes
+    files[1].github.sha = 'def';
+    files[3] = { id: 3, name: 'new', content: '' };
+    delete files[2];
+    await storage.saveFiles(files);
+    assert.deepEqual(writes, { put: [1, 3], deleted: [2] });
+
+    const saved = await new NoteStorage().loadFiles();
+    assert.deepEqual(Object.keys(saved), ['1', '3']);
+    assert.equal(saved[1].github.sha, 'def');
+});
+
+test('saves run one after another, in order', async () => {
+    const storage = new NoteStorage();
+    const files = copyFiles();
+
+    const saves = ['one', 'two', 'three'].map((content) => {
+        files[2] = { ...files[2], content };
+        return storage.saveFiles({ ...files });
+    });
+    await Promise.all(saves);
+
+    assert.equal((await new NoteStorage().loadFiles())[2].content, 'three');
+});
+
+test('a failed migration keeps the notes in localStorage', async () => {
+    // A record without an id cannot be stored under the files store's key
+    const saved = { 1: FILES[1], 2: { name: 'broken', content: 'x' } };
+    items.set('markdownFiles', JSON.stringify(saved));
+
+    const storage = new NoteStorage();
+    const files = await storage.loadFiles();
+
+    assert.equal(storage.backend, 'localStorage');
+    assert.equal(files[1].content, FILES[1].content);
+    assert.equal(items.get('markdownFiles'), JSON.stringify(saved));
+    // Nothing was stored, so the next start migrates again
+    assert.deepEqual(await storage.readAllRecords(), []);
+});
+
+test('without IndexedDB notes are saved to localStorage', async () => {
+    delete globalThis.indexedDB;
+
+    const storage = new NoteStorage();
+    assert.equal(await storage.loadFiles(), null);
+    assert.equal(storage.backend, 'localStorage');
+
+    await storage.saveFiles(FILES);
+    assert.deepEqual(JSON.parse(items.get('markdownFiles')), FILES);
+    assert.deepEqual(await new NoteStorage().loadFiles(), FILES);
+});
+
+test('quota errors are recognized in every browser', () => {
+    assert.equal(isQuotaExceededError({ name: 'QuotaExceededError' }), true);
+    assert.equal(isQuotaExceededError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' }), true);
+    assert.equal(isQuotaExceededError({ name: 'Error', code: 22 }), true);
+    assert.equal(isQuotaExceededError({ name: 'Error', code: 1014 }), true);
+    assert.equal(isQuotaExceededError(new Error('other')), false);
+    assert.equal(isQuotaExceededError(null), false);
+});
@@ -0,0 +1,85 @@
+/**
+ * Renderer Tests
+ *
+ * Renders notes in Node with createRenderer on a headless document (see
+ * headless-dom.js) and checks the HTML: text direction, KaTeX and
+ * highlight.js output, and source line attributes for scroll
+ * synchronization, including notes that contain the renderer's own markers
+ * and attributes.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRenderer } from '../src/markdown/renderer.js';
+import { createHeadlessDocument } from '../src/markdown/headless-dom.js';
+
+const renderer = createRenderer({ document: createHeadlessDocument() });
+
+/**
+ * Renders a note and parses the result
+ *
+ * @param {string} markdown - The note
+ * @param {Object} [options={}] - Rendering options
+ * @returns {HTMLTemplateElement} Template holding the rendered HTML
+ */
+function renderToTemplate(markdown, options = {}) {
+    const template = renderer.getDocument().createElement('template');
+    template.innerHTML = renderer.render(markdown, true, options);
+    return template;
+}
+
+test('blocks, list items and table rows get their source lines', () => {
+    const { content } = renderToTemplate('# Title\n\n- one\n- two\n\n| a |\n| - |\n| b |\n', { sourceLines: true });
+
+    const lines = element => [element.dataset.sourceLine, element.dataset.sourceLineEnd];
+    assert.deepEqual(lines(content.querySelector('h1')), ['0', '0']);
+    assert.deepEqual(lines(content.querySelector('ul')), ['2', '3']);
+    assert.deepEqual(Array.from(content.querySelectorAll('li'), lines), [['2', '2'], ['3', '3']]);
+    assert.deepEqual(lines(content.querySelector('tbody tr')), ['7', '7']);
+    assert.equal(content.querySelector('.source-line-marker'), null);
+});
+
+test('source line markers written in the note are ignored', () => {
+    const note = '<span class="source-line-marker" data-block="99"></span>\n\nText\n\n<span class="source-line-marker" data-block="0"></span>\n';
+
+    [false, true].forEach((trusted) => {
+        const { content } = renderToTemplate(note, { sourceLines: true, trusted });
+        const paragraphs = Array.from(content.querySelectorAll('p'), p => p.dataset.sourceLine);
+        assert.deepEqual(paragraphs, ['0', '2', '4']);
+    });
+});
+
+test('source lines written in the note are replaced or removed', () => {
+    const note = '<div data-source-line="40" data-source-line-end="41">x</div>\n';
+
+    assert.equal(renderToTemplate(note).content.querySelector('[data-source-line]'), null);
+    const { dataset } = renderToTemplate(note, { sourceLines: true }).content.querySelector('div');
+    assert.deepEqual([dataset.sourceLine, dataset.sourceLineEnd], ['0', '0']);
+});
+
+test('a note renders to the same HTML as in the page', () => {
+    const note = '# سلام Notes\n\nHello **world**.\n\n```js\nconst a = 1;\n```\n';
+
+    assert.equal(renderer.render(note, true, { textDirection: 'auto' }), [
+        '<h1 dir="rtl">سلام Notes</h1>',
+        '<p dir="ltr">Hello <strong>world</strong>.</p>',
+        '<pre><code class="language-js hljs"><span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;',
+        '</code></pre>',
+        ''
+    ].join('\n'));
+});
+
+test('math renders with KaTeX', () => {
+    const { content } = renderToTemplate('Area $x^2$');
+
+    const math = content.querySelector('p .katex');
+    assert.equal(math.querySelector('annotation[encoding="application/x-tex"]').textContent, 'x^2');
+    assert.ok(math.querySelector('.katex-html .msupsub'));
+    assert.equal(content.querySelector('.math-placeholder'), null);
+});
@@ -0,0 +1,135 @@
+/**
+ * HTML Sanitizer Tests
+ *
+ * Cleans markup with sanitizeFragment on a headless document (see
+ * headless-dom.js): event handlers, URL schemes, dropped elements, srcset,
+ * iframes, the renderer's hooks and ID prefixing.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sanitizeFragment, isUrlAllowed } from '../src/markdown/sanitizer.js';
+import { createHeadlessDocument } from '../src/markdown/headless-dom.js';
+
+const document = createHeadlessDocument();
+
+/**
+ * Sanitizes markup and returns the result
+ *
+ * @param {string} html - Markup to clean
+ * @param {Object} [config={}] - Partial sanitizer configuration
+ * @returns {string} The cleaned markup
+ */
+function sanitize(html, config = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeFragment(template.content, config);
+    return template.innerHTML;
+}
+
+test('event handlers are removed', () => {
+    assert.equal(sanitize('<img src="x.png" onerror="alert(1)">'), '<img src="x.png">');
+    assert.equal(sanitize('<p OnClick="alert(1)" title="t">x</p>'), '<p title="t">x</p>');
+    assert.equal(sanitize('<a href="#a" onmouseover="alert(1)">x</a>'), '<a href="#user-content-a">x</a>');
+});
+
+test('javascript: and other unsafe schemes are removed', () => {
+    assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="JaVaScRiPt:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="vbscript:msgbox(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="data:text/html,<script>alert(1)</script>">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="https://example.com">x</a>'), '<a href="https://example.com">x</a>');
+    assert.equal(sanitize('<a href="notes/other.md">x</a>'), '<a href="notes/other.md">x</a>');
+});
+
+test('control characters and whitespace inside schemes do not hide them', () => {
+    ['java\tscript:alert(1)', 'java\nscript:alert(1)', '\u0001javascript:alert(1)', ' javascript:alert(1)', 'javascript\u0000:alert(1)']
+        .forEach((url) => {
+            assert.equal(isUrlAllowed(url, 'a'), false, JSON.stringify(url));
+        });
+    assert.equal(sanitize('<a href="java&#9;script:alert(1)">x</a>'), '<a>x</a>');
+});
+
+test('data: URLs are kept only for raster images', () => {
+    assert.equal(sanitize('<img src="data:image/png;base64,AAAA">'), '<img src="data:image/png;base64,AAAA">');
+    assert.equal(sanitize('<img src="data:image/svg+xml;base64,AAAA">'), '<img>');
+    assert.equal(sanitize('<a href="data:image/png;base64,AAAA">x</a>'), '<a>x</a>');
+});
+
+test('script, style, svg and math are dropped with their content', () => {
+    assert.equal(sanitize('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+    assert.equal(sanitize('<style>body{display:none}</style>x'), 'x');
+    assert.equal(sanitize('<svg><script>alert(1)</script><a href="javascript:alert(1)">x</a></svg>y'), 'y');
+    assert.equal(sanitize('<svg onload="alert(1)"></svg>y'), 'y');
+    assert.equal(sanitize('<math><mtext><img src=x onerror=alert(1)></mtext></math>y'), 'y');
+    assert.equal(sanitize('<form action="https://example.com"><button>x</button></form>y'), 'y');
+});
+
+test('unknown elements are unwrapped', () => {
+    assert.equal(sanitize('<custom-tag onclick="x"><b>bold</b></custom-tag>'), '<b>bold</b>');
+});
+
+test('srcset is removed when any of its URLs is unsafe', () => {
+    assert.equal(sanitize('<img srcset="a.png 1x, b.png 2x">'), '<img srcset="a.png 1x, b.png 2x">');
+    assert.equal(sanitize('<img srcset="a.png 1x, javascript:alert(1) 2x">'), '<img>');
+    assert.equal(sanitize('<picture><source srcset="data:image/svg+xml;base64,AAAA"></picture>'), '<picture><source></picture>');
+});
+
+test('iframes are dropped unless allowed, and then sandboxed', () => {
+    const youtube = '<iframe src="https://www.youtube.com/embed/x" onload="alert(1)"><p>x</p></iframe>';
+    assert.equal(sanitize(youtube), '');
+
+    const kept = sanitize(youtube, { allowIframes: true });
+    assert.match(kept, /^<iframe src="https:\/\/www\.youtube\.com\/embed\/x" sandbox="[^"]*" referrerpolicy="no-referrer"><\/iframe>$/);
+
+    assert.equal(sanitize('<iframe src="https://example.com/"></iframe>', { allowIframes: true }), '');
+    assert.equal(sanitize('<iframe src="http://www.youtube.com/embed/x"></iframe>', { allowIframes: true }), '');
+});
+
+test('iframes of any host must be https pages of another origin', () => {
+    const config = { allowIframes: true, iframeHosts: [] };
+    const originalLocation = globalThis.location;
+    globalThis.location = new URL('https://notes.example/markdown-renderer/');
+
+    try {
+        assert.match(sanitize('<iframe src="https://example.com/"></iframe>', config), /^<iframe src="https:\/\/example\.com\/" sandbox=/);
+        ['index.html', '/markdown-renderer/', '//notes.example/', 'https://notes.example/x', 'http://example.com/', 'javascript:alert(1)']
+            .forEach((src) => {
+                assert.equal(sanitize(`<iframe src="${src}"></iframe>`, config), '', src);
+            });
+    } finally {
+        globalThis.location = originalLocation;
+    }
+});
+
+test('data attributes and class names the renderer uses as hooks are removed', () => {
+    assert.equal(
+        sanitize('<p data-source-line="3" data-source-line-end="9" data-block="0" data-foo="x">x</p>'),
+        '<p>x</p>'
+    );
+    assert.equal(
+        sanitize('<span class="source-line-marker" data-block="0"></span><div class="code-block-wrapper note">x</div>'),
+        '<span></span><div class="note">x</div>'
+    );
+});
+
+test('ids, link names and fragments get the prefix', () => {
+    assert.equal(sanitize('<div id="githubModal">x</div>'), '<div id="user-content-githubModal">x</div>');
+    assert.equal(sanitize('<a name="top"></a>'), '<a name="user-content-top"></a>');
+    assert.equal(sanitize('<a href="#intro">x</a>'), '<a href="#user-content-intro">x</a>');
+    assert.equal(sanitize('<a href="other.md#intro">x</a>'), '<a href="other.md#user-content-intro">x</a>');
+    assert.equal(sanitize('<a href="https://example.com/#intro">x</a>'), '<a href="https://example.com/#intro">x</a>');
+    assert.equal(sanitize('<h2 id="user-content-x">x</h2>'), '<h2 id="user-content-x">x</h2>');
+    assert.equal(sanitize('<div id="x">x</div>', { idPrefix: '' }), '<div id="x">x</div>');
+});
+
+test('task list inputs stay disabled checkboxes', () => {
+    assert.equal(sanitize('<input type="checkbox" checked>'), '<input type="checkbox" checked="" disabled="">');
+    assert.equal(sanitize('<input type="text" value="x">y'), 'y');
+});
@@ -0,0 +1,141 @@
+/**
+ * Site Builder Tests
+ *
+ * Checks how front matter decides which notes are published and how they
+ * are tagged, then builds a site from a temporary folder of notes and checks
+ * its pages: order, tag pages, links between notes, copied files and the
+ * search index.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+import { SiteBuilder, isPublished, getNoteTags, getTagSlug } from '../src/site/site-builder.js';
+import { getHref, getRoot } from '../src/site/site-pages.js';
+
+const NOTES = {
+    'algebra.md': '---\ntitle: Linear Algebra\ndate: 2025-03-01\ntags: [Math, "#notes"]\n---\nMatrices and $x^2$.\n\nSee [the lecture](<درس\u200Cها/جلسه ۱.md#top>) and ![plot](images/plot.png).\n',
+    'درس\u200Cها/جلسه ۱.md': '---\ndate: 2025-04-01\ntags: math, فارسی\nlang: fa\n---\nجلسه اول درباره ماتریس\u200Cها.\n\n[Back](../algebra.md) [Settings](../.noteshub.json) [Missing](missing.pdf)\n',
+    'undated.md': '# Undated\n\nNo date here.\n',
+    'draft.md': '---\ntitle: Secret\ndraft: true\n---\nNot ready.\n',
+    'images/plot.png': 'PNG',
+    '.noteshub.json': '{}'
+};
+
+let root;
+let result;
+
+/**
+ * Reads a file of the built site
+ *
+ * @param {string} path - Path relative to the site folder
+ * @returns {Promise<string>} Its content
+ */
+function readSiteFile(path) {
+    return readFile(join(root, 'site', path), 'utf8');
+}
+
+before(async () => {
+    root = await mkdtemp(join(tmpdir(), 'noteshub-site-'));
+    for (const [path, content] of Object.entries(NOTES)) {
+        await mkdir(dirname(join(root, 'notes', path)), { recursive: true });
+        await writeFile(join(root, 'notes', path), content, 'utf8');
+    }
+
+    const builder = new SiteBuilder({ title: 'یادداشت\u200Cها' });
+    result = await builder.build(join(root, 'notes'), join(root, 'site'));
+});
+
+after(async () => {
+    await rm(root, { recursive: true, force: true });
+});
+
+test('drafts and notes with publish: false are left out', () => {
+    assert.equal(isPublished({}), true);
+    assert.equal(isPublished({ draft: false, publish: true }), true);
+    assert.equal(isPublished({ draft: true }), false);
+    assert.equal(isPublished({ publish: false }), false);
+    assert.equal(isPublished({ draft: 'yes' }), true);
+});
+
+test('tags come from lists or comma-separated strings', () => {
+    assert.deepEqual(getNoteTags({}), []);
+    assert.deepEqual(getNoteTags({ tags: ['#math', 'ریاضی', 'math', 2025, null, ' '] }), ['math', 'ریاضی', '2025']);
+    assert.deepEqual(getNoteTags({ tags: 'math, #notes,,' }), ['math', 'notes']);
+    assert.deepEqual(getNoteTags({ tags: 7 }), ['7']);
+});
+
+test('tag slugs keep letters of every script', () => {
+    assert.equal(getTagSlug('Linear Algebra'), 'linear-algebra');
+    assert.equal(getTagSlug('جبر خطی'), 'جبر-خطی');
+    assert.equal(getTagSlug('C++ / C#'), 'c-c');
+    assert.equal(getTagSlug('Café'), 'café');
+    assert.equal(getTagSlug('!!!'), 'tag');
+});
+
+test('links between pages are relative and URL-encoded', () => {
+    assert.equal(getRoot('index.html'), '');
+    assert.equal(getRoot('notes/درس/جلسه ۱.html'), '../../');
+    assert.equal(getHref('../', 'notes/جلسه ۱.html'), '../notes/%D8%AC%D9%84%D8%B3%D9%87%20%DB%B1.html');
+});
+
+test('the site has a page per published note and per tag', async () => {
+    assert.deepEqual(result, { pages: 3, tags: 3, files: 1 });
+
+    await access(join(root, 'site', 'notes', 'algebra.html'));
+    await access(join(root, 'site', 'notes', 'درس\u200Cها', 'جلسه ۱.html'));
+    await assert.rejects(access(join(root, 'site', 'notes', 'draft.html')));
+    await access(join(root, 'site', 'assets', 'site.css'));
+    await access(join(root, 'site', 'assets', 'site', 'site-client.js'));
+    await access(join(root, 'site', 'assets', 'search', 'note-search.js'));
+
+    const index = await readSiteFile('index.html');
+    const titles = [...index.matchAll(/class="note-link"[^>]*>([^<]*)</g)].map(match => match[1]);
+    assert.deepEqual(titles, ['جلسه ۱', 'Linear Algebra', 'undated']);
+    assert.doesNotMatch(index, /Secret/);
+
+    // math and Math differ only in case, so they share a page, named as in
+    // the newest note
+    const tags = await readSiteFile('tags.html');
+    const tagNames = [...tags.matchAll(/class="tag-link"[^>]*>([^<]*)</g)].map(match => match[1]);
+    assert.deepEqual(tagNames, ['math', 'notes', 'فارسی']);
+    const math = await readSiteFile('tags/math.html');
+    assert.equal([...math.matchAll(/class="note-link"/g)].length, 2);
+    assert.match(math, /href="\.\.\/notes\/algebra\.html"/);
+});
+
+test('note pages link to notes, copy local files and keep hidden files out', async () => {
+    const algebra = await readSiteFile('notes/algebra.html');
+    assert.match(algebra, /<title>Linear Algebra · یادداشت\u200Cها<\/title>/);
+    assert.ok(algebra.includes(`href="${encodeURI('درس\u200Cها/جلسه ۱.html')}#user-content-top"`));
+    assert.match(algebra, /<link rel="stylesheet" href="\.\.\/assets\/katex\.css">/);
+    assert.match(algebra, /class="previous"[^>]*>← جلسه ۱</);
+    assert.match(algebra, /class="next"[^>]*>undated →</);
+    assert.equal(await readSiteFile('notes/images/plot.png'), 'PNG');
+
+    const lecture = await readSiteFile('notes/درس\u200Cها/جلسه ۱.html');
+    assert.match(lecture, /<main class="markdown-body" data-text-direction="rtl" lang="fa">/);
+    assert.match(lecture, /href="\.\.\/algebra\.html"/);
+    assert.match(lecture, /href="\.\.\/\.noteshub\.json"/);
+    assert.doesNotMatch(lecture, /assets\/katex\.css/);
+    await assert.rejects(access(join(root, 'site', '.noteshub.json')));
+});
+
+test('the search index holds the text of every published note', async () => {
+    const searchIndex = JSON.parse(await readSiteFile('search-index.json'));
+
+    assert.deepEqual(searchIndex.map(entry => entry.url), ['notes/درس\u200Cها/جلسه ۱.html', 'notes/algebra.html', 'notes/undated.html']);
+    const [lecture, algebra] = searchIndex;
+    assert.equal(lecture.folder, 'درس\u200Cها');
+    assert.deepEqual(lecture.tags, ['math', 'فارسی']);
+    assert.equal(lecture.date, '2025-04-01');
+    assert.match(algebra.text, /^Matrices and x\^2\.\n\nSee the lecture and \.$/);
+});
@@ -0,0 +1,156 @@
+/**
+ * Workspace Archive Tests
+ *
+ * Exports notes with exportWorkspace and imports them back, checking that
+ * contents survive exactly, byte order mark included, and that only the
+ * metadata an archive may restore comes back. Also imports zipped folders
+ * of Markdown files and archives with a damaged or foreign manifest.
+ *
+ * Run with `npm test`.
+ *
+ * @author Matin KG
+ * @version 1.0.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { exportWorkspace, importWorkspace, WORKSPACE_FORMAT } from '../src/export/workspace-archive.js';
+import { createZip, readZip } from '../src/export/zip.js';
+
+const FILES = {
+    1: {
+        id: 1,
+        name: 'یادداشت',
+        folder: 'درس\u200Cها/ریاضی',
+        tags: ['math'],
+        content: '\uFEFF# سلام 👋🏽\r\nLine two\r\n',
+        github: { path: 'درس\u200Cها/ریاضی/یادداشت.md', sha: 'abc', base: 'base' },
+        trusted: true,
+        disk: { name: 'note.md' }
+    },
+    2: { id: 2, name: 'a/b: c?', content: '' },
+    3: { id: 3, name: 'Note', content: 'first' },
+    4: { id: 4, name: 'note', content: 'second' }
+};
+
+/**
+ * Lists the entry names of an archive
+ *
+ * @param {Blob} archive - The archive
+ * @returns {Promise<string[]>} Entry names
+ */
+async function listEntries(archive) {
+    return (await readZip(archive)).map(entry => entry.name);
+}
+
+test('notes come back with their content and restorable metadata', async () => {
+    const archive = await exportWorkspace(FILES, { activeFileId: 3, settings: { markdownRendererTheme: 'dark' } });
+    const { notes, activeFileId, settings } = await importWorkspace(archive);
+
+    assert.equal(activeFileId, 3);
+    assert.deepEqual(settings, { markdownRendererTheme: 'dark' });
+    assert.deepEqual(notes[0], {
+        id: 1,
+        name: 'یادداشت',
+        folder: 'درس\u200Cها/ریاضی',
+        tags: ['math'],
+        github: { path: 'درس\u200Cها/ریاضی/یادداشت.md', sha: 'abc', base: 'base' },
+        content: FILES[1].content
+    });
+    assert.deepEqual(notes.map(note => note.content), Object.values(FILES).map(file => file.content));
+});
+
+test('note paths are safe and unique regardless of case', async () => {
+    const names = await listEntries(await exportWorkspace(FILES));
+
+    assert.deepEqual(names, [
+        'manifest.json',
+        'notes/درس\u200Cها/ریاضی/یادداشت.md',
+        'notes/a-b- c-.md',
+        'notes/Note.md',
+        'notes/note (2).md'
+    ]);
+});
+
+test('manifest fields of the wrong type are dropped', async () => {
+    const manifest = {
+        format: WORKSPACE_FORMAT,
+        version: 1,
+        activeFileId: null,
+        settings: 'dark',
+        notes: [{
+            id: '1',
+            name: 7,
+            folder: 'ok',
+            tags: ['a', 1],
+            github: { path: 'x.md', sha: 5 },
+            trusted: true,
+            path: 'notes/x.md'
+        }]
+    };
+    const archive = await createZip([
+        { name: 'manifest.json', content: JSON.stringify(manifest) },
+        { name: 'notes/x.md', content: 'x' }
+    ]);
+
+    assert.deepEqual(await importWorkspace(archive), {
+        notes: [{ folder: 'ok', tags: ['a'], github: { path: 'x.md' }, content: 'x' }],
+        activeFileId: null,
+        settings: {}
+    });
+});
+
+test('a zipped folder of Markdown files becomes notes', async () => {
+    const archive = await createZip([
+        { name: 'notes/', content: '' },
+        { name: 'readme.md', content: '# Readme' },
+        { name: 'درس/جلسه.markdown', content: 'جلسه' },
+        { name: 'todo.TXT', content: 'todo' },
+        { name: 'image.png', content: new Uint8Array([1, 2, 3]) },
+        { name: '.git/HEAD.md', content: 'hidden' },
+        { name: '__MACOSX/readme.md', content: 'resource fork' }
+    ]);
+
+    assert.deepEqual(await importWorkspace(archive), {
+        notes: [
+            { name: 'readme', content: '# Readme' },
+            { name: 'جلسه', folder: 'درس', content: 'جلسه' },
+            { name: 'todo', content: 'todo' }
+        ],
+        activeFileId: null,
+        settings: {}
+    });
+});
+
+test('archives that are not workspaces are rejected', async () => {
+    const manifestArchive = manifest => createZip([{ name: 'manifest.json', content: manifest }]);
+
+    await assert.rejects(importWorkspace(await manifestArchive('{')), /not valid JSON/);
+    await assert.rejects(importWorkspace(await manifestArchive('{"format":"other","notes":[]}')), /not a NotesHubBidi workspace/);
+    await assert.rejects(
+        importWorkspace(await manifestArchive(JSON.stringify({ format: WORKSPACE_FORMAT, version: 2, notes: [] }))),
+        /newer version/
+    );
+    await assert.rejects(
+        importWorkspace(await manifestArchive(JSON.stringify({ format: WORKSPACE_FORMAT, version: 1, notes: [{ path: 'notes/a.md' }] }))),
+        /missing "notes\/a\.md"/
+    );
+    await assert.rejects(importWorkspace(await createZip([{ name: 'image.png', content: 'png' }])), /no Markdown files/);
+    await assert.rejects(importWorkspace(new Blob(['not a zip file at all, just text'])), /not a zip archive/);
+});
+
+test('zip entries keep their bytes, compressed or not', async () => {
+    const bytes = new Uint8Array(70000).map((_, index) => (index * 31) % 256);
+    const text = 'تکرار '.repeat(5000);
+    const entries = await readZip(await createZip([
+        { name: 'binary.bin', content: bytes },
+        { name: 'متن.txt', content: text },
+        { name: 'empty', content: '' }
+    ]));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['binary.bin', 'متن.txt', 'empty']);
+    assert.deepEqual(entries[0].data, bytes);
+    assert.equal(new TextDecoder().decode(entries[1].data), text);
+    assert.equal(entries[2].data.length, 0);
+});